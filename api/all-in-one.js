@@ -3,42 +3,49 @@
 // This file contains ALL API functionality in one file to avoid hitting Vercel's
 // 12 function limit on the Hobby plan.
 
+/* global BigInt */
 const axios = require('axios');
+const mongoose = require('mongoose');
+const { connectToMongoDB } = require('../src/server/db');
+const folderController = require('../src/server/folderController');
+const auth = require('../src/server/auth');
+const { cache } = require('../src/server/cache');
+const { fetchMedia, resolveMediaType, REJECTION_CODES } = require('../src/server/safeFetch');
+const { parseTransformOptions, transformImage } = require('../src/server/imageTransform');
+const mediaCache = require('../src/server/mediaCache');
+const ipfsGateways = require('../src/server/ipfsGateways');
+const explorers = require('../src/server/explorers');
+const { rateLimiter, identifyClient } = require('../src/server/rateLimiter');
+const { httpError } = require('../src/server/errors');
+const { validateQuery, sendValidationError } = require('../src/server/validation');
+const { ROUTE_SCHEMAS } = require('../src/server/apiSchemas');
+const { diagnosticStore } = require('../src/server/diagnosticStore');
+const metrics = require('../src/server/metrics');
+const health = require('../src/server/health');
+const { buildOpenApiDocument } = require('../src/server/openapi');
+const { FOLDER_ROUTES } = require('../src/server/apiRoutes');
+const { getAlchemySubdomain, normalizeChain } = require('../src/chains');
+const upstreams = require('../src/server/upstreams');
 
-// Simple memory cache to avoid redundant API calls
+// Count and time every upstream call for /api/metrics
+metrics.instrumentAxios(axios);
+
+const { parseIpfsUrl, toIpfsUri, fetchFromGateways } = ipfsGateways;
+
+// Shared LRU cache with per-namespace TTLs to avoid redundant API calls
 const CACHE = {
-  requests: {},
-  transfers: {},
-  profiles: {},
-  nfts: {},
   getKey: (endpoint, params) => `${endpoint}:${JSON.stringify(params)}`,
-  set: (type, key, data, ttl = 300000) => { // Default 5 minute TTL
-    CACHE[type][key] = {
-      data,
-      expiry: Date.now() + ttl
-    };
-  },
+  set: (type, key, data, ttl) => cache.set(type, key, data, ttl),
   get: (type, key) => {
-    const cached = CACHE[type][key];
-    if (cached && cached.expiry > Date.now()) {
+    const data = cache.get(type, key);
+    if (data) {
       console.log(`Cache hit for ${type}:${key}`);
-      return cached.data;
     }
-    return null;
+    return data;
   },
-  clear: (type) => {
-    CACHE[type] = {};
-  }
-};
-
-// Farcaster API configuration
-const FARCASTER_CONFIG = {
-  CACHE_TTL: 10 * 60 * 1000, // 10 minutes
-  API_ENDPOINTS: {
-    NEYNAR: 'https://api.neynar.com/v2/farcaster',
-    ZAPPER: 'https://api.zapper.xyz/v2/farcaster',
-    PUBLIC: 'https://api.farcaster.xyz/v1'
-  }
+  // Stale-while-revalidate lookup, see src/server/cache.js
+  wrap: (type, key, fetcher, options) => cache.wrap(type, key, fetcher, options),
+  clear: (type) => cache.clear(type)
 };
 
 // -----------------------------------------------------------------------
@@ -48,7 +55,88 @@ const setCorsHeaders = (res) => {
   res.setHeader('Access-Control-Allow-Credentials', true);
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
-  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization, X-Api-Key');
+};
+
+// -----------------------------------------------------------------------
+// ROUTE POLICIES
+// -----------------------------------------------------------------------
+const ACTION_ROUTES = {
+  collectionFriends: 'collection-friends'
+};
+
+/**
+ * Name of the route a request is for: its action, first path segment or v2 endpoint.
+ * Query schemas (src/server/apiSchemas.js) and rate limits are keyed by it.
+ */
+const getRouteName = (path, action, endpoint) => {
+  const route = ACTION_ROUTES[action] || path.split('/')[0];
+  return route === 'v2' ? String(endpoint || '').toLowerCase() : route;
+};
+
+/**
+ * Replace req.query with its validated, normalized form.
+ * Sends a 400 and returns true when the query is invalid.
+ */
+const rejectIfInvalid = (req, res, route, path) => {
+  const schema = ROUTE_SCHEMAS[route];
+  if (!schema) return false;
+
+  try {
+    // v2 requests keep their endpoint selector for handleV2Request
+    const passthrough = path.startsWith('v2/') ? ['action', 'endpoint'] : ['action'];
+    req.query = validateQuery(schema, req.query, { passthrough });
+    return false;
+  } catch (error) {
+    if (error.status !== 400) throw error;
+    console.warn(`[VALIDATION] Rejected ${route} request: ${error.message}`);
+    sendValidationError(res, error);
+    return true;
+  }
+};
+
+// Upstream APIs each route spends our keys on, by route or by "METHOD route"
+// where only one method is limited. Routes not listed here are not limited.
+const ROUTE_UPSTREAMS = {
+  'zapper': ['zapper'],
+  'alchemy': ['alchemy'],
+  'farcaster': ['neynar', 'zapper'],
+  'farcaster-profile': ['neynar', 'zapper'],
+  'collection-friends': ['neynar', 'alchemy'],
+  'trending-collections': ['neynar', 'alchemy'],
+  'neynar': ['neynar'],
+  'etherscan': ['etherscan'],
+  'basescan': ['basescan'],
+  'opensea': ['opensea'],
+  // Reports are stored, so submitting them is throttled like an upstream call
+  'POST diagnostic': ['diagnostic']
+};
+
+/**
+ * Take from the client's per-upstream budgets, setting the X-RateLimit headers.
+ * Sends a 429 with Retry-After and returns true when the client is over budget.
+ */
+const rejectIfRateLimited = (req, res, routeUpstreams) => {
+  const client = identifyClient(req);
+  const limit = rateLimiter.take(client, routeUpstreams);
+
+  if (limit.limit !== null) {
+    res.setHeader('X-RateLimit-Limit', limit.limit);
+    res.setHeader('X-RateLimit-Remaining', limit.remaining);
+  }
+
+  if (limit.allowed) return false;
+
+  console.warn(`[RATE LIMIT] ${client.key} is over its ${limit.upstream} budget, retry in ${limit.retryAfter}s`);
+  res.setHeader('Retry-After', limit.retryAfter);
+  res.status(429).json({
+    error: 'Too many requests',
+    code: 'RATE_LIMITED',
+    message: `Rate limit for ${limit.upstream} exceeded (${limit.limit} requests per minute). Retry in ${limit.retryAfter} seconds.`,
+    upstream: limit.upstream,
+    retryAfter: limit.retryAfter
+  });
+  return true;
 };
 
 // -----------------------------------------------------------------------
@@ -76,6 +164,18 @@ module.exports = async function handler(req, res) {
     
     console.log(`[API] Request to: ${path}${action ? ` with action: ${action}` : ''}`);
     
+    // Validate the query, then throttle per client, before any upstream call is made
+    const route = getRouteName(path, action, req.query.endpoint);
+    metrics.observeRequest(req, res, route);
+    if (rejectIfInvalid(req, res, route, path)) {
+      return;
+    }
+    
+    const routeUpstreams = ROUTE_UPSTREAMS[`${req.method} ${route}`] || ROUTE_UPSTREAMS[route] || [];
+    if (routeUpstreams.length > 0 && rejectIfRateLimited(req, res, routeUpstreams)) {
+      return;
+    }
+    
     // Route based on the path or action
     let result;
     
@@ -110,10 +210,12 @@ module.exports = async function handler(req, res) {
       result = await handleFarcasterProfileRequest(req, res);
     } else if (path.startsWith('image-proxy')) {
       result = await handleImageProxyRequest(req, res);
-    } else if (path === 'folders' || path.startsWith('folders/')) {
+    } else if (path === 'folders' || path.startsWith('folders/') || path.startsWith('users/')) {
       result = await handleFoldersRequest(req, res, path);
     } else if (path.startsWith('collection-friends')) {
       result = await handleCollectionFriendsRequest(req, res);
+    } else if (path.startsWith('trending-collections')) {
+      result = await handleTrendingCollectionsRequest(req, res);
     } else if (path.startsWith('login')) {
       result = await handleLoginRequest(req, res);
     } else if (path.startsWith('farcaster')) {
@@ -121,9 +223,21 @@ module.exports = async function handler(req, res) {
     } else if (path.startsWith('v2/')) {
       result = await handleV2Request(req, res);
     } else if (path.startsWith('diagnostic')) {
-      result = await handleDiagnosticRequest(req, res);
+      result = await handleDiagnosticRequest(req, res, path);
     } else if (path.startsWith('neynar')) {
       result = await handleNeynarRequest(req, res);
+    } else if (path.startsWith('etherscan')) {
+      result = await handleEtherscanRequest(req, res);
+    } else if (path.startsWith('basescan')) {
+      result = await handleBasescanRequest(req, res);
+    } else if (path.startsWith('opensea')) {
+      result = await handleOpenseaRequest(req, res);
+    } else if (path === 'metrics') {
+      result = await handleMetricsRequest(req, res);
+    } else if (path === 'health') {
+      result = await handleHealthRequest(req, res);
+    } else if (path === 'openapi.json') {
+      result = await handleOpenApiRequest(req, res);
     } else if (path === 'all-in-one' && !action) {
       // Handle the case where someone hits /api/all-in-one without an action
       return res.status(400).json({ 
@@ -158,9 +272,8 @@ module.exports = async function handler(req, res) {
 // HANDLER: ZAPPER API
 // -----------------------------------------------------------------------
 async function handleZapperRequest(req, res) {
-  // Zapper GraphQL API URL - Updated to v2 endpoint
-  const ZAPPER_API_URL = 'https://api.zapper.xyz/v2/graphql';
-  const BACKUP_ZAPPER_API_URL = 'https://public.zapper.xyz/graphql';
+  // Zapper GraphQL API URLs - v2 endpoint first, then the public one
+  const [ZAPPER_API_URL, BACKUP_ZAPPER_API_URL] = upstreams.zapperGraphqlUrls();
   
   try {
     // Get Zapper API key from environment variables
@@ -182,12 +295,7 @@ async function handleZapperRequest(req, res) {
       });
     }
     
-    // Try to use cached response if available
     const cacheKey = CACHE.getKey('zapper', req.body);
-    const cachedData = CACHE.get('requests', cacheKey);
-    if (cachedData) {
-      return res.status(200).json(cachedData);
-    }
     
     // Debug request details
     console.log('Zapper REQUEST - GraphQL query:', req.body.query.replace(/\s+/g, ' ').trim().substring(0, 100) + '...');
@@ -212,54 +320,61 @@ async function handleZapperRequest(req, res) {
     let lastError = null;
     
     // Try each endpoint in sequence
-    for (const endpoint of endpoints) {
-      try {
-        // Forward the request to Zapper
-        console.log(`Trying Zapper endpoint: ${endpoint.name}`);
-        const response = await axios({
-          method: 'post',
-          url: endpoint.url,
-          headers: headers,
-          data: req.body,
-          timeout: 15000 // Extended timeout to 15 seconds
-        });
-        
-        console.log(`Zapper RESPONSE - Success from ${endpoint.name}, Status: ${response.status}`);
-        
-        // Check for GraphQL errors and handle them properly
-        if (response.data?.errors) {
-          console.warn('GraphQL errors from Zapper:', response.data.errors);
-          // Only cache successful responses
-          return res.status(200).json(response.data); // Still return 200 as it's a valid GraphQL response
-        }
-        
-        // Cache the successful response
-        CACHE.set('requests', cacheKey, response.data);
-        
-        // Return the response from Zapper
-        return res.status(response.status).json(response.data);
-      } catch (error) {
-        console.error(`Error with Zapper endpoint ${endpoint.name}:`, error.message);
-        if (error.response) {
-          console.error('RESPONSE ERROR - Status:', error.response.status);
-          console.error('RESPONSE ERROR - Data:', JSON.stringify(error.response.data).substring(0, 200));
-        } else if (error.request) {
-          console.error('REQUEST ERROR - No response received');
+    const fetchFromZapper = async () => {
+      for (const endpoint of endpoints) {
+        try {
+          // Forward the request to Zapper
+          console.log(`Trying Zapper endpoint: ${endpoint.name}`);
+          const response = await axios({
+            method: 'post',
+            url: endpoint.url,
+            headers: headers,
+            data: req.body,
+            timeout: 15000 // Extended timeout to 15 seconds
+          });
+          
+          console.log(`Zapper RESPONSE - Success from ${endpoint.name}, Status: ${response.status}`);
+          
+          // GraphQL errors are still a valid response, they just aren't cached
+          if (response.data?.errors) {
+            console.warn('GraphQL errors from Zapper:', response.data.errors);
+          }
+          
+          return response.data;
+        } catch (error) {
+          console.error(`Error with Zapper endpoint ${endpoint.name}:`, error.message);
+          if (error.response) {
+            console.error('RESPONSE ERROR - Status:', error.response.status);
+            console.error('RESPONSE ERROR - Data:', JSON.stringify(error.response.data).substring(0, 200));
+          } else if (error.request) {
+            console.error('REQUEST ERROR - No response received');
+          }
+          
+          lastError = error;
+          // Continue to next endpoint
         }
-        
-        lastError = error;
-        // Continue to next endpoint
       }
-    }
-    
-    // If we get here, all endpoints failed
-    console.error('All Zapper API endpoints failed');
+      
+      throw lastError || new Error('Unknown error');
+    };
     
-    return res.status(lastError?.response?.status || 502).json({
-      error: 'Error from Zapper API',
-      message: `All Zapper endpoints failed: ${lastError?.message || 'Unknown error'}`,
-      details: lastError?.response?.data
-    });
+    try {
+      // Serve from cache, refreshing stale responses in the background
+      const data = await CACHE.wrap('requests', cacheKey, fetchFromZapper, {
+        shouldCache: (result) => !result?.errors
+      });
+      
+      return res.status(200).json(data);
+    } catch (error) {
+      // If we get here, all endpoints failed
+      console.error('All Zapper API endpoints failed');
+      
+      return res.status(error.response?.status || 502).json({
+        error: 'Error from Zapper API',
+        message: `All Zapper endpoints failed: ${error.message}`,
+        details: error.response?.data
+      });
+    }
   } catch (error) {
     console.error('Unexpected error in Zapper handler:', error);
     
@@ -275,6 +390,177 @@ async function handleZapperRequest(req, res) {
 // -----------------------------------------------------------------------
 // HANDLER: ALCHEMY API
 // -----------------------------------------------------------------------
+
+// Token history scans stop after this many pages of 1000 contract transfers
+const MAX_TOKEN_TRANSFER_PAGES = 5;
+
+// ERC-721 Transfer(from, to, tokenId), with all three arguments indexed
+const ERC721_TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+
+// Token IDs as decimal strings, Alchemy returns them as 0x-prefixed hex
+const toDecimalTokenId = (value) => {
+  try {
+    return BigInt(value).toString();
+  } catch (error) {
+    return null;
+  }
+};
+
+const topicToAddress = (topic) => `0x${topic.slice(-40)}`;
+
+/**
+ * One ERC-721 token's transfers from its Transfer logs. The token ID is an
+ * indexed topic, so a single eth_getLogs call over every block returns just
+ * this token's history, and one batched eth_getBlockByNumber adds timestamps.
+ * @returns {Promise<Object|null>} - Same shape as fetchContractTransfers, or null
+ *   when there are no such logs (ERC-1155 tokens log TransferSingle instead)
+ */
+async function fetchTokenTransferLogs(endpointUrl, { contractAddress, tokenId, order }) {
+  const tokenTopic = `0x${BigInt(tokenId).toString(16).padStart(64, '0')}`;
+  const response = await axios.post(endpointUrl, {
+    id: 1,
+    jsonrpc: '2.0',
+    method: 'eth_getLogs',
+    params: [{
+      address: contractAddress,
+      fromBlock: '0x0',
+      toBlock: 'latest',
+      topics: [ERC721_TRANSFER_TOPIC, null, null, tokenTopic]
+    }]
+  }, { headers: { 'Content-Type': 'application/json' }, timeout: 15000 });
+
+  const logs = response.data?.result;
+  if (response.data?.error || !Array.isArray(logs) || logs.length === 0) {
+    return null;
+  }
+
+  // Timestamps are a nicety; the history stands without them
+  const blockNumbers = [...new Set(logs.map(log => log.blockNumber))];
+  const timestamps = new Map();
+  try {
+    const blocks = await axios.post(endpointUrl, blockNumbers.map((blockNumber, i) => ({
+      id: i,
+      jsonrpc: '2.0',
+      method: 'eth_getBlockByNumber',
+      params: [blockNumber, false]
+    })), { headers: { 'Content-Type': 'application/json' }, timeout: 15000 });
+    (Array.isArray(blocks.data) ? blocks.data : []).forEach(block => {
+      if (block?.result?.timestamp) {
+        timestamps.set(block.result.number, new Date(parseInt(block.result.timestamp, 16) * 1000).toISOString());
+      }
+    });
+  } catch (error) {
+    console.warn(`[ALCHEMY] Could not load block timestamps for ${contractAddress} token ${tokenId}: ${error.message}`);
+  }
+
+  const position = (log) => parseInt(log.blockNumber, 16) * 1e5 + parseInt(log.logIndex || '0x0', 16);
+  const sorted = [...logs].sort((a, b) => (order === 'asc' ? position(a) - position(b) : position(b) - position(a)));
+
+  return {
+    transfers: sorted.map(log => ({
+      timestamp: timestamps.get(log.blockNumber) || null,
+      from: topicToAddress(log.topics[1]),
+      to: topicToAddress(log.topics[2]),
+      tokenId: toDecimalTokenId(tokenId),
+      quantity: '1',
+      category: 'erc721',
+      contractAddress,
+      blockNumber: parseInt(log.blockNumber, 16),
+      transactionHash: log.transactionHash
+    })),
+    processedCount: logs.length,
+    pages: 1,
+    truncated: false,
+    requestMethod: 'eth_getLogs'
+  };
+}
+
+/**
+ * Transfers of one contract's tokens, optionally only those of one token ID.
+ * alchemy_getAssetTransfers can filter by contract but not by token, so this
+ * pages through the contract's transfers and filters them here. ERC-721
+ * tokens are looked up by their Transfer logs first, which takes two calls
+ * instead of up to MAX_TOKEN_TRANSFER_PAGES sequential scans.
+ */
+async function fetchContractTransfers(endpointUrl, { contractAddress, tokenId, order }) {
+  const wantedTokenId = tokenId ? toDecimalTokenId(tokenId) : null;
+  if (wantedTokenId) {
+    try {
+      const fromLogs = await fetchTokenTransferLogs(endpointUrl, { contractAddress, tokenId: wantedTokenId, order });
+      if (fromLogs) return fromLogs;
+    } catch (error) {
+      console.warn(`[ALCHEMY] Transfer log lookup failed for ${contractAddress} token ${wantedTokenId}, scanning transfers: ${error.message}`);
+    }
+  }
+
+  const transfers = [];
+  let pageKey;
+  let pages = 0;
+  let processedCount = 0;
+  
+  do {
+    const response = await axios.post(endpointUrl, {
+      id: 1,
+      jsonrpc: "2.0",
+      method: "alchemy_getAssetTransfers",
+      params: [
+        {
+          category: ['ERC721', 'ERC1155'],
+          contractAddresses: [contractAddress],
+          fromBlock: "0x0",
+          toBlock: "latest",
+          withMetadata: true,
+          excludeZeroValue: false,
+          maxCount: "0x3e8", // Hex for 1000
+          order,
+          ...(pageKey ? { pageKey } : {})
+        }
+      ]
+    }, {
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      timeout: 15000
+    });
+    
+    if (response.data?.error) {
+      throw new Error(response.data.error.message || 'alchemy_getAssetTransfers failed');
+    }
+    
+    const result = response.data?.result || {};
+    (result.transfers || []).forEach(transfer => {
+      // ERC-1155 batch transfers move several tokens in one log
+      const items = transfer.erc1155Metadata?.length
+        ? transfer.erc1155Metadata.map(item => ({ tokenId: item.tokenId, quantity: item.value }))
+        : [{ tokenId: transfer.erc721TokenId || transfer.tokenId, quantity: '0x1' }];
+      
+      items.forEach(item => {
+        const itemTokenId = toDecimalTokenId(item.tokenId);
+        if (wantedTokenId && itemTokenId !== wantedTokenId) return;
+        
+        transfers.push({
+          timestamp: transfer.metadata?.blockTimestamp || null,
+          from: transfer.from,
+          to: transfer.to,
+          tokenId: itemTokenId,
+          quantity: toDecimalTokenId(item.quantity) || '1',
+          category: transfer.category,
+          contractAddress,
+          blockNumber: transfer.blockNum ? parseInt(transfer.blockNum, 16) : null,
+          transactionHash: transfer.hash
+        });
+      });
+    });
+    
+    processedCount += (result.transfers || []).length;
+    pageKey = result.pageKey;
+    pages += 1;
+    // Without a token to look for, one page of the contract's transfers is enough
+  } while (pageKey && wantedTokenId && pages < MAX_TOKEN_TRANSFER_PAGES);
+  
+  return { transfers, processedCount, pages, truncated: Boolean(pageKey), requestMethod: 'alchemy_getAssetTransfers' };
+}
+
 async function handleAlchemyRequest(req, res) {
   // Get Alchemy API key
   const apiKey = process.env.ALCHEMY_API_KEY;
@@ -297,75 +583,62 @@ async function handleAlchemyRequest(req, res) {
       return res.status(400).json({ error: 'Missing endpoint parameter' });
     }
     
-    // Standard chain mapping function for all endpoints
-    const getChainUrl = (chain = 'eth') => {
-        // Map chain IDs to their correct Alchemy URL formats
-        const chainUrlMap = {
-          'eth': 'eth-mainnet',
-          'ethereum': 'eth-mainnet',
-          'polygon': 'polygon-mainnet',
-          'arbitrum': 'arb-mainnet',
-        'arb': 'arb-mainnet',
-          'optimism': 'opt-mainnet',
-        'opt': 'opt-mainnet',
-          'base': 'base-mainnet',
-          'zora': 'zora-mainnet'
-        };
-        
-      return chainUrlMap[chain.toLowerCase()] || 'eth-mainnet';
-    };
-    
     // Define all Alchemy endpoints and their URL construction
     const ENDPOINTS = {
       // NFT API v3 endpoints (format: /nft/v3/{apiKey})
       'getnftsforowner': (apiKey, chain) => {
-        const chainUrl = getChainUrl(chain);
-        const baseUrl = `https://${chainUrl}.g.alchemy.com/nft/v3/`;
+        const chainUrl = getAlchemySubdomain(chain);
+        const baseUrl = `${upstreams.alchemyBaseUrl(chainUrl)}/nft/v3/`;
         return `${baseUrl}${apiKey}/getNFTsForOwner`;
       },
       'getnftsforcollection': (apiKey, chain) => {
-        const chainUrl = getChainUrl(chain);
-        const baseUrl = `https://${chainUrl}.g.alchemy.com/nft/v3/`;
+        const chainUrl = getAlchemySubdomain(chain);
+        const baseUrl = `${upstreams.alchemyBaseUrl(chainUrl)}/nft/v3/`;
         return `${baseUrl}${apiKey}/getNFTsForCollection`;
       },
       'getnftmetadata': (apiKey, chain) => {
-        const chainUrl = getChainUrl(chain);
-        const baseUrl = `https://${chainUrl}.g.alchemy.com/nft/v3/`;
+        const chainUrl = getAlchemySubdomain(chain);
+        const baseUrl = `${upstreams.alchemyBaseUrl(chainUrl)}/nft/v3/`;
         return `${baseUrl}${apiKey}/getNFTMetadata`;
       },
       'getcontractmetadata': (apiKey, chain) => {
-        const chainUrl = getChainUrl(chain);
-        const baseUrl = `https://${chainUrl}.g.alchemy.com/nft/v3/`;
+        const chainUrl = getAlchemySubdomain(chain);
+        const baseUrl = `${upstreams.alchemyBaseUrl(chainUrl)}/nft/v3/`;
         return `${baseUrl}${apiKey}/getContractMetadata`;
       },
       'getownersforcontract': (apiKey, chain) => {
-        const chainUrl = getChainUrl(chain);
-        const baseUrl = `https://${chainUrl}.g.alchemy.com/nft/v3/`;
+        const chainUrl = getAlchemySubdomain(chain);
+        const baseUrl = `${upstreams.alchemyBaseUrl(chainUrl)}/nft/v3/`;
         return `${baseUrl}${apiKey}/getOwnersForContract`;
       },
+      'getownersfornft': (apiKey, chain) => {
+        const chainUrl = getAlchemySubdomain(chain);
+        const baseUrl = `${upstreams.alchemyBaseUrl(chainUrl)}/nft/v3/`;
+        return `${baseUrl}${apiKey}/getOwnersForNFT`;
+      },
       'getcontractsforowner': (apiKey, chain) => {
-        const chainUrl = getChainUrl(chain);
-        const baseUrl = `https://${chainUrl}.g.alchemy.com/nft/v3/`;
+        const chainUrl = getAlchemySubdomain(chain);
+        const baseUrl = `${upstreams.alchemyBaseUrl(chainUrl)}/nft/v3/`;
         return `${baseUrl}${apiKey}/getContractsForOwner`;
       },
       
       // Core API endpoints (format: /v2/{apiKey})
       'getassettransfers': (apiKey, chain) => {
-        const chainUrl = getChainUrl(chain);
-        return `https://${chainUrl}.g.alchemy.com/v2/${apiKey}`;
+        const chainUrl = getAlchemySubdomain(chain);
+        return `${upstreams.alchemyBaseUrl(chainUrl)}/v2/${apiKey}`;
       },
       
       // Default handler for any other endpoint
       'default': (apiKey, chain, endpoint) => {
-        const chainUrl = getChainUrl(chain);
+        const chainUrl = getAlchemySubdomain(chain);
         // Determine if this is likely a NFT API or Core API call
         if (endpoint.toLowerCase().includes('nft')) {
           // NFT API v3
-          const baseUrl = `https://${chainUrl}.g.alchemy.com/nft/v3/`;
+          const baseUrl = `${upstreams.alchemyBaseUrl(chainUrl)}/nft/v3/`;
           return `${baseUrl}${apiKey}/${endpoint}`;
         } else {
           // Default to Core API
-        return `https://${chainUrl}.g.alchemy.com/v2/${apiKey}`;
+        return `${upstreams.alchemyBaseUrl(chainUrl)}/v2/${apiKey}`;
         }
       }
     };
@@ -396,6 +669,41 @@ async function handleAlchemyRequest(req, res) {
       let addresses = req.query.addresses ? req.query.addresses.split(',') : [];
       addresses = addresses.map(addr => addr.toLowerCase().trim());
       
+      // A contract address asks for the history of a contract or token instead
+      if (req.query.contractAddress) {
+        const contractAddress = req.query.contractAddress.toLowerCase();
+        // 0x1, 1 and 0001 are the same token, and share a cache entry
+        const tokenId = req.query.tokenId ? toDecimalTokenId(req.query.tokenId) : null;
+        const order = req.query.order === 'asc' ? 'asc' : 'desc';
+        
+        const historyCacheKey = `${network}_${contractAddress}:${tokenId || '*'}_${order}`;
+        const cachedHistory = CACHE.get('transfers', historyCacheKey);
+        if (cachedHistory) {
+          return res.status(200).json(cachedHistory);
+        }
+        
+        console.log(`Fetching transfers of ${contractAddress}${tokenId ? ` token ${tokenId}` : ''} on ${network}`);
+        const history = await fetchContractTransfers(endpointUrl, { contractAddress, tokenId, order });
+        
+        const result = {
+          transfers: history.transfers,
+          count: history.transfers.length,
+          processedCount: history.processedCount,
+          dataAvailable: history.transfers.length > 0,
+          // More transfers exist than were scanned, so the history may be incomplete
+          truncated: history.truncated,
+          diagnostic: {
+            chain: network,
+            requestMethod: history.requestMethod,
+            pages: history.pages
+          }
+        };
+        
+        CACHE.set('transfers', historyCacheKey, result, 600000); // 10 minute TTL
+        
+        return res.status(200).json(result);
+      }
+      
       if (addresses.length === 0) {
         return res.status(400).json({ error: 'No addresses provided for getAssetTransfers' });
       }
@@ -672,7 +980,7 @@ async function handleFarcasterProfileRequest(req, res) {
         } else {
           console.log(`Trying Neynar search for username: ${username}`);
           
-          const searchResponse = await axios.get(`https://api.neynar.com/v2/farcaster/user/search`, {
+          const searchResponse = await axios.get(`${upstreams.neynarBaseUrl()}/user/search`, {
             params: { q: username, limit: 5 },
             headers: { 'api-key': neynarApiKey },
             timeout: 5000
@@ -690,7 +998,7 @@ async function handleFarcasterProfileRequest(req, res) {
               console.log(`Found user via Neynar search, fetching additional data for FID: ${userData.fid}`);
               
               // Now get the full user data with verified addresses
-              const userResponse = await axios.get(`https://api.neynar.com/v2/farcaster/user`, {
+              const userResponse = await axios.get(`${upstreams.neynarBaseUrl()}/user`, {
                 params: { fid: userData.fid },
                 headers: { 'api-key': neynarApiKey },
                 timeout: 5000
@@ -699,7 +1007,7 @@ async function handleFarcasterProfileRequest(req, res) {
               if (userResponse.data?.result?.user) {
                 // Also fetch verified addresses separately as they might not be included in the user endpoint
                 try {
-                  const addressesResponse = await axios.get(`https://api.neynar.com/v2/farcaster/user/verified-addresses`, {
+                  const addressesResponse = await axios.get(`${upstreams.neynarBaseUrl()}/user/verified-addresses`, {
                     params: { fid: userData.fid },
                     headers: { 'api-key': neynarApiKey },
                     timeout: 5000
@@ -745,13 +1053,13 @@ async function handleFarcasterProfileRequest(req, res) {
     const endpoints = [
       {
         name: 'Neynar API',
-        url: `https://api.neynar.com/v2/farcaster/user`,
+        url: `${upstreams.neynarBaseUrl()}/user`,
         params: fid ? { fid } : { username },
         headers: { 'api-key': process.env.NEYNAR_API_KEY || process.env.REACT_APP_NEYNAR_API_KEY || '' }
       },
       {
         name: 'Zapper API',
-        url: `${FARCASTER_CONFIG.API_ENDPOINTS.ZAPPER}/profile`,
+        url: `${upstreams.zapperBaseUrl()}/farcaster/profile`,
         params: fid ? { fid } : { username },
         headers: { 'X-API-KEY': process.env.ZAPPER_API_KEY || '' }
       },
@@ -804,7 +1112,7 @@ async function handleFarcasterProfileRequest(req, res) {
               const neynarApiKey = process.env.NEYNAR_API_KEY || process.env.REACT_APP_NEYNAR_API_KEY || '';
               if (neynarApiKey) {
                 console.log(`Fetching additional verified addresses for FID: ${profile.fid}`);
-                const addressesResponse = await axios.get(`https://api.neynar.com/v2/farcaster/user/verified-addresses`, {
+                const addressesResponse = await axios.get(`${upstreams.neynarBaseUrl()}/user/verified-addresses`, {
                   params: { fid: profile.fid },
                   headers: { 'api-key': neynarApiKey },
                   timeout: 5000
@@ -975,6 +1283,59 @@ function formatFarcasterProfile(data) {
 // -----------------------------------------------------------------------
 // HANDLER: IMAGE PROXY
 // -----------------------------------------------------------------------
+// Proxied media is served from our origin, so stop browsers from sniffing it
+// into HTML and stop SVGs opened directly from running scripts
+const setMediaSecurityHeaders = (res) => {
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Content-Security-Policy', "default-src 'none'; img-src data:; style-src 'unsafe-inline'; sandbox");
+};
+
+// Escape text for use inside SVG/XML markup
+const escapeXml = (text) => String(text).replace(/[<>&'"]/g, char => ({
+  '<': '&lt;',
+  '>': '&gt;',
+  '&': '&amp;',
+  "'": '&apos;',
+  '"': '&quot;'
+}[char]));
+
+// Send the "image not available" SVG, showing a shortened URL or error message.
+// Both come from the request or upstream, so they are escaped.
+const sendPlaceholderSvg = (res, title, detail, colors = { background: '#f0f0f0', title: '#666666', detail: '#999999' }) => {
+  const placeholderSvg = Buffer.from(`<svg width="400" height="400" xmlns="http://www.w3.org/2000/svg">
+      <rect width="400" height="400" fill="${colors.background}"/>
+      <text x="50%" y="40%" dominant-baseline="middle" text-anchor="middle" font-family="sans-serif" font-size="24px" fill="${colors.title}">
+        ${escapeXml(title)}
+      </text>
+      <text x="50%" y="60%" dominant-baseline="middle" text-anchor="middle" font-family="sans-serif" font-size="12px" fill="${colors.detail}">
+        ${escapeXml(detail)}
+      </text>
+    </svg>`, 'utf-8');
+
+  res.setHeader('Content-Type', 'image/svg+xml');
+  setMediaSecurityHeaders(res);
+  return res.status(200).send(placeholderSvg);
+};
+
+// Send a media cache entry, or a 304 if the client already has it.
+// IPFS content is addressed by its hash so browsers can keep it forever.
+const sendMedia = (req, res, entry, cacheStatus) => {
+  res.setHeader('Content-Type', entry.contentType);
+  setMediaSecurityHeaders(res);
+  res.setHeader('ETag', entry.etag);
+  res.setHeader('Last-Modified', entry.lastModified);
+  res.setHeader('Cache-Control', entry.immutable
+    ? 'public, max-age=31536000, immutable'
+    : 'public, max-age=86400, stale-while-revalidate=604800');
+  res.setHeader('X-GALL3RY-Cache', cacheStatus);
+
+  if (mediaCache.isNotModified(req, entry)) {
+    return res.status(304).end();
+  }
+  metrics.recordImageBytes(entry.data.length, cacheStatus === 'HIT' ? 'cache' : 'upstream');
+  return res.status(200).send(entry.data);
+};
+
 async function handleImageProxyRequest(req, res) {
   // Get image URL from query parameter
   const { url } = req.query;
@@ -987,19 +1348,44 @@ async function handleImageProxyRequest(req, res) {
     return res.status(400).json({ error: 'Missing url parameter' });
   }
   
+  // Optional resize/re-encode (w, h, fit, format)
+  let transform;
+  try {
+    transform = parseTransformOptions(req.query);
+  } catch (error) {
+    return res.status(error.status).json({ error: 'Invalid transform parameters', message: error.message });
+  }
+  
   try {
     // Always decode the URL to handle any encoded characters
     let proxyUrl = decodeURIComponent(url);
     console.log(`[IMAGE-PROXY] Decoded URL: ${proxyUrl}`);
     
+    // Any spelling of an IPFS location (ipfs://, /ipfs/ paths, gateway and
+    // subdomain URLs) is fetched by racing the healthiest gateways
+    const ipfsLocation = parseIpfsUrl(proxyUrl);
+    if (ipfsLocation) {
+      console.log(`[IMAGE-PROXY] Processing IPFS URL, CID: ${ipfsLocation.cid}`);
+    }
+    
+    // Serve from the disk cache when we can, keyed on the URL as requested
+    // (IPFS URLs in their canonical form) plus the transform options
+    const mediaCacheKey = mediaCache.getCacheKey(ipfsLocation ? toIpfsUri(proxyUrl) : proxyUrl, transform);
+    const immutable = mediaCache.isImmutableUrl(proxyUrl);
+    if (!proxyUrl.startsWith('data:')) {
+      const cached = await mediaCache.get(mediaCacheKey);
+      if (cached) {
+        console.log(`[IMAGE-PROXY] Disk cache hit for: ${proxyUrl.substring(0, 100)}`);
+        return sendMedia(req, res, cached, 'HIT');
+      }
+    }
+    
     // Default headers for most requests
     let customHeaders = {
       'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/96.0.4664.110 Safari/537.36',
       'Referer': 'https://gall3ry.vercel.app/',
       'Accept': 'image/avif,image/webp,image/apng,image/svg+xml,image/*,*/*;q=0.8',
-      'Accept-Encoding': 'gzip, deflate, br',
-      'Cache-Control': 'no-cache', // Force fresh content
-      'Pragma': 'no-cache' // For HTTP 1.0 compatibility
+      'Accept-Encoding': 'gzip, deflate, br'
     };
     
     // Handle Alchemy CDN URLs specifically - special handling for their unique format
@@ -1023,86 +1409,7 @@ async function handleImageProxyRequest(req, res) {
         'Referer': 'https://dashboard.alchemy.com/',
         'Sec-Fetch-Dest': 'image',
         'Sec-Fetch-Mode': 'no-cors',
-        'Sec-Fetch-Site': 'same-site',
-        'If-None-Match': '', // Clear any conditional requests
-        'Cache-Control': 'no-cache',
-        'Pragma': 'no-cache'
-      };
-    }
-    
-    // Special handling for IPFS URLs
-    if (proxyUrl.startsWith('ipfs://')) {
-      // Use an array of IPFS gateways to try instead of just one
-      const ipfsGateways = [
-        'https://cloudflare-ipfs.com/ipfs/',
-        'https://ipfs.io/ipfs/',
-        'https://gateway.pinata.cloud/ipfs/',
-        'https://dweb.link/ipfs/',
-        'https://ipfs.infura.io/ipfs/',
-        'https://w3s.link/ipfs/', // Added new reliable gateway
-        'https://gateway.ipfs.io/ipfs/' // Added new reliable gateway
-      ];
-      
-      // Store the original IPFS hash
-      const ipfsHash = proxyUrl.replace('ipfs://', '');
-      console.log(`[IMAGE-PROXY] Processing IPFS URL, hash: ${ipfsHash}`);
-      
-      // Use the first gateway by default, we'll try others if this fails
-      proxyUrl = `${ipfsGateways[0]}${ipfsHash}`;
-      console.log(`[IMAGE-PROXY] Converted to gateway URL: ${proxyUrl}`);
-      
-      // Track that this is an IPFS URL for potential fallback
-      req.ipfsData = {
-        isIpfs: true,
-        hash: ipfsHash,
-        gateways: ipfsGateways,
-        currentGatewayIndex: 0
-      };
-      
-      customHeaders = {
-        ...customHeaders,
-        'Origin': null
-      };
-    }
-    
-    // Handle ipfs links that aren't using the ipfs:// protocol
-    if (proxyUrl.includes('/ipfs/')) {
-      console.log(`[IMAGE-PROXY] Detected standard IPFS gateway URL: ${proxyUrl}`);
-      // Extract the IPFS hash for potential fallback
-      try {
-        const ipfsMatch = proxyUrl.match(/\/ipfs\/([^/?#]+)/);
-        if (ipfsMatch && ipfsMatch[1]) {
-          const ipfsHash = ipfsMatch[1];
-          console.log(`[IMAGE-PROXY] Extracted IPFS hash: ${ipfsHash}`);
-          
-          // Track Pinata-specific URLs for special handling
-          const isPinata = proxyUrl.includes('pinata.cloud');
-          
-          // Setup IPFS fallback data
-          req.ipfsData = {
-            isIpfs: true,
-            hash: ipfsHash,
-            gateways: [
-              'https://cloudflare-ipfs.com/ipfs/',
-              'https://ipfs.io/ipfs/',
-              'https://gateway.pinata.cloud/ipfs/',
-              'https://dweb.link/ipfs/',
-              'https://ipfs.infura.io/ipfs/',
-              'https://w3s.link/ipfs/', // Added new reliable gateway
-              'https://gateway.ipfs.io/ipfs/' // Added new reliable gateway
-            ],
-            currentGatewayIndex: isPinata ? 1 : 0, // Skip Pinata gateway if URL is already from Pinata
-            isPinata: isPinata
-          };
-        }
-      } catch (error) {
-        console.warn('[IMAGE-PROXY] Error parsing IPFS URL:', error);
-      }
-      
-      // Just keep the URL as is, but add special headers
-      customHeaders = {
-        ...customHeaders,
-        'Origin': null
+        'Sec-Fetch-Site': 'same-site'
       };
     }
     
@@ -1115,7 +1422,8 @@ async function handleImageProxyRequest(req, res) {
     }
     
     // Handle SVG data URLs (often used for onchain NFTs)
-    if (proxyUrl.startsWith('data:image/svg+xml;base64,')) {
+    // (resized variants go through the generic data URL path below)
+    if (proxyUrl.startsWith('data:image/svg+xml;base64,') && !transform) {
       console.log('[IMAGE-PROXY] Processing SVG data URL');
       
       try {
@@ -1125,7 +1433,9 @@ async function handleImageProxyRequest(req, res) {
         
         // Return the SVG directly
         res.setHeader('Content-Type', 'image/svg+xml');
+        setMediaSecurityHeaders(res);
         res.setHeader('Cache-Control', 'public, max-age=31536000');
+        metrics.recordImageBytes(Buffer.byteLength(svgContent), 'data');
         return res.status(200).send(svgContent);
       } catch (error) {
         console.error('[IMAGE-PROXY] Error processing SVG data URL:', error);
@@ -1142,22 +1452,43 @@ async function handleImageProxyRequest(req, res) {
         const mimeMatch = proxyUrl.match(/^data:([^;,]+)/);
         const mimeType = mimeMatch ? mimeMatch[1] : 'application/octet-stream';
         
-        // Extract the data part
-        const isBase64 = proxyUrl.includes(';base64,');
-        const dataPart = proxyUrl.split(',')[1] || '';
+        // Extract the data part, everything after the first comma
+        // (utf8 SVG payloads contain commas of their own)
+        const commaIndex = proxyUrl.indexOf(',');
+        const isBase64 = /;base64$/i.test(proxyUrl.substring(0, commaIndex));
+        const dataPart = commaIndex === -1 ? '' : proxyUrl.substring(commaIndex + 1);
         
         let buffer;
         if (isBase64) {
           buffer = Buffer.from(dataPart, 'base64');
         } else {
-          // Handle URL encoded data
-          buffer = Buffer.from(decodeURIComponent(dataPart), 'utf-8');
+          // Handle URL encoded data, unencoded utf8 SVGs may contain a bare "%"
+          let text = dataPart;
+          try {
+            text = decodeURIComponent(dataPart);
+          } catch (decodeError) {
+            // Use the payload as is
+          }
+          buffer = Buffer.from(text, 'utf-8');
         }
         
+        // Only serve data URLs that really contain media
+        const mediaType = resolveMediaType(mimeType, buffer);
+        if (!mediaType) {
+          return res.status(415).json({
+            error: 'Unsupported media type',
+            message: `data: URL of type ${mimeType} is not an image, video or SVG`
+          });
+        }
+        
+        const output = await transformImage(buffer, mediaType, transform);
+        
         // Return the content with appropriate Content-Type
-        res.setHeader('Content-Type', mimeType);
+        res.setHeader('Content-Type', output.contentType);
+        setMediaSecurityHeaders(res);
         res.setHeader('Cache-Control', 'public, max-age=31536000');
-        return res.status(200).send(buffer);
+        metrics.recordImageBytes(output.data.length, 'data');
+        return res.status(200).send(output.data);
       } catch (error) {
         console.error('[IMAGE-PROXY] Error processing data URL:', error);
       }
@@ -1168,21 +1499,31 @@ async function handleImageProxyRequest(req, res) {
     let retries = 0;
     const maxRetries = 4; // Increased from 3 to 4 for more fallback attempts
     
-    while (retries <= maxRetries) {
+    if (ipfsLocation) {
+      try {
+        // A gateway that answers 200 with an HTML error page loses the race too
+        const raced = await fetchFromGateways(
+          ipfsLocation,
+          (gatewayUrl, signal) => fetchMedia(gatewayUrl, { headers: customHeaders, signal }),
+          { isSuccess: (result) => result.status >= 200 && result.status < 300 && Boolean(resolveMediaType(result.headers['content-type'], result.data)) }
+        );
+        response = raced.response;
+        console.log(`[IMAGE-PROXY] ${raced.gateway} won the race for ${ipfsLocation.cid}`);
+      } catch (gatewayError) {
+        if (REJECTION_CODES.includes(gatewayError.code)) {
+          throw gatewayError;
+        }
+        console.error(`[IMAGE-PROXY] No IPFS gateway could serve ${ipfsLocation.cid}: ${gatewayError.message}`);
+      }
+    }
+    
+    while (!ipfsLocation && retries <= maxRetries) {
       try {
         console.log(`[IMAGE-PROXY] Attempt ${retries + 1} for: ${proxyUrl}`);
         
-        response = await axios({
-          method: 'get',
-          url: proxyUrl,
-          responseType: 'arraybuffer',
-          timeout: 10000, // 10 second timeout
-          headers: customHeaders,
-          // Allow non-2xx status codes to handle them manually
-          validateStatus: null,
-          // Set maximum size to avoid excessively large images (30MB limit)
-          maxContentLength: 30 * 1024 * 1024
-        });
+        // Rejects non-public targets, oversized bodies and slow downloads;
+        // non-2xx responses come back so we can handle them manually
+        response = await fetchMedia(proxyUrl, { headers: customHeaders });
         
         console.log(`[IMAGE-PROXY] Response status: ${response.status} for ${proxyUrl}`);
         
@@ -1191,22 +1532,6 @@ async function handleImageProxyRequest(req, res) {
           break;
         }
         
-        // Handle IPFS gateway fallbacks for 403/404/500 errors
-        if (req.ipfsData && req.ipfsData.isIpfs && (response.status === 403 || response.status === 404 || response.status === 500 || response.status === 429)) {
-          req.ipfsData.currentGatewayIndex++;
-          
-          // Try the next gateway if available
-          if (req.ipfsData.currentGatewayIndex < req.ipfsData.gateways.length) {
-            const nextGateway = req.ipfsData.gateways[req.ipfsData.currentGatewayIndex];
-            const ipfsHash = req.ipfsData.hash;
-            
-            console.log(`[IMAGE-PROXY] IPFS gateway failed with status ${response.status}. Trying next gateway: ${nextGateway}`);
-            proxyUrl = `${nextGateway}${ipfsHash}`;
-            retries++;
-            continue;
-          }
-        }
-        
         // Special handling for Alchemy CDN failures
         if ((proxyUrl.includes('nft-cdn.alchemy.com') || proxyUrl.includes('res.cloudinary.com/alchemyapi')) && 
             (response.status === 403 || response.status === 404 || response.status === 429)) {
@@ -1241,19 +1566,9 @@ async function handleImageProxyRequest(req, res) {
       } catch (retryError) {
         console.error(`[IMAGE-PROXY] Request error: ${retryError.message} for ${proxyUrl}`);
         
-        // Special handling for IPFS URLs - try next gateway if available
-        if (req.ipfsData && req.ipfsData.isIpfs) {
-          req.ipfsData.currentGatewayIndex++;
-          
-          if (req.ipfsData.currentGatewayIndex < req.ipfsData.gateways.length) {
-            const nextGateway = req.ipfsData.gateways[req.ipfsData.currentGatewayIndex];
-            const ipfsHash = req.ipfsData.hash;
-            
-            console.log(`[IMAGE-PROXY] IPFS gateway request failed. Trying next gateway: ${nextGateway}`);
-            proxyUrl = `${nextGateway}${ipfsHash}`;
-            retries++;
-            continue;
-          }
+        // No gateway or retry will make a disallowed request acceptable
+        if (REJECTION_CODES.includes(retryError.code)) {
+          throw retryError;
         }
         
         retries++;
@@ -1267,282 +1582,756 @@ async function handleImageProxyRequest(req, res) {
     
     // Check for non-successful status after all retries
     if (!response || response.status >= 400) {
-      console.log(`[IMAGE-PROXY] Failed to retrieve image after ${retries} attempts. Returning placeholder SVG.`);
+      console.log(`[IMAGE-PROXY] Failed to retrieve image ${ipfsLocation ? 'from any IPFS gateway' : `after ${retries} attempts`}. Returning placeholder SVG.`);
       
-      // Create a more detailed SVG placeholder with the original URL for debugging
+      // Show the original URL in the placeholder for debugging
       const svgText = url.length > 30 ? `${url.substring(0, 30)}...` : url;
-      const placeholderSvg = Buffer.from(`<svg width="400" height="400" xmlns="http://www.w3.org/2000/svg">
-        <rect width="400" height="400" fill="#f0f0f0"/>
-        <text x="50%" y="40%" dominant-baseline="middle" text-anchor="middle" font-family="sans-serif" font-size="24px" fill="#666666">
-          Image Not Available
-        </text>
-        <text x="50%" y="60%" dominant-baseline="middle" text-anchor="middle" font-family="sans-serif" font-size="12px" fill="#999999">
-          ${svgText}
-        </text>
-      </svg>`, 'utf-8');
-      
-      res.setHeader('Content-Type', 'image/svg+xml');
-      return res.status(200).send(placeholderSvg);
+      return sendPlaceholderSvg(res, 'Image Not Available', svgText);
     }
     
-    // Verify that we actually got image data, not an HTML error page
-    const contentType = response.headers['content-type'] || '';
-    const isImageContent = contentType.startsWith('image/') || 
-                          contentType.includes('svg') ||
-                          contentType.includes('application/octet-stream');
+    // Verify that we actually got image, video or SVG data, not an HTML error page
+    const contentType = resolveMediaType(response.headers['content-type'], response.data);
     
-    // Check if we got HTML instead of an image (error page)
-    const isHtmlContent = contentType.includes('html') || 
-                         (response.data.length > 10 && response.data.slice(0, 10).toString().includes('<!DOCTYPE'));
-    
-    if (isHtmlContent || !isImageContent) {
-      console.log(`[IMAGE-PROXY] Received HTML instead of image content. Returning placeholder.`);
+    if (!contentType) {
+      console.log(`[IMAGE-PROXY] Upstream content-type ${response.headers['content-type'] || 'missing'} is not media. Returning placeholder.`);
       
       const svgText = url.length > 30 ? `${url.substring(0, 30)}...` : url;
-      const placeholderSvg = Buffer.from(`<svg width="400" height="400" xmlns="http://www.w3.org/2000/svg">
-        <rect width="400" height="400" fill="#f0f0f0"/>
-        <text x="50%" y="40%" dominant-baseline="middle" text-anchor="middle" font-family="sans-serif" font-size="24px" fill="#666666">
-          Invalid Image Format
-        </text>
-        <text x="50%" y="60%" dominant-baseline="middle" text-anchor="middle" font-family="sans-serif" font-size="12px" fill="#999999">
-          ${svgText}
-        </text>
-      </svg>`, 'utf-8');
-      
-      res.setHeader('Content-Type', 'image/svg+xml');
-      return res.status(200).send(placeholderSvg);
+      return sendPlaceholderSvg(res, 'Invalid Image Format', svgText);
+    }
+    
+    // Resize/re-encode when requested, falling back to the original
+    const output = await transformImage(response.data, contentType, transform);
+    if (output.transformed) {
+      console.log(`[IMAGE-PROXY] Transformed ${response.data.length} bytes of ${contentType} to ${output.data.length} bytes of ${output.contentType}`);
     }
     
-    // Forward the image response with proper content type and caching headers
-    res.setHeader('Content-Type', contentType || 'image/jpeg');
-    res.setHeader('Cache-Control', 'public, max-age=31536000'); // Cache for 1 year
+    // Store it for next time, then forward with validators and caching headers
+    const stored = await mediaCache.put(mediaCacheKey, output.data, output.contentType, { immutable });
     res.setHeader('X-GALL3RY-Source', url.substring(0, 100)); // Debugging header
     console.log(`[IMAGE-PROXY] Successfully proxied image: ${url.substring(0, 100)}...`);
     
-    return res.status(200).send(response.data);
+    return sendMedia(req, res, { ...stored, data: output.data }, 'MISS');
   } catch (error) {
     console.error(`[IMAGE-PROXY] Fatal error proxying image: ${error.message}`);
     
-    // Return a placeholder SVG instead of JSON error
-    const placeholderSvg = Buffer.from(`<svg width="400" height="400" xmlns="http://www.w3.org/2000/svg">
-      <rect width="400" height="400" fill="#ffeeee"/>
-      <text x="50%" y="40%" dominant-baseline="middle" text-anchor="middle" font-family="sans-serif" font-size="24px" fill="#cc5555">
-        Image Proxy Error
-      </text>
-      <text x="50%" y="60%" dominant-baseline="middle" text-anchor="middle" font-family="sans-serif" font-size="12px" fill="#cc5555">
-        ${error.message.substring(0, 50)}
-      </text>
-    </svg>`, 'utf-8');
+    // Refused targets get a real error rather than a placeholder image
+    if (REJECTION_CODES.includes(error.code)) {
+      return res.status(error.status).json({
+        error: 'Image proxy request rejected',
+        code: error.code,
+        message: error.message
+      });
+    }
     
-    res.setHeader('Content-Type', 'image/svg+xml');
-    return res.status(200).send(placeholderSvg);
+    // Return a placeholder SVG instead of JSON error
+    return sendPlaceholderSvg(res, 'Image Proxy Error', error.message.substring(0, 50), {
+      background: '#ffeeee',
+      title: '#cc5555',
+      detail: '#cc5555'
+    });
   }
 }
 
 // -----------------------------------------------------------------------
 // HANDLER: FOLDERS
 // -----------------------------------------------------------------------
+// Route table (FOLDER_ROUTES) comes from src/server/apiRoutes.js, in match
+// order, so that /folders/featured is not treated as a folder ID
+
+// Match path segments against a route pattern, returning the extracted params or null
+function matchFolderRoute(pattern, segments) {
+  if (pattern.length !== segments.length) {
+    return null;
+  }
+  
+  const params = {};
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern[i].startsWith(':')) {
+      params[pattern[i].substring(1)] = decodeURIComponent(segments[i]);
+    } else if (pattern[i] !== segments[i]) {
+      return null;
+    }
+  }
+  
+  return params;
+}
+
 async function handleFoldersRequest(req, res, path) {
-  // Placeholder for folders functionality
-  return res.status(200).json({ 
-    status: 'Folders API stub', 
-    path 
-  });
+  const segments = path.split('/').filter(Boolean);
+  
+  // Find routes matching the path first so we can tell 404 apart from 405
+  const pathMatches = FOLDER_ROUTES
+    .map(route => ({ route, params: matchFolderRoute(route.pattern, segments) }))
+    .filter(match => match.params !== null);
+  
+  if (pathMatches.length === 0) {
+    return res.status(404).json({ error: 'Folder endpoint not found', path });
+  }
+  
+  const match = pathMatches.find(({ route }) => route.method === req.method);
+  if (!match) {
+    res.setHeader('Allow', pathMatches.map(({ route }) => route.method).join(', '));
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  
+  const { route, params } = match;
+  
+  // Reject malformed IDs up front - Mongoose would otherwise throw a CastError (500)
+  if (params.folderId && !mongoose.isValidObjectId(params.folderId)) {
+    return res.status(404).json({ error: 'Folder not found' });
+  }
+  if (params.nftId && !mongoose.isValidObjectId(params.nftId)) {
+    return res.status(404).json({ error: 'NFT not found in folder' });
+  }
+  if (params.fid && !/^\d+$/.test(params.fid)) {
+    return res.status(400).json({ error: 'Invalid fid parameter' });
+  }
+  
+  try {
+    await connectToMongoDB();
+  } catch (error) {
+    return res.status(503).json({
+      error: 'Database unavailable',
+      message: error.message
+    });
+  }
+  
+  req.params = params;
+  
+  try {
+    await auth.authenticate(req);
+  } catch (error) {
+    if (route.auth) {
+      return auth.sendAuthError(res, error);
+    }
+    // Anonymous requests get a null userId so ownership filters never match
+    req.user = { userId: null };
+  }
+  
+  // Mutations are restricted to the folder owner (403 rather than a silent 404)
+  if (route.owner) {
+    try {
+      await auth.assertFolderOwner(params.folderId, req.user.userId);
+    } catch (error) {
+      return auth.sendAuthError(res, error);
+    }
+  }
+  
+  console.log(`[Folders] ${req.method} ${path} -> ${route.action}`);
+  
+  return folderController[route.action](req, res);
 }
 
 // -----------------------------------------------------------------------
 // HANDLER: COLLECTION FRIENDS
 // -----------------------------------------------------------------------
-async function handleCollectionFriendsRequest(req, res) {
-  // Get parameters from request
-  const { 
-    contractAddress, 
-    fid, 
-    network = 'eth',
-    limit = 50
-  } = req.query;
+const COLLECTION_FRIENDS_ERRORS = {
+  NEYNAR_ERROR: 'Neynar API error',
+  ALCHEMY_ERROR: 'Alchemy API error',
+  CONFIG_ERROR: 'Server configuration error'
+};
 
-  console.log(`[CollectionFriends] Starting request with contractAddress=${contractAddress}, fid=${fid}, network=${network}, limit=${limit}`);
+const collectionFriendsError = (message, code) => httpError(message, code, 500);
 
-  if (!contractAddress) {
-    return res.status(400).json({ error: 'Missing parameter', message: 'contractAddress is required' });
-  }
+// Followers are read up to this many users; popular accounts have far more
+// than anyone could be shown, and every page is another Neynar call
+const FRIENDS_MAX_FOLLOWERS = 5000;
 
-  if (!fid) {
-    return res.status(400).json({ error: 'Missing parameter', message: 'fid (Farcaster ID) is required' });
-  }
+// Which Neynar lists each relation mode needs
+const RELATION_LISTS = {
+  following: ['following'],
+  followers: ['followers'],
+  mutuals: ['following', 'followers'],
+  all: ['following', 'followers']
+};
 
-  // Ensure cache objects exist
-  if (!CACHE.friends) {
-    console.log("[CollectionFriends] Initializing friends cache object");
-    CACHE.friends = {};
-  }
+/**
+ * Page through everyone a user follows, or everyone following them
+ * @param {string} kind - 'following' or 'followers'
+ * @param {string} fid - Farcaster ID
+ * @param {string} apiKey - Neynar API key
+ * @param {Function} emit - Receives a progress event per page
+ * @param {Function} isCancelled - Checked between pages
+ * @param {number} [maxUsers] - Stop paging once this many users are loaded
+ * @returns {Promise<Map>} - Neynar users keyed by fid
+ */
+async function fetchSocialGraph(kind, fid, apiKey, emit, isCancelled, maxUsers = Infinity) {
+  const usersByFid = new Map();
+  let cursor = null;
 
-  // Check cache first - with better error handling
-  try {
-    const cacheKey = `${contractAddress}:${fid}`;
-    console.log(`[CollectionFriends] Cache key: ${cacheKey}`);
+  do {
+    let response;
+    try {
+      // Build Neynar API URL for the following/followers list
+      const neynarUrl = kind === 'following'
+        ? `${upstreams.neynarBaseUrl()}/following?fid=${fid}&limit=100${cursor ? `&cursor=${cursor}` : ''}`
+        : `${upstreams.neynarBaseUrl()}/followers?fid=${fid}&limit=100${cursor ? `&cursor=${cursor}` : ''}`;
+      
+      response = await axios.get(neynarUrl, {
+        headers: {
+          'Accept': 'application/json',
+          'api_key': apiKey
+        }
+      });
+    } catch (error) {
+      console.error(`Error fetching ${kind} list from Neynar:`, error.message);
+      throw collectionFriendsError(error.message || `Failed to fetch ${kind} list`, 'NEYNAR_ERROR');
+    }
     
-    const cachedData = CACHE.get('friends', cacheKey);
-    if (cachedData) {
-      console.log(`[CollectionFriends] Cache hit for ${cacheKey}`);
-      return res.status(200).json(cachedData);
+    // Older responses nest users under result, newer ones wrap each in { user }
+    const data = response.data || {};
+    const users = data.result?.users || (data.users || []).map(entry => entry.user || entry);
+    users.forEach(user => {
+      if (user?.fid !== undefined) usersByFid.set(user.fid, user);
+    });
+    cursor = data.result?.next?.cursor || data.next?.cursor || null;
+    
+    emit('progress', { phase: kind, users: usersByFid.size });
+  } while (cursor && usersByFid.size < maxUsers && !isCancelled());
+
+  return usersByFid;
+}
+
+/**
+ * Find the users connected to `fid` who own NFTs from a contract.
+ * The social graph is indexed by address once, then each page of owners is
+ * checked against it in O(1) per owner, so matches are reported as soon as their
+ * page arrives. Paging stops once `limit` friends have been found.
+ * @param {Object} params - { contractAddress, fid, network, limit, relation }
+ * @param {Function} emit - Called with (event, data) for progress and each friend found
+ * @param {Function} isCancelled - Checked between pages, e.g. when the client disconnects
+ * @returns {Promise<Object|null>} - { friends, friendOwners, totalFriends, totalOwners, truncated, followersTruncated }, or null if cancelled
+ */
+async function findCollectionFriends({ contractAddress, fid, network, limit, relation = 'mutuals' }, emit = () => {}, isCancelled = () => false) {
+  // Get Neynar API key
+  const NEYNAR_API_KEY = process.env.NEYNAR_API_KEY || process.env.REACT_APP_NEYNAR_API_KEY || 'NEYNAR_API_DOCS';
+  console.log(`[CollectionFriends] Using Neynar API key: ${NEYNAR_API_KEY.substring(0, 4)}...`);
+
+  // STEP 1: Load the requested social graph (using Neynar API) and index it by address
+  const following = RELATION_LISTS[relation].includes('following')
+    ? await fetchSocialGraph('following', fid, NEYNAR_API_KEY, emit, isCancelled)
+    : null;
+  if (isCancelled()) return null;
+  const followers = RELATION_LISTS[relation].includes('followers')
+    ? await fetchSocialGraph('followers', fid, NEYNAR_API_KEY, emit, isCancelled, FRIENDS_MAX_FOLLOWERS)
+    : null;
+  if (isCancelled()) return null;
+
+  // Label each user by how they're connected to the viewer; mutuals need both lists
+  const candidates = new Map();
+  if (relation === 'mutuals') {
+    following.forEach((user, userFid) => {
+      if (followers.has(userFid)) candidates.set(userFid, { user, relation: 'mutual' });
+    });
+  } else {
+    (following || new Map()).forEach((user, userFid) => {
+      candidates.set(userFid, { user, relation: followers?.has(userFid) ? 'mutual' : 'following' });
+    });
+    (followers || new Map()).forEach((user, userFid) => {
+      if (!candidates.has(userFid)) candidates.set(userFid, { user, relation: 'follower' });
+    });
+  }
+
+  const usersByAddress = new Map();
+  candidates.forEach(candidate => {
+    // Custody address plus verified ETH addresses
+    const { user } = candidate;
+    const addresses = [user.custody_address, ...(user.verified_addresses?.eth_addresses || [])];
+    addresses.filter(Boolean).forEach(address => usersByAddress.set(address.toLowerCase(), candidate));
+  });
+
+  console.log(`Found ${candidates.size} ${relation} users with ${usersByAddress.size} unique wallet addresses for FID ${fid}`);
+  if (isCancelled()) return null;
+
+  // STEP 2: Page through the holders of the contract (using Alchemy API), matching as we go
+  const ALCHEMY_API_KEY = process.env.ALCHEMY_API_KEY;
+  
+  if (!ALCHEMY_API_KEY) {
+    throw collectionFriendsError('Missing Alchemy API key', 'CONFIG_ERROR');
+  }
+  
+  // Get the correct chain URL or default to eth-mainnet
+  const chainUrl = getAlchemySubdomain(network);
+  const alchemyUrl = `${upstreams.alchemyBaseUrl(chainUrl)}/nft/v3/${ALCHEMY_API_KEY}/getOwnersForContract`;
+  
+  const friendsByFid = new Map();
+  const friendOwners = [];
+  let totalOwners = 0;
+  let ownersCursor = null;
+  let truncated = false;
+
+  do {
+    let ownersResponse;
+    try {
+      ownersResponse = await axios.get(alchemyUrl, {
+        params: {
+          contractAddress,
+          pageKey: ownersCursor
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching owners for contract from Alchemy:', error.message);
+      throw collectionFriendsError(error.message || 'Failed to fetch contract owners', 'ALCHEMY_ERROR');
     }
+
+    const owners = ownersResponse.data?.owners || [];
+    ownersCursor = ownersResponse.data?.pageKey || null;
+
+    for (let i = 0; i < owners.length; i++) {
+      // Owners are plain addresses, or objects when token balances are included
+      const owner = owners[i];
+      const address = (typeof owner === 'string' ? owner : owner?.ownerAddress || '').toLowerCase();
+      const candidate = usersByAddress.get(address);
+      totalOwners += 1;
+      if (!candidate) continue;
+      const { user } = candidate;
+
+      friendOwners.push(address);
+      const known = friendsByFid.get(user.fid);
+      if (known) {
+        known.addresses.push(address);
+        continue;
+      }
+
+      const friend = {
+        fid: user.fid,
+        username: user.username,
+        displayName: user.display_name || user.username,
+        avatar: user.pfp_url || null,
+        relation: candidate.relation,
+        addresses: [address]
+      };
+      friendsByFid.set(user.fid, friend);
+      emit('friend', friend);
+
+      if (friendsByFid.size >= limit) {
+        truncated = i < owners.length - 1 || Boolean(ownersCursor);
+        break;
+      }
+    }
+
+    emit('progress', { phase: 'owners', owners: totalOwners, friends: friendsByFid.size });
+  } while (ownersCursor && !truncated && !isCancelled());
+
+  console.log(`Found ${friendsByFid.size} friends who own NFTs from collection ${contractAddress} after checking ${totalOwners} owners${truncated ? ' (stopped at limit)' : ''}`);
+
+  return {
+    friends: [...friendsByFid.values()],
+    friendOwners,
+    // Connected users, not their wallets; one user can hold several addresses
+    totalFriends: candidates.size,
+    totalOwners,
+    truncated,
+    // Only the first FRIENDS_MAX_FOLLOWERS followers were checked
+    followersTruncated: Boolean(followers && followers.size >= FRIENDS_MAX_FOLLOWERS)
+  };
+}
+
+/**
+ * Write one Server-Sent Event
+ */
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  // The compression middleware used locally buffers output until flushed
+  if (typeof res.flush === 'function') res.flush();
+};
+
+// GET /api/collection-friends?contractAddress=&fid=&network=&limit=&relation=
+// relation is mutuals (default), following, followers or all.
+// Responds with JSON once the lookup finishes, or with Server-Sent Events
+// (progress, friend, done, error) when requested with stream=1 or
+// Accept: text/event-stream, as EventSource does
+async function handleCollectionFriendsRequest(req, res) {
+  // Get parameters from request
+  const { 
+    contractAddress, 
+    fid, 
+    network = 'eth',
+    relation = 'mutuals'
+  } = req.query;
+  const limit = Math.max(1, parseInt(req.query.limit, 10) || 50);
+  const streaming = ['1', 'true', 'sse'].includes(String(req.query.stream)) ||
+    String(req.headers.accept || '').includes('text/event-stream');
+
+  console.log(`[CollectionFriends] Starting request with contractAddress=${contractAddress}, fid=${fid}, network=${network}, relation=${relation}, limit=${limit}${streaming ? ', streaming' : ''}`);
+
+  if (!contractAddress) {
+    return res.status(400).json({ error: 'Missing parameter', message: 'contractAddress is required' });
+  }
+
+  if (!fid) {
+    return res.status(400).json({ error: 'Missing parameter', message: 'fid (Farcaster ID) is required' });
+  }
+
+  if (!RELATION_LISTS[relation]) {
+    return res.status(400).json({ error: 'Invalid parameter', message: `relation must be one of ${Object.keys(RELATION_LISTS).join(', ')}` });
+  }
+
+  const cacheKey = `${contractAddress.toLowerCase()}:${fid}:${network}:${relation}:${limit}`;
+  let cachedData = null;
+  try {
+    cachedData = CACHE.get('friends', cacheKey);
   } catch (cacheError) {
     console.error('[CollectionFriends] Cache access error:', cacheError);
     // Continue with normal execution - don't return early on cache error
   }
 
+  if (!streaming) {
+    if (cachedData) {
+      return res.status(200).json(cachedData);
+    }
+    
+    try {
+      const result = await findCollectionFriends({ contractAddress, fid, network, limit, relation });
+      CACHE.set('friends', cacheKey, result);
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error('Error in collection friends handler:', error);
+      return res.status(error.status || 500).json({
+        error: COLLECTION_FRIENDS_ERRORS[error.code] || 'Server error',
+        message: error.message || 'An unexpected error occurred'
+      });
+    }
+  }
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  if (typeof res.flushHeaders === 'function') res.flushHeaders();
+
+  // Stop paging upstream APIs once nobody is listening
+  let clientGone = false;
+  req.on?.('close', () => { clientGone = true; });
+
   try {
-    console.log(`[CollectionFriends] Getting collection friends for contract: ${contractAddress}, user FID: ${fid}`);
+    if (cachedData) {
+      cachedData.friends.forEach(friend => sendEvent(res, 'friend', friend));
+      sendEvent(res, 'done', cachedData);
+      return res.end();
+    }
+
+    const result = await findCollectionFriends(
+      { contractAddress, fid, network, limit, relation },
+      (event, data) => { if (!clientGone) sendEvent(res, event, data); },
+      () => clientGone
+    );
+    if (result && !clientGone) {
+      CACHE.set('friends', cacheKey, result);
+      sendEvent(res, 'done', result);
+    }
+  } catch (error) {
+    console.error('Error in collection friends stream:', error);
+    sendEvent(res, 'error', {
+      error: COLLECTION_FRIENDS_ERRORS[error.code] || 'Server error',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+  return res.end();
+}
 
-    // Get Neynar API key
-    const NEYNAR_API_KEY = process.env.NEYNAR_API_KEY || process.env.REACT_APP_NEYNAR_API_KEY || 'NEYNAR_API_DOCS';
-    console.log(`[CollectionFriends] Using Neynar API key: ${NEYNAR_API_KEY.substring(0, 4)}...`);
+// -----------------------------------------------------------------------
+// HANDLER: TRENDING COLLECTIONS
+// -----------------------------------------------------------------------
 
-    // STEP 1: Get the list of users the Farcaster user follows (using Neynar API)
-    let followingList = [];
-    let followingCursor = null;
-    let hasMoreFollowing = true;
+const TRENDING_ERRORS = {
+  NEYNAR_ERROR: 'Neynar API error',
+  ALCHEMY_ERROR: 'Alchemy API error',
+  CONFIG_ERROR: 'Server configuration error',
+  RATE_LIMITED: 'Too many requests',
+  TIMEOUT: 'Gateway timeout'
+};
 
-    while (hasMoreFollowing) {
-      try {
-        // Build Neynar API URL for following list
-        const neynarUrl = `https://api.neynar.com/v2/farcaster/following?viewerFid=${fid}&limit=100${followingCursor ? `&cursor=${followingCursor}` : ''}`;
-        
-        const followingResponse = await axios.get(neynarUrl, {
-          headers: {
-            'Accept': 'application/json',
-            'api_key': NEYNAR_API_KEY
-          }
-        });
-        
-        if (followingResponse.data && followingResponse.data.result && followingResponse.data.result.users) {
-          followingList = [...followingList, ...followingResponse.data.result.users];
-          
-          // Check if there's more data to fetch
-          if (followingResponse.data.result.next && followingResponse.data.result.next.cursor) {
-            followingCursor = followingResponse.data.result.next.cursor;
-          } else {
-            hasMoreFollowing = false;
-          }
-        } else {
-          hasMoreFollowing = false;
-        }
-      } catch (error) {
-        console.error('Error fetching following list from Neynar:', error.message);
-        return res.status(500).json({ 
-          error: 'Neynar API error', 
-          message: error.message || 'Failed to fetch following list'
-        });
+const trendingError = (message, code, status = 500) => httpError(message, code, status);
+
+// Users sampled per request, and the wallets checked for them
+const TRENDING_SAMPLE_USERS = 30;
+const TRENDING_MAX_WALLETS = 40;
+const TRENDING_ADDRESSES_PER_USER = 2;
+// Following lists are read up to this many users before sampling
+const TRENDING_MAX_GRAPH_USERS = 200;
+// Wallets fetched from Alchemy at once
+const TRENDING_CONCURRENCY = 5;
+const TRENDING_PREVIEW_SIZE = 4;
+const TRENDING_TTL = 15 * 60 * 1000;
+// No new upstream calls are started after this long; what was loaded is ranked
+const TRENDING_DEADLINE_MS = 20000;
+
+// Chains where Alchemy can order owned NFTs by transfer time, which gives acquisition dates
+const TRANSFER_TIME_CHAINS = ['eth', 'polygon'];
+
+/**
+ * Active Farcaster users to sample: the people `fid` follows, or Neynar's power users
+ * @param {Function} shouldStop - Checked before each further page of the following list
+ * @returns {Promise<Object[]>} - Neynar users
+ */
+async function fetchTrendingSample(scope, fid, apiKey, shouldStop) {
+  try {
+    if (scope === 'following') {
+      const following = await fetchSocialGraph('following', fid, apiKey, () => {}, shouldStop, TRENDING_MAX_GRAPH_USERS);
+      return [...following.values()];
+    }
+
+
+    const response = await axios.get(`${upstreams.neynarBaseUrl()}/user/power`, {
+      params: { limit: 100 },
+      headers: { 'Accept': 'application/json', 'api_key': apiKey },
+      timeout: 10000
+    });
+    return response.data?.users || [];
+  } catch (error) {
+    console.error('Error fetching active users from Neynar:', error.message);
+    throw trendingError(error.message || 'Failed to fetch active users', 'NEYNAR_ERROR');
+  }
+}
+
+/**
+ * One page of a wallet's NFTs, newest acquisitions first where the chain supports it
+ * @param {Function} charge - Takes an Alchemy request from the client's budget,
+ *   returning false when it is spent; cached wallets cost nothing
+ */
+async function fetchTrendingWallet(address, network, apiKey, charge) {
+  const chainUrl = getAlchemySubdomain(network);
+  const params = {
+    owner: address,
+    withMetadata: true,
+    pageSize: 100,
+    excludeFilters: ['SPAM']
+  };
+  if (TRANSFER_TIME_CHAINS.includes(network)) params.orderBy = 'transferTime';
+
+  return CACHE.wrap('nfts', `trending:${network}:${address}`, async () => {
+    if (!charge('alchemy')) {
+      throw trendingError('Alchemy budget spent', 'RATE_LIMITED', 429);
+    }
+    const response = await axios.get(`${upstreams.alchemyBaseUrl(chainUrl)}/nft/v3/${apiKey}/getNFTsForOwner`, {
+      params,
+      timeout: 15000
+    });
+    return response.data?.ownedNfts || [];
+  });
+}
+
+/**
+ * Rank the collections held by a sample of Farcaster users.
+ * Each user counts once per collection however many of its tokens they hold.
+ * Sampling stops early at TRENDING_DEADLINE_MS or when the client's budget is
+ * spent, and the ranking is then marked partial.
+ * @param {Object} params - { scope, fid, sort, network, days }
+ * @param {Function} charge - Takes one call to an upstream from the client's
+ *   budget, returning false when it is spent
+ * @returns {Promise<Object>} - { collections, sample }, every ranked collection
+ */
+async function findTrendingCollections({ scope, fid, sort, network, days }, charge) {
+  const NEYNAR_API_KEY = process.env.NEYNAR_API_KEY || process.env.REACT_APP_NEYNAR_API_KEY || '';
+  const ALCHEMY_API_KEY = process.env.ALCHEMY_API_KEY;
+  if (!NEYNAR_API_KEY || !ALCHEMY_API_KEY) {
+    throw trendingError('Missing Neynar or Alchemy API key', 'CONFIG_ERROR');
+  }
+
+  const deadline = Date.now() + TRENDING_DEADLINE_MS;
+  let timedOut = false;
+  let rateLimited = false;
+  const shouldStop = (upstream) => {
+    if (Date.now() > deadline) timedOut = true;
+    else if (!charge(upstream)) rateLimited = true;
+    return timedOut || rateLimited;
+  };
+
+  // STEP 1: Sample users with wallets, preferring verified addresses over custody ones
+  if (!charge('neynar')) {
+    throw trendingError('Neynar budget spent', 'RATE_LIMITED', 429);
+  }
+  const users = (await fetchTrendingSample(scope, fid, NEYNAR_API_KEY, () => shouldStop('neynar')))
+    .map(user => {
+      const verified = user.verified_addresses?.eth_addresses || [];
+      const addresses = (verified.length > 0 ? verified : [user.custody_address])
+        .filter(Boolean)
+        .slice(0, TRENDING_ADDRESSES_PER_USER)
+        .map(address => address.toLowerCase());
+      return { user, addresses };
+    })
+    .filter(entry => entry.addresses.length > 0)
+    .slice(0, TRENDING_SAMPLE_USERS);
+
+  const wallets = [];
+  users.forEach(({ user, addresses }) => {
+    addresses.forEach(address => {
+      if (wallets.length < TRENDING_MAX_WALLETS) wallets.push({ user, address });
+    });
+  });
+  console.log(`[Trending] Sampling ${wallets.length} wallets of ${users.length} ${scope} users on ${network}`);
+
+  // STEP 2: Load each wallet's NFTs, a few at a time; wallets that fail are skipped
+  let failedWallets = 0;
+  const holdings = [];
+  for (let i = 0; i < wallets.length && !rateLimited; i += TRENDING_CONCURRENCY) {
+    if (Date.now() > deadline) {
+      timedOut = true;
+      break;
+    }
+    const batch = wallets.slice(i, i + TRENDING_CONCURRENCY);
+    const results = await Promise.allSettled(batch.map(wallet =>
+      fetchTrendingWallet(wallet.address, network, ALCHEMY_API_KEY, charge)
+    ));
+    for (const [index, outcome] of results.entries()) {
+      if (outcome.status === 'fulfilled') {
+        holdings.push({ ...batch[index], nfts: outcome.value });
+      } else if (outcome.reason?.code === 'RATE_LIMITED') {
+        rateLimited = true;
+      } else {
+        failedWallets += 1;
+        console.warn(`[Trending] Skipping wallet ${batch[index].address}: ${outcome.reason?.message}`);
       }
     }
+  }
+  if (timedOut || rateLimited) {
+    console.warn(`[Trending] Stopped after ${holdings.length} of ${wallets.length} wallets: ${timedOut ? 'deadline passed' : 'budget spent'}`);
+  }
+  if (wallets.length > 0 && holdings.length === 0) {
+    if (rateLimited) throw trendingError('Alchemy budget spent before any wallet loaded', 'RATE_LIMITED', 429);
+    if (timedOut) throw trendingError('No wallets loaded before the deadline', 'TIMEOUT', 504);
+    throw trendingError('Failed to load NFTs for the sampled wallets', 'ALCHEMY_ERROR');
+  }
 
-    console.log(`Found ${followingList.length} following users for FID ${fid}`);
-    
-    // Extract all unique addresses from the following list
-    let uniqueFollowingAddresses = [];
-    
-    followingList.forEach(user => {
-      // Add custody addresses
-      if (user.custody_address) {
-        uniqueFollowingAddresses.push(user.custody_address.toLowerCase());
+  // STEP 3: Group by collection
+  const recentSince = Date.now() - days * 24 * 60 * 60 * 1000;
+  const collections = new Map();
+
+  holdings.forEach(({ user, nfts }) => {
+    nfts.forEach(nft => {
+      const contract = nft.contract || {};
+      const contractAddress = (contract.address || '').toLowerCase();
+      if (!contractAddress || contract.isSpam) return;
+
+      let collection = collections.get(contractAddress);
+      if (!collection) {
+        collection = {
+          contractAddress,
+          network,
+          name: contract.openSeaMetadata?.collectionName || contract.name || nft.collection?.name || null,
+          symbol: contract.symbol || null,
+          tokenType: contract.tokenType || nft.tokenType || null,
+          imageUrl: contract.openSeaMetadata?.imageUrl || null,
+          floorPrice: contract.openSeaMetadata?.floorPrice ?? null,
+          holders: new Map(),
+          preview: [],
+          lastAcquiredAt: null
+        };
+        collections.set(contractAddress, collection);
       }
-      
-      // Add verified ETH addresses if available
-      if (user.verified_addresses && user.verified_addresses.eth_addresses) {
-        user.verified_addresses.eth_addresses.forEach(address => {
-          uniqueFollowingAddresses.push(address.toLowerCase());
-        });
+
+      const acquiredAt = nft.acquiredAt?.blockTimestamp || null;
+      let holder = collection.holders.get(user.fid);
+      if (!holder) {
+        holder = {
+          fid: user.fid,
+          username: user.username,
+          displayName: user.display_name || user.username,
+          avatar: user.pfp_url || null,
+          tokenCount: 0,
+          lastAcquiredAt: null
+        };
+        collection.holders.set(user.fid, holder);
+      }
+      holder.tokenCount += 1;
+      if (acquiredAt && (!holder.lastAcquiredAt || acquiredAt > holder.lastAcquiredAt)) holder.lastAcquiredAt = acquiredAt;
+      if (acquiredAt && (!collection.lastAcquiredAt || acquiredAt > collection.lastAcquiredAt)) collection.lastAcquiredAt = acquiredAt;
+
+      const image = nft.image?.thumbnailUrl || nft.image?.cachedUrl || nft.image?.originalUrl;
+      if (image && collection.preview.length < TRENDING_PREVIEW_SIZE &&
+        !collection.preview.some(item => item.tokenId === nft.tokenId)) {
+        collection.preview.push({ contractAddress, tokenId: nft.tokenId, name: nft.name || null, imageUrl: image, network });
       }
     });
-    
-    // Remove duplicates
-    uniqueFollowingAddresses = [...new Set(uniqueFollowingAddresses)];
-    
-    console.log(`Found ${uniqueFollowingAddresses.length} unique wallet addresses from following list`);
+  });
 
-    // STEP 2: Get all wallet addresses that hold NFTs from the specified contract (using Alchemy API)
-    // Get Alchemy API key
-    const ALCHEMY_API_KEY = process.env.ALCHEMY_API_KEY;
-    
-    if (!ALCHEMY_API_KEY) {
-      return res.status(500).json({ 
-        error: 'Server configuration error', 
-        message: 'Missing Alchemy API key' 
-      });
-    }
-    
-    // Map chain IDs to their correct Alchemy URL formats
-    const chainUrlMap = {
-      'eth': 'eth-mainnet',
-      'ethereum': 'eth-mainnet',
-      'polygon': 'polygon-mainnet',
-      'arbitrum': 'arb-mainnet',
-      'optimism': 'opt-mainnet',
-      'base': 'base-mainnet',
-      'zora': 'zora-mainnet'
+  // STEP 4: Rank by how many users hold a collection, or how many acquired from it lately
+  const ranked = [...collections.values()].map(collection => {
+    const holders = [...collection.holders.values()];
+    return {
+      ...collection,
+      holders,
+      holderCount: holders.length,
+      recentHolderCount: holders.filter(holder => holder.lastAcquiredAt && Date.parse(holder.lastAcquiredAt) >= recentSince).length
     };
-    
-    // Get the correct chain URL or default to eth-mainnet
-    const chainUrl = chainUrlMap[network.toLowerCase()] || 'eth-mainnet';
-    const alchemyUrl = `https://${chainUrl}.g.alchemy.com/nft/v3/${ALCHEMY_API_KEY}/getOwnersForContract`;
-    
-    let allOwners = [];
-    let ownersCursor = null;
-    let hasMoreOwners = true;
+  });
 
-    while (hasMoreOwners) {
-      try {
-        // Make the request to Alchemy
-        const ownersResponse = await axios.get(alchemyUrl, {
-          params: {
-            contractAddress,
-            withTokenBalances: true,
-            pageKey: ownersCursor
-          }
-        });
+  const byLatest = (a, b) => String(b.lastAcquiredAt || '').localeCompare(String(a.lastAcquiredAt || ''));
+  if (sort === 'recent') {
+    ranked.sort((a, b) => b.recentHolderCount - a.recentHolderCount || byLatest(a, b));
+  } else {
+    ranked.sort((a, b) => b.holderCount - a.holderCount || b.recentHolderCount - a.recentHolderCount || byLatest(a, b));
+  }
 
-        if (ownersResponse.data && ownersResponse.data.owners) {
-          allOwners = [...allOwners, ...ownersResponse.data.owners];
-          
-          // Check if there's more data to fetch
-          if (ownersResponse.data.pageKey) {
-            ownersCursor = ownersResponse.data.pageKey;
-          } else {
-            hasMoreOwners = false;
-          }
-        } else {
-          hasMoreOwners = false;
-        }
-      } catch (error) {
-        console.error('Error fetching owners for contract from Alchemy:', error.message);
-        return res.status(500).json({ 
-          error: 'Alchemy API error', 
-          message: error.message || 'Failed to fetch contract owners'
-        });
-      }
+  return {
+    collections: ranked
+      .filter(collection => sort !== 'recent' || collection.recentHolderCount > 0)
+      .map(collection => ({
+        ...collection,
+        holders: collection.holders.sort((a, b) => b.tokenCount - a.tokenCount)
+      })),
+    sample: {
+      users: users.length,
+      wallets: holdings.length + failedWallets,
+      failedWallets,
+      // Sampling stopped early, so fewer wallets were checked than planned
+      partial: timedOut || rateLimited
     }
+  };
+}
 
-    console.log(`Found ${allOwners.length} owners of NFTs from contract ${contractAddress}`);
-
-    // Find the intersection between following addresses and contract owners
-    const friendOwners = uniqueFollowingAddresses.filter(address => 
-      allOwners.some(owner => owner.toLowerCase() === address.toLowerCase())
-    );
+// GET /api/trending-collections?scope=&fid=&sort=&network=&days=&limit=
+// scope is global (default, a sample of Neynar power users) or following
+// (the people fid follows). sort is holders (default) or recent, which counts
+// users who acquired a token in the last `days` days (default 30)
+async function handleTrendingCollectionsRequest(req, res) {
+  const scope = req.query.scope || 'global';
+  const sort = req.query.sort || 'holders';
+  const network = normalizeChain(req.query.network || 'eth');
+  const days = parseInt(req.query.days, 10) || 30;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const fid = scope === 'following' ? req.query.fid : null;
 
-    console.log(`Found ${friendOwners.length} friends who own NFTs from collection ${contractAddress}`);
-    
-    // Return the matching addresses
-    return res.status(200).json({
-      friendOwners,
-      totalFriends: uniqueFollowingAddresses.length,
-      totalOwners: allOwners.length
+  if (sort === 'recent' && !TRANSFER_TIME_CHAINS.includes(network)) {
+    return res.status(400).json({
+      error: 'Invalid parameter',
+      code: 'INVALID_PARAMETER',
+      message: `sort=recent needs acquisition dates, which are only available on ${TRANSFER_TIME_CHAINS.join(', ')}`
     });
+  }
+
+  // One ranking serves every limit, so the key leaves it out
+  const cacheKey = CACHE.getKey('trending', { scope, fid, sort, network, days });
+
+  // The route's entry already took one Neynar and one Alchemy request from the
+  // client's budget, so only the calls after those are taken here
+  const client = identifyClient(req);
+  const calls = {};
+  const charge = (upstream) => {
+    calls[upstream] = (calls[upstream] || 0) + 1;
+    return calls[upstream] === 1 || rateLimiter.take(client, [upstream]).allowed;
+  };
+
+  try {
+    const ranking = await CACHE.wrap('trending', cacheKey, async () => ({
+      scope,
+      sort,
+      network,
+      days,
+      ...(await findTrendingCollections({ scope, fid, sort, network, days }, charge)),
+      generatedAt: new Date().toISOString()
+    }), { ttl: TRENDING_TTL, shouldCache: data => !data.sample.partial });
+
+    // The sample changes slowly, so browsers and the CDN may reuse it for a while
+    res.setHeader('Cache-Control', ranking.sample.partial ? 'no-store' : 'public, max-age=300');
+    return res.status(200).json({ ...ranking, collections: ranking.collections.slice(0, limit) });
   } catch (error) {
-    console.error('Error in collection friends handler:', error);
-    return res.status(500).json({
-      error: 'Server error',
+    console.error('Error in trending collections handler:', error);
+    return res.status(error.status || 500).json({
+      error: TRENDING_ERRORS[error.code] || 'Server error',
+      code: error.code || 'SERVER_ERROR',
       message: error.message || 'An unexpected error occurred'
     });
   }
@@ -1552,10 +2341,49 @@ async function handleCollectionFriendsRequest(req, res) {
 // HANDLER: LOGIN
 // -----------------------------------------------------------------------
 async function handleLoginRequest(req, res) {
-  // Placeholder for login functionality
-  return res.status(200).json({ 
-    status: 'Login API stub' 
-  });
+  const url = req.url || '';
+  const path = url.split('/api/')[1]?.split('?')[0] || '';
+  
+  // POST /api/login/refresh - exchange a valid or recently expired token for a new one
+  if (path === 'login/refresh') {
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed. Use POST.' });
+    }
+    
+    const token = auth.getBearerToken(req) || req.body?.token;
+    if (!token) {
+      return res.status(401).json({ error: 'Authentication required', code: 'TOKEN_MISSING' });
+    }
+    
+    try {
+      return res.status(200).json(auth.refreshToken(token));
+    } catch (error) {
+      return auth.sendAuthError(res, error);
+    }
+  }
+  
+  // GET /api/login/me - return the user behind the current token
+  if (path === 'login/me') {
+    try {
+      await connectToMongoDB();
+    } catch (error) {
+      return res.status(503).json({ error: 'Database unavailable', message: error.message });
+    }
+    
+    try {
+      const user = await auth.authenticate(req);
+      return res.status(200).json({ user });
+    } catch (error) {
+      return auth.sendAuthError(res, error);
+    }
+  }
+  
+  // POST /api/login - Sign In With Farcaster verification, issues the JWT
+  if (path === 'login') {
+    return require('./verify-siwf')(req, res);
+  }
+  
+  return res.status(404).json({ error: 'Login endpoint not found', path });
 }
 
 // -----------------------------------------------------------------------
@@ -1611,43 +2439,156 @@ async function handleV2Request(req, res) {
   }
 }
 
+// -----------------------------------------------------------------------
+// HANDLER: ETHERSCAN / BASESCAN
+// -----------------------------------------------------------------------
+// GET /api/etherscan?resource=contract&address=<contract>[&includeSource=true]
+// GET /api/etherscan?resource=transfers&owner=<wallet>&contractAddress=<contract>
+//     [&standard=erc721|erc1155&page=1&offset=100&sort=desc]
+// /api/basescan takes the same parameters for Base
+async function handleExplorerRequest(explorerId, req, res) {
+  const { name } = explorers.EXPLORERS[explorerId];
+  const { resource = 'contract' } = req.query;
+  
+  try {
+    if (resource === 'contract') {
+      const includeSource = req.query.includeSource === 'true';
+      const cacheKey = CACHE.getKey(`${explorerId}:contract`, { address: (req.query.address || '').toLowerCase(), includeSource });
+      // Verification status rarely changes
+      const contract = await CACHE.wrap('requests', cacheKey,
+        () => explorers.getContractVerification(explorerId, req.query.address, { includeSource }),
+        { ttl: 60 * 60 * 1000 });
+      return res.status(200).json(contract);
+    }
+    
+    if (resource === 'transfers') {
+      const { owner, contractAddress, standard, page, offset, sort } = req.query;
+      const params = { owner, contractAddress, standard, page, offset, sort };
+      const cacheKey = CACHE.getKey(`${explorerId}:transfers`, params);
+      const transfers = await CACHE.wrap('transfers', cacheKey, () => explorers.getTokenTransfers(explorerId, params));
+      return res.status(200).json(transfers);
+    }
+    
+    return res.status(400).json({
+      error: 'Invalid resource',
+      message: `resource must be contract or transfers, got '${resource}'`
+    });
+  } catch (error) {
+    console.error(`${name} API error:`, error.message);
+    return res.status(error.status || 500).json({
+      error: `${name} API error`,
+      code: error.code,
+      message: error.message
+    });
+  }
+}
+
+async function handleEtherscanRequest(req, res) {
+  return handleExplorerRequest('etherscan', req, res);
+}
+
+async function handleBasescanRequest(req, res) {
+  return handleExplorerRequest('basescan', req, res);
+}
+
+// -----------------------------------------------------------------------
+// HANDLER: OPENSEA
+// -----------------------------------------------------------------------
+// GET /api/opensea?slug=<collection slug>
+// GET /api/opensea?contractAddress=<contract>&network=eth
+async function handleOpenseaRequest(req, res) {
+  const { slug, contractAddress, network = 'eth' } = req.query;
+  
+  try {
+    const cacheKey = CACHE.getKey('opensea:stats', { slug, contractAddress: contractAddress?.toLowerCase(), network });
+    const stats = await CACHE.wrap('requests', cacheKey,
+      () => explorers.getCollectionStats({ slug, contractAddress, network }),
+      { ttl: 5 * 60 * 1000 });
+    return res.status(200).json(stats);
+  } catch (error) {
+    console.error('OpenSea API error:', error.message);
+    return res.status(error.status || 500).json({
+      error: 'OpenSea API error',
+      code: error.code,
+      message: error.message
+    });
+  }
+}
+
 // -----------------------------------------------------------------------
 // HANDLER: DIAGNOSTIC API
 // -----------------------------------------------------------------------
-async function handleDiagnosticRequest(req, res) {
+async function handleDiagnosticRequest(req, res, path) {
   try {
-    // Simple implementation that just acknowledges the diagnostic data
-    // This is a simplified version of api/diagnostic.js
+    // Clients send reports without a key; reading and deleting them needs one
     if (req.method === 'POST') {
-      console.log('Received diagnostic data:', JSON.stringify(req.body).substring(0, 200) + '...');
+      const saved = await diagnosticStore.save(req.body, {
+        client: identifyClient(req),
+        userAgent: req.headers['user-agent']
+      });
+      console.log(`[DIAGNOSTIC] Stored ${saved.level} report ${saved.reportId} with ${saved.logCount} logs`);
       
-      // Just return success - in production this would save the data
       return res.status(200).json({
         success: true,
         message: 'Diagnostic data received',
+        ...saved,
         timestamp: new Date().toISOString()
       });
-    } 
+    }
     
-    if (req.method === 'GET') {
-      // Simple check for authorization
-      const apiKey = req.headers['x-api-key'];
-      const configuredKey = process.env.DIAGNOSTIC_API_KEY;
-      
-      if (!configuredKey || apiKey !== configuredKey) {
-        return res.status(401).json({ error: 'Unauthorized' });
+    if (req.method !== 'GET' && req.method !== 'DELETE') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+    
+    const apiKey = req.headers['x-api-key'];
+    const configuredKey = process.env.DIAGNOSTIC_API_KEY;
+    
+    if (!configuredKey || apiKey !== configuredKey) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    
+    const { sessionId, fid, level, from, to } = req.query;
+    const filter = { sessionId, fid, level, from, to };
+    
+    if (req.method === 'DELETE') {
+      const deleted = await diagnosticStore.clear(filter);
+      console.log(`[DIAGNOSTIC] Deleted ${deleted} reports`);
+      return res.status(200).json({ success: true, deleted });
+    }
+    
+    // GET /api/diagnostic/<reportId> returns one report
+    const reportId = path.split('/')[1];
+    if (reportId) {
+      const report = await diagnosticStore.get(reportId);
+      if (!report) {
+        return res.status(404).json({ error: 'Report not found', message: `No diagnostic report ${reportId}` });
       }
-      
-      // Return empty diagnostic data
-      return res.status(200).json({
-        success: true,
-        message: 'No diagnostic data available',
-        timestamp: new Date().toISOString()
-      });
+      return res.status(200).json({ success: true, report });
     }
     
-    return res.status(405).json({ error: 'Method not allowed' });
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const { total, reports } = await diagnosticStore.query(filter, limit);
+    
+    // Reports matching the filters, plus cache, gateway and quota health
+    return res.status(200).json({
+      success: true,
+      total,
+      count: reports.length,
+      reports,
+      store: await diagnosticStore.stats(),
+      cache: cache.stats(),
+      mediaCache: mediaCache.stats(),
+      ipfsGateways: ipfsGateways.stats(),
+      quota: rateLimiter.report({ top: parseInt(req.query.top, 10) || undefined }),
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
+    if (error.status === 400) {
+      return sendValidationError(res, error);
+    }
+    if (error.status === 413) {
+      return res.status(413).json({ error: 'Payload too large', code: error.code, message: error.message });
+    }
     console.error('Error in diagnostic handler:', error);
     return res.status(500).json({
       error: 'Internal server error in diagnostic handler',
@@ -1656,11 +2597,80 @@ async function handleDiagnosticRequest(req, res) {
   }
 }
 
+// -----------------------------------------------------------------------
+// HANDLER: METRICS
+// -----------------------------------------------------------------------
+// Prometheus scrape target. Open unless METRICS_API_KEY is set, in which
+// case scrapers send it as a bearer token.
+async function handleMetricsRequest(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  
+  const metricsKey = process.env.METRICS_API_KEY;
+  if (metricsKey && req.headers.authorization !== `Bearer ${metricsKey}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  
+  res.setHeader('Content-Type', metrics.CONTENT_TYPE);
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(200).send(metrics.renderMetrics());
+}
+
+// -----------------------------------------------------------------------
+// HANDLER: HEALTH
+// -----------------------------------------------------------------------
+// Shallow by default; ?deep=true probes keys, MongoDB and upstreams.
+// Answers 503 when the service is down, so deploys can gate on the status code.
+async function handleHealthRequest(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  
+  res.setHeader('Cache-Control', 'no-store');
+  if (req.query.deep !== 'true') {
+    return res.status(200).json(health.shallowCheck());
+  }
+  
+  try {
+    const report = await health.deepCheck();
+    if (report.status !== 'ok') {
+      console.warn(`[HEALTH] Deep check is ${report.status}`);
+    }
+    return res.status(report.status === 'down' ? 503 : 200).json(report);
+  } catch (error) {
+    console.error('[HEALTH] Deep check failed:', error);
+    return res.status(503).json({
+      status: 'down',
+      error: 'Health check failed',
+      message: error.message
+    });
+  }
+}
+
+// -----------------------------------------------------------------------
+// HANDLER: OPENAPI
+// -----------------------------------------------------------------------
+// The API description, built once per instance from the route catalogue
+let openApiDocument = null;
+
+async function handleOpenApiRequest(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  
+  if (!openApiDocument) {
+    openApiDocument = buildOpenApiDocument();
+  }
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  return res.status(200).json(openApiDocument);
+}
+
 // -----------------------------------------------------------------------
 // HANDLER: NEYNAR API
 // -----------------------------------------------------------------------
 async function handleNeynarRequest(req, res) {
-  const NEYNAR_API_URL = 'https://api.neynar.com/v2/farcaster';
+  const NEYNAR_API_URL = upstreams.neynarBaseUrl();
   
   try {
     // Get Neynar API key from environment variables
@@ -1703,23 +2713,17 @@ async function handleNeynarRequest(req, res) {
       }
     });
     
-    // Try to use cached response if available
+    // Serve from cache, refreshing stale responses in the background
     const cacheKey = CACHE.getKey('neynar', { endpoint, params });
-    const cachedData = CACHE.get('requests', cacheKey);
-    if (cachedData) {
-      return res.status(200).json(cachedData);
-    }
-    
-    // Make request to Neynar API
-    const response = await axios.get(apiUrl, {
-      headers,
-      params
-    });
-    
-    // Cache successful responses
-    CACHE.set('requests', cacheKey, response.data, 60000); // 1 minute cache
+    const data = await CACHE.wrap('requests', cacheKey, async () => {
+      const response = await axios.get(apiUrl, {
+        headers,
+        params
+      });
+      return response.data;
+    }, { ttl: 60000 }); // 1 minute cache
     
-    return res.status(200).json(response.data);
+    return res.status(200).json(data);
   } catch (error) {
     console.error('Neynar API Error:', error.message);
     
@@ -2,6 +2,7 @@
 // This file handles the collection-friends endpoint directly
 
 const axios = require('axios');
+const { getAlchemySubdomain } = require('../src/chains');
 
 // Simple memory cache to avoid redundant API calls
 const CACHE = {
@@ -231,17 +232,7 @@ module.exports = async function handler(req, res) {
     console.log(`[CollectionFriends Direct] Found ${uniqueFollowingAddresses.length} unique wallet addresses`);
     
     // STEP 2: Get contract owners from Alchemy
-    const chainUrlMap = {
-      'eth': 'eth-mainnet',
-      'ethereum': 'eth-mainnet',
-      'polygon': 'polygon-mainnet',
-      'arbitrum': 'arb-mainnet',
-      'optimism': 'opt-mainnet',
-      'base': 'base-mainnet',
-      'zora': 'zora-mainnet'
-    };
-    
-    const chainUrl = chainUrlMap[network.toLowerCase()] || 'eth-mainnet';
+    const chainUrl = getAlchemySubdomain(network);
     const alchemyUrl = `https://${chainUrl}.g.alchemy.com/nft/v3/${ALCHEMY_API_KEY}/getOwnersForContract`;
     
     console.log(`[CollectionFriends Direct] Fetching owners for contract: ${contractAddress} on ${chainUrl}`);
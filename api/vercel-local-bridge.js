@@ -10,11 +10,11 @@ const router = express.Router();
 // Redirect collection-friends requests to the all-in-one handler with action=collectionFriends
 router.get('/collection-friends', (req, res) => {
   // Get the original query parameters
-  const { contractAddress, fid, network, limit } = req.query;
+  const { contractAddress, fid, network, limit, relation, stream } = req.query;
   
   // Create a new URL with action=collectionFriends parameter
   // This modifies the request to be compatible with all-in-one.js format
-  req.url = `/api/all-in-one?action=collectionFriends&contractAddress=${contractAddress}&fid=${fid}${network ? `&network=${network}` : ''}${limit ? `&limit=${limit}` : ''}`;
+  req.url = `/api/all-in-one?action=collectionFriends&contractAddress=${contractAddress}&fid=${fid}${network ? `&network=${network}` : ''}${limit ? `&limit=${limit}` : ''}${relation ? `&relation=${relation}` : ''}${stream ? `&stream=${stream}` : ''}`;
   
   console.log(`Redirecting collection-friends request to all-in-one: ${req.url}`);
   
@@ -63,13 +63,15 @@ router.get('/collection-friends-debug', async (req, res) => {
   }
 });
 
+// Alchemy, Zapper, folder, public folder, login, image proxy, explorer, trending, diagnostic, metrics, health and OpenAPI routes are served by the
+// all-in-one handler, which routes on the full /api/... path so restore it before forwarding
+router.all(['/alchemy', '/zapper', '/folders', '/folders/*', '/users/*', '/login', '/login/*', '/image-proxy', '/etherscan', '/basescan', '/opensea', '/trending-collections', '/diagnostic', '/diagnostic/*', '/metrics', '/health', '/openapi.json'], (req, res) => {
+  req.url = req.originalUrl;
+  return allInOne(req, res);
+});
+
 // Also allow direct access to the all-in-one.js handler
 router.all('/all-in-one', allInOne);
 
-// Health check endpoint
-router.get('/health', (req, res) => {
-  return res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() });
-});
-
 // Export the router for server.js
 module.exports = router; 
\ No newline at end of file
@@ -1,28 +1,12 @@
 // Verify Sign In With Farcaster (SIWF) credentials
 const { verifySignInMessage } = require('@farcaster/auth-kit/server');
-const jwt = require('jsonwebtoken');
-const crypto = require('crypto');
+const { generateToken, describeToken } = require('../src/server/auth');
 
 // Environment variables (ideally these would be in your .env file)
 const FARCASTER_DOMAIN = process.env.FARCASTER_DOMAIN || 'gall3ry.vercel.app';
-// Set a fixed JWT_SECRET via environment variables in production
-const JWT_SECRET = process.env.JWT_SECRET || 'gall3ry_secret_key_for_development_only';
-const TOKEN_EXPIRY = '24h'; // Token expires in 24 hours
 
 // Log important configuration for debugging
-console.log(`SIWF Config - Domain: ${FARCASTER_DOMAIN}, JWT Secret Set: ${!!JWT_SECRET}`);
-
-// Function to generate JWT token for authenticated users
-const generateToken = (userData) => {
-  return jwt.sign(
-    { 
-      fid: userData.fid,
-      username: userData.username
-    }, 
-    JWT_SECRET, 
-    { expiresIn: TOKEN_EXPIRY }
-  );
-};
+console.log(`SIWF Config - Domain: ${FARCASTER_DOMAIN}, JWT Secret Set: ${!!process.env.JWT_SECRET}`);
 
 module.exports = async (req, res) => {
   console.log('SIWF verification request received');
@@ -33,7 +17,7 @@ module.exports = async (req, res) => {
   res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
   res.setHeader(
     'Access-Control-Allow-Headers',
-    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
+    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization'
   );
   
   // Handle preflight request
@@ -152,13 +136,13 @@ module.exports = async (req, res) => {
       
       console.log(`Successfully verified user: ${userData.username} (FID: ${userData.fid})`);
       
-      // Generate a JWT token for the user
+      // Generate a JWT token for the user, starting a new session
       const token = generateToken(userData);
       
-      // Return the verified user data and token
+      // Return the verified user data and token with its expiry
       return res.status(200).json({ 
         userData,
-        token 
+        ...describeToken(token)
       });
     } catch (verifyError) {
       console.error('Error during verification:', verifyError);
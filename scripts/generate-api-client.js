@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+/**
+ * Generates src/services/apiClient.js from the OpenAPI document
+ *
+ * Usage:
+ *   node scripts/generate-api-client.js          Write the client
+ *   node scripts/generate-api-client.js --check  Exit 1 if the client is out of date
+ *
+ * Run it (npm run generate:api-client) after changing src/server/apiRoutes.js
+ * or src/server/apiSchemas.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildOpenApiDocument } = require('../src/server/openapi');
+
+const OUTPUT = path.resolve(__dirname, '../src/services/apiClient.js');
+
+const quote = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+const refName = (ref) => ref.split('/').pop();
+
+// JSDoc type for a schema
+const jsdocType = (schema = {}) => {
+  if (schema.$ref) return refName(schema.$ref);
+  if (schema.enum) return schema.enum.map(quote).join('|');
+  switch (schema.type) {
+    case 'integer':
+    case 'number':
+      return 'number';
+    case 'boolean':
+      return 'boolean';
+    case 'string':
+      return 'string';
+    case 'array':
+      return `Array<${jsdocType(schema.items)}>`;
+    default:
+      return 'Object';
+  }
+};
+
+const typedef = (name, schema) => {
+  const lines = ['/**', ` * @typedef {${schema.type === 'array' ? jsdocType(schema) : 'Object'}} ${name}`];
+  if (schema.description) lines.splice(1, 0, ` * ${schema.description}`);
+  const required = schema.required || [];
+  Object.entries(schema.properties || {}).forEach(([property, propertySchema]) => {
+    const label = required.includes(property) ? property : `[${property}]`;
+    const description = propertySchema.description ? ` - ${propertySchema.description}` : '';
+    lines.push(` * @property {${jsdocType(propertySchema)}} ${label}${description}`);
+  });
+  lines.push(' */');
+  return lines.join('\n');
+};
+
+const responseType = (operation) => {
+  const success = Object.entries(operation.responses).find(([status]) => status.startsWith('2'))[1];
+  const [contentType, media] = Object.entries(success.content || {})[0] || [];
+  if (!contentType) return { type: 'Object' };
+  if (contentType.startsWith('image/')) return { type: 'Blob', responseType: 'blob' };
+  if (contentType.startsWith('text/')) return { type: 'string', responseType: 'text' };
+  return { type: jsdocType(media.schema) };
+};
+
+const renderOperation = (method, apiPath, operation) => {
+  const name = operation.operationId;
+  const paramsType = `${capitalize(name)}Params`;
+  const parameters = operation.parameters || [];
+  const properties = parameters.map(parameter => ({
+    type: 'object',
+    name: parameter.name,
+    required: parameter.required,
+    schema: { ...parameter.schema, description: parameter.description }
+  }));
+  if (operation.requestBody) {
+    properties.push({
+      name: 'body',
+      required: true,
+      schema: operation.requestBody.content['application/json'].schema
+    });
+  }
+
+  const { type, responseType: axiosResponseType } = responseType(operation);
+  const blocks = [];
+  if (properties.length > 0) {
+    blocks.push(typedef(paramsType, {
+      properties: Object.fromEntries(properties.map(property => [property.name, property.schema])),
+      required: properties.filter(property => property.required).map(property => property.name)
+    }));
+  }
+
+  const doc = ['/**', ` * ${operation.summary}`, ` * ${method.toUpperCase()} ${apiPath}`];
+  if (operation.description) doc.push(` * ${operation.description}`);
+  if (operation.security) doc.push(` * Auth: ${Object.keys(operation.security[0])[0]}`);
+  doc.push(
+    properties.length > 0 ? ` * @param {${paramsType}} params` : ' * @param {Object} [params]',
+    ' * @param {RequestOptions} [options]',
+    ` * @returns {Promise<${type}>}`,
+    ' */'
+  );
+
+  const extra = axiosResponseType ? `, responseType: ${quote(axiosResponseType)}` : '';
+  blocks.push([
+    ...doc,
+    `export const ${name} = (params = {}, options = {}) =>`,
+    `  request(${quote(method.toUpperCase())}, ${quote(apiPath)}, params, { ...options${extra} });`
+  ].join('\n'));
+
+  return blocks.join('\n\n');
+};
+
+const HEADER = `/**
+ * GALL3RY API client
+ *
+ * GENERATED by scripts/generate-api-client.js from the OpenAPI document
+ * (src/server/openapi.js). Do not edit by hand: change src/server/apiRoutes.js
+ * or src/server/apiSchemas.js and run \`npm run generate:api-client\`.
+ *
+ * Every function takes (params, options). params holds the path and query
+ * parameters, plus \`body\` for requests with one. Functions resolve to the
+ * response body and reject with the axios error.
+ */
+import axios from 'axios';
+import { getApiBaseUrl } from '../utils/runtimeConfig';
+
+export const http = axios.create();
+
+// Resolve the API URL per request from the runtime config, which falls back to /api
+http.interceptors.request.use(async (requestConfig) => ({
+  ...requestConfig,
+  baseURL: await getApiBaseUrl()
+}));
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {string} [token] - API token from login, sent as a bearer token
+ * @property {string} [apiKey] - Sent as x-api-key (diagnostic reports)
+ * @property {AbortSignal} [signal] - Cancels the request
+ * @property {number} [timeout] - Timeout in milliseconds
+ * @property {Object} [headers] - Extra request headers
+ */
+
+const request = async (method, template, params, options) => {
+  const { body, ...rest } = params;
+  const query = { ...rest };
+  const url = template.replace(/\\{([^}]+)\\}/g, (match, name) => {
+    if (query[name] === undefined || query[name] === null) {
+      throw new Error(\`Missing path parameter: \${name}\`);
+    }
+    const value = encodeURIComponent(query[name]);
+    delete query[name];
+    return value;
+  });
+
+  const headers = { ...options.headers };
+  if (options.token) headers.Authorization = \`Bearer \${options.token}\`;
+  if (options.apiKey) headers['x-api-key'] = options.apiKey;
+
+  const response = await http.request({
+    method,
+    url,
+    params: query,
+    data: body,
+    headers,
+    signal: options.signal,
+    timeout: options.timeout,
+    responseType: options.responseType
+  });
+  return response.data;
+};`;
+
+const generate = () => {
+  const document = buildOpenApiDocument();
+  const sections = [HEADER];
+
+  Object.entries(document.components.schemas).forEach(([name, schema]) => {
+    sections.push(typedef(name, schema));
+  });
+
+  const names = [];
+  Object.entries(document.paths).forEach(([apiPath, operations]) => {
+    Object.entries(operations).forEach(([method, operation]) => {
+      names.push(operation.operationId);
+      sections.push(renderOperation(method, apiPath, operation));
+    });
+  });
+
+  sections.push(`const apiClient = {\n${names.map(name => `  ${name}`).join(',\n')}\n};\n\nexport default apiClient;`);
+  return `${sections.join('\n\n')}\n`;
+};
+
+const output = generate();
+
+if (process.argv.includes('--check')) {
+  const current = fs.existsSync(OUTPUT) ? fs.readFileSync(OUTPUT, 'utf8') : '';
+  if (current !== output) {
+    console.error(`${path.relative(process.cwd(), OUTPUT)} is out of date. Run: npm run generate:api-client`);
+    process.exit(1);
+  }
+  console.log('API client is up to date');
+} else {
+  fs.writeFileSync(OUTPUT, output);
+  console.log(`API client written to ${OUTPUT}`);
+}
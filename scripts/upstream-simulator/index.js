@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+/**
+ * Upstream simulator: a local stand-in for Alchemy NFT v3, Neynar v2 and
+ * Zapper GraphQL that replays recorded responses, so the API handler and the
+ * client services can run end-to-end without network access or real keys.
+ *
+ * Start it, then point the server at it (see src/server/upstreams.js):
+ *
+ *   npm run simulate:upstreams
+ *   ALCHEMY_API_BASE_URL=http://localhost:4010/alchemy \
+ *   NEYNAR_API_BASE_URL=http://localhost:4010/neynar \
+ *   ZAPPER_API_BASE_URL=http://localhost:4010/zapper \
+ *   npm run server
+ *
+ * Responses come from fixtures/<provider>.json. Each fixture is
+ *
+ *   {
+ *     "name": "What it records",
+ *     "method": "GET",                          // Default GET
+ *     "path": "/nft/v3/:apiKey/getNFTsForOwner", // Below the provider prefix; omit to match any path
+ *     "network": "eth-mainnet",                 // Alchemy only: the network subdomain
+ *     "query": { "owner": "0x...", "pageKey": null },  // null means the parameter must be absent (or null)
+ *     "body": { "method": "eth_blockNumber" },  // Partial match on the JSON body
+ *     "graphql": "farcasterProfile",            // Zapper only: text the GraphQL query must contain
+ *     "times": 1,                               // Only match this many times, then fall through
+ *     "response": { "status": 200, "headers": {}, "body": {} }
+ *   }
+ *
+ * The first matching fixture wins, and fixtures in SIMULATOR_FIXTURES (a
+ * directory with the same layout) are tried before the bundled ones. Values
+ * are compared as case-insensitive strings, so addresses match in any case.
+ * Requests with no fixture get a 404 naming what was asked for.
+ *
+ * Control endpoints, for tests:
+ *   GET  /__simulator/requests  Requests received, oldest first
+ *   POST /__simulator/fail      { provider, status, count, retryAfter } makes the next count requests fail
+ *   POST /__simulator/reset     Clears the request log, injected failures and `times` counters
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const PROVIDERS = ['alchemy', 'neynar', 'zapper'];
+const DEFAULT_PORT = 4010;
+const MAX_LOGGED_REQUESTS = 1000;
+
+/**
+ * Fixtures by provider, from each directory in order
+ */
+const loadFixtures = (directories) => {
+  const fixtures = Object.fromEntries(PROVIDERS.map(provider => [provider, []]));
+  directories.filter(Boolean).forEach(directory => {
+    PROVIDERS.forEach(provider => {
+      const file = path.join(directory, `${provider}.json`);
+      if (!fs.existsSync(file)) return;
+      const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+      fixtures[provider].push(...entries.map(entry => ({ ...entry, source: file })));
+    });
+  });
+  return fixtures;
+};
+
+const sameValue = (expected, actual) => {
+  if (expected === null) return actual === undefined || actual === null;
+  if (actual === undefined || actual === null) return false;
+  if (Array.isArray(actual)) return actual.some(value => sameValue(expected, value));
+  return String(expected).toLowerCase() === String(actual).toLowerCase();
+};
+
+// Partial deep match: every field of `expected` must be present in `actual`
+const matchesBody = (expected, actual) => {
+  if (expected === null || typeof expected !== 'object') return sameValue(expected, actual);
+  if (!actual || typeof actual !== 'object') return false;
+  return Object.entries(expected).every(([key, value]) => matchesBody(value, actual[key]));
+};
+
+const matchesPath = (pattern, actual) => {
+  const expected = pattern.split('/').filter(Boolean);
+  const segments = actual.split('/').filter(Boolean);
+  return expected.length === segments.length &&
+    expected.every((segment, i) => segment.startsWith(':') || segment === segments[i]);
+};
+
+const matchesFixture = (fixture, request) => {
+  if ((fixture.method || 'GET').toUpperCase() !== request.method) return false;
+  if (fixture.path && !matchesPath(fixture.path, request.path)) return false;
+  if (fixture.network && fixture.network !== request.network) return false;
+  if (fixture.graphql && !String(request.body?.query || '').includes(fixture.graphql)) return false;
+  if (fixture.query && !Object.entries(fixture.query).every(([key, value]) => sameValue(value, request.query[key]))) {
+    return false;
+  }
+  if (fixture.body && !matchesBody(fixture.body, request.body)) return false;
+  return true;
+};
+
+// The simulated APIs reject requests without a key, like the real ones
+const hasApiKey = (provider, req, apiPath) => {
+  if (provider === 'alchemy') {
+    return /^\/(nft\/v3|v2)\/[^/]+/.test(apiPath);
+  }
+  if (provider === 'neynar') {
+    return Boolean(req.headers['api_key'] || req.headers['api-key'] || req.headers['x-api-key']);
+  }
+  return Boolean(req.headers['x-zapper-api-key']);
+};
+
+/**
+ * Express app serving the simulated upstreams
+ * @param {Object} options - { fixtureDirs } fixture directories, tried in order
+ */
+const createSimulator = (options = {}) => {
+  const fixtureDirs = options.fixtureDirs || [process.env.SIMULATOR_FIXTURES, path.join(__dirname, 'fixtures')];
+  const fixtures = loadFixtures(fixtureDirs);
+  const requests = [];
+  const failures = {};
+  const uses = new Map();
+
+  const app = express();
+  app.use(express.json({ limit: '1mb' }));
+
+  app.get('/__simulator/requests', (req, res) => res.json({ requests }));
+
+  app.post('/__simulator/fail', (req, res) => {
+    const { provider, status = 429, count = 1, retryAfter } = req.body || {};
+    if (!PROVIDERS.includes(provider)) {
+      return res.status(400).json({ error: 'Invalid provider', message: `provider must be one of ${PROVIDERS.join(', ')}` });
+    }
+    failures[provider] = { status, remaining: count, retryAfter };
+    return res.json({ success: true, provider, status, count });
+  });
+
+  app.post('/__simulator/reset', (req, res) => {
+    requests.length = 0;
+    uses.clear();
+    Object.keys(failures).forEach(provider => delete failures[provider]);
+    return res.json({ success: true });
+  });
+
+  app.all('/:provider/*', (req, res, next) => {
+    const { provider } = req.params;
+    if (!PROVIDERS.includes(provider)) return next();
+
+    let apiPath = `/${req.params[0]}`;
+    let network = null;
+    if (provider === 'alchemy') {
+      // /alchemy/<subdomain>/nft/v3/... stands in for https://<subdomain>.g.alchemy.com/nft/v3/...
+      [, network] = apiPath.split('/');
+      apiPath = apiPath.slice(network.length + 1) || '/';
+    }
+
+    const request = { method: req.method, path: apiPath, network, query: req.query, body: req.body };
+    const entry = {
+      provider,
+      method: req.method,
+      network,
+      // Alchemy keys travel in the path
+      path: provider === 'alchemy' ? apiPath.replace(/^\/(nft\/v3|v2)\/[^/]+/, '/$1/[key]') : apiPath,
+      query: req.query,
+      at: new Date().toISOString()
+    };
+    const respond = (status, body, headers = {}, fixture = null) => {
+      entry.status = status;
+      entry.fixture = fixture;
+      requests.push(entry);
+      if (requests.length > MAX_LOGGED_REQUESTS) requests.shift();
+      res.set(headers);
+      return res.status(status).json(body);
+    };
+
+    if (!hasApiKey(provider, req, apiPath)) {
+      return respond(401, { message: `Missing ${provider} API key` });
+    }
+
+    const failure = failures[provider];
+    if (failure && failure.remaining > 0) {
+      failure.remaining -= 1;
+      const headers = failure.retryAfter ? { 'Retry-After': String(failure.retryAfter) } : {};
+      return respond(failure.status, { message: `Simulated ${failure.status} from ${provider}` }, headers, 'injected failure');
+    }
+
+    const fixture = fixtures[provider].find(candidate => {
+      if (!matchesFixture(candidate, request)) return false;
+      return !candidate.times || (uses.get(candidate) || 0) < candidate.times;
+    });
+    if (!fixture) {
+      return respond(404, {
+        error: 'No recorded response',
+        message: `No ${provider} fixture matches ${req.method} ${entry.path}`,
+        network,
+        query: req.query
+      });
+    }
+
+    uses.set(fixture, (uses.get(fixture) || 0) + 1);
+    const { status = 200, headers, body = {} } = fixture.response || {};
+    return respond(status, body, headers, fixture.name);
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ error: 'Unknown simulator route', message: `Use /${PROVIDERS.join(', /')} or /__simulator` });
+  });
+
+  return app;
+};
+
+/**
+ * Start the simulator
+ * @param {Object} options - { port, fixtureDirs }
+ * @returns {Promise<http.Server>}
+ */
+const startSimulator = (options = {}) => {
+  const port = options.port !== undefined ? options.port : (parseInt(process.env.SIMULATOR_PORT, 10) || DEFAULT_PORT);
+  const app = createSimulator(options);
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, () => resolve(server));
+    server.on('error', reject);
+  });
+};
+
+module.exports = {
+  createSimulator,
+  startSimulator
+};
+
+if (require.main === module) {
+  startSimulator()
+    .then(server => {
+      const base = `http://localhost:${server.address().port}`;
+      console.log(`[SIMULATOR] Simulating Alchemy, Neynar and Zapper on ${base}`);
+      console.log('[SIMULATOR] Point the server at it with:');
+      console.log(`  ALCHEMY_API_BASE_URL=${base}/alchemy`);
+      console.log(`  NEYNAR_API_BASE_URL=${base}/neynar`);
+      console.log(`  ZAPPER_API_BASE_URL=${base}/zapper`);
+    })
+    .catch(error => {
+      console.error('[SIMULATOR] Failed to start:', error.message);
+      process.exit(1);
+    });
+}
@@ -20,12 +20,16 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const axios = require('axios');
-const { parse } = require('url');
 const fs = require('fs');
 const net = require('net'); // Add net module for socket connections
 const compression = require('compression');
 const { createProxyMiddleware } = require('http-proxy-middleware');
 
+// Persist the shared API cache across restarts of the long-running dev server
+process.env.CACHE_BACKEND = process.env.CACHE_BACKEND || 'file';
+const metrics = require('./src/server/metrics');
+const upstreams = require('./src/server/upstreams');
+
 // Fix the import path to use the bridge file directly
 try {
   var apiRoutes = require('./api/vercel-local-bridge.js');
@@ -56,268 +60,17 @@ app.use(express.urlencoded({ extended: true }));
 // Configure CORS - more permissive for development
 app.use(cors({
   origin: '*',
-  methods: ['GET', 'POST', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
 }));
 
-// Add rewrite rule for the image proxy to handle both paths
-app.get('/api/image-proxy', async (req, res) => {
-  // Set CORS headers to allow cross-origin requests
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  
-  // Get image URL from query parameter
-  const { url } = req.query;
-  
-  if (!url) {
-    return res.status(400).json({ error: 'Missing url parameter' });
-  }
-  
-  console.log(`Image proxy request (API) for: ${decodeURIComponent(url)}`);
-  
-  try {
-    // Always decode the URL to handle any encoded characters
-    let proxyUrl = decodeURIComponent(url);
-    
-    // Default headers for most requests
-    let customHeaders = {
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/96.0.4664.110 Safari/537.36',
-      'Referer': 'https://gall3ry.vercel.app/',
-      'Accept': 'image/avif,image/webp,image/apng,image/svg+xml,image/*,*/*;q=0.8',
-      'Accept-Encoding': 'gzip, deflate, br'
-    };
-    
-    // Special handling for different URL types
-    
-    // Handle Alchemy CDN URLs specifically - this needs special attention
-    if (proxyUrl.includes('nft-cdn.alchemy.com')) {
-      console.log('Detected Alchemy CDN URL, adding special headers and API key');
-      
-      // Add Alchemy API key to the URL if not already present
-      if (!proxyUrl.includes('apiKey=')) {
-        const alchemyApiKey = process.env.ALCHEMY_API_KEY || process.env.REACT_APP_ALCHEMY_API_KEY;
-        if (alchemyApiKey) {
-          const separator = proxyUrl.includes('?') ? '&' : '?';
-          proxyUrl = `${proxyUrl}${separator}apiKey=${alchemyApiKey}`;
-          console.log('Added API key to Alchemy URL');
-        }
-      }
-      
-      // Use specific headers for Alchemy CDN that worked in testing
-      customHeaders = {
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'image/avif,image/webp,image/apng,image/svg+xml,image/*,*/*;q=0.8',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'Origin': 'https://dashboard.alchemy.com',
-        'Referer': 'https://dashboard.alchemy.com/',
-        'Sec-Fetch-Dest': 'image',
-        'Sec-Fetch-Mode': 'no-cors',
-        'Sec-Fetch-Site': 'same-site',
-        'If-None-Match': '', // Clear any conditional requests
-        'Cache-Control': 'no-cache',
-        'Pragma': 'no-cache'
-      };
-      
-      // For some Alchemy CDN URLs, we might need to fix the path format
-      if (!proxyUrl.includes('/original') && !proxyUrl.includes('/thumb') && !proxyUrl.includes('.jpg') && !proxyUrl.includes('.png')) {
-        proxyUrl = `${proxyUrl}/original`;
-        console.log(`Fixed Alchemy URL format: ${proxyUrl}`);
-      }
-    }
-    
-    // Special handling for IPFS URLs
-    if (proxyUrl.startsWith('ipfs://')) {
-      proxyUrl = proxyUrl.replace('ipfs://', 'https://cloudflare-ipfs.com/ipfs/');
-      console.log(`Converted IPFS URL: ${url} -> ${proxyUrl}`);
-    }
-    
-    // Handle ipfs links that aren't using the ipfs:// protocol
-    if (proxyUrl.includes('/ipfs/')) {
-      console.log('Detected standard IPFS gateway URL');
-      // Just keep the URL as is, but add special headers
-      customHeaders = {
-        ...customHeaders,
-        'Origin': null
-      };
-    }
-    
-    // Special handling for Arweave URLs
-    if (proxyUrl.startsWith('ar://')) {
-      proxyUrl = proxyUrl.replace('ar://', 'https://arweave.net/');
-      console.log(`Converted Arweave URL: ${url} -> ${proxyUrl}`);
-    }
-    
-    // Handle HTTP URLs - ensure they are HTTPS
-    if (proxyUrl.startsWith('http://')) {
-      proxyUrl = proxyUrl.replace('http://', 'https://');
-      console.log(`Converted HTTP to HTTPS: ${url} -> ${proxyUrl}`);
-    }
-    
-    // Handle api.zora.co renderer URLs that include ipfs content
-    if (proxyUrl.includes('api.zora.co') && proxyUrl.includes('ipfs')) {
-      // Try to extract the ipfs hash from various formats
-      let ipfsHash = null;
-      
-      // Common patterns seen in the Zora URLs
-      const ipfsPatterns = [
-        /ipfs(?:%3a|:)%2f%2f([a-zA-Z0-9]+)/i, // URL encoded ipfs://hash
-        /ipfs:\/\/([a-zA-Z0-9]+)/i,           // Direct ipfs://hash
-        /ipfs\/([a-zA-Z0-9]+)/i               // /ipfs/hash format
-      ];
-      
-      // Try each pattern
-      for (const pattern of ipfsPatterns) {
-        const match = proxyUrl.match(pattern);
-        if (match && match[1]) {
-          ipfsHash = match[1];
-          console.log(`Extracted IPFS hash ${ipfsHash} from Zora URL`);
-          break;
-        }
-      }
-      
-      // If we found a hash, use a more reliable IPFS gateway
-      if (ipfsHash) {
-        proxyUrl = `https://cloudflare-ipfs.com/ipfs/${ipfsHash}`;
-        console.log(`Using alternative IPFS gateway: ${proxyUrl}`);
-      }
-    }
-    
-    console.log(`Fetching image: ${proxyUrl}`);
-    
-    // Function to attempt image fetch with retries
-    const fetchWithRetries = async (url, headers, maxRetries = 2) => {
-      let lastError;
-      
-      for (let attempt = 0; attempt < maxRetries; attempt++) {
-        try {
-          const response = await axios({
-            method: 'get',
-            url: url,
-            responseType: 'arraybuffer',
-            timeout: 10000,
-            headers: headers,
-            validateStatus: false // Allow non-200 status codes to process them below
-          });
-          
-          // If we got a successful response, return it
-          if (response.status < 400) {
-            return response;
-          }
-          
-          // If we got a 403 Forbidden specifically from Alchemy CDN
-          if (response.status === 403 && url.includes('nft-cdn.alchemy.com')) {
-            console.log(`Attempt ${attempt + 1}: Got 403 from Alchemy CDN, trying with different headers`);
-            
-            // Modify headers for next attempt
-            headers = {
-              ...headers,
-              'Referer': 'https://dashboard.alchemy.com/',
-              'Origin': 'https://dashboard.alchemy.com'
-            };
-            
-            // Add API key directly to URL as a different parameter format
-            if (!url.includes('api_key=') && !url.includes('apiKey=')) {
-              const alchemyApiKey = process.env.ALCHEMY_API_KEY || process.env.REACT_APP_ALCHEMY_API_KEY;
-              if (alchemyApiKey) {
-                const separator = url.includes('?') ? '&' : '?';
-                url = `${url}${separator}api_key=${alchemyApiKey}`;
-                console.log('Added API key in alternate format');
-              }
-            }
-            
-            // Wait briefly before retry
-            await new Promise(resolve => setTimeout(resolve, 500));
-            continue;
-          }
-          
-          // For other error status codes, log and continue to next attempt
-          console.error(`Attempt ${attempt + 1}: Error status ${response.status} for: ${url}`);
-          lastError = new Error(`HTTP ${response.status}`);
-          
-          // Wait before retry
-          await new Promise(resolve => setTimeout(resolve, 500));
-        } catch (error) {
-          console.error(`Attempt ${attempt + 1}: Network error fetching from ${url}:`, error.message);
-          lastError = error;
-          
-          // Wait before retry
-          await new Promise(resolve => setTimeout(resolve, 500));
-        }
-      }
-      
-      // If we got here, all attempts failed
-      throw lastError || new Error('All retry attempts failed');
-    };
-    
-    // Attempt to proxy the image with retries
-    let response;
-    try {
-      response = await fetchWithRetries(proxyUrl, customHeaders);
-    } catch (error) {
-      console.error(`All attempts failed for ${proxyUrl}:`, error.message);
-      
-      // Create a simple SVG placeholder instead of returning JSON
-      const placeholderSvg = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="200" height="200" viewBox="0 0 200 200">
-        <rect width="200" height="200" fill="#f0f0f0"/>
-        <text x="50%" y="50%" font-family="Arial" font-size="12" text-anchor="middle" fill="#888">Image unavailable</text>
-        <text x="50%" y="65%" font-family="Arial" font-size="10" text-anchor="middle" fill="#888">${error.message.substring(0, 30)}</text>
-      </svg>`);
-      
-      res.setHeader('Content-Type', 'image/svg+xml');
-      res.setHeader('Cache-Control', 'public, max-age=3600'); 
-      return res.send(placeholderSvg);
-    }
-    
-    // Check for non-successful status after all retries
-    if (!response || response.status >= 400) {
-      console.error(`Source returned error status ${response?.status || 'unknown'} for: ${proxyUrl}`);
-      
-      // Create a simple SVG placeholder instead of returning JSON
-      const placeholderSvg = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="200" height="200" viewBox="0 0 200 200">
-        <rect width="200" height="200" fill="#f0f0f0"/>
-        <text x="50%" y="50%" font-family="Arial" font-size="12" text-anchor="middle" fill="#888">Image unavailable</text>
-        <text x="50%" y="65%" font-family="Arial" font-size="10" text-anchor="middle" fill="#888">Status: ${response?.status || 'unknown'}</text>
-      </svg>`);
-      
-      res.setHeader('Content-Type', 'image/svg+xml');
-      res.setHeader('Cache-Control', 'public, max-age=3600'); 
-      return res.send(placeholderSvg);
-    }
-    
-    // Set content type from response
-    const contentType = response.headers['content-type'];
-    if (contentType) {
-      res.setHeader('Content-Type', contentType);
-    } else {
-      // Try to guess content type from URL
-      if (proxyUrl.match(/\.(jpg|jpeg)$/i)) res.setHeader('Content-Type', 'image/jpeg');
-      else if (proxyUrl.match(/\.png$/i)) res.setHeader('Content-Type', 'image/png');
-      else if (proxyUrl.match(/\.gif$/i)) res.setHeader('Content-Type', 'image/gif');
-      else if (proxyUrl.match(/\.svg$/i)) res.setHeader('Content-Type', 'image/svg+xml');
-      else res.setHeader('Content-Type', 'application/octet-stream');
-    }
-    
-    // Set cache headers for better performance
-    res.setHeader('Cache-Control', 'public, max-age=86400'); // Cache for 24 hours
-    
-    // Return the image data
-    return res.send(response.data);
-  } catch (error) {
-    console.error(`Error proxying image (${url}):`, error.message);
-    
-    // Return a placeholder SVG image instead of JSON
-    const placeholderSvg = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="200" height="200" viewBox="0 0 200 200">
-      <rect width="200" height="200" fill="#f0f0f0"/>
-      <text x="50%" y="50%" font-family="Arial" font-size="12" text-anchor="middle" fill="#888">Image unavailable</text>
-      <text x="50%" y="65%" font-family="Arial" font-size="10" text-anchor="middle" fill="#888">${error.message.substring(0, 30)}</text>
-    </svg>`);
-    
-    res.setHeader('Content-Type', 'image/svg+xml');
-    res.setHeader('Cache-Control', 'public, max-age=3600'); 
-    return res.send(placeholderSvg);
-  }
-});
+// Count every API request and upstream call for /api/metrics, including the
+// legacy routes below that don't go through the all-in-one handler
+app.use('/api', metrics.requestMiddleware);
+metrics.instrumentAxios(axios);
+
+// The image proxy is served by the all-in-one handler through the API bridge,
+// so local development gets the same SSRF and content-type checks as Vercel
 
 // API Routes
 const apiRouter = express.Router();
@@ -352,89 +105,6 @@ const corsMiddleware = (req, res, next) => {
 // Apply CORS middleware to all API routes
 apiRouter.use(corsMiddleware);
 
-// ZAPPER API - Used only for Farcaster profile data and connected wallets
-apiRouter.post('/zapper', async (req, res) => {
-  // Check if this is a Farcaster profile request
-  let isFarcasterRequest = false;
-  let username = null;
-  let fid = null;
-  
-  if (req.body?.query && req.body.query.includes('farcasterProfile')) {
-    isFarcasterRequest = true;
-    
-    if (req.body.variables) {
-      username = req.body.variables.username;
-      fid = req.body.variables.fid;
-    }
-    
-    console.log(`Farcaster profile request for username: ${username}, fid: ${fid}`);
-  } else {
-    // If not a Farcaster request, don't process it through Zapper
-    console.warn('Non-Farcaster request attempted on Zapper endpoint');
-    return res.status(400).json({
-      errors: [{
-        message: 'The Zapper endpoint is only for Farcaster profile requests',
-        extensions: {
-          error: 'Invalid request'
-        }
-      }]
-    });
-  }
-
-  // Zapper GraphQL API URL
-  const ZAPPER_API_URL = 'https://public.zapper.xyz/graphql';
-  
-  try {
-    // Get Zapper API key from environment variables
-    const apiKey = process.env.ZAPPER_API_KEY || '';
-    
-    if (!apiKey) {
-      console.warn('⚠️ No ZAPPER_API_KEY found in environment variables!');
-      return res.status(500).json({
-        errors: [{
-          message: 'Zapper API key is missing. Please check server configuration.',
-          extensions: {
-            error: 'API Configuration Error'
-          }
-        }]
-      });
-    }
-    
-    // Set up headers with API key
-    const headers = {
-      'Content-Type': 'application/json',
-      'Accept': 'application/json',
-      'x-zapper-api-key': apiKey,
-      'User-Agent': 'GALL3RY/1.0 (+https://gall3ry.vercel.app)'
-    };
-    
-    // Forward the request to Zapper
-    const response = await axios({
-      method: 'post',
-      url: ZAPPER_API_URL,
-      headers: headers,
-      data: req.body,
-      timeout: 10000 // 10 second timeout
-    });
-    
-    // Return the response from Zapper
-    return res.status(response.status).json(response.data);
-    
-  } catch (error) {
-    console.error('Error proxying to Zapper:', error.message);
-    
-    // Return an appropriate error response
-    return res.status(error.response?.status || 502).json({
-      errors: [{
-        message: error.message || 'Error from Zapper API',
-        extensions: {
-          details: error.response?.data
-        }
-      }]
-    });
-  }
-});
-
 // FARCASTER PROFILE API - Dedicated endpoint for Farcaster profile data
 apiRouter.all('/farcaster-profile', async (req, res) => {
   // If it's not a GET or OPTIONS request, return method not allowed
@@ -453,7 +123,7 @@ apiRouter.all('/farcaster-profile', async (req, res) => {
   }
 
   // Zapper GraphQL API URL
-  const ZAPPER_API_URL = 'https://public.zapper.xyz/graphql';
+  const ZAPPER_API_URL = upstreams.zapperGraphqlUrls()[1];
 
   try {
     // Get Zapper API key from environment variables
@@ -589,401 +259,9 @@ apiRouter.all('/farcaster-profile', async (req, res) => {
   }
 });
 
-// ALCHEMY API - Used for all NFT data
-apiRouter.all('/alchemy', async (req, res) => {
-  // CORS headers for local development
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  
-  // Handle OPTIONS requests (pre-flight)
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
-  
-  // Get Alchemy API keys from environment variables
-  const ALCHEMY_API_KEY = process.env.ALCHEMY_API_KEY || process.env.REACT_APP_ALCHEMY_API_KEY || '';
-  
-  // Improved validation with helpful error message
-  if (!ALCHEMY_API_KEY || ALCHEMY_API_KEY === 'demo') {
-    console.error('Alchemy API key not configured or using demo key');
-    return res.status(401).json({ 
-      error: 'API key not properly configured',
-      message: 'Please set a valid ALCHEMY_API_KEY in environment variables. "demo" is not a valid API key.'
-    });
-  }
-  
-  // Define Alchemy V3 NFT endpoints
-  const ENDPOINTS = {
-    getNFTsForOwner: (apiKey, chain = 'eth') => {
-      const baseUrl = chain === 'eth' 
-        ? 'https://eth-mainnet.g.alchemy.com/nft/v3/' 
-        : `https://${chain}-mainnet.g.alchemy.com/nft/v3/`;
-      return `${baseUrl}${apiKey}/getNFTsForOwner`;
-    },
-    getNFTMetadata: (apiKey, chain = 'eth') => {
-      const baseUrl = chain === 'eth' 
-        ? 'https://eth-mainnet.g.alchemy.com/nft/v3/' 
-        : `https://${chain}-mainnet.g.alchemy.com/nft/v3/`;
-      return `${baseUrl}${apiKey}/getNFTMetadata`;
-    },
-    getNFTsForCollection: (apiKey, chain = 'eth') => {
-      const baseUrl = chain === 'eth' 
-        ? 'https://eth-mainnet.g.alchemy.com/nft/v3/' 
-        : `https://${chain}-mainnet.g.alchemy.com/nft/v3/`;
-      return `${baseUrl}${apiKey}/getNFTsForCollection`;
-    }
-  };
-  
-  // Parse query parameters
-  const { query } = parse(req.url, true);
-  const { endpoint = 'getNFTsForOwner', chain = 'eth', ...params } = query;
-  
-  // Validate endpoint
-  if (!ENDPOINTS[endpoint]) {
-    return res.status(400).json({ error: `Invalid endpoint: ${endpoint}` });
-  }
-  
-  try {
-    // Build the request URL
-    const endpointUrl = ENDPOINTS[endpoint](ALCHEMY_API_KEY, chain);
-    
-    // Prepare request parameters
-    const requestParams = { ...params };
-    
-    // Enhanced handling for getNFTsForOwner with better defaults
-    if (endpoint === 'getNFTsForOwner') {
-      // Make sure all vital parameters are explicitly set for better results
-      requestParams.withMetadata = true;
-      requestParams.pageSize = Math.min(parseInt(requestParams.pageSize || '50', 10), 50); // Limit to 50 max
-      requestParams.tokenUriTimeoutInMs = 5000;
-      requestParams.includeContract = true;
-      
-      // Convert excludeFilters from string to array if needed
-      if (requestParams.excludeSpam === 'true') {
-        requestParams.excludeFilters = ['SPAM'];
-      } else {
-        // Make sure excludeFilters is an array, not a string
-        requestParams.excludeFilters = Array.isArray(requestParams.excludeFilters) 
-          ? requestParams.excludeFilters 
-          : (requestParams.excludeFilters ? [requestParams.excludeFilters] : []);
-      }
-      
-      // Make sure boolean parameters are correctly set
-      const boolParams = ['withMetadata', 'includeContract', 'includePrice', 'floorPrice', 'withFloorPrice'];
-      boolParams.forEach(param => {
-        if (param in requestParams) {
-          requestParams[param] = requestParams[param] === 'true';
-        }
-      });
-      
-      // Ensure withFloorPrice is set to true if not explicitly set to false
-      if (endpoint === 'getNFTsForOwner' && requestParams.withFloorPrice !== false) {
-        requestParams.withFloorPrice = true;
-        console.log('Setting withFloorPrice=true for NFT request to enable Value sorting');
-      }
-      
-      console.log(`Enhanced getNFTsForOwner parameters:`, {
-        ...requestParams,
-        withFloorPrice: requestParams.withFloorPrice,
-      });
-    }
-    
-    // Regular GET request with timeout
-    console.log(`GET request to ${endpointUrl}`);
-    
-    // Add timeout to prevent hanging
-    const response = await axios.get(endpointUrl, { 
-      params: requestParams,
-      timeout: 10000 // 10 second timeout
-    });
-    
-    // Return the response
-    return res.status(200).json(response.data);
-  } catch (error) {
-    // Improved error handling
-    console.error('Alchemy API error:', error.message);
-    
-    let statusCode = error.response?.status || 500;
-    let errorMessage = error.message || 'Unknown error';
-    
-    // Provide more helpful error messages based on common issues
-    if (error.code === 'ECONNABORTED') {
-      statusCode = 504;
-      errorMessage = 'Request to Alchemy API timed out. Try with a smaller page size.';
-    } else if (statusCode === 429) {
-      errorMessage = 'Rate limit exceeded. Please use a real Alchemy API key.';
-    } else if (statusCode === 401) {
-      errorMessage = 'Invalid Alchemy API key. Make sure your API key is correctly set.';
-    } else if (statusCode >= 500) {
-      errorMessage = 'Alchemy API server error. Please try again later.';
-    }
-    
-    return res.status(statusCode).json({
-      error: 'Error from Alchemy API',
-      message: errorMessage,
-      details: error.response?.data
-    });
-  }
-});
-
-// IMAGE PROXY API - Used for loading NFT images across different providers
-app.get('/image-proxy', async (req, res) => {
-  // Set CORS headers to allow cross-origin requests
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  
-  // Get image URL from query parameter
-  const { url } = req.query;
-  
-  if (!url) {
-    return res.status(400).json({ error: 'Missing url parameter' });
-  }
-  
-  console.log(`Image proxy request for: ${decodeURIComponent(url)}`);
-  
-  try {
-    // Always decode the URL to handle any encoded characters
-    let proxyUrl = decodeURIComponent(url);
-    
-    // Default headers for most requests
-    let customHeaders = {
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/96.0.4664.110 Safari/537.36',
-      'Referer': 'https://gall3ry.vercel.app/',
-      'Accept': 'image/avif,image/webp,image/apng,image/svg+xml,image/*,*/*;q=0.8',
-      'Accept-Encoding': 'gzip, deflate, br'
-    };
-    
-    // Special handling for different URL types
-    
-    // Handle Alchemy CDN URLs specifically - this needs special attention
-    if (proxyUrl.includes('nft-cdn.alchemy.com')) {
-      console.log('Detected Alchemy CDN URL, adding special headers and API key');
-      
-      // Add Alchemy API key to the URL if not already present
-      if (!proxyUrl.includes('apiKey=')) {
-        const alchemyApiKey = process.env.ALCHEMY_API_KEY || process.env.REACT_APP_ALCHEMY_API_KEY;
-        if (alchemyApiKey) {
-          const separator = proxyUrl.includes('?') ? '&' : '?';
-          proxyUrl = `${proxyUrl}${separator}apiKey=${alchemyApiKey}`;
-          console.log('Added API key to Alchemy URL');
-        }
-      }
-      
-      // Use specific headers for Alchemy CDN that worked in testing
-      customHeaders = {
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'image/avif,image/webp,image/apng,image/svg+xml,image/*,*/*;q=0.8',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'Origin': 'https://dashboard.alchemy.com',
-        'Referer': 'https://dashboard.alchemy.com/',
-        'Sec-Fetch-Dest': 'image',
-        'Sec-Fetch-Mode': 'no-cors',
-        'Sec-Fetch-Site': 'same-site',
-        'If-None-Match': '', // Clear any conditional requests
-        'Cache-Control': 'no-cache',
-        'Pragma': 'no-cache'
-      };
-      
-      // For some Alchemy CDN URLs, we might need to fix the path format
-      if (!proxyUrl.includes('/original') && !proxyUrl.includes('/thumb') && !proxyUrl.includes('.jpg') && !proxyUrl.includes('.png')) {
-        proxyUrl = `${proxyUrl}/original`;
-        console.log(`Fixed Alchemy URL format: ${proxyUrl}`);
-      }
-    }
-    
-    // Special handling for IPFS URLs
-    if (proxyUrl.startsWith('ipfs://')) {
-      proxyUrl = proxyUrl.replace('ipfs://', 'https://cloudflare-ipfs.com/ipfs/');
-      console.log(`Converted IPFS URL: ${url} -> ${proxyUrl}`);
-    }
-    
-    // Handle ipfs links that aren't using the ipfs:// protocol
-    if (proxyUrl.includes('/ipfs/')) {
-      console.log('Detected standard IPFS gateway URL');
-      // Just keep the URL as is, but add special headers
-      customHeaders = {
-        ...customHeaders,
-        'Origin': null
-      };
-    }
-    
-    // Special handling for Arweave URLs
-    if (proxyUrl.startsWith('ar://')) {
-      proxyUrl = proxyUrl.replace('ar://', 'https://arweave.net/');
-      console.log(`Converted Arweave URL: ${url} -> ${proxyUrl}`);
-    }
-    
-    // Handle HTTP URLs - ensure they are HTTPS
-    if (proxyUrl.startsWith('http://')) {
-      proxyUrl = proxyUrl.replace('http://', 'https://');
-      console.log(`Converted HTTP to HTTPS: ${url} -> ${proxyUrl}`);
-    }
-    
-    // Handle api.zora.co renderer URLs that include ipfs content
-    if (proxyUrl.includes('api.zora.co') && proxyUrl.includes('ipfs')) {
-      // Try to extract the ipfs hash from various formats
-      let ipfsHash = null;
-      
-      // Common patterns seen in the Zora URLs
-      const ipfsPatterns = [
-        /ipfs(?:%3a|:)%2f%2f([a-zA-Z0-9]+)/i, // URL encoded ipfs://hash
-        /ipfs:\/\/([a-zA-Z0-9]+)/i,           // Direct ipfs://hash
-        /ipfs\/([a-zA-Z0-9]+)/i               // /ipfs/hash format
-      ];
-      
-      // Try each pattern
-      for (const pattern of ipfsPatterns) {
-        const match = proxyUrl.match(pattern);
-        if (match && match[1]) {
-          ipfsHash = match[1];
-          console.log(`Extracted IPFS hash ${ipfsHash} from Zora URL`);
-          break;
-        }
-      }
-      
-      // If we found a hash, use a more reliable IPFS gateway
-      if (ipfsHash) {
-        proxyUrl = `https://cloudflare-ipfs.com/ipfs/${ipfsHash}`;
-        console.log(`Using alternative IPFS gateway: ${proxyUrl}`);
-      }
-    }
-    
-    console.log(`Fetching image: ${proxyUrl}`);
-    
-    // Function to attempt image fetch with retries
-    const fetchWithRetries = async (url, headers, maxRetries = 2) => {
-      let lastError;
-      
-      for (let attempt = 0; attempt < maxRetries; attempt++) {
-        try {
-          const response = await axios({
-            method: 'get',
-            url: url,
-            responseType: 'arraybuffer',
-            timeout: 10000,
-            headers: headers,
-            validateStatus: false // Allow non-200 status codes to process them below
-          });
-          
-          // If we got a successful response, return it
-          if (response.status < 400) {
-            return response;
-          }
-          
-          // If we got a 403 Forbidden specifically from Alchemy CDN
-          if (response.status === 403 && url.includes('nft-cdn.alchemy.com')) {
-            console.log(`Attempt ${attempt + 1}: Got 403 from Alchemy CDN, trying with different headers`);
-            
-            // Modify headers for next attempt
-            headers = {
-              ...headers,
-              'Referer': 'https://dashboard.alchemy.com/',
-              'Origin': 'https://dashboard.alchemy.com'
-            };
-            
-            // Add API key directly to URL as a different parameter format
-            if (!url.includes('api_key=') && !url.includes('apiKey=')) {
-              const alchemyApiKey = process.env.ALCHEMY_API_KEY || process.env.REACT_APP_ALCHEMY_API_KEY;
-              if (alchemyApiKey) {
-                const separator = url.includes('?') ? '&' : '?';
-                url = `${url}${separator}api_key=${alchemyApiKey}`;
-                console.log('Added API key in alternate format');
-              }
-            }
-            
-            // Wait briefly before retry
-            await new Promise(resolve => setTimeout(resolve, 500));
-            continue;
-          }
-          
-          // For other error status codes, log and continue to next attempt
-          console.error(`Attempt ${attempt + 1}: Error status ${response.status} for: ${url}`);
-          lastError = new Error(`HTTP ${response.status}`);
-          
-          // Wait before retry
-          await new Promise(resolve => setTimeout(resolve, 500));
-        } catch (error) {
-          console.error(`Attempt ${attempt + 1}: Network error fetching from ${url}:`, error.message);
-          lastError = error;
-          
-          // Wait before retry
-          await new Promise(resolve => setTimeout(resolve, 500));
-        }
-      }
-      
-      // If we got here, all attempts failed
-      throw lastError || new Error('All retry attempts failed');
-    };
-    
-    // Attempt to proxy the image with retries
-    let response;
-    try {
-      response = await fetchWithRetries(proxyUrl, customHeaders);
-    } catch (error) {
-      console.error(`All attempts failed for ${proxyUrl}:`, error.message);
-      
-      // Create a simple SVG placeholder instead of returning JSON
-      const placeholderSvg = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="200" height="200" viewBox="0 0 200 200">
-        <rect width="200" height="200" fill="#f0f0f0"/>
-        <text x="50%" y="50%" font-family="Arial" font-size="12" text-anchor="middle" fill="#888">Image unavailable</text>
-        <text x="50%" y="65%" font-family="Arial" font-size="10" text-anchor="middle" fill="#888">${error.message.substring(0, 30)}</text>
-      </svg>`);
-      
-      res.setHeader('Content-Type', 'image/svg+xml');
-      res.setHeader('Cache-Control', 'public, max-age=3600'); 
-      return res.send(placeholderSvg);
-    }
-    
-    // Check for non-successful status after all retries
-    if (!response || response.status >= 400) {
-      console.error(`Source returned error status ${response?.status || 'unknown'} for: ${proxyUrl}`);
-      
-      // Create a simple SVG placeholder instead of returning JSON
-      const placeholderSvg = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="200" height="200" viewBox="0 0 200 200">
-        <rect width="200" height="200" fill="#f0f0f0"/>
-        <text x="50%" y="50%" font-family="Arial" font-size="12" text-anchor="middle" fill="#888">Image unavailable</text>
-        <text x="50%" y="65%" font-family="Arial" font-size="10" text-anchor="middle" fill="#888">Status: ${response?.status || 'unknown'}</text>
-      </svg>`);
-      
-      res.setHeader('Content-Type', 'image/svg+xml');
-      res.setHeader('Cache-Control', 'public, max-age=3600'); 
-      return res.send(placeholderSvg);
-    }
-    
-    // Set content type from response
-    const contentType = response.headers['content-type'];
-    if (contentType) {
-      res.setHeader('Content-Type', contentType);
-    } else {
-      // Try to guess content type from URL
-      if (proxyUrl.match(/\.(jpg|jpeg)$/i)) res.setHeader('Content-Type', 'image/jpeg');
-      else if (proxyUrl.match(/\.png$/i)) res.setHeader('Content-Type', 'image/png');
-      else if (proxyUrl.match(/\.gif$/i)) res.setHeader('Content-Type', 'image/gif');
-      else if (proxyUrl.match(/\.svg$/i)) res.setHeader('Content-Type', 'image/svg+xml');
-      else res.setHeader('Content-Type', 'application/octet-stream');
-    }
-    
-    // Set cache headers for better performance
-    res.setHeader('Cache-Control', 'public, max-age=86400'); // Cache for 24 hours
-    
-    // Return the image data
-    return res.send(response.data);
-  } catch (error) {
-    console.error(`Error proxying image (${url}):`, error.message);
-    
-    // Return a placeholder SVG image instead of JSON
-    const placeholderSvg = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="200" height="200" viewBox="0 0 200 200">
-      <rect width="200" height="200" fill="#f0f0f0"/>
-      <text x="50%" y="50%" font-family="Arial" font-size="12" text-anchor="middle" fill="#888">Image unavailable</text>
-      <text x="50%" y="65%" font-family="Arial" font-size="10" text-anchor="middle" fill="#888">${error.message.substring(0, 30)}</text>
-    </svg>`);
-    
-    res.setHeader('Content-Type', 'image/svg+xml');
-    res.setHeader('Cache-Control', 'public, max-age=3600'); 
-    return res.send(placeholderSvg);
-  }
+// Legacy non-API image proxy path
+app.get('/image-proxy', (req, res) => {
+  return res.redirect(307, `/api${req.originalUrl}`);
 });
 
 // Add diagnostic route to test Alchemy NFT image loading
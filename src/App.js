@@ -8,6 +8,7 @@ import { PrivyProvider, usePrivy } from '@privy-io/react-auth';
 // Import Redux Provider
 import { Provider as ReduxProvider } from 'react-redux';
 import store from './redux/store';
+import { getDiagnosticSessionId } from './utils/diagnosticUtils';
 
 // Add a try-catch for styles import to prevent build failures
 try {
@@ -58,6 +59,7 @@ const sendDiagnosticLog = async (event, data = {}) => {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
+        sessionId: getDiagnosticSessionId(),
         event,
         type: data.error ? 'error' : 'info',
         message: data.message || event,
@@ -423,6 +425,8 @@ function AppContent() {
               <Route path="/explore" element={<ExplorePage />} />
               <Route path="/profile/:username" element={<ProfilePage />} />
               <Route path="/about" element={<AboutPage />} />
+              <Route path="/nft/:chain/:contractAddress/:tokenId" element={<NFTDetailPage />} />
+              {/* Older links have no chain segment and are Ethereum tokens */}
               <Route path="/nft/:contractAddress/:tokenId" element={<NFTDetailPage />} />
               {/* Add debug routes */}
               <Route path="/debug/image-loader" element={<DebugImageLoader />} />
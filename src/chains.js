@@ -0,0 +1,243 @@
+/**
+ * Chain registry shared by the server, the client and the models
+ *
+ * Every chain we know about is defined once here: its id, the aliases other
+ * services and older data use for it, numeric chain ID, Alchemy subdomain,
+ * OpenSea and Zapper names, block explorer, native currency and display name.
+ *
+ * Which chains the app uses is set with REACT_APP_CHAINS (comma separated ids,
+ * read by both the server and the client build). Blast, Linea, Scroll and
+ * ApeChain are defined but off by default. Chains we have no definition for
+ * can be added with registerChain().
+ */
+
+const DEFAULT_ENABLED = ['eth', 'polygon', 'opt', 'arb', 'base', 'zora'];
+
+const ETH = { name: 'Ether', symbol: 'ETH', decimals: 18 };
+
+const CHAINS = [
+  {
+    id: 'eth',
+    network: 'ethereum',
+    name: 'Ethereum',
+    chainId: 1,
+    aliases: ['ethereum', 'mainnet', 'homestead'],
+    alchemySubdomain: 'eth-mainnet',
+    opensea: 'ethereum',
+    zapper: 'ETHEREUM_MAINNET',
+    explorerUrl: 'https://etherscan.io',
+    nativeCurrency: ETH
+  },
+  {
+    id: 'polygon',
+    network: 'polygon',
+    name: 'Polygon',
+    chainId: 137,
+    aliases: ['matic', 'pol'],
+    alchemySubdomain: 'polygon-mainnet',
+    opensea: 'matic',
+    zapper: 'POLYGON_MAINNET',
+    explorerUrl: 'https://polygonscan.com',
+    nativeCurrency: { name: 'POL', symbol: 'POL', decimals: 18 }
+  },
+  {
+    id: 'opt',
+    network: 'optimism',
+    name: 'Optimism',
+    chainId: 10,
+    aliases: ['optimism', 'op'],
+    alchemySubdomain: 'opt-mainnet',
+    opensea: 'optimism',
+    zapper: 'OPTIMISM_MAINNET',
+    explorerUrl: 'https://optimistic.etherscan.io',
+    nativeCurrency: ETH
+  },
+  {
+    id: 'arb',
+    network: 'arbitrum',
+    name: 'Arbitrum',
+    chainId: 42161,
+    aliases: ['arbitrum'],
+    alchemySubdomain: 'arb-mainnet',
+    opensea: 'arbitrum',
+    zapper: 'ARBITRUM_MAINNET',
+    explorerUrl: 'https://arbiscan.io',
+    nativeCurrency: ETH
+  },
+  {
+    id: 'base',
+    network: 'base',
+    name: 'Base',
+    chainId: 8453,
+    aliases: [],
+    alchemySubdomain: 'base-mainnet',
+    opensea: 'base',
+    zapper: 'BASE_MAINNET',
+    explorerUrl: 'https://basescan.org',
+    nativeCurrency: ETH
+  },
+  {
+    id: 'zora',
+    network: 'zora',
+    name: 'Zora',
+    chainId: 7777777,
+    aliases: [],
+    alchemySubdomain: 'zora-mainnet',
+    opensea: 'zora',
+    zapper: 'ZORA_MAINNET',
+    explorerUrl: 'https://explorer.zora.energy',
+    nativeCurrency: ETH
+  },
+  {
+    id: 'blast',
+    network: 'blast',
+    name: 'Blast',
+    chainId: 81457,
+    aliases: [],
+    alchemySubdomain: 'blast-mainnet',
+    opensea: 'blast',
+    zapper: 'BLAST_MAINNET',
+    explorerUrl: 'https://blastscan.io',
+    nativeCurrency: ETH
+  },
+  {
+    id: 'linea',
+    network: 'linea',
+    name: 'Linea',
+    chainId: 59144,
+    aliases: [],
+    alchemySubdomain: 'linea-mainnet',
+    opensea: null,
+    zapper: 'LINEA_MAINNET',
+    explorerUrl: 'https://lineascan.build',
+    nativeCurrency: ETH
+  },
+  {
+    id: 'scroll',
+    network: 'scroll',
+    name: 'Scroll',
+    chainId: 534352,
+    aliases: [],
+    alchemySubdomain: 'scroll-mainnet',
+    opensea: null,
+    zapper: 'SCROLL_MAINNET',
+    explorerUrl: 'https://scrollscan.com',
+    nativeCurrency: ETH
+  },
+  {
+    id: 'apechain',
+    network: 'apechain',
+    name: 'ApeChain',
+    chainId: 33139,
+    aliases: ['ape'],
+    alchemySubdomain: 'apechain-mainnet',
+    opensea: 'ape_chain',
+    zapper: 'APECHAIN_MAINNET',
+    explorerUrl: 'https://apescan.io',
+    nativeCurrency: { name: 'ApeCoin', symbol: 'APE', decimals: 18 }
+  }
+];
+
+// Every id, alias, network name, Zapper network and chain ID, lowercased, to its chain
+const lookup = new Map();
+
+const index = (chain) => {
+  [chain.id, chain.network, String(chain.chainId), `0x${chain.chainId.toString(16)}`, chain.zapper, ...chain.aliases]
+    .filter(Boolean)
+    .forEach(name => lookup.set(String(name).toLowerCase(), chain));
+};
+
+CHAINS.forEach(index);
+
+const readEnabled = () => {
+  const configured = (process.env.REACT_APP_CHAINS || '')
+    .split(',')
+    .map(name => lookup.get(name.trim().toLowerCase()))
+    .filter(Boolean)
+    .map(chain => chain.id);
+  return configured.length > 0 ? configured : DEFAULT_ENABLED;
+};
+
+let enabledIds = readEnabled();
+
+/**
+ * Find a chain by id, alias, network name, Zapper network ('BASE_MAINNET') or chain ID (number, decimal or hex)
+ * @param {string|number} value
+ * @returns {Object|null} - Chain definition
+ */
+const getChain = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  return lookup.get(String(value).trim().toLowerCase()) || null;
+};
+
+/**
+ * Canonical chain id ('eth', 'base', ...) for any name of a chain
+ * @param {string|number} value
+ * @param {string} fallback - Returned for unknown chains (default 'eth'); pass null to detect them
+ */
+const normalizeChain = (value, fallback = 'eth') => getChain(value)?.id || fallback;
+
+/**
+ * Enabled chains, in registry order
+ */
+const getEnabledChains = () => CHAINS.filter(chain => enabledIds.includes(chain.id));
+
+const getEnabledChainIds = () => getEnabledChains().map(chain => chain.id);
+
+const isChainEnabled = (value) => {
+  const chain = getChain(value);
+  return Boolean(chain && enabledIds.includes(chain.id));
+};
+
+/**
+ * Every id, network name and alias, for validating input
+ * @param {Object} options - { enabledOnly } to leave out chains that are not enabled
+ */
+const getChainNames = (options = {}) => {
+  const chains = options.enabledOnly ? getEnabledChains() : CHAINS;
+  return [...new Set(chains.flatMap(chain => [chain.id, chain.network, ...chain.aliases]))];
+};
+
+/**
+ * Alchemy host prefix for a chain, e.g. 'base-mainnet'. Unknown chains get Ethereum.
+ */
+const getAlchemySubdomain = (value) => (getChain(value) || getChain('eth')).alchemySubdomain;
+
+/**
+ * Block explorer link for an address, or the explorer home page
+ */
+const getExplorerUrl = (value, address) => {
+  const chain = getChain(value);
+  if (!chain) return null;
+  return address ? `${chain.explorerUrl}/address/${address}` : chain.explorerUrl;
+};
+
+/**
+ * Add or replace a chain definition. It is enabled unless { enabled: false } is passed.
+ * @param {Object} definition - Same fields as the entries in CHAINS
+ */
+const registerChain = (definition, options = {}) => {
+  const chain = { aliases: [], opensea: null, zapper: null, nativeCurrency: ETH, ...definition };
+  const existing = CHAINS.findIndex(entry => entry.id === chain.id);
+  if (existing >= 0) CHAINS.splice(existing, 1, chain);
+  else CHAINS.push(chain);
+  index(chain);
+
+  if (options.enabled !== false && !enabledIds.includes(chain.id)) {
+    enabledIds = [...enabledIds, chain.id];
+  }
+  return chain;
+};
+
+module.exports = {
+  CHAINS,
+  getChain,
+  normalizeChain,
+  getEnabledChains,
+  getEnabledChainIds,
+  isChainEnabled,
+  getChainNames,
+  getAlchemySubdomain,
+  getExplorerUrl,
+  registerChain
+};
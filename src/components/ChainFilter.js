@@ -0,0 +1,51 @@
+import React from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  setChainFilters,
+  toggleChainFilter,
+  selectChainFacets,
+  selectChainFilters
+} from '../redux/nftFiltersSlice';
+import '../styles/FarcasterUserSearch.css';
+
+/**
+ * Chain Filter Component
+ * Multi-select chain buttons with the number of NFTs on each chain, stored in
+ * Redux (filters.chains). Chains with no NFTs are left out unless selected.
+ */
+const ChainFilter = () => {
+  const dispatch = useDispatch();
+  const facets = useSelector(selectChainFacets);
+  const selected = useSelector(selectChainFilters);
+
+  const visible = facets.filter(facet => facet.count > 0 || selected.includes(facet.id));
+  const total = facets.reduce((sum, facet) => sum + facet.count, 0);
+
+  if (visible.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="chain-filter" role="group" aria-label="Filter by chain">
+      <button
+        className={`sort-option ${selected.length === 0 ? 'active' : ''}`}
+        onClick={() => dispatch(setChainFilters([]))}
+        aria-pressed={selected.length === 0}
+      >
+        All chains <span className="chain-filter-count">{total}</span>
+      </button>
+      {visible.map(facet => (
+        <button
+          key={facet.id}
+          className={`sort-option ${selected.includes(facet.id) ? 'active' : ''}`}
+          onClick={() => dispatch(toggleChainFilter(facet.id))}
+          aria-pressed={selected.includes(facet.id)}
+        >
+          {facet.name} <span className="chain-filter-count">{facet.count}</span>
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default ChainFilter;
@@ -0,0 +1,149 @@
+import React, { useMemo, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  setCollectionFilters,
+  setHiddenCollections,
+  selectCollectionFacets,
+  selectCollectionFilters,
+  selectHiddenCollections
+} from '../redux/nftFiltersSlice';
+import { formatAddress } from '../utils/formatters';
+import '../styles/FarcasterUserSearch.css';
+
+// Collections listed before "Show all", unless searching
+const VISIBLE_COLLECTIONS = 12;
+
+/**
+ * Collection Filter Panel Component
+ * Lists the collections in the gallery with their NFT counts for the selected
+ * wallet and chains, searchable by name or contract, and stores the selection
+ * in Redux (filters.collections and filters.hiddenCollections)
+ */
+const CollectionFilterPanel = () => {
+  const dispatch = useDispatch();
+  const facets = useSelector(selectCollectionFacets);
+  const selected = useSelector(selectCollectionFilters);
+  const hidden = useSelector(selectHiddenCollections);
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const [showAll, setShowAll] = useState(false);
+
+  const facetsByKey = useMemo(() => new Map(facets.map(facet => [facet.key, facet])), [facets]);
+
+  const matching = useMemo(() => {
+    const term = query.trim().toLowerCase();
+    if (!term) return facets;
+    return facets.filter(facet =>
+      (facet.name || '').toLowerCase().includes(term) || facet.contractAddress.includes(term)
+    );
+  }, [facets, query]);
+
+  if (facets.length === 0 && selected.length === 0 && hidden.length === 0) {
+    return null;
+  }
+
+  const visible = showAll || query.trim() ? matching : matching.slice(0, VISIBLE_COLLECTIONS);
+  const getLabel = (key) => {
+    const facet = facetsByKey.get(key);
+    return facet?.name || formatAddress(facet?.contractAddress || key.split(':')[1], 6, 4);
+  };
+
+  const toggleCollection = (key) => {
+    dispatch(setCollectionFilters(
+      selected.includes(key) ? selected.filter(selectedKey => selectedKey !== key) : [...selected, key]
+    ));
+  };
+
+  return (
+    <div className="trait-filter-panel collection-filter-panel">
+      <div className="trait-filter-header">
+        <button
+          className={`sort-option ${isOpen || selected.length > 0 ? 'active' : ''}`}
+          onClick={() => setIsOpen(!isOpen)}
+          aria-expanded={isOpen}
+        >
+          Collections{selected.length > 0 ? ` (${selected.length})` : ` (${facets.length})`}
+        </button>
+
+        {(selected.length > 0 || hidden.length > 0) && (
+          <button
+            className="sort-option"
+            onClick={() => {
+              dispatch(setCollectionFilters([]));
+              dispatch(setHiddenCollections([]));
+            }}
+          >
+            Show all collections
+          </button>
+        )}
+      </div>
+
+      {(selected.length > 0 || hidden.length > 0) && (
+        <div className="trait-filter-chips">
+          {selected.map(key => (
+            <button
+              key={key}
+              className="trait-filter-chip"
+              onClick={() => toggleCollection(key)}
+              aria-label={`Stop showing only ${getLabel(key)}`}
+            >
+              {getLabel(key)} &times;
+            </button>
+          ))}
+          {hidden.map(key => (
+            <button
+              key={key}
+              className="trait-filter-chip collection-filter-chip-hidden"
+              onClick={() => dispatch(setHiddenCollections(hidden.filter(hiddenKey => hiddenKey !== key)))}
+              aria-label={`Show ${getLabel(key)} again`}
+            >
+              Hidden: {getLabel(key)} &times;
+            </button>
+          ))}
+        </div>
+      )}
+
+      {isOpen && (
+        <div className="collection-filter-list">
+          <input
+            type="search"
+            className="collection-filter-search"
+            placeholder={`Search ${facets.length} collections...`}
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            aria-label="Search collections"
+          />
+
+          <ul className="trait-filter-values">
+            {visible.map(facet => (
+              <li key={facet.key} className={hidden.includes(facet.key) ? 'collection-filter-hidden' : ''}>
+                <label title={`${facet.contractAddress} (${facet.network})`}>
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(facet.key)}
+                    onChange={() => toggleCollection(facet.key)}
+                  />
+                  <span className="trait-filter-value">{facet.name || formatAddress(facet.contractAddress, 6, 4)}</span>
+                  <span className="trait-filter-count">{facet.count}</span>
+                </label>
+              </li>
+            ))}
+            {visible.length === 0 && (
+              <li className="trait-filter-count">No collections match "{query}"</li>
+            )}
+            {!query.trim() && matching.length > VISIBLE_COLLECTIONS && (
+              <li>
+                <button className="trait-filter-more" onClick={() => setShowAll(!showAll)}>
+                  {showAll ? 'Show fewer' : `Show all ${matching.length}`}
+                </button>
+              </li>
+            )}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CollectionFilterPanel;
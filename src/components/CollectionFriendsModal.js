@@ -9,6 +9,39 @@ import { useSelector } from 'react-redux';
 import farcasterStateService from '../services/farcasterStateService';
 import { selectFollowing } from '../redux/farcasterSlice';
 import { formatAddress } from '../utils/formatters';
+import { getEnabledChainIds, normalizeChain } from '../chains';
+
+// Badge text for how a friend is connected to the viewer
+const RELATION_LABELS = {
+  mutual: 'Mutual',
+  following: 'Following',
+  follower: 'Follows you'
+};
+
+// Whose wallets to check, as the relation parameter of /api/collection-friends
+const RELATION_OPTIONS = [
+  { value: 'mutuals', label: 'Mutuals' },
+  { value: 'following', label: 'Following' },
+  { value: 'followers', label: 'Followers' },
+  { value: 'all', label: 'Everyone' }
+];
+
+// The client-side fallback only has the viewer's following list, so it can
+// stand in for these modes but not for followers or mutuals
+const FALLBACK_RELATIONS = ['following', 'all'];
+
+/**
+ * Display shape for someone from the viewer's following list, as matched by
+ * the client-side fallback
+ */
+const toFollowingFriend = (user) => ({
+  id: user.fid.toString(),
+  name: user.displayName || user.username,
+  username: user.username,
+  avatar: user.imageUrl,
+  addresses: user.addresses,
+  relation: 'following'
+});
 
 /**
  * Modal component that displays which Farcaster friends own NFTs from the same collection
@@ -72,6 +105,12 @@ const CollectionFriendsModal = ({ isOpen, onClose, collectionAddress, collection
   const [totalFriends, setTotalFriends] = useState(0);
   const [debugInfo, setDebugInfo] = useState({});
   const [timeMarkers, setTimeMarkers] = useState({});
+  const [streaming, setStreaming] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [relation, setRelation] = useState('mutuals');
+  
+  // Closes the server friends stream if the modal closes mid-lookup
+  const closeStreamRef = useRef(null);
 
   // Get following data from Redux store
   const followingState = useSelector(selectFollowing);
@@ -85,22 +124,7 @@ const CollectionFriendsModal = ({ isOpen, onClose, collectionAddress, collection
     // Check for explicit network prefixes in the format "network:0x..."
     if (addressLower.includes(':')) {
       const [network, _] = addressLower.split(':');
-      
-      // Map of supported networks
-      const supportedNetworks = {
-        'eth': 'eth',
-        'ethereum': 'eth',
-        'polygon': 'polygon',
-        'matic': 'polygon',
-        'arbitrum': 'arbitrum',
-        'arb': 'arbitrum',
-        'optimism': 'optimism',
-        'opt': 'optimism',
-        'base': 'base',
-        'zora': 'zora'
-      };
-      
-      return supportedNetworks[network.toLowerCase()] || 'eth';
+      return normalizeChain(network);
     }
     
     // If no explicit network, return default
@@ -189,6 +213,28 @@ const CollectionFriendsModal = ({ isOpen, onClose, collectionAddress, collection
           debug.fid = fid;
           debug.fidCheck = true;
           
+          // Stream matches from the server when possible, so friends appear as
+          // soon as they're found rather than after every holder is checked
+          setFriends([]);
+          setProgress(null);
+          setError(null);
+          setLoading(true);
+          if (await streamFriends(fid)) {
+            debug.finalResult = 'Friends streamed from server';
+            setDebugInfo(prevDebug => ({ ...prevDebug, ...debug, status: 'Complete!' }));
+            setUsingMockData(false);
+            setLoading(false);
+            return;
+          }
+          
+          if (!FALLBACK_RELATIONS.includes(relation)) {
+            debug.finalResult = `No client-side fallback for ${relation}`;
+            setDebugInfo(prevDebug => ({ ...prevDebug, ...debug }));
+            setError('Failed to load friends. Please try again later.');
+            setLoading(false);
+            return;
+          }
+          
           setDebugInfo(prevDebug => ({ 
             ...prevDebug, 
             ...debug, 
@@ -371,7 +417,14 @@ const CollectionFriendsModal = ({ isOpen, onClose, collectionAddress, collection
     };
     
     fetchFriends();
-  }, [isOpen, isUserAuthenticated, collectionAddress, privyUser]);
+    
+    return () => {
+      if (closeStreamRef.current) {
+        closeStreamRef.current();
+        closeStreamRef.current = null;
+      }
+    };
+  }, [isOpen, isUserAuthenticated, collectionAddress, privyUser, relation]);
   
   const getMockFriends = () => {
     console.log('📊 Generating mock friend data');
@@ -576,6 +629,59 @@ const CollectionFriendsModal = ({ isOpen, onClose, collectionAddress, collection
     }
   }, [isOpen]);
 
+  /**
+   * Stream friends from the server, showing each one as soon as it matches
+   * @param {number} fid - Farcaster ID of the current user
+   * @returns {Promise<boolean>} Whether friends were loaded; false means fall back to the client-side lookup
+   */
+  const streamFriends = (fid) => new Promise((resolve) => {
+    if (typeof EventSource === 'undefined') {
+      resolve(false);
+      return;
+    }
+    
+    let received = 0;
+    const finish = (loaded) => {
+      closeStreamRef.current = null;
+      setStreaming(false);
+      resolve(loaded);
+    };
+    
+    setStreaming(true);
+    closeStreamRef.current = farcasterService.streamCollectionFriends({
+      contractAddress: normalizeContractAddress(collectionAddress),
+      fid,
+      network: network || extractChainFromAddress(collectionAddress),
+      // Each friend comes back with a badge saying how they're connected
+      relation
+    }, {
+      onProgress: setProgress,
+      onFriend: (friend) => {
+        received += 1;
+        setFriends(prev => [...prev, {
+          id: friend.fid.toString(),
+          name: friend.displayName || friend.username,
+          username: friend.username,
+          avatar: friend.avatar,
+          addresses: friend.addresses,
+          relation: friend.relation
+        }]);
+        setTotalFriends(received);
+        // Show the list as soon as there's something in it
+        setLoading(false);
+      },
+      onDone: (result) => {
+        console.log(`✨ Server found ${result.friends.length} friends after checking ${result.totalOwners} holders`);
+        finish(true);
+      },
+      onError: (streamError) => {
+        console.warn('Collection friends stream failed:', streamError.message);
+        // Keep whatever already arrived rather than starting over
+        finish(received > 0);
+      }
+    });
+  });
+
   // Fetch collection owners
   const fetchCollectionOwners = async (collectionAddress, network) => {
     if (!collectionAddress || !followingState.users.length) {
@@ -698,13 +804,7 @@ const CollectionFriendsModal = ({ isOpen, onClose, collectionAddress, collection
       }));
       
       // 5. Format for display
-      const formattedFriends = friendsWithCollection.map(friend => ({
-        id: friend.fid.toString(),
-        name: friend.displayName || friend.username,
-        username: friend.username,
-        avatar: friend.imageUrl,
-        addresses: friend.addresses
-      }));
+      const formattedFriends = friendsWithCollection.map(toFollowingFriend);
       
       if (formattedFriends.length > 0) {
         setFriends(formattedFriends);
@@ -777,13 +877,7 @@ const CollectionFriendsModal = ({ isOpen, onClose, collectionAddress, collection
             
             console.log(`✨ Found ${friendsWithCollection.length} friends with cleaned address`);
             
-            const formattedFriends = friendsWithCollection.map(friend => ({
-              id: friend.fid.toString(),
-              name: friend.displayName || friend.username,
-              username: friend.username,
-              avatar: friend.imageUrl,
-              addresses: friend.addresses
-            }));
+            const formattedFriends = friendsWithCollection.map(toFollowingFriend);
             
             if (formattedFriends.length > 0) {
               setFriends(formattedFriends);
@@ -812,7 +906,7 @@ const CollectionFriendsModal = ({ isOpen, onClose, collectionAddress, collection
       // in case the user provided the wrong network
       if (network) {
         try {
-          const fallbackNetworks = ['eth', 'polygon', 'optimism', 'arbitrum', 'base', 'zora'].filter(n => n !== network);
+          const fallbackNetworks = getEnabledChainIds().filter(n => n !== normalizeChain(network));
           console.log(`🔄 Trying fallback networks: ${fallbackNetworks.join(', ')}`);
           
           let foundOwnersOnNetwork = null;
@@ -853,13 +947,7 @@ const CollectionFriendsModal = ({ isOpen, onClose, collectionAddress, collection
             console.log(`✨ Found ${friendsWithCollection.length} friends on ${foundOwnersOnNetwork} network`);
             
             if (friendsWithCollection.length > 0) {
-              const formattedFriends = friendsWithCollection.map(friend => ({
-                id: friend.fid.toString(),
-                name: friend.displayName || friend.username,
-                username: friend.username,
-                avatar: friend.imageUrl,
-                addresses: friend.addresses
-              }));
+              const formattedFriends = friendsWithCollection.map(toFollowingFriend);
               
               setFriends(formattedFriends);
               setTotalFriends(formattedFriends.length);
@@ -920,6 +1008,17 @@ const CollectionFriendsModal = ({ isOpen, onClose, collectionAddress, collection
               ? `Friends owning ${collectionName.trim()}`
               : 'Friends owning this collection'}
           </h3>
+          <div className="friends-relation-options">
+            {RELATION_OPTIONS.map(option => (
+              <button
+                key={option.value}
+                className={`friends-relation-option ${relation === option.value ? 'active' : ''}`}
+                onClick={() => setRelation(option.value)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
         </div>
         
         {loading ? (
@@ -927,6 +1026,13 @@ const CollectionFriendsModal = ({ isOpen, onClose, collectionAddress, collection
             <div className="modal-loading">
               <div className="spinner"></div>
               <p>{fetchingFollowing ? 'Loading your Farcaster following...' : 'Checking for friends who own this collection...'}</p>
+              {progress && (
+                <p className="friends-search-progress">
+                  {progress.phase === 'owners'
+                    ? `Checked ${progress.owners} holders`
+                    : `Loaded ${progress.users} ${progress.phase === 'followers' ? 'followers' : 'people you follow'}`}
+                </p>
+              )}
             </div>
           </div>
         ) : error ? (
@@ -969,12 +1075,24 @@ const CollectionFriendsModal = ({ isOpen, onClose, collectionAddress, collection
                     )}
                   </div>
                   <div className="friend-info">
-                    <h4>{friend.name}</h4>
+                    <h4>
+                      {friend.name}
+                      {friend.relation && (
+                        <span className={`friend-relation friend-relation-${friend.relation}`}>
+                          {RELATION_LABELS[friend.relation]}
+                        </span>
+                      )}
+                    </h4>
                     <p>@{friend.username}</p>
                   </div>
                 </li>
               ))}
             </ul>
+            {streaming && (
+              <p className="friends-search-progress">
+                Still searching{progress?.phase === 'owners' ? `, checked ${progress.owners} holders` : ''}...
+              </p>
+            )}
           </div>
         )}
       </div>
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { sdk } from '@farcaster/frame-sdk';
+import { DiagnosticLogger } from '../utils/diagnosticUtils';
 
 // Helper function to safely get the SDK status
 const getSdkStatus = () => {
@@ -54,6 +55,7 @@ const DiagnosticPanel = () => {
     events: false
   });
   const [imageRequests, setImageRequests] = useState([]);
+  const [sending, setSending] = useState(false);
 
   // Log an event to the panel
   const logEvent = (event) => {
@@ -156,6 +158,19 @@ const DiagnosticPanel = () => {
     }
   };
   
+  // Send the collected logs to the server so they can be looked up by session or FID
+  const handleSendReport = async () => {
+    setSending(true);
+    try {
+      const result = await DiagnosticLogger.sendReport({ token: sessionStorage.getItem('miniAppAuthToken') });
+      logEvent(`Sent report ${result.reportId} (${result.logCount} logs)`);
+    } catch (e) {
+      logEvent(`Error sending report: ${e.message}`);
+    } finally {
+      setSending(false);
+    }
+  };
+  
   // Section toggle helper
   const toggleSection = (section) => {
     setCollapsed(prev => ({
@@ -217,6 +232,20 @@ const DiagnosticPanel = () => {
         paddingBottom: '8px'
       }}>
         <h3 style={{ margin: 0, fontSize: '16px' }}>Farcaster Mini App Diagnostics</h3>
+        <button 
+          onClick={handleSendReport} 
+          disabled={sending}
+          style={{
+            padding: '4px 8px',
+            fontSize: '11px',
+            backgroundColor: '#edf2f7',
+            border: '1px solid #cbd5e0',
+            borderRadius: '4px',
+            cursor: sending ? 'default' : 'pointer'
+          }}
+        >
+          {sending ? 'Sending...' : 'Send Report'}
+        </button>
       </div>
       
       {/* SDK Status Section */}
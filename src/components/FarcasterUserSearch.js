@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNFT } from '../contexts/NFTContext';
 import { getFarcasterProfile } from '../services/zapperService';
 import VirtualizedNFTGrid from './VirtualizedNFTGrid';
@@ -8,14 +8,24 @@ import '../styles/FarcasterProfile.css';
 import safeStorage from '../utils/storage';
 import NFTSearchBar from './NFTSearchBar';
 import NFTSortControls from './NFTSortControls';
+import TraitFilterPanel from './TraitFilterPanel';
+import CollectionFilterPanel from './CollectionFilterPanel';
+import ChainFilter from './ChainFilter';
 import farcasterService from '../services/farcasterService';
 import { useDispatch, useSelector } from 'react-redux';
 import { formatNFTsForDisplay, removeDuplicates } from '../utils/nftUtils';
 import alchemyService, { fetchNftsForAddresses, fetchNftsSimple, fetchNftsForFarcaster } from '../services/alchemyService';
-import { setNftList } from '../redux/nftFiltersSlice';
+import {
+  setNftList,
+  clearFilters,
+  showOnlyCollection,
+  hideCollection,
+  selectFilteredNfts
+} from '../redux/nftFiltersSlice';
 import * as zapperService from '../services/zapperService';
 import NFTCard from './NftCard';
 import NFTGallery from './NFTGallery';
+import { getEnabledChainIds } from '../chains';
 
 // Validates if a string is a valid Ethereum address
 const isValidAddress = (address) => {
@@ -33,7 +43,6 @@ const FarcasterUserSearch = ({ initialUsername, onNFTsDisplayChange }) => {
   const { 
     fetchAllNFTsForWallets, 
     isLoading: isNftLoading,
-    searchQuery, // NFT filter search query from context
   } = useNFT();
   
   const dispatch = useDispatch();
@@ -51,17 +60,8 @@ const FarcasterUserSearch = ({ initialUsername, onNFTsDisplayChange }) => {
   // UI state
   const [walletsExpanded, setWalletsExpanded] = useState(false);
   
-  // Get filter/sort state from Redux or use local defaults
-  const { searchTerm, sortOption, sortDirection, selectedWallet } = useSelector(state => ({
-    searchTerm: state.nftFilters?.searchTerm || '',
-    sortOption: state.nftFilters?.sortOption || 'collection', 
-    sortDirection: state.nftFilters?.sortDirection || 'asc',
-    selectedWallet: state.nftFilters?.selectedWallet || 'all'
-  }));
-  
-  // Create alias for better readability in component
-  const sortBy = sortOption;
-  const sortOrder = sortDirection;
+  // The filtered and sorted gallery, from the shared filter state in Redux
+  const filteredNfts = useSelector(selectFilteredNfts);
   
   // Notify parent component when NFTs are displayed
   useEffect(() => {
@@ -88,9 +88,11 @@ const FarcasterUserSearch = ({ initialUsername, onNFTsDisplayChange }) => {
       setIsSearching(true);
       setSearchError(null);
       
-      // Clear previous user data
+      // Clear previous user data, and the filters that only applied to their
+      // gallery: chains, wallet, collections and traits
       setUserNfts([]);
       setWalletAddresses([]);
+      dispatch(clearFilters());
       
       // Get the profile
       let profile;
@@ -147,7 +149,7 @@ const FarcasterUserSearch = ({ initialUsername, onNFTsDisplayChange }) => {
       const nftResult = await fetchNftsForFarcaster(
         walletAddresses,
         {
-          chains: ['eth', 'polygon', 'opt', 'arb', 'base'],
+          chains: getEnabledChainIds(),
           excludeSpam: true,
           excludeAirdrops: true,
           pageSize: 100,
@@ -174,244 +176,10 @@ const FarcasterUserSearch = ({ initialUsername, onNFTsDisplayChange }) => {
     }
   };
 
-  // Get sorted NFTs
-  const sortedNfts = useCallback(() => {
-    if (!userNfts || userNfts.length === 0) return [];
-    
-    console.log(`Sorting ${userNfts.length} NFTs by ${sortBy} in ${sortOrder} order`);
-    
-    // Debug first NFT's structure for understanding available fields
-    if (userNfts.length > 0) {
-      const sampleNft = userNfts[0];
-      console.log('Sample NFT structure for sorting:', {
-        name: sampleNft.name || sampleNft.title,
-        collection: sampleNft.collection?.name,
-        contractName: sampleNft.contract?.name,
-        value: sampleNft.collection?.floorPrice?.valueUsd,
-        ethValue: sampleNft.collection?.floorPrice?.value,
-        timestamps: {
-          lastActivity: sampleNft.lastActivityTimestamp,
-          acquired: sampleNft.acquiredAt,
-          lastTransfer: sampleNft.lastTransferTimestamp
-        }
-      });
-    }
-    
-    const nftsCopy = [...userNfts];
-    
-    switch (sortBy) {
-      case 'name':
-        return nftsCopy.sort((a, b) => {
-          // Enhanced name extraction with more fallbacks and cleaning
-          const rawNameA = (a.name || a.title || a.metadata?.name || `#${a.tokenId || a.token_id || '0'}`);
-          const rawNameB = (b.name || b.title || b.metadata?.name || `#${b.tokenId || b.token_id || '0'}`);
-          
-          // Clean names by removing NFT prefix
-          const nameA = rawNameA.replace(/^NFT\s+#/i, '#').toLowerCase();
-          const nameB = rawNameB.replace(/^NFT\s+#/i, '#').toLowerCase();
-          
-          // Helper function to determine if a character is a letter
-          const isLetter = (char) => /[a-z]/i.test(char);
-          
-          // Helper function to determine if name starts with letter
-          const startsWithLetter = (str) => str.length > 0 && isLetter(str[0]);
-          
-          // Get first character for sorting
-          const firstCharA = nameA.charAt(0);
-          const firstCharB = nameB.charAt(0);
-          
-          // If one starts with letter and other doesn't, letter comes first
-          if (startsWithLetter(nameA) && !startsWithLetter(nameB)) {
-            return sortOrder === 'asc' ? -1 : 1;
-          }
-          if (!startsWithLetter(nameA) && startsWithLetter(nameB)) {
-            return sortOrder === 'asc' ? 1 : -1;
-          }
-          
-          // Normal comparison for two strings that both start with letters or both don't
-          const result = sortOrder === 'asc' 
-            ? nameA.localeCompare(nameB, undefined, { numeric: true }) 
-            : nameB.localeCompare(nameA, undefined, { numeric: true });
-            
-          return result;
-        });
-        
-      case 'value':
-        return nftsCopy.sort((a, b) => {
-          // Enhanced value extraction with more fallbacks
-          const valueA = a.collection?.floorPrice?.valueUsd || 
-                        a.floorPrice?.valueUsd || 
-                        a.collection?.floorPrice?.value || 
-                        a.floorPrice?.value || 
-                        (a.contractMetadata?.openSea?.floorPrice || 0) ||
-                        (a.contract?.openSeaMetadata?.floorPrice || 0) ||
-                        (typeof a.collection?.floorPrice === 'number' ? a.collection.floorPrice : 0) ||
-                        (typeof a.floorPrice === 'number' ? a.floorPrice : 0) ||
-                        0;
-                        
-          const valueB = b.collection?.floorPrice?.valueUsd || 
-                        b.floorPrice?.valueUsd ||
-                        b.collection?.floorPrice?.value || 
-                        b.floorPrice?.value || 
-                        (b.contractMetadata?.openSea?.floorPrice || 0) ||
-                        (b.contract?.openSeaMetadata?.floorPrice || 0) ||
-                        (typeof b.collection?.floorPrice === 'number' ? b.collection.floorPrice : 0) ||
-                        (typeof b.floorPrice === 'number' ? b.floorPrice : 0) ||
-                        0;
-          
-          // Convert to numbers to ensure proper comparison
-          const numA = parseFloat(valueA) || 0;
-          const numB = parseFloat(valueB) || 0;
-          
-          const result = sortOrder === 'asc' 
-            ? numA - numB 
-            : numB - numA;
-            
-          return result;
-        });
-        
-      case 'recent':
-        return nftsCopy.sort((a, b) => {
-          const timeA = a.transferTimestamp || 
-                       a.lastActivityTimestamp || 
-                       a.acquiredAt || 
-                       a.lastTransferTimestamp || 
-                       a.mintedAt ||
-                       a.timeLastUpdated ||
-                       a.createdAt;
-                       
-          const timeB = b.transferTimestamp || 
-                       b.lastActivityTimestamp || 
-                       b.acquiredAt || 
-                       b.lastTransferTimestamp || 
-                       b.mintedAt ||
-                       b.timeLastUpdated ||
-                       b.createdAt;
-          
-          // If both have timestamps, compare them as dates
-          if (timeA && timeB) {
-            try {
-              const dateA = new Date(timeA);
-              const dateB = new Date(timeB);
-              return sortOrder === 'asc' ? dateA - dateB : dateB - dateA;
-            } catch (e) {
-              console.warn('Error comparing dates:', e);
-            }
-          }
-          
-          // If one has timestamp and other doesn't, prioritize the one with timestamp
-          if (timeA && !timeB) return sortOrder === 'asc' ? -1 : 1;
-          if (!timeA && timeB) return sortOrder === 'asc' ? 1 : -1;
-          
-          // If neither has a timestamp, fall back to token ID
-          const idA = parseInt(a.tokenId || a.token_id || '0') || 0;
-          const idB = parseInt(b.tokenId || b.token_id || '0') || 0;
-          
-          return sortOrder === 'asc' ? idA - idB : idB - idA;
-        });
-        
-      case 'collection':
-      default:
-        return nftsCopy.sort((a, b) => {
-          const collA = (a.collection?.name || 
-                       a.collectionName || 
-                       a.contract?.name || 
-                       a.contractMetadata?.name ||
-                       '').toLowerCase();
-                       
-          const collB = (b.collection?.name || 
-                       b.collectionName || 
-                       b.contract?.name || 
-                       b.contractMetadata?.name ||
-                       '').toLowerCase();
-          
-          // Helper function to determine if a character is a letter
-          const isLetter = (char) => /[a-z]/i.test(char);
-          
-          // Helper function to determine if collection starts with letter
-          const startsWithLetter = (str) => str.length > 0 && isLetter(str[0]);
-          
-          // Empty collections (with '') should be sorted last
-          if (collA === '' && collB !== '') {
-            return sortOrder === 'asc' ? 1 : -1;
-          }
-          if (collA !== '' && collB === '') {
-            return sortOrder === 'asc' ? -1 : 1;
-          }
-          
-          // If same collection, sort by token ID
-          if (collA === collB) {
-            const idA = parseInt(a.tokenId || a.token_id || '0') || 0;
-            const idB = parseInt(b.tokenId || b.token_id || '0') || 0;
-            
-            return sortOrder === 'asc' ? idA - idB : idB - idA;
-          }
-          
-          // If one starts with letter and other doesn't, letter comes first
-          if (startsWithLetter(collA) && !startsWithLetter(collB)) {
-            return sortOrder === 'asc' ? -1 : 1;
-          }
-          if (!startsWithLetter(collA) && startsWithLetter(collB)) {
-            return sortOrder === 'asc' ? 1 : -1;
-          }
-          
-          // Normal comparison
-          const result = sortOrder === 'asc' 
-            ? collA.localeCompare(collB, undefined, { numeric: true }) 
-            : collB.localeCompare(collA, undefined, { numeric: true });
-            
-          return result;
-        });
-    }
-  }, [userNfts, sortBy, sortOrder]);
-
-  // Function to filter NFTs by search term
-  const filterNftsBySearch = useCallback((nfts) => {
-    if (!searchQuery.trim()) return nfts;
-    
-    const searchTerm = searchQuery.toLowerCase();
-    return nfts.filter(nft => {
-      const name = (nft.name || nft.title || `#${nft.tokenId || '0'}`).toLowerCase();
-      const collection = ((nft.collection && nft.collection.name) || 
-                          (nft.collectionName) || 
-                          (nft.contract && nft.contract.name) || '').toLowerCase();
-      
-      return name.includes(searchTerm) || collection.includes(searchTerm);
-    });
-  }, [searchQuery]);
-
-  // Filter NFTs by wallet if a specific wallet is selected
-  const filterNftsByWallet = useCallback((nfts) => {
-    if (!selectedWallet || selectedWallet === 'all') {
-      return nfts;
-    }
-    
-    return nfts.filter(nft => {
-      const ownerWallet = (nft.ownerWallet || nft.ownerAddress || '').toLowerCase();
-      return ownerWallet === selectedWallet.toLowerCase();
-    });
-  }, [selectedWallet]);
-
-  // Apply filter to sorted NFTs
-  const filteredAndSortedNfts = useCallback(() => {
-    console.log('filteredAndSortedNfts called, userNfts length:', userNfts.length);
-    
-    try {
-      const sorted = sortedNfts();
-      const walletFiltered = filterNftsByWallet(sorted);
-      const result = filterNftsBySearch(walletFiltered);
-      
-      if (!result || !Array.isArray(result)) {
-        console.warn('filteredAndSortedNfts returned non-array result:', result);
-        return [];
-      }
-      
-      return result;
-    } catch (error) {
-      console.error('Error in filteredAndSortedNfts:', error);
-      return [];
-    }
-  }, [filterNftsBySearch, filterNftsByWallet, sortedNfts, userNfts.length]);
+  // Hand the loaded NFTs to the filter pipeline in nftFiltersSlice
+  useEffect(() => {
+    dispatch(setNftList(userNfts));
+  }, [dispatch, userNfts]);
 
   // Effect for initial search if username is provided
   useEffect(() => {
@@ -561,10 +329,16 @@ const FarcasterUserSearch = ({ initialUsername, onNFTsDisplayChange }) => {
               )}
             </div>
             
+            {userNfts.length > 0 && <ChainFilter />}
+            {userNfts.length > 0 && <CollectionFilterPanel />}
+            {userNfts.length > 0 && <TraitFilterPanel />}
+            
             <div className="nft-section nft-display">
               <VirtualizedNFTGrid 
-                nfts={filteredAndSortedNfts()} 
+                nfts={filteredNfts} 
                 isLoading={isSearching} 
+                onShowOnlyCollection={(key) => dispatch(showOnlyCollection(key))}
+                onHideCollection={(key) => dispatch(hideCollection(key))}
               />
             </div>
           </div>
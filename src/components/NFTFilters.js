@@ -1,54 +1,40 @@
 import React from 'react';
-import { useNFT } from '../contexts/NFTContext';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  setSearchTerm,
+  setSortOption,
+  setSortDirection,
+  setSelectedWallet,
+  clearFilters,
+  selectSearchTerm,
+  selectSortOption,
+  selectSelectedWallet
+} from '../redux/nftFiltersSlice';
+import ChainFilter from './ChainFilter';
 import '../styles/nft-unified.css';
 
+/**
+ * NFT Filters Component
+ * Sort, chain, wallet and search controls for a gallery, stored in the
+ * nftFilters Redux slice
+ */
 const NFTFilters = ({ wallets = [] }) => {
-  const {
-    selectedChains,
-    selectedWallets,
-    searchQuery,
-    sortBy,
-    sortOrder,
-    setSelectedChains,
-    setSelectedWallets,
-    setSearchQuery,
-    setSortBy,
-    setSortOrder,
-    resetFilters
-  } = useNFT();
-
-  const handleChainChange = (chain) => {
-    if (chain === 'all') {
-      setSelectedChains(['all']);
-    } else {
-      setSelectedChains(prev => {
-        const newChains = prev.filter(c => c !== 'all');
-        if (newChains.includes(chain)) {
-          return newChains.filter(c => c !== chain);
-        }
-        return [...newChains, chain];
-      });
-    }
-  };
+  const dispatch = useDispatch();
+  const searchTerm = useSelector(selectSearchTerm);
+  const sortBy = useSelector(selectSortOption);
+  const selectedWallet = useSelector(selectSelectedWallet);
 
   const handleWalletChange = (wallet) => {
-    setSelectedWallets(prev => {
-      if (prev.includes(wallet)) {
-        return prev.filter(w => w !== wallet);
-      }
-      return [...prev, wallet];
-    });
+    // Clicking the active wallet goes back to showing every wallet
+    dispatch(setSelectedWallet(selectedWallet === wallet ? 'all' : wallet));
   };
 
   const handleSortChange = (sort) => {
-    // When 'value' is selected, we'll sort NFTs by their estimated value in USD
-    // This works with the getSortedNFTs function in NFTContext.js
-    console.log(`Setting sort to: ${sort}`); // Add logging to confirm sort is changing
-    setSortBy(sort);
-    
+    dispatch(setSortOption(sort));
+
     // For value sorting, ensure we're sorting in descending order (highest first)
     if (sort === 'value') {
-      setSortOrder('desc');
+      dispatch(setSortDirection('desc'));
     }
   };
 
@@ -80,36 +66,17 @@ const NFTFilters = ({ wallets = [] }) => {
 
       <div className="filter-section">
         <h3>Chains</h3>
-        <div className="chain-filters">
-          <button
-            className={`chain-filter ${selectedChains.includes('all') ? 'active' : ''}`}
-            onClick={() => handleChainChange('all')}
-          >
-            All
-          </button>
-          <button
-            className={`chain-filter ${selectedChains.includes('eth') ? 'active' : ''}`}
-            onClick={() => handleChainChange('eth')}
-          >
-            Ethereum
-          </button>
-          <button
-            className={`chain-filter ${selectedChains.includes('base') ? 'active' : ''}`}
-            onClick={() => handleChainChange('base')}
-          >
-            Base
-          </button>
-        </div>
+        <ChainFilter />
       </div>
 
-      {wallets.length > 0 && (
+      {wallets.length > 1 && (
         <div className="filter-section">
           <h3>Wallets</h3>
           <div className="wallet-filters">
             {wallets.map(wallet => (
               <button
                 key={wallet}
-                className={`wallet-filter ${selectedWallets.includes(wallet) ? 'active' : ''}`}
+                className={`wallet-filter ${selectedWallet === wallet ? 'active' : ''}`}
                 onClick={() => handleWalletChange(wallet)}
               >
                 {wallet.slice(0, 6)}...{wallet.slice(-4)}
@@ -124,17 +91,17 @@ const NFTFilters = ({ wallets = [] }) => {
         <input
           type="text"
           placeholder="Search NFTs and collections..."
-          value={searchQuery}
-          onChange={(e) => setSearchQuery(e.target.value)}
+          value={searchTerm}
+          onChange={(e) => dispatch(setSearchTerm(e.target.value))}
           className="search-input"
         />
       </div>
 
-      <button className="reset-filters" onClick={resetFilters}>
+      <button className="reset-filters" onClick={() => dispatch(clearFilters())}>
         Reset Filters
       </button>
     </div>
   );
 };
 
-export default NFTFilters; 
\ No newline at end of file
+export default NFTFilters;
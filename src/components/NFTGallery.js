@@ -1,6 +1,15 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
 import { useNFT } from '../contexts/NFTContext';
+import {
+  setNftList,
+  setSelectedWallet,
+  selectSelectedWallet,
+  selectSearchTerm,
+  selectFilteredNfts
+} from '../redux/nftFiltersSlice';
 import NFTCard from './NftCard';
+import NFTFilters from './NFTFilters';
 import { FixedSizeGrid } from 'react-window';
 import AutoSizer from 'react-virtualized-auto-sizer';
 import '../styles/nft-unified.css';
@@ -10,25 +19,29 @@ import '../styles/nft-unified.css';
  * 
  * Displays NFTs in a clean grid layout with:
  * - Wallet input for fetching NFTs
- * - Simple search functionality
+ * - Sort, chain, wallet and search filters (nftFilters Redux slice)
  * - Loading and error states
  * - Virtualized grid layout for performance
  */
 const NFTGallery = () => {
-  const { nfts, isLoading, error, searchQuery, setSearchQuery, fetchNFTs } = useNFT();
+  const { nfts, isLoading, error, fetchNFTs } = useNFT();
+  const dispatch = useDispatch();
+  const searchTerm = useSelector(selectSearchTerm);
+  const selectedWallet = useSelector(selectSelectedWallet);
+  const filteredNfts = useSelector(selectFilteredNfts);
   const [walletInput, setWalletInput] = useState('');
   const [walletAddresses, setWalletAddresses] = useState([]);
   
+  // Filter and sort the fetched NFTs through the nftFilters slice
+  useEffect(() => {
+    dispatch(setNftList(nfts));
+  }, [dispatch, nfts]);
+  
   // Handle wallet input change
   const handleWalletInputChange = (e) => {
     setWalletInput(e.target.value);
   };
   
-  // Handle search input change
-  const handleSearchChange = (e) => {
-    setSearchQuery(e.target.value);
-  };
-  
   // Add a wallet address
   const addWalletAddress = () => {
     if (!walletInput || walletInput.trim() === '') return;
@@ -56,6 +69,10 @@ const NFTGallery = () => {
     const newAddresses = walletAddresses.filter(addr => addr !== addressToRemove);
     setWalletAddresses(newAddresses);
     
+    if (selectedWallet === addressToRemove) {
+      dispatch(setSelectedWallet('all'));
+    }
+    
     if (newAddresses.length > 0) {
       fetchNFTs(newAddresses);
     } else {
@@ -85,7 +102,7 @@ const NFTGallery = () => {
         ...style,
         padding: '10px',
       }}>
-        <NFTCard key={`nft-${index}-${nft.tokenId || nft.token_id || index}`} nft={nft} />
+        <NFTCard key={`nft-${index}-${nft.tokenId || nft.token_id || index}`} nft={nft} imageSize={data.imageSize} />
       </div>
     );
   }, []);
@@ -125,15 +142,7 @@ const NFTGallery = () => {
       )}
       
       {walletAddresses.length > 0 && (
-        <div className="search-section">
-          <input
-            type="text"
-            value={searchQuery}
-            onChange={handleSearchChange}
-            placeholder="Search NFTs by name or collection..."
-            className="search-input"
-          />
-        </div>
+        <NFTFilters wallets={walletAddresses} />
       )}
       
       {error && (
@@ -169,10 +178,14 @@ const NFTGallery = () => {
           <div className="loading-spinner"></div>
           <p style={{ marginTop: '15px', color: '#666' }}>Loading NFTs...</p>
         </div>
-      ) : nfts.length > 0 ? (
+      ) : filteredNfts.length > 0 ? (
         <>
           <div className="nft-count">
-            <p>{nfts.length} NFTs found</p>
+            <p>
+              {filteredNfts.length === nfts.length
+                ? `${nfts.length} NFTs found`
+                : `Showing ${filteredNfts.length} of ${nfts.length} NFTs`}
+            </p>
           </div>
           
           <div className="virtualized-grid-container">
@@ -182,7 +195,7 @@ const NFTGallery = () => {
                 // Minimum card width is 250px with 20px gap
                 const columnWidth = 270;
                 const columnCount = Math.max(1, Math.floor(width / columnWidth));
-                const rowCount = Math.ceil(nfts.length / columnCount);
+                const rowCount = Math.ceil(filteredNfts.length / columnCount);
                 
                 return (
                   <FixedSizeGrid
@@ -193,7 +206,11 @@ const NFTGallery = () => {
                     rowCount={rowCount}
                     rowHeight={420} // Increased from 320px to 420px to prevent card overlap
                     width={width}
-                    itemData={{ nfts, columnCount }}
+                    itemData={{
+                      nfts: filteredNfts,
+                      columnCount,
+                      imageSize: Math.floor(width / columnCount) - 20 // minus cell padding
+                    }}
                   >
                     {Cell}
                   </FixedSizeGrid>
@@ -204,8 +221,8 @@ const NFTGallery = () => {
         </>
       ) : walletAddresses.length > 0 ? (
         <div className="nft-empty">
-          <p>No NFTs found for the selected wallets</p>
-          {searchQuery && <p>Try adjusting your search or adding more wallets</p>}
+          <p>{nfts.length > 0 ? 'No NFTs match the current filters' : 'No NFTs found for the selected wallets'}</p>
+          {(searchTerm || nfts.length > 0) && <p>Try adjusting your search or adding more wallets</p>}
         </div>
       ) : (
         <div className="nft-empty">
@@ -1,5 +1,6 @@
 import React from 'react';
-import { useNFT } from '../contexts/NFTContext';
+import { useDispatch, useSelector } from 'react-redux';
+import { setSearchTerm, selectSearchTerm } from '../redux/nftFiltersSlice';
 import '../styles/FarcasterUserSearch.css';
 
 /**
@@ -7,7 +8,9 @@ import '../styles/FarcasterUserSearch.css';
  * Provides UI for searching NFTs by name or collection
  */
 const NFTSearchBar = () => {
-  const { searchQuery, setSearchQuery } = useNFT();
+  const dispatch = useDispatch();
+  const searchQuery = useSelector(selectSearchTerm);
+  const setSearchQuery = (value) => dispatch(setSearchTerm(value));
 
   return (
     <div className="nft-search-bar">
@@ -1,6 +1,13 @@
 import React from 'react';
 import { useDispatch, useSelector } from 'react-redux';
-import { setSortOption, setSortDirection, setSelectedWallet } from '../redux/nftFiltersSlice';
+import {
+  setSortOption,
+  setSortDirection,
+  setSelectedWallet,
+  selectSortOption,
+  selectSortDirection,
+  selectSelectedWallet
+} from '../redux/nftFiltersSlice';
 import '../styles/FarcasterUserSearch.css';
 
 /**
@@ -11,11 +18,9 @@ const NFTSortControls = ({ walletAddresses = [] }) => {
   const dispatch = useDispatch();
   
   // Get sort and filter state from Redux
-  const { sortOption, sortDirection, selectedWallet } = useSelector(state => ({
-    sortOption: state.nftFilters?.sortOption || 'collection',
-    sortDirection: state.nftFilters?.sortDirection || 'asc',
-    selectedWallet: state.nftFilters?.selectedWallet || 'all'
-  }));
+  const sortOption = useSelector(selectSortOption);
+  const sortDirection = useSelector(selectSortDirection);
+  const selectedWallet = useSelector(selectSelectedWallet);
   
   // Use sortBy and sortOrder as aliases for easier readability
   const sortBy = sortOption;
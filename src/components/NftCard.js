@@ -3,16 +3,19 @@ import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { useProfile } from '@farcaster/auth-kit';
 import CollectionFriendsModal from './CollectionFriendsModal';
-import { getProxiedUrl, getReliableIpfsUrl, getBestImageUrl } from '../services/proxyService';
+import { getProxiedUrl, getReliableIpfsUrl, getBestImageUrl, getThumbnailOptions, resolveMediaUrl } from '../services/proxyService';
 import '../styles/nft-unified.css';
 import { formatAddress, shortenAddress } from '../utils/formatters';
 import { FaExternalLinkAlt, FaPlay } from 'react-icons/fa';
 import alchemyService from '../services/alchemyService';
-import { SUPPORTED_CHAINS } from '../services/alchemyService';
+import { normalizeChain } from '../chains';
+import { getContractVerification, getCollectionStats } from '../services/explorerService';
+import { getNftDetailPath, getCollectionKey } from '../utils/nftUtils';
 
 /**
  * Find the best image URL from NFT metadata
- * Handles multiple potential locations based on marketplace and standard
+ * Handles multiple potential locations based on marketplace and standard,
+ * including fully on-chain NFTs (SVG markup, data: URIs and data:application/json token URIs)
  */
 const findBestImageUrl = (nft) => {
   if (!nft) {
@@ -26,6 +29,8 @@ const findBestImageUrl = (nft) => {
       if (nft.image.cachedUrl) return nft.image.cachedUrl;
       if (nft.image.pngUrl) return nft.image.pngUrl;
       if (nft.image.thumbnailUrl) return nft.image.thumbnailUrl;
+      // On-chain images are only available as the original data: URI
+      if (nft.image.originalUrl?.startsWith('data:')) return resolveMediaUrl(nft.image.originalUrl);
     }
     
     if (nft.imageUrl && typeof nft.imageUrl === 'object') {
@@ -40,8 +45,9 @@ const findBestImageUrl = (nft) => {
       typeof nft.image === 'string' ? nft.image : null,
       // Metadata image
       nft.metadata?.image,
-      // OpenSea style media
+      // OpenSea style media, image_data is raw SVG markup
       nft.metadata?.image_url,
+      nft.metadata?.image_data,
       // Animation URL (sometimes contains image)
       nft.metadata?.animation_url,
       // Alchemy specific paths
@@ -56,25 +62,29 @@ const findBestImageUrl = (nft) => {
       // Raw metadata paths (deeper traversal)
       nft.rawMetadata?.image,
       nft.rawMetadata?.image_url,
+      nft.rawMetadata?.image_data,
+      nft.raw?.metadata?.image,
+      nft.raw?.metadata?.image_data,
       // Nested media in rawMetadata
       nft.rawMetadata?.media?.[0]?.gateway,
       nft.rawMetadata?.media?.[0]?.raw,
-      // Token URI as last resort
+      // Token URI as last resort, on-chain ones are data:application/json metadata
       nft.tokenUri?.gateway,
       nft.tokenUri?.raw,
+      typeof nft.tokenUri === 'string' ? nft.tokenUri : null,
+      nft.raw?.tokenUri,
       // Deeper structure for OpenSea items
       nft.content?.imageUrl,
       nft.content?.contentUrl,
       nft.content?.links?.image
     ];
     
-    // Find first non-empty string URL
-    const imageUrl = possibleSources.find(source => 
-      typeof source === 'string' && source.trim() !== ''
-    );
-    
-    if (imageUrl) {
-      return imageUrl; // Don't apply IPFS conversion here, that's done in getBestImageUrl
+    // Find first source that resolves to media (metadata without an image resolves to '')
+    for (const source of possibleSources) {
+      const imageUrl = resolveMediaUrl(source);
+      if (imageUrl) {
+        return imageUrl; // Don't apply IPFS conversion here, that's done in getBestImageUrl
+      }
     }
     
     // If no URL string was found directly, but we have an image object with nested URLs
@@ -84,9 +94,9 @@ const findBestImageUrl = (nft) => {
         if (
           typeof nft.image[key] === 'string' && 
           nft.image[key].trim() !== '' &&
-          (nft.image[key].startsWith('http') || nft.image[key].startsWith('data:') || nft.image[key].startsWith('ipfs://'))
+          (nft.image[key].startsWith('http') || nft.image[key].startsWith('data:') || nft.image[key].startsWith('ipfs://') || nft.image[key].startsWith('ar://'))
         ) {
-          return nft.image[key];
+          return resolveMediaUrl(nft.image[key]);
         }
       }
     }
@@ -100,7 +110,7 @@ const findBestImageUrl = (nft) => {
           value.startsWith('data:image/') && 
           value.length > 100
         ) {
-          return value;
+          return resolveMediaUrl(value);
         }
       }
     }
@@ -118,8 +128,12 @@ const findBestImageUrl = (nft) => {
  * Displays an NFT with image, name, collection name, and optional price
  * Supports various media types (image, video, audio)
  * Includes collection friends button for Farcaster users
+ * Pass imageSize (rendered width in px) in grids to load a resized thumbnail
+ * instead of the full-resolution original
+ * Pass onShowOnlyCollection and onHideCollection to offer "Only" and "Hide"
+ * quick actions for the card's collection; both are called with its collection key
  */
-const NFTCard = ({ nft, onSelect, selected, showFriends, style }) => {
+const NFTCard = ({ nft, onSelect, selected, showFriends, style, imageSize, onShowOnlyCollection, onHideCollection }) => {
   const { isAuthenticated, profile } = useAuth();
   const [imageUrl, setImageUrl] = useState('');
   const [showFriendsModal, setShowFriendsModal] = useState(false);
@@ -128,6 +142,63 @@ const NFTCard = ({ nft, onSelect, selected, showFriends, style }) => {
   const [isSvg, setIsSvg] = useState(false);
   const [videoType, setVideoType] = useState(null);
   const [hasMedia, setHasMedia] = useState(false);
+  const [contractInfo, setContractInfo] = useState(null);
+  const [collectionStats, setCollectionStats] = useState(null);
+  
+  // Contract, chain and floor price are read before the null check below, so
+  // the enrichment effect runs on every render and hooks keep their order
+  const contractAddress = nft?.contract?.address || '';
+  
+  // Determine the blockchain network from multiple possible sources
+  // Look for any properties that might indicate what chain/network the NFT is on
+  const chainId = nft?.chainId || nft?.contract?.chainId || nft?.chain;
+  const detectedNetwork = nft?.contract?.chain || nft?.network || chainId;
+  
+  // Canonical chain id from the registry, defaulting to Ethereum
+  const network = normalizeChain(detectedNetwork);
+  
+  // Get floor price if available
+  let floorPrice = null;
+  try {
+    if (nft?.floorPrice?.formatted) {
+      floorPrice = nft.floorPrice.formatted;
+    } else if (nft?.floor_price) {
+      floorPrice = nft.floor_price;
+    } else if (nft?.collection?.floorPrice?.value || nft?.floorPrice?.value) {
+      floorPrice = nft?.collection?.floorPrice?.value || nft?.floorPrice?.value;
+    } else if (nft?.floorPrice && typeof nft.floorPrice === 'number') {
+      floorPrice = nft.floorPrice;
+    }
+  } catch (error) {
+    // Silent error handling
+  }
+  
+  // Only ask OpenSea when the NFT data has no floor of its own
+  const needsCollectionStats = !floorPrice;
+  if (needsCollectionStats && collectionStats?.floorPrice?.value) {
+    floorPrice = collectionStats.floorPrice.value;
+  }
+  
+  // Enrich the card with contract verification and marketplace stats.
+  // Lookups are shared per contract and queued under the explorer rate limits;
+  // aborting drops a lookup that no mounted card is waiting for any more.
+  useEffect(() => {
+    if (!contractAddress) return;
+    const controller = new AbortController();
+    const { signal } = controller;
+    
+    getContractVerification(contractAddress, network, { signal }).then(info => {
+      if (!signal.aborted && info) setContractInfo(info);
+    });
+    
+    if (needsCollectionStats) {
+      getCollectionStats(contractAddress, network, { signal }).then(stats => {
+        if (!signal.aborted && stats) setCollectionStats(stats);
+      });
+    }
+    
+    return () => controller.abort();
+  }, [contractAddress, network, needsCollectionStats]);
   
   // Handle null or invalid NFT data
   if (!nft) {
@@ -141,22 +212,9 @@ const NFTCard = ({ nft, onSelect, selected, showFriends, style }) => {
   // Extract NFT details
   const name = nft?.title || nft?.name || nft?.tokenId && `#${nft.tokenId}` || 'Unnamed NFT';
   const collection = nft?.collectionName || nft?.collection?.name || nft?.contract?.name || '';
-  // Don't extract floorPrice here as it's handled below
-  const contractAddress = nft?.contract?.address || '';
   const tokenId = nft?.tokenId || nft?.token_id;
-  
-  // Determine the blockchain network from multiple possible sources
-  // Look for any properties that might indicate what chain/network the NFT is on
-  const chainId = nft?.chainId || nft?.contract?.chainId || nft?.chain;
-  let detectedNetwork = nft?.contract?.chain || nft?.network;
-  
-  // If we have a chainId but no explicit network name, try to map it
-  if (!detectedNetwork && chainId) {
-    detectedNetwork = getNetworkFromChainId(chainId);
-  }
-  
-  // Default to Ethereum if we couldn't determine the network
-  const network = detectedNetwork || 'eth';
+  const detailPath = getNftDetailPath(nft);
+  const collectionKey = getCollectionKey(nft);
   
   // Debug logging for network information
   console.log('NFTCard - Network information:', {
@@ -169,22 +227,6 @@ const NFTCard = ({ nft, onSelect, selected, showFriends, style }) => {
     fullContract: nft?.contract || 'No contract data'
   });
   
-  // Get floor price if available
-  let floorPrice = null;
-  try {
-    if (nft?.floorPrice?.formatted) {
-      floorPrice = nft.floorPrice.formatted;
-    } else if (nft?.floor_price) {
-      floorPrice = nft.floor_price;
-    } else if (nft?.collection?.floorPrice?.value || nft?.floorPrice?.value) {
-      floorPrice = nft?.collection?.floorPrice?.value || nft?.floorPrice?.value;
-    } else if (nft?.floorPrice && typeof nft.floorPrice === 'number') {
-      floorPrice = nft.floorPrice;
-    }
-  } catch (error) {
-    // Silent error handling
-  }
-  
   // Set image URL and media type when NFT changes
   useEffect(() => {
     let isMounted = true;
@@ -208,8 +250,10 @@ const NFTCard = ({ nft, onSelect, selected, showFriends, style }) => {
           return;
         }
 
-        // Apply proxy to the URL if needed
-        const finalUrl = getBestImageUrl(bestUrl);
+        // Apply proxy to the URL if needed, requesting a grid-sized variant
+        // for images (videos and audio are never resized)
+        const isVideoOrAudio = /\.(mp4|webm|mov|mp3|wav|ogg)($|\?)/i.test(bestUrl) || bestUrl.includes('video/') || bestUrl.includes('audio/');
+        const finalUrl = getBestImageUrl(bestUrl, isVideoOrAudio ? null : getThumbnailOptions(imageSize));
         console.log('NFTCard - Final proxied URL:', finalUrl);
         
         // Set URL in state
@@ -246,7 +290,7 @@ const NFTCard = ({ nft, onSelect, selected, showFriends, style }) => {
     return () => {
       isMounted = false;
     };
-  }, [nft]); // Only depend on the NFT changing, not imageUrl or mediaType
+  }, [nft, imageSize]); // Only depend on the NFT and display size, not imageUrl or mediaType
 
   // Video/audio specific event handlers
   const handleMediaLoadedData = useCallback(() => {
@@ -495,7 +539,15 @@ const NFTCard = ({ nft, onSelect, selected, showFriends, style }) => {
             color: '#333',
             padding: '2px 0'
           }} title={name}>
-            {name || "Unnamed NFT"}
+            {detailPath ? (
+              <Link
+                to={detailPath}
+                onClick={(e) => e.stopPropagation()}
+                style={{ color: 'inherit', textDecoration: 'none' }}
+              >
+                {name || "Unnamed NFT"}
+              </Link>
+            ) : (name || "Unnamed NFT")}
           </h3>
         </div>
         
@@ -518,6 +570,52 @@ const NFTCard = ({ nft, onSelect, selected, showFriends, style }) => {
             }} title={collection}>
               {collection}
             </p>
+            {contractInfo?.verified && (
+              <a
+                className="nft-verified-badge"
+                href={contractInfo.verification.explorerUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                onClick={(e) => e.stopPropagation()}
+                title={`Verified on ${contractInfo.verification.explorer}`}
+                aria-label={`Contract verified on ${contractInfo.verification.explorer}`}
+                style={{
+                  marginLeft: '4px',
+                  fontSize: '12px',
+                  color: '#10b981',
+                  textDecoration: 'none',
+                  flexShrink: 0
+                }}
+              >
+                ✓
+              </a>
+            )}
+            {collectionKey && (onShowOnlyCollection || onHideCollection) && (
+              <span className="nft-card-collection-actions">
+                {onShowOnlyCollection && (
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onShowOnlyCollection(collectionKey);
+                    }}
+                    title={`Only show ${collection}`}
+                  >
+                    Only
+                  </button>
+                )}
+                {onHideCollection && (
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onHideCollection(collectionKey);
+                    }}
+                    title={`Hide ${collection}`}
+                  >
+                    Hide
+                  </button>
+                )}
+              </span>
+            )}
           </div>
         )}
         
@@ -588,43 +686,4 @@ const NFTCard = ({ nft, onSelect, selected, showFriends, style }) => {
   );
 };
 
-// Helper function to get network from chainId or other identifiers
-const getNetworkFromChainId = (chainId) => {
-  if (!chainId) return 'eth';
-  
-  // Convert numeric chainId to string
-  const chainIdStr = String(chainId).toLowerCase();
-  
-  // Map common chainIds to network names
-  const chainMap = {
-    '1': 'eth',
-    '137': 'polygon',
-    '10': 'optimism',
-    '42161': 'arbitrum',
-    '8453': 'base',
-    '7777777': 'zora'
-  };
-  
-  // Check if it's one of the numeric chain IDs
-  if (chainMap[chainIdStr]) {
-    return chainMap[chainIdStr];
-  }
-  
-  // If not numeric, check if it's already a valid network name
-  const validNetworks = ['eth', 'ethereum', 'polygon', 'matic', 'arbitrum', 'arb', 'optimism', 'opt', 'base', 'zora'];
-  if (validNetworks.includes(chainIdStr)) {
-    // Map to standardized network name
-    const networkMap = {
-      'ethereum': 'eth',
-      'matic': 'polygon',
-      'arb': 'arbitrum',
-      'opt': 'optimism'
-    };
-    return networkMap[chainIdStr] || chainIdStr;
-  }
-  
-  // Default to eth if nothing matched
-  return 'eth';
-};
-
 export default NFTCard; 
\ No newline at end of file
@@ -1,12 +1,15 @@
 import React from 'react';
-import { useNFT } from '../contexts/NFTContext';
+import { useDispatch, useSelector } from 'react-redux';
+import { setSortOption, selectSortOption } from '../redux/nftFiltersSlice';
 
 /**
  * SortControls component
  * Displays sort options for the NFT gallery
  */
 const SortControls = () => {
-  const { sortBy, setSortBy } = useNFT();
+  const dispatch = useDispatch();
+  const sortBy = useSelector(selectSortOption);
+  const setSortBy = (option) => dispatch(setSortOption(option));
 
   return (
     <div className="flex space-x-2">
@@ -21,9 +24,9 @@ const SortControls = () => {
         Recent
       </button>
       <button
-        onClick={() => setSortBy('a-z')}
+        onClick={() => setSortBy('name')}
         className={`px-3 py-1.5 text-sm font-medium rounded-md ${
-          sortBy === 'a-z'
+          sortBy === 'name'
             ? 'bg-purple-600 text-white'
             : 'bg-white text-gray-600 hover:bg-gray-100'
         }`}
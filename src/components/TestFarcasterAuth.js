@@ -1,17 +1,19 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import farcasterAuthService from '../services/farcasterAuthService';
+import { getSession } from '../services/authSession';
 import '../styles/TestFarcasterAuth.css';
 
 /**
  * Test component to inspect Farcaster auth data and profile picture issues
  */
 const TestFarcasterAuth = () => {
-  const { profile, token } = useAuth();
+  const { profile } = useAuth();
+  const [session, setSession] = useState(getSession);
   
   const handleRefreshToken = async () => {
     try {
-      await farcasterAuthService.refreshToken();
+      setSession(await farcasterAuthService.refreshToken());
       alert('Token refreshed successfully');
     } catch (error) {
       console.error('Error refreshing token:', error);
@@ -30,10 +32,13 @@ const TestFarcasterAuth = () => {
         <div className="token-info">
           <h4>Token</h4>
           <div className="token-content">
-            {token ? (
+            {session ? (
               <>
                 <p><strong>Status:</strong> Active</p>
-                <p><strong>Expires:</strong> {new Date(token.exp * 1000).toLocaleString()}</p>
+                <p><strong>Expires:</strong> {new Date(session.expiresAt).toLocaleString()}</p>
+                {session.sessionExpiresAt && (
+                  <p><strong>Session ends:</strong> {new Date(session.sessionExpiresAt).toLocaleString()}</p>
+                )}
                 <button onClick={handleRefreshToken}>Refresh Token</button>
               </>
             ) : (
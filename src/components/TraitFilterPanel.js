@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  setTraitFilters,
+  setTraitMatch,
+  selectTraitFacets,
+  selectTraitFilters,
+  selectTraitMatch
+} from '../redux/nftFiltersSlice';
+import '../styles/FarcasterUserSearch.css';
+
+// Values listed per trait before "Show all"
+const VISIBLE_VALUES = 8;
+
+/**
+ * Trait Filter Panel Component
+ * Lists the attribute types and values across the gallery with counts for the
+ * selected wallet, chains and collections, and stores the selected values in
+ * Redux (filters.traits)
+ */
+const TraitFilterPanel = () => {
+  const dispatch = useDispatch();
+  const facets = useSelector(selectTraitFacets);
+  const traits = useSelector(selectTraitFilters);
+  const traitMatch = useSelector(selectTraitMatch);
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [expandedTraits, setExpandedTraits] = useState({});
+  const [showAllValues, setShowAllValues] = useState({});
+
+  const selectedCount = Object.values(traits).reduce((total, values) => total + values.length, 0);
+
+  if (facets.length === 0 && selectedCount === 0) {
+    return null;
+  }
+
+  const toggleValue = (trait, value) => {
+    const current = traits[trait] || [];
+    const values = current.includes(value)
+      ? current.filter(selected => selected !== value)
+      : [...current, value];
+
+    const next = { ...traits };
+    if (values.length > 0) {
+      next[trait] = values;
+    } else {
+      delete next[trait];
+    }
+    dispatch(setTraitFilters(next));
+  };
+
+  const toggleTrait = (trait) => {
+    setExpandedTraits(prev => ({ ...prev, [trait]: !prev[trait] }));
+  };
+
+  return (
+    <div className="trait-filter-panel">
+      <div className="trait-filter-header">
+        <button
+          className={`sort-option ${isOpen || selectedCount > 0 ? 'active' : ''}`}
+          onClick={() => setIsOpen(!isOpen)}
+          aria-expanded={isOpen}
+        >
+          Traits{selectedCount > 0 ? ` (${selectedCount})` : ''}
+        </button>
+
+        {selectedCount > 0 && (
+          <>
+            <div className="trait-match-toggle" role="group" aria-label="Trait matching">
+              <button
+                className={`sort-option ${traitMatch === 'all' ? 'active' : ''}`}
+                onClick={() => dispatch(setTraitMatch('all'))}
+                aria-pressed={traitMatch === 'all'}
+                title="Show NFTs matching every selected trait"
+              >
+                Match all
+              </button>
+              <button
+                className={`sort-option ${traitMatch === 'any' ? 'active' : ''}`}
+                onClick={() => dispatch(setTraitMatch('any'))}
+                aria-pressed={traitMatch === 'any'}
+                title="Show NFTs matching any selected trait"
+              >
+                Match any
+              </button>
+            </div>
+            <button className="sort-option" onClick={() => dispatch(setTraitFilters({}))}>
+              Clear traits
+            </button>
+          </>
+        )}
+      </div>
+
+      {selectedCount > 0 && (
+        <div className="trait-filter-chips">
+          {Object.entries(traits).flatMap(([trait, values]) => values.map(value => (
+            <button
+              key={`${trait}:${value}`}
+              className="trait-filter-chip"
+              onClick={() => toggleValue(trait, value)}
+              aria-label={`Remove ${trait}: ${value}`}
+            >
+              {trait}: {value} &times;
+            </button>
+          )))}
+        </div>
+      )}
+
+      {isOpen && (
+        <div className="trait-filter-groups">
+          {facets.map(facet => {
+            const selected = traits[facet.trait] || [];
+            const expanded = expandedTraits[facet.trait] || selected.length > 0;
+            const values = showAllValues[facet.trait] ? facet.values : facet.values.slice(0, VISIBLE_VALUES);
+
+            return (
+              <div key={facet.trait} className="trait-filter-group">
+                <button
+                  className="trait-filter-group-title"
+                  onClick={() => toggleTrait(facet.trait)}
+                  aria-expanded={expanded}
+                >
+                  <span>{facet.trait}</span>
+                  <span className="trait-filter-count">{facet.count}</span>
+                </button>
+
+                {expanded && (
+                  <ul className="trait-filter-values">
+                    {values.map(({ value, count }) => (
+                      <li key={value}>
+                        <label>
+                          <input
+                            type="checkbox"
+                            checked={selected.includes(value)}
+                            onChange={() => toggleValue(facet.trait, value)}
+                          />
+                          <span className="trait-filter-value">{value}</span>
+                          <span className="trait-filter-count">{count}</span>
+                        </label>
+                      </li>
+                    ))}
+                    {facet.values.length > VISIBLE_VALUES && (
+                      <li>
+                        <button
+                          className="trait-filter-more"
+                          onClick={() => setShowAllValues(prev => ({ ...prev, [facet.trait]: !prev[facet.trait] }))}
+                        >
+                          {showAllValues[facet.trait] ? 'Show fewer' : `Show all ${facet.values.length}`}
+                        </button>
+                      </li>
+                    )}
+                  </ul>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TraitFilterPanel;
@@ -13,8 +13,10 @@ import '../styles/nft-unified.css';
  * @param {Array|Object} nfts - Array of NFT objects or object with count/sample properties 
  * @param {boolean} isLoading - Whether NFTs are currently being loaded
  * @param {string} emptyMessage - Message to display when no NFTs are found
+ * @param {Function} onShowOnlyCollection - Passed to each NFTCard for its "Only" collection action
+ * @param {Function} onHideCollection - Passed to each NFTCard for its "Hide" collection action
  */
-const VirtualizedNFTGrid = ({ nfts = [], isLoading = false, emptyMessage = "No NFTs found" }) => {
+const VirtualizedNFTGrid = ({ nfts = [], isLoading = false, emptyMessage = "No NFTs found", onShowOnlyCollection, onHideCollection }) => {
   // Add debug logging
   React.useEffect(() => {
     console.log('VirtualizedNFTGrid received nfts:', {
@@ -89,7 +91,13 @@ const VirtualizedNFTGrid = ({ nfts = [], isLoading = false, emptyMessage = "No N
         padding: '10px',
       }}>
         <div style={{ height: '100%' }}>
-          <NFTCard key={nftKey} nft={nft} />
+          <NFTCard
+            key={nftKey}
+            nft={nft}
+            imageSize={data.imageSize}
+            onShowOnlyCollection={data.onShowOnlyCollection}
+            onHideCollection={data.onHideCollection}
+          />
         </div>
       </div>
     );
@@ -145,7 +153,13 @@ const VirtualizedNFTGrid = ({ nfts = [], isLoading = false, emptyMessage = "No N
               rowCount={rowCount}
               rowHeight={420} // Increased height from 320px to 420px for NFT cards to prevent overlap
               width={width}
-              itemData={{ nfts: nftsArray, columnCount }}
+              itemData={{
+                nfts: nftsArray,
+                columnCount,
+                imageSize: Math.floor(width / columnCount) - 20, // minus cell padding
+                onShowOnlyCollection,
+                onHideCollection
+              }}
             >
               {Cell}
             </FixedSizeGrid>
@@ -2,6 +2,7 @@ import React, { createContext, useContext, useState, useEffect, useMemo } from '
 import { useProfile } from '@farcaster/auth-kit';
 import { isMiniAppEnvironment } from '../utils/miniAppUtils';
 import { usePrivy } from '@privy-io/react-auth';
+import { SESSION_EXPIRED_EVENT } from '../services/authSession';
 
 // Check if we're in a browser environment
 const isBrowser = typeof window !== 'undefined';
@@ -88,6 +89,15 @@ export const AuthProvider = ({ children }) => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   
+  // The API token could not be refreshed (signed out elsewhere or the session
+  // reached its maximum age), so protected requests need a new sign-in
+  useEffect(() => {
+    if (!isBrowser) return undefined;
+    const handleExpired = () => setError('Your session has expired, please sign in again');
+    window.addEventListener(SESSION_EXPIRED_EVENT, handleExpired);
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, handleExpired);
+  }, []);
+  
   // Let Privy handle the authentication, just provide loading state
   const value = {
     loading,
@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useState, useCallback } from 'react';
 import { fetchNftsForAddresses } from '../services/alchemyService';
+import { getNftChain } from '../utils/nftUtils';
 
 // Create context
 const NFTContext = createContext();
@@ -19,9 +20,6 @@ export const NFTProvider = ({ children }) => {
   const [nfts, setNfts] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [searchQuery, setSearchQuery] = useState('');
-  const [sortBy, setSortBy] = useState('collection'); // Default sort by collection
-  const [sortOrder, setSortOrder] = useState('asc'); // Default ascending order
   
   // Fetch NFTs for wallet addresses
   const fetchNFTs = useCallback(async (addresses) => {
@@ -50,7 +48,7 @@ export const NFTProvider = ({ children }) => {
         return;
       }
       
-      // Deduplicate NFTs (same contract/tokenId across different wallets)
+      // Deduplicate NFTs (same chain/contract/tokenId across different wallets)
       const uniqueNftsMap = new Map();
       
       result.nfts.forEach(nft => {
@@ -58,7 +56,7 @@ export const NFTProvider = ({ children }) => {
         const tokenId = nft.tokenId || nft.token_id;
         
         if (contractAddress && tokenId) {
-          const key = `${contractAddress.toLowerCase()}-${tokenId}`;
+          const key = `${getNftChain(nft)}:${contractAddress.toLowerCase()}-${tokenId}`;
           
           // Only keep the first instance of each NFT
           if (!uniqueNftsMap.has(key)) {
@@ -78,109 +76,20 @@ export const NFTProvider = ({ children }) => {
     }
   }, []);
   
-  // Filter NFTs based on search query
-  const getFilteredNFTs = useCallback(() => {
-    if (!nfts.length) return [];
-    if (!searchQuery) return nfts;
-    
-    const query = searchQuery.toLowerCase();
-    return nfts.filter(nft => {
-      // Get name
-      const name = nft.name || nft.title || `#${nft.tokenId || nft.token_id || ''}`;
-      
-      // Get collection name
-      let collection = '';
-      if (nft.collection?.name) {
-        collection = nft.collection.name;
-      } else if (nft.contract?.name) {
-        collection = nft.contract.name;
-      } else if (nft.contractMetadata?.name) {
-        collection = nft.contractMetadata.name;
-      }
-      
-      return (
-        name.toLowerCase().includes(query) ||
-        collection.toLowerCase().includes(query)
-      );
-    });
-  }, [nfts, searchQuery]);
-  
-  // Get sorted and filtered NFTs
-  const getSortedAndFilteredNFTs = useCallback(() => {
-    // First filter NFTs
-    const filteredNfts = getFilteredNFTs();
-    
-    // If no NFTs, return empty array
-    if (!filteredNfts.length) return [];
-    
-    // Clone the array to avoid mutating the original
-    const sortedNfts = [...filteredNfts];
-    
-    try {
-      // Sort based on sortBy and sortOrder
-      return sortedNfts.sort((a, b) => {
-        // Helper function to get safely get string values
-        const safeString = (value) => 
-          typeof value === 'string' ? value.toLowerCase() : '';
-          
-        // Helper function to safely get number values
-        const safeNumber = (value) => 
-          typeof value === 'number' ? value : 
-          typeof value === 'string' ? parseFloat(value) || 0 : 0;
-      
-        // Sort by name
-        if (sortBy === 'name') {
-          // Get names, with fallbacks
-          const nameA = safeString(a.name || a.title || `#${a.tokenId || a.token_id || ''}`);
-          const nameB = safeString(b.name || b.title || `#${b.tokenId || b.token_id || ''}`);
-          
-          const result = nameA.localeCompare(nameB, undefined, { numeric: true });
-          return sortOrder === 'asc' ? result : -result;
-        }
-        
-        // Sort by collection
-        if (sortBy === 'collection') {
-          // Get collections, with fallbacks
-          const collectionA = safeString(
-            a.collection?.name || a.contract?.name || a.contractMetadata?.name || ''
-          );
-          const collectionB = safeString(
-            b.collection?.name || b.contract?.name || b.contractMetadata?.name || ''
-          );
-          
-          const result = collectionA.localeCompare(collectionB, undefined, { numeric: true });
-          return sortOrder === 'asc' ? result : -result;
-        }
-        
-        // Default to no sorting (return original order)
-        return 0;
-      });
-    } catch (err) {
-      // If sorting fails, return unsorted
-      return filteredNfts;
-    }
-  }, [getFilteredNFTs, sortBy, sortOrder]);
-  
   // Clear all NFTs and reset state
   const clearNFTs = useCallback(() => {
     setNfts([]);
     setError(null);
-    setSearchQuery('');
   }, []);
   
-  // Context value
+  // Context value. Searching, filtering and sorting live in the Redux
+  // nftFilters slice: galleries pass these NFTs to it with setNftList
   const value = {
-    nfts: getSortedAndFilteredNFTs(),
+    nfts,
     isLoading,
     error,
-    searchQuery,
-    setSearchQuery,
     fetchNFTs,
-    clearNFTs,
-    sortBy,
-    setSortBy,
-    sortOrder,
-    setSortOrder
+    clearNFTs
   };
   
   return (
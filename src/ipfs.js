@@ -0,0 +1,64 @@
+/**
+ * IPFS URL parsing shared by the server and the client
+ *
+ * NFT metadata spells IPFS locations many ways. The image proxy and the
+ * client both reduce them to a CID and a path here, so they agree on what
+ * counts as IPFS.
+ */
+
+// CIDv0 is base58btc starting with Qm; CIDv1 is usually base32 (b...) or base36 (k...)
+const CID_PATTERN = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,}|k[0-9a-z]{50,})$/;
+
+const isCid = (value) => CID_PATTERN.test(value || '');
+
+/**
+ * Split "cid/some/path?query" into its CID and the rest
+ */
+const splitCidPath = (value) => {
+  const match = value.match(/^([^/?#]+)(.*)$/);
+  if (!match || !isCid(match[1])) return null;
+  return { cid: match[1], path: match[2] || '' };
+};
+
+/**
+ * Extract the CID and path from any common IPFS URL form:
+ *   ipfs://<cid>/path, ipfs://ipfs/<cid>/path, ipfs/<cid>, /ipfs/<cid>,
+ *   https://<gateway>/ipfs/<cid>/path, https://<cid>.ipfs.<gateway>/path, or a bare CID
+ * @param {string} url
+ * @returns {Object|null} - { cid, path }
+ */
+const parseIpfsUrl = (url) => {
+  if (!url || typeof url !== 'string') return null;
+  const value = url.trim();
+
+  if (value.startsWith('ipfs://')) {
+    return splitCidPath(value.substring(7).replace(/^ipfs\//, ''));
+  }
+
+  const pathMatch = value.match(/^(?:https?:\/\/[^/]+)?\/?ipfs\/(.+)$/i);
+  if (pathMatch) {
+    return splitCidPath(pathMatch[1]);
+  }
+
+  const subdomainMatch = value.match(/^https?:\/\/([^./]+)\.ipfs\.[^/]+(\/[^]*)?$/i);
+  if (subdomainMatch && isCid(subdomainMatch[1])) {
+    return { cid: subdomainMatch[1], path: subdomainMatch[2] || '' };
+  }
+
+  return splitCidPath(value);
+};
+
+/**
+ * Canonical ipfs://<cid>/path URI for any IPFS URL form, or null
+ */
+const toIpfsUri = (url) => {
+  const parsed = parseIpfsUrl(url);
+  return parsed ? `ipfs://${parsed.cid}${parsed.path}` : null;
+};
+
+module.exports = {
+  CID_PATTERN,
+  isCid,
+  parseIpfsUrl,
+  toIpfsUri
+};
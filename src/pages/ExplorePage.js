@@ -1,19 +1,218 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import apiService from '../services/apiService';
+import { getBestImageUrl } from '../services/proxyService';
+import { getEnabledChains } from '../chains';
+import { getNftDetailPath } from '../utils/nftUtils';
+import '../styles/ExplorePage.css';
+
+// Alchemy only reports when a wallet acquired its NFTs on these chains (see
+// TRANSFER_TIME_CHAINS in api/all-in-one.js), so "Recently acquired" needs one of them
+const RECENT_SORT_CHAINS = ['eth', 'polygon'];
+const RECENT_DAYS = 30;
+const HOLDER_AVATARS = 5;
+
+/**
+ * One trending collection: its holder counts, a preview grid and who holds it
+ */
+const TrendingCollectionCard = ({ collection, sort }) => {
+  const [showHolders, setShowHolders] = useState(false);
+  const title = collection.name || collection.symbol || collection.contractAddress;
+
+  return (
+    <li className="trending-collection">
+      <div className="trending-collection-header">
+        {collection.imageUrl && (
+          <img className="trending-collection-logo" src={getBestImageUrl(collection.imageUrl)} alt="" loading="lazy" />
+        )}
+        <div>
+          <h3>{title}</h3>
+          <p className="trending-collection-stats">
+            {collection.holderCount} {collection.holderCount === 1 ? 'holder' : 'holders'}
+            {sort === 'recent' && ` · ${collection.recentHolderCount} acquired in the last ${RECENT_DAYS} days`}
+            {collection.floorPrice != null && ` · Floor ${collection.floorPrice} ETH`}
+          </p>
+        </div>
+      </div>
+
+      {collection.preview.length > 0 && (
+        <div className="trending-collection-preview">
+          {collection.preview.map(nft => (
+            <Link key={nft.tokenId} to={getNftDetailPath(nft)} title={nft.name || `#${nft.tokenId}`}>
+              <img src={getBestImageUrl(nft.imageUrl)} alt={nft.name || `#${nft.tokenId}`} loading="lazy" />
+            </Link>
+          ))}
+        </div>
+      )}
+
+      <button
+        type="button"
+        className="trending-collection-holders-toggle"
+        onClick={() => setShowHolders(!showHolders)}
+        aria-expanded={showHolders}
+      >
+        <span className="trending-collection-avatars">
+          {collection.holders.slice(0, HOLDER_AVATARS).map(holder => (
+            holder.avatar
+              ? <img key={holder.fid} src={holder.avatar} alt="" />
+              : <span key={holder.fid} className="trending-collection-avatar-placeholder" />
+          ))}
+        </span>
+        {showHolders ? 'Hide holders' : 'Show holders'}
+      </button>
+
+      {showHolders && (
+        <ul className="trending-collection-holders">
+          {collection.holders.map(holder => (
+            <li key={holder.fid}>
+              <Link to={`/profile/${holder.username}`}>
+                {holder.avatar && <img src={holder.avatar} alt="" />}
+                <span>{holder.displayName}</span>
+                <span className="trending-collection-handle">@{holder.username}</span>
+              </Link>
+              <span className="trending-collection-count">
+                {holder.tokenCount} {holder.tokenCount === 1 ? 'token' : 'tokens'}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
 
 /**
- * Explore page component for discovering NFTs and collections
+ * Explore page: collections trending among Farcaster users
+ *
+ * "Your network" samples the people the signed-in user follows and
+ * "Farcaster-wide" samples active users across Farcaster. Collections are
+ * ranked by how many sampled users hold them, or by how many acquired one
+ * recently.
  */
 const ExplorePage = () => {
+  const { isAuthenticated, profile } = useAuth();
+  const chains = getEnabledChains();
+  const [scope, setScope] = useState('global');
+  const [sort, setSort] = useState('holders');
+  const [network, setNetwork] = useState(chains[0]?.id || 'eth');
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fid = profile?.fid;
+  const canSortByRecent = RECENT_SORT_CHAINS.includes(network);
+  const activeSort = canSortByRecent ? sort : 'holders';
+
+  useEffect(() => {
+    if (scope === 'following' && !fid) return;
+    let isMounted = true;
+
+    const fetchTrending = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const data = await apiService.getTrendingCollections({
+          scope,
+          fid: scope === 'following' ? fid : undefined,
+          sort: activeSort,
+          network,
+          days: RECENT_DAYS
+        });
+        if (isMounted) setResult(data);
+      } catch (err) {
+        if (isMounted) {
+          setResult(null);
+          setError(err.response?.data?.message || 'Failed to load trending collections');
+        }
+      } finally {
+        if (isMounted) setLoading(false);
+      }
+    };
+
+    fetchTrending();
+
+    return () => {
+      isMounted = false;
+    };
+  }, [scope, fid, activeSort, network]);
+
+  const renderContent = () => {
+    if (scope === 'following' && !isAuthenticated) {
+      return <p className="explore-message">Sign in with Farcaster to see what the people you follow are collecting.</p>;
+    }
+    if (loading) {
+      return <p className="explore-message">Looking through Farcaster wallets...</p>;
+    }
+    if (error) {
+      return <p className="explore-message error-message">{error}</p>;
+    }
+    if (!result || result.collections.length === 0) {
+      return <p className="explore-message">No collections found for this sample.</p>;
+    }
+
+    return (
+      <>
+        <p className="explore-sample">
+          Based on {result.sample.wallets} wallets of {result.sample.users} Farcaster users
+          {result.sample.failedWallets > 0 && ` (${result.sample.failedWallets} could not be loaded)`}
+          {result.sample.partial && '. Sampling stopped early, so this is a partial ranking.'}
+        </p>
+        <ul className="trending-collections">
+          {result.collections.map(collection => (
+            <TrendingCollectionCard key={collection.contractAddress} collection={collection} sort={activeSort} />
+          ))}
+        </ul>
+      </>
+    );
+  };
+
   return (
     <div className="explore-page">
       <h1>Explore NFTs</h1>
-      <p>Discover trending collections and NFTs from Farcaster users.</p>
-      
+      <p>Collections trending among Farcaster users.</p>
+
+      <div className="explore-controls">
+        <div className="explore-tabs">
+          <button
+            type="button"
+            className={`tab-button ${scope === 'following' ? 'active' : ''}`}
+            onClick={() => setScope('following')}
+          >
+            Your network
+          </button>
+          <button
+            type="button"
+            className={`tab-button ${scope === 'global' ? 'active' : ''}`}
+            onClick={() => setScope('global')}
+          >
+            Farcaster-wide
+          </button>
+        </div>
+
+        <div className="explore-filters">
+          <select value={network} onChange={(e) => setNetwork(e.target.value)} aria-label="Chain">
+            {chains.map(chain => (
+              <option key={chain.id} value={chain.id}>{chain.name}</option>
+            ))}
+          </select>
+          <select
+            value={activeSort}
+            onChange={(e) => setSort(e.target.value)}
+            aria-label="Sort"
+            title={canSortByRecent ? undefined : 'Acquisition dates are not available on this chain'}
+          >
+            <option value="holders">Most held</option>
+            <option value="recent" disabled={!canSortByRecent}>Recently acquired</option>
+          </select>
+        </div>
+      </div>
+
       <div className="explore-content">
-        <p>Content coming soon...</p>
+        {renderContent()}
       </div>
     </div>
   );
 };
 
-export default ExplorePage; 
\ No newline at end of file
+export default ExplorePage;
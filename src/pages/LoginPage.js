@@ -2,6 +2,7 @@ import React from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { SignInButton } from '@farcaster/auth-kit';
+import farcasterAuthService from '../services/farcasterAuthService';
 import '../styles/app.css';
 
 const LoginPage = () => {
@@ -15,6 +16,15 @@ const LoginPage = () => {
     }
   }, [isAuthenticated, navigate]);
   
+  // Exchange the signed message for an API token used by folder requests
+  const handleSuccess = async ({ message, signature, nonce }) => {
+    try {
+      await farcasterAuthService.login({ message, signature, nonce });
+    } catch (error) {
+      console.error('[AUTH] Could not get an API token:', error.response?.data?.error || error.message);
+    }
+  };
+  
   return (
     <div className="login-container">
       <h2>Sign In to GALL3RY</h2>
@@ -22,7 +32,7 @@ const LoginPage = () => {
       
       <div className="login-options">
         <div className="farcaster-auth-button">
-          <SignInButton />
+          <SignInButton onSuccess={handleSuccess} onSignOut={farcasterAuthService.signOut} />
         </div>
         
         <div className="separator">
@@ -1,79 +1,369 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import { useParams, Link } from 'react-router-dom';
+import alchemyService from '../services/alchemyService';
+import farcasterService from '../services/farcasterService';
+import { getBestImageUrl, resolveMediaUrl } from '../services/proxyService';
+import { getChain, isChainEnabled, getExplorerUrl } from '../chains';
+import { formatAddress, formatDate } from '../utils/formatters';
+import { getNftAttributes } from '../utils/nftUtils';
+import '../styles/NFTDetailPage.css';
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
 
 /**
- * NFT Detail page component for viewing a specific NFT
+ * Pick the media to show from an Alchemy v3 NFT: the animation when there is
+ * one (video, audio or an interactive page), with the image as its poster
+ */
+const getNftMedia = (nft) => {
+  const metadata = nft?.raw?.metadata || {};
+  const image = resolveMediaUrl(
+    nft?.image?.cachedUrl ||
+    nft?.image?.originalUrl ||
+    metadata.image ||
+    metadata.image_url ||
+    metadata.image_data
+  );
+  const animation = resolveMediaUrl(nft?.animation?.cachedUrl || nft?.animation?.originalUrl || metadata.animation_url);
+  const contentType = nft?.animation?.contentType || '';
+
+  let animationType = null;
+  if (animation) {
+    if (contentType.startsWith('video/') || /\.(mp4|webm|mov)($|\?)/i.test(animation)) {
+      animationType = 'video';
+    } else if (contentType.startsWith('audio/') || /\.(mp3|wav|ogg)($|\?)/i.test(animation)) {
+      animationType = 'audio';
+    } else {
+      animationType = 'page';
+    }
+  }
+
+  return {
+    imageUrl: image ? getBestImageUrl(image) : '',
+    animationUrl: animation && animationType !== 'page' ? getBestImageUrl(animation) : animation,
+    animationType
+  };
+};
+
+const formatTokenStandard = (tokenType) => {
+  if (!tokenType || tokenType === 'NOT_A_CONTRACT' || tokenType === 'UNKNOWN') return 'Unknown';
+  return tokenType.replace(/^ERC(\d+)$/i, 'ERC-$1');
+};
+
+const getTransferKind = (transfer) => {
+  if (transfer.from === ZERO_ADDRESS) return 'Mint';
+  if (transfer.to === ZERO_ADDRESS) return 'Burn';
+  return 'Transfer';
+};
+
+/**
+ * An address, shown as the Farcaster user behind it when there is one
+ */
+const Identity = ({ address, profiles, chainId }) => {
+  const profile = profiles[address?.toLowerCase()];
+  if (profile?.username) {
+    return (
+      <Link className="nft-detail-identity" to={`/profile/${profile.username}`} title={address}>
+        {profile.metadata?.imageUrl && (
+          <img src={profile.metadata.imageUrl} alt="" className="nft-detail-identity-avatar" />
+        )}
+        <span>@{profile.username}</span>
+      </Link>
+    );
+  }
+  if (address === ZERO_ADDRESS) {
+    return <span className="nft-detail-identity">Null address</span>;
+  }
+  const explorerUrl = getExplorerUrl(chainId, address);
+  return explorerUrl ? (
+    <a className="nft-detail-identity" href={explorerUrl} target="_blank" rel="noopener noreferrer" title={address}>
+      {formatAddress(address, 6, 4)}
+    </a>
+  ) : (
+    <span className="nft-detail-identity" title={address}>{formatAddress(address, 6, 4)}</span>
+  );
+};
+
+/**
+ * NFT Detail page, /nft/:chain/:contractAddress/:tokenId
+ *
+ * Shows the token's media, metadata and attributes, its current owner's
+ * Farcaster identity and its transfer history. The older
+ * /nft/:contractAddress/:tokenId route has no chain and means Ethereum.
  */
 const NFTDetailPage = () => {
-  const { contractAddress, tokenId } = useParams();
+  const { chain: chainParam, contractAddress, tokenId } = useParams();
+  const chain = getChain(chainParam || 'eth');
+  const chainId = chain?.id;
+
   const [loading, setLoading] = useState(true);
   const [nft, setNft] = useState(null);
+  const [contract, setContract] = useState(null);
   const [error, setError] = useState(null);
-  
+  const [owners, setOwners] = useState([]);
+  const [transfers, setTransfers] = useState([]);
+  const [historyTruncated, setHistoryTruncated] = useState(false);
+  const [historyLoading, setHistoryLoading] = useState(true);
+  const [profiles, setProfiles] = useState({});
+
   useEffect(() => {
+    let isMounted = true;
+
     const fetchNftDetails = async () => {
-      try {
-        setLoading(true);
-        
-        // For now, just use the contract address and token ID as placeholders
-        // In a real implementation, you would fetch the NFT details from the API
-        setNft({
-          contractAddress,
-          tokenId,
-          name: `NFT #${tokenId}`,
-          description: 'This is a placeholder description for this NFT.',
-          imageUrl: 'https://via.placeholder.com/400',
-          collection: {
-            name: 'Sample Collection',
-          },
-        });
-        
+      setLoading(true);
+      setError(null);
+      setNft(null);
+
+      if (!chain || !isChainEnabled(chainId)) {
+        setError(`Unsupported chain: ${chainParam}`);
+        setLoading(false);
+        return;
+      }
+      if (!ADDRESS_PATTERN.test(contractAddress || '')) {
+        setError('Invalid contract address');
         setLoading(false);
+        return;
+      }
+
+      try {
+        const [metadata, contractMetadata] = await Promise.all([
+          alchemyService.getNftMetadata(contractAddress, tokenId, chainId),
+          alchemyService.getContractMetadata(contractAddress, chainId)
+        ]);
+        if (!isMounted) return;
+
+        if (!metadata || metadata.error) {
+          setError('NFT not found');
+        } else {
+          setNft(metadata);
+          setContract(contractMetadata && Object.keys(contractMetadata).length > 0 ? contractMetadata : metadata.contract);
+        }
       } catch (err) {
         console.error('Error fetching NFT details:', err);
-        setError('Failed to load NFT details');
-        setLoading(false);
+        if (isMounted) setError('Failed to load NFT details');
+      } finally {
+        if (isMounted) setLoading(false);
       }
     };
-    
-    if (contractAddress && tokenId) {
-      fetchNftDetails();
-    }
-  }, [contractAddress, tokenId]);
-  
+
+    fetchNftDetails();
+
+    return () => {
+      isMounted = false;
+    };
+  }, [chain, chainId, chainParam, contractAddress, tokenId]);
+
+  // Ownership and provenance load after the token itself, as the history can take a while
+  useEffect(() => {
+    if (!nft) return;
+    let isMounted = true;
+
+    const fetchProvenance = async () => {
+      setHistoryLoading(true);
+
+      const [currentOwners, history] = await Promise.all([
+        alchemyService.getOwnersForNft(contractAddress, tokenId, chainId),
+        alchemyService.getAssetTransfers([], { chainId, contractAddress, tokenId, order: 'desc' })
+      ]);
+      if (!isMounted) return;
+
+      const sorted = [...(history.transfers || [])].sort((a, b) => (b.blockNumber || 0) - (a.blockNumber || 0));
+      setOwners(currentOwners);
+      setTransfers(sorted);
+      setHistoryTruncated(Boolean(history.truncated));
+      setHistoryLoading(false);
+
+      // Resolve everyone involved to Farcaster users in one lookup
+      const addresses = [...currentOwners, ...sorted.flatMap(transfer => [transfer.from, transfer.to])]
+        .filter(address => address && address !== ZERO_ADDRESS);
+      if (addresses.length > 0) {
+        const found = await farcasterService.getProfilesByAddresses(addresses);
+        if (isMounted) setProfiles(found);
+      }
+    };
+
+    fetchProvenance();
+
+    return () => {
+      isMounted = false;
+    };
+  }, [nft, chainId, contractAddress, tokenId]);
+
+  const media = useMemo(() => getNftMedia(nft), [nft]);
+  const attributes = useMemo(() => getNftAttributes(nft), [nft]);
+
   if (loading) {
     return <div className="loading">Loading NFT details...</div>;
   }
-  
+
   if (error) {
-    return <div className="error">{error}</div>;
+    return (
+      <div className="nft-detail-page">
+        <div className="error">{error}</div>
+        <div className="back-link">
+          <Link to="/">Back to Gallery</Link>
+        </div>
+      </div>
+    );
   }
-  
+
   if (!nft) {
     return <div className="not-found">NFT not found</div>;
   }
-  
+
+  const collectionName = nft.collection?.name || contract?.openSeaMetadata?.collectionName || contract?.name || 'Unknown collection';
+  const name = nft.name || nft.raw?.metadata?.name || `${collectionName} #${tokenId}`;
+  const description = nft.description || nft.raw?.metadata?.description || contract?.openSeaMetadata?.description;
+  const tokenStandard = formatTokenStandard(nft.tokenType || contract?.tokenType);
+  const owner = owners[0];
+  const ownerProfile = owner ? profiles[owner] : null;
+
   return (
     <div className="nft-detail-page">
-      <div className="nft-image-container">
-        <img src={nft.imageUrl} alt={nft.name} className="nft-image" />
+      <div className="nft-detail-media">
+        {media.animationType === 'video' ? (
+          <video src={media.animationUrl} poster={media.imageUrl || undefined} controls autoPlay loop muted playsInline />
+        ) : media.imageUrl ? (
+          <img src={media.imageUrl} alt={name} />
+        ) : (
+          <div className="nft-detail-no-media">Media unavailable</div>
+        )}
+        {media.animationType === 'audio' && (
+          <audio src={media.animationUrl} controls />
+        )}
+        {media.animationType === 'page' && (
+          <a className="nft-detail-animation-link" href={media.animationUrl} target="_blank" rel="noopener noreferrer">
+            Open interactive version
+          </a>
+        )}
       </div>
-      
-      <div className="nft-info">
-        <h1>{nft.name}</h1>
-        <p className="collection-name">{nft.collection.name}</p>
-        
-        <div className="nft-description">
-          <h2>Description</h2>
-          <p>{nft.description}</p>
+
+      <div className="nft-detail-info">
+        <p className="collection-name">{collectionName}</p>
+        <h1>{name}</h1>
+
+        <div className="nft-detail-owner">
+          <h2>Owner</h2>
+          {historyLoading ? (
+            <p>Loading owner...</p>
+          ) : owner ? (
+            <div className="nft-detail-owner-row">
+              {ownerProfile?.metadata?.imageUrl && (
+                <img src={ownerProfile.metadata.imageUrl} alt="" className="nft-detail-owner-avatar" />
+              )}
+              <div>
+                {ownerProfile?.username ? (
+                  <>
+                    <Link to={`/profile/${ownerProfile.username}`} className="nft-detail-owner-name">
+                      {ownerProfile.metadata?.displayName || ownerProfile.username}
+                    </Link>
+                    <span className="nft-detail-owner-handle">@{ownerProfile.username} · FID {ownerProfile.fid}</span>
+                  </>
+                ) : (
+                  <Identity address={owner} profiles={profiles} chainId={chainId} />
+                )}
+                {owners.length > 1 && (
+                  <span className="nft-detail-owner-handle">and {owners.length - 1} other owner{owners.length > 2 ? 's' : ''}</span>
+                )}
+              </div>
+            </div>
+          ) : (
+            <p>No current owner found</p>
+          )}
         </div>
-        
+
+        {description && (
+          <div className="nft-description">
+            <h2>Description</h2>
+            <p>{description}</p>
+          </div>
+        )}
+
+        {attributes.length > 0 && (
+          <div className="nft-detail-attributes">
+            <h2>Attributes</h2>
+            <ul>
+              {attributes.map(({ trait, value }) => (
+                <li key={`${trait}:${value}`}>
+                  <span className="nft-detail-attribute-trait">{trait}</span>
+                  <span className="nft-detail-attribute-value">{value}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         <div className="nft-details">
           <h2>Details</h2>
-          <p><strong>Contract Address:</strong> {contractAddress}</p>
-          <p><strong>Token ID:</strong> {tokenId}</p>
+          <dl>
+            <dt>Chain</dt>
+            <dd>{chain.name}</dd>
+            <dt>Token standard</dt>
+            <dd>{tokenStandard}</dd>
+            <dt>Contract</dt>
+            <dd>
+              <a href={getExplorerUrl(chainId, contractAddress)} target="_blank" rel="noopener noreferrer" title={contractAddress}>
+                {formatAddress(contractAddress, 6, 4)}
+              </a>
+            </dd>
+            <dt>Token ID</dt>
+            <dd className="nft-detail-token-id">{tokenId}</dd>
+            {contract?.totalSupply && (
+              <>
+                <dt>Supply</dt>
+                <dd>{contract.totalSupply}</dd>
+              </>
+            )}
+          </dl>
+        </div>
+
+        <div className="nft-detail-history">
+          <h2>History</h2>
+          {historyLoading ? (
+            <p>Loading transfers...</p>
+          ) : transfers.length === 0 ? (
+            <p>No transfers found</p>
+          ) : (
+            <ol className="nft-detail-timeline">
+              {transfers.map((transfer, index) => (
+                <li key={`${transfer.transactionHash}:${index}`}>
+                  <div className="nft-detail-timeline-header">
+                    <span className={`nft-detail-event nft-detail-event-${getTransferKind(transfer).toLowerCase()}`}>
+                      {getTransferKind(transfer)}
+                    </span>
+                    {transfer.timestamp && <time dateTime={transfer.timestamp}>{formatDate(transfer.timestamp)}</time>}
+                  </div>
+                  <div className="nft-detail-timeline-parties">
+                    {transfer.from !== ZERO_ADDRESS && (
+                      <>
+                        <Identity address={transfer.from} profiles={profiles} chainId={chainId} />
+                        <span aria-hidden="true">→</span>
+                      </>
+                    )}
+                    <Identity address={transfer.to} profiles={profiles} chainId={chainId} />
+                    {transfer.category === 'erc1155' && transfer.quantity !== '1' && (
+                      <span className="nft-detail-quantity">×{transfer.quantity}</span>
+                    )}
+                  </div>
+                  {transfer.transactionHash && (
+                    <a
+                      className="nft-detail-tx"
+                      href={`${chain.explorerUrl}/tx/${transfer.transactionHash}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                    >
+                      View transaction
+                    </a>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
+          {historyTruncated && (
+            <p className="nft-detail-note">This collection has too many transfers to scan in full, so older history may be missing.</p>
+          )}
         </div>
-        
+
         <div className="back-link">
           <Link to="/">Back to Gallery</Link>
         </div>
@@ -82,4 +372,4 @@ const NFTDetailPage = () => {
   );
 };
 
-export default NFTDetailPage; 
\ No newline at end of file
+export default NFTDetailPage;
@@ -1,7 +1,21 @@
-import { createSlice } from '@reduxjs/toolkit';
+import { createSlice, createSelector } from '@reduxjs/toolkit';
+import {
+  sortNfts,
+  filterNftsBySearch,
+  filterNftsByWallet,
+  getChainFacets,
+  filterNftsByChains,
+  getCollectionFacets,
+  filterNftsByCollections,
+  getTraitFacets,
+  filterNftsByTraits
+} from '../utils/nftUtils';
 
 /**
  * Redux slice for managing NFT filtering and sorting state
+ *
+ * Galleries put the NFTs they loaded in nftList and read what to show from
+ * selectFilteredNfts, so every gallery filters and sorts the same way
  */
 const nftFiltersSlice = createSlice({
   name: 'nftFilters',
@@ -12,8 +26,11 @@ const nftFiltersSlice = createSlice({
     selectedWallet: 'all',      // Default to showing all wallets
     nftList: [],                // List of NFTs to be filtered
     filters: {
-      collections: [],          // Collections to filter by
-      traits: {},               // Traits to filter by
+      chains: [],               // Chain ids to show, empty for all chains
+      collections: [],          // Collection keys to show only (`${chain}:${contract}`), empty for all
+      hiddenCollections: [],    // Collection keys to leave out
+      traits: {},               // Selected values by trait type, e.g. { Background: ['Gold'] }
+      traitMatch: 'all',        // 'all' traits must match, or 'any' of them
     }
   },
   reducers: {
@@ -42,22 +59,62 @@ const nftFiltersSlice = createSlice({
       state.nftList = action.payload || [];
     },
     
+    // Set chain filters
+    setChainFilters: (state, action) => {
+      state.filters.chains = action.payload || [];
+    },
+    
+    // Add or remove one chain from the chain filter
+    toggleChainFilter: (state, action) => {
+      const chains = state.filters.chains;
+      state.filters.chains = chains.includes(action.payload)
+        ? chains.filter(chain => chain !== action.payload)
+        : [...chains, action.payload];
+    },
+    
     // Set collection filters
     setCollectionFilters: (state, action) => {
       state.filters.collections = action.payload;
     },
     
+    // Show only one collection
+    showOnlyCollection: (state, action) => {
+      state.filters.collections = [action.payload];
+      state.filters.hiddenCollections = state.filters.hiddenCollections.filter(key => key !== action.payload);
+    },
+    
+    // Set the collections to leave out
+    setHiddenCollections: (state, action) => {
+      state.filters.hiddenCollections = action.payload || [];
+    },
+    
+    // Leave a collection out
+    hideCollection: (state, action) => {
+      if (!state.filters.hiddenCollections.includes(action.payload)) {
+        state.filters.hiddenCollections.push(action.payload);
+      }
+      state.filters.collections = state.filters.collections.filter(key => key !== action.payload);
+    },
+    
     // Set trait filters
     setTraitFilters: (state, action) => {
       state.filters.traits = action.payload;
     },
     
+    // Set whether NFTs must match all selected traits or any of them
+    setTraitMatch: (state, action) => {
+      state.filters.traitMatch = action.payload === 'any' ? 'any' : 'all';
+    },
+    
     // Clear all filters
     clearFilters: (state) => {
       state.searchTerm = '';
       state.selectedWallet = 'all';
+      state.filters.chains = [];
       state.filters.collections = [];
+      state.filters.hiddenCollections = [];
       state.filters.traits = {};
+      state.filters.traitMatch = 'all';
     }
   }
 });
@@ -69,10 +126,56 @@ export const {
   setSortDirection,
   setSelectedWallet,
   setNftList,
+  setChainFilters,
+  toggleChainFilter,
   setCollectionFilters,
+  showOnlyCollection,
+  setHiddenCollections,
+  hideCollection,
   setTraitFilters,
+  setTraitMatch,
   clearFilters
 } = nftFiltersSlice.actions;
 
+// Export selectors
+export const selectSearchTerm = (state) => state.nftFilters.searchTerm;
+export const selectSortOption = (state) => state.nftFilters.sortOption;
+export const selectSortDirection = (state) => state.nftFilters.sortDirection;
+export const selectSelectedWallet = (state) => state.nftFilters.selectedWallet;
+export const selectNftList = (state) => state.nftFilters.nftList;
+export const selectChainFilters = (state) => state.nftFilters.filters.chains;
+export const selectCollectionFilters = (state) => state.nftFilters.filters.collections;
+export const selectHiddenCollections = (state) => state.nftFilters.filters.hiddenCollections;
+export const selectTraitFilters = (state) => state.nftFilters.filters.traits;
+export const selectTraitMatch = (state) => state.nftFilters.filters.traitMatch;
+
+// Each filter narrows the list the next one counts, so a facet's counts
+// reflect the filters before it: wallet, then chains, collections and traits
+const selectWalletNfts = createSelector([selectNftList, selectSelectedWallet], filterNftsByWallet);
+
+export const selectChainFacets = createSelector([selectWalletNfts], getChainFacets);
+
+const selectChainNfts = createSelector([selectWalletNfts, selectChainFilters], filterNftsByChains);
+
+export const selectCollectionFacets = createSelector([selectChainNfts], getCollectionFacets);
+
+const selectCollectionNfts = createSelector(
+  [selectChainNfts, selectCollectionFilters, selectHiddenCollections],
+  filterNftsByCollections
+);
+
+export const selectTraitFacets = createSelector([selectCollectionNfts], getTraitFacets);
+
+const selectTraitNfts = createSelector(
+  [selectCollectionNfts, selectTraitFilters, selectTraitMatch],
+  filterNftsByTraits
+);
+
+// The NFTs to show: every filter and the text search applied, then sorted
+export const selectFilteredNfts = createSelector(
+  [selectTraitNfts, selectSearchTerm, selectSortOption, selectSortDirection],
+  (nfts, searchTerm, sortOption, sortDirection) => sortNfts(filterNftsBySearch(nfts, searchTerm), sortOption, sortDirection)
+);
+
 // Export reducer
 export default nftFiltersSlice.reducer; 
\ No newline at end of file
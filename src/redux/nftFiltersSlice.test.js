@@ -0,0 +1,146 @@
+import { configureStore } from '@reduxjs/toolkit';
+import reducer, {
+  setNftList,
+  setSearchTerm,
+  setSortOption,
+  setSortDirection,
+  setSelectedWallet,
+  toggleChainFilter,
+  showOnlyCollection,
+  hideCollection,
+  setTraitFilters,
+  setTraitMatch,
+  clearFilters,
+  selectFilteredNfts,
+  selectChainFacets,
+  selectCollectionFacets,
+  selectTraitFacets
+} from './nftFiltersSlice';
+
+// nftUtils only needs it to dedupe, and the real module polls the API on import
+jest.mock('../services/alchemyService', () => ({
+  createConsistentUniqueId: (nft) => `${nft.contract?.address}-${nft.tokenId}`
+}));
+
+const ALICE = '0x00000000000000000000000000000000000a11ce';
+const BOB = '0x0000000000000000000000000000000000000b0b';
+const APES = '0xbc4ca0eda7647a8ab7c2061c2e118a18a936f13d';
+const PUNKS = '0xb47e3cd837ddf8e4c57f05d70ab865de6e193bbb';
+
+const nft = (name, { contract = APES, network = 'eth', owner = ALICE, traits = [] } = {}) => ({
+  name,
+  tokenId: name.replace(/\D/g, '') || '0',
+  network,
+  ownerWallet: owner,
+  contract: { address: contract, name: contract === APES ? 'Bored Ape Yacht Club' : 'CryptoPunks' },
+  attributes: traits.map(([trait_type, value]) => ({ trait_type, value }))
+});
+
+const NFTS = [
+  nft('Ape 1', { traits: [['Fur', 'Gold'], ['Hat', 'Cap']] }),
+  nft('Ape 2', { owner: BOB, traits: [['Fur', 'Brown']] }),
+  nft('Ape 3', { network: 'base', traits: [['Fur', 'Gold']] }),
+  nft('Punk 4', { contract: PUNKS, traits: [['Hat', 'Cap']] })
+];
+
+const createStore = () => {
+  const store = configureStore({ reducer: { nftFilters: reducer } });
+  store.dispatch(setNftList(NFTS));
+  store.dispatch(setSortOption('name'));
+  return store;
+};
+
+const names = (store) => selectFilteredNfts(store.getState()).map(item => item.name);
+
+test('shows every NFT, sorted, when nothing is filtered', () => {
+  const store = createStore();
+  expect(names(store)).toEqual(['Ape 1', 'Ape 2', 'Ape 3', 'Punk 4']);
+
+  store.dispatch(setSortDirection('desc'));
+  expect(names(store)).toEqual(['Punk 4', 'Ape 3', 'Ape 2', 'Ape 1']);
+});
+
+test('searches names and collection names', () => {
+  const store = createStore();
+  store.dispatch(setSearchTerm('punk'));
+  expect(names(store)).toEqual(['Punk 4']);
+
+  store.dispatch(setSearchTerm(' bored '));
+  expect(names(store)).toEqual(['Ape 1', 'Ape 2', 'Ape 3']);
+});
+
+test('filters by wallet and chain', () => {
+  const store = createStore();
+  // Wallets match regardless of case
+  store.dispatch(setSelectedWallet(ALICE.replace('a11ce', 'A11CE')));
+  expect(names(store)).toEqual(['Ape 1', 'Ape 3', 'Punk 4']);
+
+  store.dispatch(toggleChainFilter('base'));
+  expect(names(store)).toEqual(['Ape 3']);
+
+  store.dispatch(toggleChainFilter('base'));
+  expect(names(store)).toHaveLength(3);
+});
+
+test('keys collections by chain, so one contract on two chains is two collections', () => {
+  const store = createStore();
+  expect(selectCollectionFacets(store.getState()).map(facet => [facet.key, facet.count])).toEqual([
+    [`eth:${APES}`, 2],
+    [`base:${APES}`, 1],
+    [`eth:${PUNKS}`, 1]
+  ]);
+
+  store.dispatch(showOnlyCollection(`eth:${APES}`));
+  expect(names(store)).toEqual(['Ape 1', 'Ape 2']);
+
+  store.dispatch(hideCollection(`eth:${APES}`));
+  expect(names(store)).toEqual(['Ape 3', 'Punk 4']);
+});
+
+test('matches all selected traits, or any of them', () => {
+  const store = createStore();
+  store.dispatch(setTraitFilters({ Fur: ['Gold'], Hat: ['Cap'] }));
+  expect(names(store)).toEqual(['Ape 1']);
+
+  store.dispatch(setTraitMatch('any'));
+  expect(names(store)).toEqual(['Ape 1', 'Ape 3', 'Punk 4']);
+});
+
+test('counts each facet after the filters before it', () => {
+  const store = createStore();
+  store.dispatch(setSelectedWallet(BOB));
+
+  const state = store.getState();
+  expect(selectChainFacets(state).find(facet => facet.id === 'eth').count).toBe(1);
+  expect(selectChainFacets(state).find(facet => facet.id === 'base').count).toBe(0);
+  expect(selectCollectionFacets(state)).toHaveLength(1);
+  expect(selectTraitFacets(state)).toEqual([{ trait: 'Fur', count: 1, values: [{ value: 'Brown', count: 1 }] }]);
+});
+
+test('memoizes the filtered list until its inputs change', () => {
+  const store = createStore();
+  const first = selectFilteredNfts(store.getState());
+  expect(selectFilteredNfts(store.getState())).toBe(first);
+
+  store.dispatch(setSearchTerm('ape'));
+  expect(selectFilteredNfts(store.getState())).not.toBe(first);
+});
+
+test('clearFilters resets every filter but keeps the NFTs and the sort', () => {
+  const store = createStore();
+  store.dispatch(setSearchTerm('ape'));
+  store.dispatch(setSelectedWallet(BOB));
+  store.dispatch(toggleChainFilter('base'));
+  store.dispatch(hideCollection(`eth:${PUNKS}`));
+  store.dispatch(setTraitFilters({ Fur: ['Gold'] }));
+  store.dispatch(setTraitMatch('any'));
+  store.dispatch(clearFilters());
+
+  expect(store.getState().nftFilters).toMatchObject({
+    searchTerm: '',
+    selectedWallet: 'all',
+    sortOption: 'name',
+    filters: { chains: [], collections: [], hiddenCollections: [], traits: {}, traitMatch: 'all' }
+  });
+  expect(names(store)).toHaveLength(4);
+});
@@ -0,0 +1,334 @@
+/**
+ * Catalogue of the operations served by api/all-in-one.js
+ *
+ * The OpenAPI document (src/server/openapi.js) and the generated client
+ * (src/services/apiClient.js) are built from this list, and the folder router
+ * reads FOLDER_ROUTES from it, so a route added here is documented, callable
+ * from the client and routed at once.
+ *
+ * Each operation has:
+ *   operationId  - Name of the generated client function
+ *   method, path - Path relative to /api, with {name} path parameters
+ *   query        - Key into ROUTE_SCHEMAS (src/server/apiSchemas.js), or an inline schema in the same format
+ *   body         - Name of a request body schema in src/server/openapi.js
+ *   response     - Name of a response schema, or { contentType } for non-JSON responses
+ *   auth         - 'bearer' (JWT from /api/login), 'diagnosticKey' or 'metricsKey'
+ *   action       - folderController method, for folder routes
+ *   owner        - Folder routes that also require owning the folder
+ */
+const { MAX_DIMENSION, FITS, FORMATS } = require('./imageTransform');
+
+// Documentation only: the image proxy checks these itself (parseTransformOptions)
+const IMAGE_PROXY_QUERY = {
+  params: {
+    url: { type: 'string', required: true, maxLength: 8192, description: 'http(s), ipfs://, ar:// or data: URL of the media' },
+    w: { type: 'integer', min: 1, max: MAX_DIMENSION, description: 'Resize to this width' },
+    h: { type: 'integer', min: 1, max: MAX_DIMENSION, description: 'Resize to this height' },
+    fit: { type: 'enum', values: FITS },
+    format: { type: 'enum', values: FORMATS }
+  }
+};
+
+const API_OPERATIONS = [
+  // NFT data
+  {
+    operationId: 'alchemy',
+    method: 'GET',
+    path: '/alchemy',
+    tags: ['NFTs'],
+    summary: 'Call an allowlisted Alchemy NFT API endpoint',
+    query: 'alchemy'
+  },
+  {
+    operationId: 'zapper',
+    method: 'POST',
+    path: '/zapper',
+    tags: ['NFTs'],
+    summary: 'Run a Zapper GraphQL query',
+    body: 'GraphqlQuery'
+  },
+  {
+    operationId: 'etherscan',
+    method: 'GET',
+    path: '/etherscan',
+    tags: ['NFTs'],
+    summary: 'Ethereum contract verification or NFT transfers from Etherscan',
+    query: 'etherscan'
+  },
+  {
+    operationId: 'basescan',
+    method: 'GET',
+    path: '/basescan',
+    tags: ['NFTs'],
+    summary: 'Base contract verification or NFT transfers from Basescan',
+    query: 'basescan'
+  },
+  {
+    operationId: 'opensea',
+    method: 'GET',
+    path: '/opensea',
+    tags: ['NFTs'],
+    summary: 'OpenSea collection stats by slug or contract',
+    query: 'opensea'
+  },
+  {
+    operationId: 'imageProxy',
+    method: 'GET',
+    path: '/image-proxy',
+    tags: ['NFTs'],
+    summary: 'Fetch, cache and optionally resize NFT media',
+    query: IMAGE_PROXY_QUERY,
+    response: { contentType: 'image/*' }
+  },
+
+  // Farcaster
+  {
+    operationId: 'neynar',
+    method: 'GET',
+    path: '/neynar',
+    tags: ['Farcaster'],
+    summary: 'Call an allowlisted Neynar endpoint',
+    query: 'neynar'
+  },
+  {
+    operationId: 'getFarcasterProfile',
+    method: 'GET',
+    path: '/farcaster-profile',
+    tags: ['Farcaster'],
+    summary: 'Farcaster profile with connected addresses, by FID or username',
+    query: 'farcaster-profile',
+    response: 'FarcasterProfile'
+  },
+  {
+    operationId: 'getCollectionFriends',
+    method: 'GET',
+    path: '/collection-friends',
+    tags: ['Farcaster'],
+    summary: 'People connected to a user who hold NFTs from a collection (text/event-stream when stream is set)',
+    query: 'collection-friends'
+  },
+  {
+    operationId: 'getTrendingCollections',
+    method: 'GET',
+    path: '/trending-collections',
+    tags: ['Farcaster'],
+    summary: 'Collections most held or most recently acquired by a sample of Farcaster users',
+    query: 'trending-collections'
+  },
+
+  // Sign in
+  {
+    operationId: 'login',
+    method: 'POST',
+    path: '/login',
+    tags: ['Auth'],
+    summary: 'Verify a Sign In With Farcaster message and issue an API token',
+    body: 'LoginRequest',
+    response: 'AuthToken'
+  },
+  {
+    operationId: 'refreshToken',
+    method: 'POST',
+    path: '/login/refresh',
+    tags: ['Auth'],
+    summary: 'Exchange a valid or recently expired token for a new one',
+    body: 'RefreshRequest',
+    response: 'AuthToken'
+  },
+  {
+    operationId: 'getCurrentUser',
+    method: 'GET',
+    path: '/login/me',
+    tags: ['Auth'],
+    summary: 'The user behind the current token',
+    auth: 'bearer'
+  },
+
+  // Folders, matched in this order so /folders/featured is not read as a folder ID
+  {
+    operationId: 'getUserFolders',
+    method: 'GET',
+    path: '/folders',
+    tags: ['Folders'],
+    summary: "The signed-in user's folders",
+    auth: 'bearer',
+    action: 'getUserFolders',
+    response: 'FolderList'
+  },
+  {
+    operationId: 'createFolder',
+    method: 'POST',
+    path: '/folders',
+    tags: ['Folders'],
+    summary: 'Create a folder',
+    auth: 'bearer',
+    action: 'createFolder',
+    body: 'FolderInput',
+    response: 'Folder'
+  },
+  {
+    operationId: 'getFeaturedFolders',
+    method: 'GET',
+    path: '/folders/featured',
+    tags: ['Folders'],
+    summary: 'Featured public folders',
+    action: 'getFeaturedFolders',
+    response: 'FolderList'
+  },
+  {
+    operationId: 'getFolder',
+    method: 'GET',
+    path: '/folders/{folderId}',
+    tags: ['Folders'],
+    summary: 'A folder with its NFTs; private folders only for their owner',
+    action: 'getFolder',
+    response: 'Folder'
+  },
+  {
+    operationId: 'updateFolder',
+    method: 'PUT',
+    path: '/folders/{folderId}',
+    tags: ['Folders'],
+    summary: 'Update a folder',
+    auth: 'bearer',
+    owner: true,
+    action: 'updateFolder',
+    body: 'FolderInput',
+    response: 'Folder'
+  },
+  {
+    operationId: 'deleteFolder',
+    method: 'DELETE',
+    path: '/folders/{folderId}',
+    tags: ['Folders'],
+    summary: 'Delete a folder',
+    auth: 'bearer',
+    owner: true,
+    action: 'deleteFolder'
+  },
+  {
+    operationId: 'addNftToFolder',
+    method: 'POST',
+    path: '/folders/{folderId}/nfts',
+    tags: ['Folders'],
+    summary: 'Add an NFT to a folder',
+    auth: 'bearer',
+    owner: true,
+    action: 'addNftToFolder',
+    body: 'NftInput',
+    response: 'Folder'
+  },
+  {
+    operationId: 'removeNftFromFolder',
+    method: 'DELETE',
+    path: '/folders/{folderId}/nfts/{nftId}',
+    tags: ['Folders'],
+    summary: 'Remove an NFT from a folder',
+    auth: 'bearer',
+    owner: true,
+    action: 'removeNftFromFolder'
+  },
+  {
+    operationId: 'toggleFolderVisibility',
+    method: 'PATCH',
+    path: '/folders/{folderId}/visibility',
+    tags: ['Folders'],
+    summary: 'Make a folder public or private',
+    auth: 'bearer',
+    owner: true,
+    action: 'toggleFolderVisibility',
+    body: 'VisibilityInput',
+    response: 'Folder'
+  },
+  {
+    operationId: 'getPublicFoldersByUser',
+    method: 'GET',
+    path: '/users/{fid}/folders/public',
+    tags: ['Folders'],
+    summary: "A user's public folders, by Farcaster ID",
+    action: 'getPublicFoldersByUser',
+    response: 'FolderList'
+  },
+
+  // Operations
+  {
+    operationId: 'sendDiagnosticReport',
+    method: 'POST',
+    path: '/diagnostic',
+    tags: ['Operations'],
+    summary: 'Store client diagnostic logs',
+    body: 'DiagnosticReportInput'
+  },
+  {
+    operationId: 'getDiagnosticReports',
+    method: 'GET',
+    path: '/diagnostic',
+    tags: ['Operations'],
+    summary: 'Stored diagnostic reports, plus cache, gateway and quota health',
+    query: 'diagnostic',
+    auth: 'diagnosticKey'
+  },
+  {
+    operationId: 'getDiagnosticReport',
+    method: 'GET',
+    path: '/diagnostic/{reportId}',
+    tags: ['Operations'],
+    summary: 'One diagnostic report with all its logs',
+    auth: 'diagnosticKey'
+  },
+  {
+    operationId: 'deleteDiagnosticReports',
+    method: 'DELETE',
+    path: '/diagnostic',
+    tags: ['Operations'],
+    summary: 'Delete the diagnostic reports matching the filters',
+    query: 'diagnostic',
+    auth: 'diagnosticKey'
+  },
+  {
+    operationId: 'getHealth',
+    method: 'GET',
+    path: '/health',
+    tags: ['Operations'],
+    summary: 'Shallow health check, or a deep one with deep=true (503 when down)',
+    query: 'health'
+  },
+  {
+    operationId: 'getMetrics',
+    method: 'GET',
+    path: '/metrics',
+    tags: ['Operations'],
+    summary: 'Prometheus metrics',
+    auth: 'metricsKey',
+    response: { contentType: 'text/plain' }
+  },
+  {
+    operationId: 'getOpenApiDocument',
+    method: 'GET',
+    path: '/openapi.json',
+    tags: ['Operations'],
+    summary: 'This OpenAPI document'
+  }
+];
+
+/**
+ * Names of the {param} path parameters of a path
+ */
+const getPathParams = (path) => (path.match(/\{[^}]+\}/g) || []).map(param => param.slice(1, -1));
+
+// Folder route table for handleFoldersRequest: path segments with :param placeholders
+const FOLDER_ROUTES = API_OPERATIONS
+  .filter(operation => operation.action)
+  .map(operation => ({
+    method: operation.method,
+    pattern: operation.path.split('/').filter(Boolean).map(segment => segment.replace(/^\{(.+)\}$/, ':$1')),
+    action: operation.action,
+    auth: operation.auth === 'bearer',
+    owner: Boolean(operation.owner)
+  }));
+
+module.exports = {
+  API_OPERATIONS,
+  FOLDER_ROUTES,
+  getPathParams
+};
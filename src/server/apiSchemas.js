@@ -0,0 +1,229 @@
+/**
+ * Query parameter schemas for the API routes in api/all-in-one.js,
+ * keyed by route (the first path segment, or the v2 endpoint).
+ * See src/server/validation.js for the schema format.
+ *
+ * The Alchemy and Neynar proxies only accept the endpoints listed here,
+ * with the parameters listed for each.
+ */
+
+// Opaque pagination tokens: printable ASCII without spaces
+const PAGE_TOKEN = { type: 'string', maxLength: 1024, pattern: /^[\x21-\x7e]+$/, patternMessage: 'must be a pagination token' };
+const TOKEN_ID = { type: 'string', maxLength: 80, pattern: /^(0x[0-9a-fA-F]{1,64}|\d{1,78})$/, patternMessage: 'must be a decimal or hex token ID' };
+const USERNAME = { type: 'string', maxLength: 64, pattern: /^[a-zA-Z0-9][a-zA-Z0-9._-]*$/, patternMessage: 'must be a Farcaster username' };
+const NETWORK = { type: 'chain' };
+const PAGE_SIZE = { type: 'integer', min: 1, max: 100 };
+const EXCLUDE_FILTERS = { type: 'enum', values: ['SPAM', 'AIRDROPS'] };
+
+const ALCHEMY = {
+  params: {
+    endpoint: { type: 'string', required: true, maxLength: 64 },
+    network: NETWORK,
+    chain: NETWORK
+  },
+  discriminator: 'endpoint',
+  variants: {
+    getNFTsForOwner: {
+      params: {
+        owner: { type: 'address', required: true },
+        contractAddresses: { type: 'addressList', maxItems: 45 },
+        pageKey: PAGE_TOKEN,
+        pageSize: PAGE_SIZE,
+        withMetadata: { type: 'boolean' },
+        withFloorPrice: { type: 'boolean' },
+        includeMedia: { type: 'boolean' },
+        excludeSpam: { type: 'boolean' },
+        excludeFilters: EXCLUDE_FILTERS,
+        orderBy: { type: 'enum', values: ['transferTime'] }
+      }
+    },
+    getNFTsForCollection: {
+      params: {
+        contractAddress: { type: 'address', required: true },
+        startToken: TOKEN_ID,
+        limit: PAGE_SIZE,
+        withMetadata: { type: 'boolean' }
+      }
+    },
+    getNFTMetadata: {
+      params: {
+        contractAddress: { type: 'address', required: true },
+        tokenId: { ...TOKEN_ID, required: true },
+        tokenType: { type: 'enum', values: ['ERC721', 'ERC1155'] },
+        refreshCache: { type: 'boolean' }
+      }
+    },
+    getContractMetadata: {
+      params: {
+        contractAddress: { type: 'address', required: true }
+      }
+    },
+    getOwnersForContract: {
+      params: {
+        contractAddress: { type: 'address', required: true },
+        withTokenBalances: { type: 'boolean' },
+        pageKey: PAGE_TOKEN
+      }
+    },
+    getOwnersForNFT: {
+      params: {
+        contractAddress: { type: 'address', required: true },
+        tokenId: { ...TOKEN_ID, required: true },
+        pageKey: PAGE_TOKEN
+      }
+    },
+    getContractsForOwner: {
+      params: {
+        owner: { type: 'address', required: true },
+        pageKey: PAGE_TOKEN,
+        pageSize: PAGE_SIZE,
+        withMetadata: { type: 'boolean' },
+        excludeFilters: EXCLUDE_FILTERS,
+        orderBy: { type: 'enum', values: ['transferTime'] }
+      }
+    },
+    getAssetTransfers: {
+      params: {
+        addresses: { type: 'addressList', maxItems: 20 },
+        contractAddress: { type: 'address' },
+        tokenId: TOKEN_ID,
+        order: { type: 'enum', values: ['asc', 'desc'] }
+      },
+      oneOf: [['addresses', 'contractAddress']]
+    },
+    isSpamContract: {
+      params: {
+        contractAddress: { type: 'address', required: true }
+      }
+    },
+    getSpamContracts: {}
+  }
+};
+
+const NEYNAR = {
+  params: {
+    endpoint: { type: 'string', required: true, maxLength: 64 }
+  },
+  discriminator: 'endpoint',
+  variants: {
+    user: {
+      params: { fid: { type: 'fid' }, username: USERNAME },
+      oneOf: [['fid', 'username']]
+    },
+    'user/bulk': {
+      params: { fids: { type: 'fidList', required: true, maxItems: 100 }, viewer_fid: { type: 'fid' } }
+    },
+    'user/by_username': {
+      params: { username: { ...USERNAME, required: true }, viewer_fid: { type: 'fid' } }
+    },
+    'user/search': {
+      params: {
+        q: { type: 'string', required: true, maxLength: 100 },
+        limit: { type: 'integer', min: 1, max: 10 },
+        cursor: PAGE_TOKEN,
+        viewer_fid: { type: 'fid' }
+      }
+    },
+    'user/bulk-by-address': {
+      params: { addresses: { type: 'addressList', required: true, maxItems: 350 } }
+    },
+    following: {
+      params: { fid: { type: 'fid', required: true }, limit: PAGE_SIZE, cursor: PAGE_TOKEN, viewer_fid: { type: 'fid' } }
+    },
+    followers: {
+      params: { fid: { type: 'fid', required: true }, limit: PAGE_SIZE, cursor: PAGE_TOKEN, viewer_fid: { type: 'fid' } }
+    }
+  }
+};
+
+const FARCASTER_PROFILE = {
+  params: { fid: { type: 'fid' }, username: USERNAME },
+  oneOf: [['fid', 'username']]
+};
+
+const EXPLORER = {
+  params: {
+    resource: { type: 'string', default: 'contract', maxLength: 32 }
+  },
+  discriminator: 'resource',
+  variants: {
+    contract: {
+      params: {
+        address: { type: 'address', required: true },
+        includeSource: { type: 'boolean' }
+      }
+    },
+    transfers: {
+      params: {
+        owner: { type: 'address' },
+        contractAddress: { type: 'address' },
+        standard: { type: 'enum', values: ['erc721', 'erc1155'] },
+        page: { type: 'integer', min: 1, max: 1000 },
+        offset: PAGE_SIZE,
+        sort: { type: 'enum', values: ['asc', 'desc'] }
+      },
+      oneOf: [['owner', 'contractAddress']]
+    }
+  }
+};
+
+const ROUTE_SCHEMAS = {
+  'alchemy': ALCHEMY,
+  'neynar': NEYNAR,
+  'farcaster-profile': FARCASTER_PROFILE,
+  'farcaster': FARCASTER_PROFILE,
+  'collection-friends': {
+    params: {
+      contractAddress: { type: 'address', required: true },
+      fid: { type: 'fid', required: true },
+      network: NETWORK,
+      limit: { type: 'integer', min: 1, max: 500 },
+      relation: { type: 'enum', values: ['following', 'followers', 'mutuals', 'all'], default: 'mutuals' },
+      stream: { type: 'enum', values: ['1', '0', 'true', 'false', 'sse'] }
+    }
+  },
+  'trending-collections': {
+    params: {
+      scope: { type: 'enum', values: ['global', 'following'], default: 'global' },
+      sort: { type: 'enum', values: ['holders', 'recent'] },
+      network: NETWORK,
+      days: { type: 'integer', min: 1, max: 365 },
+      limit: { type: 'integer', min: 1, max: 50 }
+    },
+    discriminator: 'scope',
+    variants: {
+      global: {},
+      following: {
+        params: { fid: { type: 'fid', required: true } }
+      }
+    }
+  },
+  'etherscan': EXPLORER,
+  'basescan': EXPLORER,
+  'opensea': {
+    params: {
+      slug: { type: 'string', maxLength: 128, pattern: /^[a-z0-9][a-z0-9_-]*$/i, patternMessage: 'must be an OpenSea collection slug' },
+      contractAddress: { type: 'address' },
+      network: NETWORK
+    },
+    oneOf: [['slug', 'contractAddress']]
+  },
+  'health': {
+    params: { deep: { type: 'boolean' } }
+  },
+  'diagnostic': {
+    params: {
+      top: { type: 'integer', min: 1, max: 1000 },
+      sessionId: { type: 'string', maxLength: 128, pattern: /^[\w.:-]+$/, patternMessage: 'must be a diagnostic session ID' },
+      fid: { type: 'fid' },
+      level: { type: 'enum', values: ['debug', 'log', 'info', 'warn', 'error'] },
+      from: { type: 'date' },
+      to: { type: 'date' },
+      limit: { type: 'integer', min: 1, max: 100 }
+    }
+  }
+};
+
+module.exports = {
+  ROUTE_SCHEMAS
+};
@@ -0,0 +1,204 @@
+const jwt = require('jsonwebtoken');
+const config = require('./config');
+const { httpError } = require('./errors');
+const Folder = require('./models/Folder');
+const User = require('./models/User');
+
+// Set a fixed JWT_SECRET via environment variables in production
+const JWT_SECRET = process.env.JWT_SECRET || 'gall3ry_secret_key_for_development_only';
+const TOKEN_EXPIRY = process.env.JWT_EXPIRY || '24h';
+
+// How long after expiry a token can still be exchanged for a fresh one
+const REFRESH_GRACE_MS = config.auth.tokenExpiryDays * 24 * 60 * 60 * 1000;
+
+// How long after sign-in a chain of refreshed tokens stays valid
+const SESSION_MAX_AGE_SECONDS = config.auth.sessionMaxDays * 24 * 60 * 60;
+
+const authError = (message, code, status = 401) => httpError(message, code, status);
+
+/**
+ * Generate a JWT for a verified Farcaster user.
+ * orig_iat records when the user signed in and is carried over by refreshes,
+ * so no token outlives the session (SESSION_MAX_AGE_SECONDS).
+ */
+const generateToken = (userData, origIat = Math.floor(Date.now() / 1000)) => {
+  const payload = {
+    fid: userData.fid,
+    username: userData.username,
+    orig_iat: origIat
+  };
+  const token = jwt.sign(payload, JWT_SECRET, { expiresIn: TOKEN_EXPIRY });
+
+  const sessionEnd = origIat + SESSION_MAX_AGE_SECONDS;
+  if (jwt.decode(token).exp <= sessionEnd) {
+    return token;
+  }
+  return jwt.sign({ ...payload, exp: sessionEnd }, JWT_SECRET);
+};
+
+/**
+ * A token with its expiry, as returned by the login endpoints
+ */
+const describeToken = (token) => {
+  const { exp, orig_iat: origIat } = jwt.decode(token);
+  return {
+    token,
+    expiresAt: new Date(exp * 1000).toISOString(),
+    sessionExpiresAt: new Date((origIat + SESSION_MAX_AGE_SECONDS) * 1000).toISOString()
+  };
+};
+
+/**
+ * Extract the bearer token from the Authorization header, or null
+ */
+const getBearerToken = (req) => {
+  const header = req.headers?.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Verify a token's signature and expiry, returning its decoded payload
+ */
+const verifyToken = (token, options = {}) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET, options);
+
+    if (!decoded.fid) {
+      throw authError('Token is missing a Farcaster ID', 'TOKEN_INVALID');
+    }
+
+    return decoded;
+  } catch (error) {
+    if (error.code) throw error;
+    if (error.name === 'TokenExpiredError') {
+      throw authError('Token has expired', 'TOKEN_EXPIRED');
+    }
+    throw authError('Invalid authentication token', 'TOKEN_INVALID');
+  }
+};
+
+/**
+ * Authenticate a request from its bearer token and resolve the matching User.
+ * Sets and returns req.user as { userId, fid, username }.
+ */
+const authenticate = async (req) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    throw authError('Authentication required', 'TOKEN_MISSING');
+  }
+
+  const decoded = verifyToken(token);
+  const user = await User.findOrCreateFromFarcaster({
+    fid: Number(decoded.fid),
+    username: decoded.username
+  });
+
+  req.user = {
+    userId: user._id,
+    fid: user.farcasterFid,
+    username: user.username
+  };
+
+  return req.user;
+};
+
+/**
+ * Issue a new token for a valid or recently expired one, within the session
+ * started at sign-in
+ */
+const refreshToken = (token) => {
+  const decoded = verifyToken(token, { ignoreExpiration: true });
+
+  if (decoded.exp && Date.now() - decoded.exp * 1000 > REFRESH_GRACE_MS) {
+    throw authError('Token is too old to refresh, please sign in again', 'TOKEN_EXPIRED');
+  }
+
+  // Tokens issued before orig_iat existed start their session at iat
+  const origIat = decoded.orig_iat || decoded.iat;
+  if (Date.now() / 1000 >= origIat + SESSION_MAX_AGE_SECONDS) {
+    throw authError('Session has expired, please sign in again', 'SESSION_EXPIRED');
+  }
+
+  return describeToken(generateToken(decoded, origIat));
+};
+
+/**
+ * Check that a folder exists and belongs to the given user
+ */
+const assertFolderOwner = async (folderId, userId) => {
+  const folder = await Folder.findById(folderId).select('ownerId');
+
+  if (!folder) {
+    throw authError('Folder not found', 'FOLDER_NOT_FOUND', 404);
+  }
+
+  if (!userId || folder.ownerId.toString() !== userId.toString()) {
+    throw authError('Only the folder owner can modify this folder', 'FORBIDDEN', 403);
+  }
+
+  return folder;
+};
+
+/**
+ * Send an auth error in the standard { error, code } shape
+ */
+const sendAuthError = (res, error) => {
+  if (!error.status) {
+    console.error('Unexpected authentication error:', error);
+    return res.status(500).json({ error: 'Authentication failed', message: error.message });
+  }
+  return res.status(error.status).json({ error: error.message, code: error.code });
+};
+
+/**
+ * Express middleware rejecting requests without a valid token
+ */
+const requireAuth = async (req, res, next) => {
+  try {
+    await authenticate(req);
+    next();
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+};
+
+/**
+ * Express middleware that sets req.user when a valid token is present,
+ * and an anonymous { userId: null } user otherwise
+ */
+const optionalAuth = async (req, res, next) => {
+  try {
+    await authenticate(req);
+  } catch (error) {
+    req.user = { userId: null };
+  }
+  next();
+};
+
+/**
+ * Express middleware restricting a :folderId route to the folder's owner.
+ * Must run after requireAuth.
+ */
+const requireFolderOwner = async (req, res, next) => {
+  try {
+    await assertFolderOwner(req.params.folderId, req.user?.userId);
+    next();
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+};
+
+module.exports = {
+  generateToken,
+  describeToken,
+  getBearerToken,
+  verifyToken,
+  authenticate,
+  refreshToken,
+  assertFolderOwner,
+  sendAuthError,
+  requireAuth,
+  optionalAuth,
+  requireFolderOwner
+};
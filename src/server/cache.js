@@ -0,0 +1,327 @@
+/**
+ * Shared server-side cache
+ *
+ * A bounded LRU cache with per-namespace TTLs, stale-while-revalidate and
+ * hit/miss stats. Entries live in a pluggable backend:
+ *   - memory: a Map, lost when the process (or lambda) goes away
+ *   - file:   a Map persisted to a JSON file, for long-running servers
+ *
+ * The default instance picks its backend from CACHE_BACKEND ('memory' or 'file').
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_MAX_ENTRIES = 1000;
+const DEFAULT_TTL = 5 * 60 * 1000; // 5 minutes
+
+// How long an expired entry may still be served while it is refreshed
+const DEFAULT_STALE_TTL = 30 * 60 * 1000; // 30 minutes
+
+const NAMESPACE_TTLS = {
+  requests: 5 * 60 * 1000,
+  transfers: 10 * 60 * 1000,
+  profiles: 10 * 60 * 1000,
+  nfts: 5 * 60 * 1000,
+  friends: 10 * 60 * 1000,
+  trending: 15 * 60 * 1000
+};
+
+// Debounce file writes so bursts of sets cost a single write
+const FILE_FLUSH_DELAY = 1000;
+
+/**
+ * In-memory backend. Map insertion order doubles as LRU order.
+ */
+class MemoryBackend {
+  constructor() {
+    this.name = 'memory';
+    this.entries = new Map();
+  }
+
+  get(key) {
+    return this.entries.get(key);
+  }
+
+  set(key, entry) {
+    this.entries.set(key, entry);
+  }
+
+  /**
+   * Mark an entry most recently used
+   */
+  touch(key) {
+    const entry = this.entries.get(key);
+    if (entry === undefined) return;
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  keys() {
+    return Array.from(this.entries.keys());
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Memory backend that persists its entries to a JSON file
+ */
+class FileBackend extends MemoryBackend {
+  constructor(filePath) {
+    super();
+    this.name = 'file';
+    this.filePath = filePath;
+    this.flushTimer = null;
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const now = Date.now();
+      (saved.entries || []).forEach(([key, entry]) => {
+        if (entry && entry.staleUntil > now) {
+          this.entries.set(key, entry);
+        }
+      });
+      console.log(`[CACHE] Loaded ${this.entries.size} entries from ${this.filePath}`);
+    } catch (error) {
+      console.warn(`[CACHE] Could not load cache file ${this.filePath}:`, error.message);
+    }
+  }
+
+  set(key, entry) {
+    super.set(key, entry);
+    this.scheduleFlush();
+  }
+
+  // Recency is not persisted, so reads never cause a write (the inherited
+  // touch() only reorders the in-memory Map)
+
+  delete(key) {
+    super.delete(key);
+    this.scheduleFlush();
+  }
+
+  clear() {
+    super.clear();
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, FILE_FLUSH_DELAY);
+    // Never keep the process alive just to write the cache
+    if (this.flushTimer.unref) this.flushTimer.unref();
+  }
+
+  flush() {
+    try {
+      // Write to a temp file first so a crash never leaves half a cache behind
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ entries: Array.from(this.entries.entries()) }));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.warn(`[CACHE] Could not write cache file ${this.filePath}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Build the backend named by CACHE_BACKEND
+ */
+const createBackend = (type = process.env.CACHE_BACKEND || 'memory') => {
+  if (type === 'file') {
+    return new FileBackend(process.env.CACHE_FILE || path.join(os.tmpdir(), 'gall3ry-cache.json'));
+  }
+  return new MemoryBackend();
+};
+
+class Cache {
+  /**
+   * @param {Object} options
+   * @param {Object} options.backend - Storage backend (defaults to CACHE_BACKEND)
+   * @param {number} options.maxEntries - Entries kept before the least recently used is evicted
+   * @param {Object} options.ttls - TTL in ms per namespace
+   * @param {number} options.staleTtl - How long past expiry an entry can be served stale
+   */
+  constructor(options = {}) {
+    this.backend = options.backend || createBackend();
+    this.maxEntries = options.maxEntries || parseInt(process.env.CACHE_MAX_ENTRIES, 10) || DEFAULT_MAX_ENTRIES;
+    this.ttls = { ...NAMESPACE_TTLS, ...options.ttls };
+    this.staleTtl = options.staleTtl ?? DEFAULT_STALE_TTL;
+    this.pending = new Map();
+    this.counters = {};
+  }
+
+  count(namespace, counter) {
+    if (!this.counters[namespace]) {
+      this.counters[namespace] = { hits: 0, staleHits: 0, misses: 0, sets: 0, evictions: 0 };
+    }
+    this.counters[namespace][counter] += 1;
+  }
+
+  ttlFor(namespace) {
+    return this.ttls[namespace] || DEFAULT_TTL;
+  }
+
+  /**
+   * Look up an entry, dropping it once it is too old to serve even stale,
+   * and marking it most recently used otherwise
+   */
+  lookup(namespace, key) {
+    const fullKey = `${namespace}:${key}`;
+    const entry = this.backend.get(fullKey);
+    if (!entry) return null;
+
+    if (entry.staleUntil <= Date.now()) {
+      this.backend.delete(fullKey);
+      return null;
+    }
+
+    this.backend.touch(fullKey);
+    return entry;
+  }
+
+  /**
+   * Get a fresh value, or null if missing or expired
+   */
+  get(namespace, key) {
+    const entry = this.lookup(namespace, key);
+    if (entry && entry.expiry > Date.now()) {
+      this.count(namespace, 'hits');
+      return entry.data;
+    }
+    this.count(namespace, 'misses');
+    return null;
+  }
+
+  /**
+   * Store a value. Uses the namespace TTL unless one is given.
+   */
+  set(namespace, key, data, ttl) {
+    const now = Date.now();
+    const expiry = now + (ttl || this.ttlFor(namespace));
+    const fullKey = `${namespace}:${key}`;
+
+    this.backend.delete(fullKey);
+    this.backend.set(fullKey, { data, expiry, staleUntil: expiry + this.staleTtl });
+    this.count(namespace, 'sets');
+    this.evict();
+  }
+
+  delete(namespace, key) {
+    this.backend.delete(`${namespace}:${key}`);
+  }
+
+  /**
+   * Remove every entry in a namespace, or everything when no namespace is given
+   */
+  clear(namespace) {
+    if (!namespace) {
+      this.backend.clear();
+      return;
+    }
+    this.backend.keys()
+      .filter(fullKey => fullKey.startsWith(`${namespace}:`))
+      .forEach(fullKey => this.backend.delete(fullKey));
+  }
+
+  evict() {
+    const keys = this.backend.keys();
+    for (let i = 0; keys.length - i > this.maxEntries; i++) {
+      this.backend.delete(keys[i]);
+      this.count(keys[i].split(':')[0], 'evictions');
+    }
+  }
+
+  /**
+   * Run a fetcher once per key at a time, caching what it returns
+   */
+  refresh(namespace, key, fetcher, options) {
+    const fullKey = `${namespace}:${key}`;
+    if (this.pending.has(fullKey)) {
+      return this.pending.get(fullKey);
+    }
+
+    const promise = Promise.resolve()
+      .then(fetcher)
+      .then(data => {
+        if (!options.shouldCache || options.shouldCache(data)) {
+          this.set(namespace, key, data, options.ttl);
+        }
+        return data;
+      })
+      .finally(() => this.pending.delete(fullKey));
+
+    this.pending.set(fullKey, promise);
+    return promise;
+  }
+
+  /**
+   * Stale-while-revalidate: return a fresh value from cache, or a stale one while
+   * refreshing it in the background, or fetch and cache it on a miss.
+   * Concurrent misses for the same key share a single fetch.
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Key within the namespace
+   * @param {Function} fetcher - Async function producing the value
+   * @param {Object} options - { ttl, shouldCache(data) }
+   * @returns {Promise<any>}
+   */
+  async wrap(namespace, key, fetcher, options = {}) {
+    const entry = this.lookup(namespace, key);
+
+    if (entry && entry.expiry > Date.now()) {
+      this.count(namespace, 'hits');
+      return entry.data;
+    }
+
+    if (entry) {
+      this.count(namespace, 'staleHits');
+      this.refresh(namespace, key, fetcher, options).catch(error => {
+        console.warn(`[CACHE] Background refresh failed for ${namespace}:${key}:`, error.message);
+      });
+      return entry.data;
+    }
+
+    this.count(namespace, 'misses');
+    return this.refresh(namespace, key, fetcher, options);
+  }
+
+  /**
+   * Hit/miss counters per namespace plus current size
+   */
+  stats() {
+    return {
+      backend: this.backend.name,
+      size: this.backend.size,
+      maxEntries: this.maxEntries,
+      namespaces: this.counters
+    };
+  }
+}
+
+const cache = new Cache();
+
+module.exports = {
+  cache,
+  Cache,
+  MemoryBackend,
+  FileBackend,
+  createBackend
+};
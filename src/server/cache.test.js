@@ -0,0 +1,136 @@
+/**
+ * @jest-environment node
+ */
+const { Cache, MemoryBackend } = require('./cache');
+
+let now;
+
+beforeEach(() => {
+  now = Date.parse('2026-01-15T12:00:00Z');
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const createCache = (options = {}) => new Cache({
+  backend: new MemoryBackend(),
+  maxEntries: 3,
+  ttls: { nfts: 1000 },
+  staleTtl: 5000,
+  ...options
+});
+
+describe('LRU', () => {
+  test('evicts the least recently used entry', () => {
+    const cache = createCache();
+    ['a', 'b', 'c'].forEach(key => cache.set('nfts', key, key));
+    cache.get('nfts', 'a');
+    cache.set('nfts', 'd', 'd');
+
+    expect(cache.get('nfts', 'b')).toBeNull();
+    expect(['a', 'c', 'd'].map(key => cache.get('nfts', key))).toEqual(['a', 'c', 'd']);
+    expect(cache.stats().namespaces.nfts.evictions).toBe(1);
+  });
+
+  test('counts a set of an existing key as a use', () => {
+    const cache = createCache();
+    ['a', 'b', 'c'].forEach(key => cache.set('nfts', key, key));
+    cache.set('nfts', 'a', 'a2');
+    cache.set('nfts', 'd', 'd');
+
+    expect(cache.get('nfts', 'a')).toBe('a2');
+    expect(cache.get('nfts', 'b')).toBeNull();
+  });
+
+  test('clears one namespace at a time', () => {
+    const cache = createCache();
+    cache.set('nfts', 'a', 1);
+    cache.set('profiles', 'a', 2);
+    cache.clear('nfts');
+
+    expect(cache.get('nfts', 'a')).toBeNull();
+    expect(cache.get('profiles', 'a')).toBe(2);
+  });
+});
+
+describe('expiry', () => {
+  test('uses the namespace TTL unless one is given', () => {
+    const cache = createCache();
+    cache.set('nfts', 'short', 1);
+    cache.set('nfts', 'long', 2, 3000);
+
+    now += 1001;
+    expect(cache.get('nfts', 'short')).toBeNull();
+    expect(cache.get('nfts', 'long')).toBe(2);
+  });
+});
+
+describe('wrap (stale-while-revalidate)', () => {
+  test('fetches on a miss and serves fresh values from cache', async () => {
+    const cache = createCache();
+    const fetcher = jest.fn().mockResolvedValue('v1');
+
+    expect(await cache.wrap('nfts', 'k', fetcher)).toBe('v1');
+    expect(await cache.wrap('nfts', 'k', fetcher)).toBe('v1');
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(cache.stats().namespaces.nfts).toMatchObject({ misses: 1, hits: 1 });
+  });
+
+  test('shares one fetch between concurrent misses', async () => {
+    const cache = createCache();
+    let resolve;
+    const fetcher = jest.fn(() => new Promise(done => { resolve = done; }));
+
+    const first = cache.wrap('nfts', 'k', fetcher);
+    const second = cache.wrap('nfts', 'k', fetcher);
+    await Promise.resolve();
+    resolve('v1');
+
+    expect(await Promise.all([first, second])).toEqual(['v1', 'v1']);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  test('serves a stale value while refreshing it in the background', async () => {
+    const cache = createCache();
+    await cache.wrap('nfts', 'k', () => 'v1');
+
+    now += 2000;
+    const fetcher = jest.fn().mockResolvedValue('v2');
+    expect(await cache.wrap('nfts', 'k', fetcher)).toBe('v1');
+    await cache.pending.get('nfts:k');
+
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(cache.get('nfts', 'k')).toBe('v2');
+    expect(cache.stats().namespaces.nfts.staleHits).toBe(1);
+  });
+
+  test('keeps serving the stale value when the refresh fails', async () => {
+    const cache = createCache();
+    await cache.wrap('nfts', 'k', () => 'v1');
+
+    now += 2000;
+    expect(await cache.wrap('nfts', 'k', () => Promise.reject(new Error('upstream down')))).toBe('v1');
+    await new Promise(setImmediate);
+    expect(await cache.wrap('nfts', 'k', () => 'v3')).toBe('v1');
+  });
+
+  test('fetches again once a value is too old to serve stale', async () => {
+    const cache = createCache();
+    await cache.wrap('nfts', 'k', () => 'v1');
+
+    now += 1000 + 5000;
+    expect(await cache.wrap('nfts', 'k', () => 'v2')).toBe('v2');
+  });
+
+  test('only caches what shouldCache accepts', async () => {
+    const cache = createCache();
+    const options = { shouldCache: data => data.complete };
+
+    await cache.wrap('nfts', 'k', () => ({ complete: false }), options);
+    expect(cache.get('nfts', 'k')).toBeNull();
+
+    await cache.wrap('nfts', 'k', () => ({ complete: true }), options);
+    expect(cache.get('nfts', 'k')).toEqual({ complete: true });
+  });
+});
@@ -8,7 +8,9 @@ const config = {
   // Authentication settings
   auth: {
     storageKey: 'nft_gallery_auth',
-    tokenExpiryDays: 7
+    tokenExpiryDays: 7,
+    // Refreshing never extends a session past this many days after sign-in
+    sessionMaxDays: Number(process.env.JWT_SESSION_MAX_DAYS) || 30
   },
   
   // Feature flags
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Connection promise is kept at module scope so warm serverless invocations
+// and the long-running Express server reuse a single connection
+let connectionPromise = null;
+
+/**
+ * Connect to MongoDB using MONGODB_URI, reusing an existing connection if available
+ */
+const connectToMongoDB = async () => {
+  if (mongoose.connection.readyState === 1) {
+    return mongoose.connection;
+  }
+
+  const MONGODB_URI = process.env.MONGODB_URI;
+
+  if (!MONGODB_URI) {
+    throw new Error('MONGODB_URI is not configured');
+  }
+
+  if (!connectionPromise) {
+    console.log('Attempting to connect to MongoDB...');
+
+    connectionPromise = mongoose.connect(MONGODB_URI, {
+      serverSelectionTimeoutMS: 5000,
+      socketTimeoutMS: 45000
+    })
+      .then(() => {
+        console.log('MongoDB connected successfully');
+        return mongoose.connection;
+      })
+      .catch((error) => {
+        // Reset so the next request can retry instead of reusing a failed promise
+        connectionPromise = null;
+        console.error('MongoDB connection failed:', error.message);
+        throw error;
+      });
+  }
+
+  return connectionPromise;
+};
+
+/**
+ * Whether the shared MongoDB connection is currently open
+ */
+const isConnected = () => mongoose.connection.readyState === 1;
+
+module.exports = {
+  connectToMongoDB,
+  isConnected
+};
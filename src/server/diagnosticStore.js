@@ -0,0 +1,400 @@
+/**
+ * Persisted store for client diagnostic reports
+ *
+ * Reports POSTed to /api/diagnostic (single events from App.js, or batches of
+ * DiagnosticLogger logs from mini app sessions) are kept in MongoDB when it is
+ * configured, and in a local JSON file otherwise, so they can be queried later
+ * by session, FID, level and time range.
+ *
+ * Retention is enforced on write: reports older than DIAGNOSTIC_RETENTION_DAYS
+ * are dropped, then the oldest beyond DIAGNOSTIC_MAX_REPORTS_PER_SESSION for the
+ * same FID or session. There is no global cap, so a noisy client only ever
+ * evicts its own reports; the per-client rate limit bounds how many it sends.
+ *
+ * Configuration:
+ *   DIAGNOSTIC_STORE            - 'mongo' or 'file' (default: mongo when MONGODB_URI is set)
+ *   DIAGNOSTIC_STORE_FILE       - File used by the file store (default: system temp dir)
+ *   DIAGNOSTIC_RETENTION_DAYS   - Days a report is kept (default 7)
+ *   DIAGNOSTIC_MAX_REPORTS_PER_SESSION - Reports kept per FID or session (default 100)
+ *   DIAGNOSTIC_MAX_LOGS         - Log entries kept per report, newest first (default 200)
+ *   DIAGNOSTIC_MAX_BODY_BYTES   - Largest report body accepted (default 100 KB)
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { connectToMongoDB } = require('./db');
+const { validationError } = require('./validation');
+const { httpError } = require('./errors');
+
+// Least to most severe
+const LEVELS = ['debug', 'log', 'info', 'warn', 'error'];
+const LEVEL_ALIASES = { warning: 'warn', err: 'error', fatal: 'error', trace: 'debug' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_MS = (parseFloat(process.env.DIAGNOSTIC_RETENTION_DAYS) || 7) * DAY_MS;
+const MAX_REPORTS_PER_SESSION = parseInt(process.env.DIAGNOSTIC_MAX_REPORTS_PER_SESSION, 10) || 100;
+const MAX_LOGS = parseInt(process.env.DIAGNOSTIC_MAX_LOGS, 10) || 200;
+const MAX_BODY_BYTES = parseInt(process.env.DIAGNOSTIC_MAX_BODY_BYTES, 10) || 100 * 1024;
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_CLIENT_INFO_BYTES = 8 * 1024;
+const SESSION_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const FILE_FLUSH_DELAY = 1000;
+// Retention queries against Mongo run at most this often
+const MONGO_PRUNE_INTERVAL = 60 * 1000;
+
+const severity = (level) => LEVELS.indexOf(level);
+
+const normalizeLevel = (level) => {
+  const lower = String(level || '').toLowerCase();
+  const name = LEVEL_ALIASES[lower] || lower;
+  return LEVELS.includes(name) ? name : 'info';
+};
+
+const truncate = (value, max = MAX_MESSAGE_LENGTH) => {
+  const text = typeof value === 'string' ? value : JSON.stringify(value) ?? String(value);
+  return text.length > max ? `${text.slice(0, max)}…` : text;
+};
+
+const toDate = (value, fallback) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : fallback;
+};
+
+const normalizeLog = (entry, receivedAt) => ({
+  timestamp: toDate(entry.timestamp, receivedAt),
+  level: normalizeLevel(entry.level || entry.type),
+  message: truncate(entry.message ?? '')
+});
+
+/**
+ * Who a report counts against for retention: its FID, else its session, else
+ * the client's IP. Reports stored before owners were recorded fall back the same way.
+ */
+const ownerOf = (report) => {
+  if (report.owner) return report.owner;
+  if (report.fid) return `fid:${report.fid}`;
+  if (report.sessionId) return `session:${report.sessionId}`;
+  return `ip:${report.meta?.ip || 'unknown'}`;
+};
+
+/**
+ * Turn a POSTed body into a report. Accepts a batch ({ sessionId, fid, logs, clientInfo })
+ * or a single event ({ event, type, message, error, data, clientInfo }).
+ * @param {Object} body - Request body
+ * @param {Object} context - { client } from identifyClient, { userAgent } header
+ * @throws {Error} - INVALID_PARAMETER with status 400 for bodies that can't be stored,
+ *   PAYLOAD_TOO_LARGE with status 413 for bodies over DIAGNOSTIC_MAX_BODY_BYTES
+ */
+const buildReport = (body, context = {}) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw validationError('Diagnostic report must be a JSON object');
+  }
+  if (Buffer.byteLength(JSON.stringify(body)) > MAX_BODY_BYTES) {
+    throw httpError(`Diagnostic report is larger than ${MAX_BODY_BYTES} bytes`, 'PAYLOAD_TOO_LARGE', 413);
+  }
+
+  const receivedAt = new Date();
+  let logs;
+  if (body.logs !== undefined) {
+    if (!Array.isArray(body.logs)) throw validationError('logs must be an array');
+    logs = body.logs.filter(entry => entry && typeof entry === 'object');
+  } else if (body.message || body.event) {
+    const message = body.error ? `${body.message || body.event}: ${truncate(body.error)}` : (body.message || body.event);
+    logs = [{ timestamp: body.clientInfo?.timestamp, level: body.type, message }];
+  } else {
+    throw validationError('Diagnostic report needs logs or a message');
+  }
+
+  // Keep the newest entries of long sessions
+  logs = logs.slice(-MAX_LOGS).map(entry => normalizeLog(entry, receivedAt));
+  if (logs.length === 0) throw validationError('logs must not be empty');
+
+  const sessionId = body.sessionId !== undefined ? String(body.sessionId) : null;
+  if (sessionId !== null && !SESSION_ID_PATTERN.test(sessionId)) {
+    throw validationError('sessionId must be up to 128 letters, digits, or . _ : -');
+  }
+
+  // A verified token wins over whatever FID the client reports
+  const client = context.client || {};
+  const reportedFid = /^\d{1,10}$/.test(String(body.fid ?? '')) ? Number(body.fid) : null;
+  const fid = client.authenticated ? client.fid : reportedFid;
+
+  let clientInfo = body.clientInfo && typeof body.clientInfo === 'object' ? body.clientInfo : null;
+  if (clientInfo && JSON.stringify(clientInfo).length > MAX_CLIENT_INFO_BYTES) {
+    clientInfo = { truncated: true, userAgent: clientInfo.userAgent };
+  }
+
+  const report = {
+    reportId: crypto.randomUUID(),
+    sessionId,
+    fid: fid || null,
+    fidVerified: Boolean(client.authenticated),
+    level: logs.reduce((worst, entry) => (severity(entry.level) > severity(worst) ? entry.level : worst), 'debug'),
+    event: body.event ? truncate(body.event, 200) : null,
+    message: truncate(logs[logs.length - 1].message, 500),
+    logs,
+    clientInfo,
+    meta: {
+      ip: client.ip || null,
+      userAgent: context.userAgent || null
+    },
+    receivedAt
+  };
+  report.owner = ownerOf(report);
+  return report;
+};
+
+/**
+ * Whether a report matches { sessionId, fid, level, from, to }
+ */
+const matches = (report, filter) => {
+  const receivedAt = new Date(report.receivedAt).getTime();
+  if (filter.sessionId && report.sessionId !== filter.sessionId) return false;
+  if (filter.fid && report.fid !== Number(filter.fid)) return false;
+  if (filter.level && severity(report.level) < severity(filter.level)) return false;
+  if (filter.from && receivedAt < new Date(filter.from).getTime()) return false;
+  if (filter.to && receivedAt > new Date(filter.to).getTime()) return false;
+  return true;
+};
+
+// A level filter also trims each report's logs to that level and above
+const trimLogs = (report, filter) => {
+  if (!filter.level) return report;
+  return { ...report, logs: report.logs.filter(entry => severity(entry.level) >= severity(filter.level)) };
+};
+
+class FileStore {
+  constructor(filePath) {
+    this.name = 'file';
+    this.filePath = filePath;
+    this.reports = [];
+    this.flushTimer = null;
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.reports = Array.isArray(saved.reports) ? saved.reports : [];
+      console.log(`[DIAGNOSTIC] Loaded ${this.reports.length} reports from ${this.filePath}`);
+    } catch (error) {
+      console.warn(`[DIAGNOSTIC] Could not load report file ${this.filePath}:`, error.message);
+    }
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, FILE_FLUSH_DELAY);
+    if (this.flushTimer.unref) this.flushTimer.unref();
+  }
+
+  flush() {
+    try {
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ reports: this.reports }));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.warn(`[DIAGNOSTIC] Could not write report file ${this.filePath}:`, error.message);
+    }
+  }
+
+  async insert(report) {
+    this.reports.push(report);
+    this.prune();
+    this.scheduleFlush();
+  }
+
+  prune() {
+    const cutoff = Date.now() - RETENTION_MS;
+    const before = this.reports.length;
+    // Walk newest first so each owner keeps its latest reports
+    const kept = new Map();
+    this.reports = this.reports
+      .filter(report => new Date(report.receivedAt).getTime() >= cutoff)
+      .reverse()
+      .filter(report => {
+        const owner = ownerOf(report);
+        const count = (kept.get(owner) || 0) + 1;
+        kept.set(owner, count);
+        return count <= MAX_REPORTS_PER_SESSION;
+      })
+      .reverse();
+    return before - this.reports.length;
+  }
+
+  async find(filter, limit) {
+    this.prune();
+    const found = this.reports.filter(report => matches(report, filter));
+    // Newest first
+    return { total: found.length, reports: found.slice(-limit).reverse() };
+  }
+
+  async get(reportId) {
+    return this.reports.find(report => report.reportId === reportId) || null;
+  }
+
+  async remove(filter) {
+    const before = this.reports.length;
+    this.reports = this.reports.filter(report => !matches(report, filter));
+    this.scheduleFlush();
+    return before - this.reports.length;
+  }
+
+  async count() {
+    return this.reports.length;
+  }
+}
+
+class MongoStore {
+  constructor() {
+    this.name = 'mongo';
+    this.lastPrune = 0;
+    this.model = null;
+  }
+
+  async connect() {
+    await connectToMongoDB();
+    // Loaded on first use so the file store never pulls in the model
+    if (!this.model) this.model = require('./models/DiagnosticReport');
+    return this.model;
+  }
+
+  query(filter) {
+    const query = {};
+    if (filter.sessionId) query.sessionId = filter.sessionId;
+    if (filter.fid) query.fid = Number(filter.fid);
+    if (filter.level) query.level = { $in: LEVELS.slice(severity(filter.level)) };
+    if (filter.from || filter.to) {
+      query.receivedAt = {};
+      if (filter.from) query.receivedAt.$gte = new Date(filter.from);
+      if (filter.to) query.receivedAt.$lte = new Date(filter.to);
+    }
+    return query;
+  }
+
+  async insert(report) {
+    const Model = await this.connect();
+    await Model.create(report);
+    await this.pruneOwner(report.owner);
+    await this.prune();
+  }
+
+  /**
+   * Drop an owner's reports beyond DIAGNOSTIC_MAX_REPORTS_PER_SESSION, oldest first
+   */
+  async pruneOwner(owner) {
+    const Model = await this.connect();
+    const oldestKept = await Model.find({ owner }, { receivedAt: 1 }).sort({ receivedAt: -1 }).skip(MAX_REPORTS_PER_SESSION - 1).limit(1).lean();
+    if (oldestKept.length > 0) {
+      await Model.deleteMany({ owner, receivedAt: { $lt: oldestKept[0].receivedAt } });
+    }
+  }
+
+  async prune() {
+    const now = Date.now();
+    if (now - this.lastPrune < MONGO_PRUNE_INTERVAL) return;
+    this.lastPrune = now;
+
+    const Model = await this.connect();
+    await Model.deleteMany({ receivedAt: { $lt: new Date(now - RETENTION_MS) } });
+  }
+
+  async find(filter, limit) {
+    const Model = await this.connect();
+    const query = this.query(filter);
+    const [total, reports] = await Promise.all([
+      Model.countDocuments(query),
+      Model.find(query, { _id: 0, __v: 0 }).sort({ receivedAt: -1 }).limit(limit).lean()
+    ]);
+    return { total, reports };
+  }
+
+  async get(reportId) {
+    const Model = await this.connect();
+    return Model.findOne({ reportId }, { _id: 0, __v: 0 }).lean();
+  }
+
+  async remove(filter) {
+    const Model = await this.connect();
+    const result = await Model.deleteMany(this.query(filter));
+    return result.deletedCount || 0;
+  }
+
+  async count() {
+    const Model = await this.connect();
+    return Model.estimatedDocumentCount();
+  }
+}
+
+const createStore = () => {
+  const configured = (process.env.DIAGNOSTIC_STORE || '').toLowerCase();
+  if (configured === 'mongo' || (!configured && process.env.MONGODB_URI)) {
+    return new MongoStore();
+  }
+  return new FileStore(process.env.DIAGNOSTIC_STORE_FILE || path.join(os.tmpdir(), 'gall3ry-diagnostics.json'));
+};
+
+class DiagnosticStore {
+  constructor(options = {}) {
+    this.store = options.store || createStore();
+  }
+
+  /**
+   * Store a POSTed report
+   * @returns {Object} - { reportId, level, logCount }
+   */
+  async save(body, context) {
+    const report = buildReport(body, context);
+    await this.store.insert(report);
+    return { reportId: report.reportId, level: report.level, logCount: report.logs.length };
+  }
+
+  /**
+   * Reports matching { sessionId, fid, level, from, to }, newest first
+   * @param {Object} filter - level is a minimum: 'warn' returns warn and error
+   * @param {number} limit - Reports returned (total counts every match)
+   */
+  async query(filter = {}, limit = 20) {
+    const { total, reports } = await this.store.find(filter, limit);
+    return { total, reports: reports.map(report => trimLogs(report, filter)) };
+  }
+
+  async get(reportId) {
+    return this.store.get(reportId);
+  }
+
+  /**
+   * Delete the reports matching a filter (all of them for an empty filter)
+   * @returns {number} - Reports deleted
+   */
+  async clear(filter = {}) {
+    return this.store.remove(filter);
+  }
+
+  async stats() {
+    return {
+      backend: this.store.name,
+      reports: await this.store.count(),
+      retentionDays: RETENTION_MS / DAY_MS,
+      maxReportsPerSession: MAX_REPORTS_PER_SESSION,
+      maxLogsPerReport: MAX_LOGS,
+      maxBodyBytes: MAX_BODY_BYTES
+    };
+  }
+}
+
+const diagnosticStore = new DiagnosticStore();
+
+module.exports = {
+  diagnosticStore,
+  DiagnosticStore,
+  FileStore,
+  MongoStore,
+  LEVELS
+};
@@ -0,0 +1,25 @@
+/**
+ * Errors for the API handlers
+ *
+ * An Error carrying the HTTP status to respond with and a machine-readable
+ * code, which handlers send in the standard { error, message, code } shape.
+ */
+
+/**
+ * @param {string} message - Human-readable message
+ * @param {string} code - Machine-readable code, e.g. 'TOKEN_EXPIRED'
+ * @param {number} [status=500] - HTTP status to respond with
+ * @param {Array} [details] - Per-field problems, for validation errors
+ * @returns {Error}
+ */
+const httpError = (message, code, status = 500, details) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
+module.exports = { httpError };
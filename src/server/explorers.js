@@ -0,0 +1,298 @@
+/**
+ * Block explorer and marketplace lookups
+ *
+ * Etherscan's V2 API serves every chain it indexes from one endpoint and one key,
+ * picked by chainid, so the etherscan and basescan routes are the same client
+ * for Ethereum and Base. OpenSea supplies collection stats. Responses are
+ * normalized to the field names our NFT objects already use (contract address and
+ * name, floorPrice, openSeaMetadata, and the transfers/transferMap shape returned
+ * for Alchemy getAssetTransfers) so the client can merge them straight into cards.
+ *
+ * API keys stay on the server: ETHERSCAN_API_KEY, OPENSEA_API_KEY.
+ */
+const axios = require('axios');
+const { getChain } = require('../chains');
+const { httpError } = require('./errors');
+
+const ETHERSCAN_API_URL = 'https://api.etherscan.io/v2/api';
+
+const EXPLORERS = {
+  etherscan: {
+    name: 'Etherscan',
+    chainId: getChain('eth').chainId,
+    siteUrl: getChain('eth').explorerUrl,
+    chain: 'eth'
+  },
+  basescan: {
+    name: 'Basescan',
+    chainId: getChain('base').chainId,
+    siteUrl: getChain('base').explorerUrl,
+    chain: 'base'
+  }
+};
+
+const OPENSEA_API_URL = 'https://api.opensea.io/api/v2';
+
+const REQUEST_TIMEOUT = 15000;
+const MAX_PAGE_SIZE = 100;
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+const getApiKey = (envName, serviceName) => {
+  const apiKey = process.env[envName];
+  if (!apiKey) {
+    throw httpError(`${serviceName} API key is not configured (${envName})`, 'MISSING_API_KEY', 500);
+  }
+  return apiKey;
+};
+
+/**
+ * Validate an address parameter and return it lowercased
+ */
+const requireAddress = (address, name = 'address') => {
+  if (!ADDRESS_PATTERN.test(address || '')) {
+    throw httpError(`${name} must be a 0x-prefixed 20 byte hex address`, 'INVALID_PARAMETER', 400);
+  }
+  return address.toLowerCase();
+};
+
+/**
+ * Call an Etherscan-family API, unwrapping its { status, message, result } envelope
+ */
+const callExplorer = async (explorer, params) => {
+  const apiKey = getApiKey('ETHERSCAN_API_KEY', explorer.name);
+
+  let response;
+  try {
+    response = await axios.get(ETHERSCAN_API_URL, {
+      params: { chainid: explorer.chainId, ...params, apikey: apiKey },
+      timeout: REQUEST_TIMEOUT
+    });
+  } catch (error) {
+    const status = error.response?.status === 429 ? 429 : 502;
+    throw httpError(`${explorer.name} request failed: ${error.message}`, 'UPSTREAM_ERROR', status);
+  }
+
+  const { status, message, result } = response.data || {};
+  if (status === '1') return result;
+
+  // An empty history comes back as a failure status
+  if (/^No (transactions|records) found/i.test(message || '')) return [];
+
+  const detail = typeof result === 'string' ? result : message;
+  if (/rate limit/i.test(detail || '')) {
+    throw httpError(`${explorer.name} rate limit reached`, 'RATE_LIMITED', 429);
+  }
+  throw httpError(`${explorer.name} error: ${detail || 'unexpected response'}`, 'UPSTREAM_ERROR', 502);
+};
+
+/**
+ * Contract verification status from getsourcecode
+ * @param {string} explorerId - etherscan or basescan
+ * @param {string} address - Contract address
+ * @param {Object} options - { includeSource } to also return the source and ABI
+ * @returns {Promise<Object>} - { address, name, chain, verified, isProxy, implementation, verification }
+ */
+const getContractVerification = async (explorerId, address, options = {}) => {
+  const explorer = EXPLORERS[explorerId];
+  const contractAddress = requireAddress(address);
+
+  const [source = {}] = await callExplorer(explorer, {
+    module: 'contract',
+    action: 'getsourcecode',
+    address: contractAddress
+  });
+
+  // Unverified contracts come back with an empty SourceCode
+  const verified = Boolean(source.SourceCode);
+  const contract = {
+    address: contractAddress,
+    name: source.ContractName || null,
+    chain: explorer.chain,
+    verified,
+    isProxy: source.Proxy === '1',
+    implementation: source.Implementation ? source.Implementation.toLowerCase() : null,
+    verification: {
+      verified,
+      compilerVersion: source.CompilerVersion || null,
+      optimizationUsed: source.OptimizationUsed === '1',
+      runs: source.Runs ? Number(source.Runs) : null,
+      license: source.LicenseType && source.LicenseType !== 'None' ? source.LicenseType : null,
+      explorer: explorer.name,
+      explorerUrl: `${explorer.siteUrl}/address/${contractAddress}#code`
+    }
+  };
+
+  if (options.includeSource && verified) {
+    contract.sourceCode = source.SourceCode;
+    contract.abi = source.ABI;
+  }
+
+  return contract;
+};
+
+/**
+ * NFT transfers for an owner and/or a contract, newest first by default
+ * @param {string} explorerId - etherscan or basescan
+ * @param {Object} params - { owner, contractAddress, standard (erc721|erc1155), page, offset, sort }
+ * @returns {Promise<Object>} - { transfers, transferMap, count, page, dataAvailable, diagnostic }
+ */
+const getTokenTransfers = async (explorerId, params = {}) => {
+  const explorer = EXPLORERS[explorerId];
+  const owner = params.owner ? requireAddress(params.owner, 'owner') : null;
+  const contractAddress = params.contractAddress ? requireAddress(params.contractAddress, 'contractAddress') : null;
+
+  if (!owner && !contractAddress) {
+    throw httpError('owner or contractAddress is required', 'INVALID_PARAMETER', 400);
+  }
+
+  const standard = (params.standard || 'erc721').toLowerCase();
+  if (!['erc721', 'erc1155'].includes(standard)) {
+    throw httpError('standard must be erc721 or erc1155', 'INVALID_PARAMETER', 400);
+  }
+
+  const page = Math.max(1, parseInt(params.page, 10) || 1);
+  const offset = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(params.offset, 10) || MAX_PAGE_SIZE));
+  const requestMethod = standard === 'erc1155' ? 'token1155tx' : 'tokennfttx';
+
+  const rows = await callExplorer(explorer, {
+    module: 'account',
+    action: requestMethod,
+    address: owner || undefined,
+    contractaddress: contractAddress || undefined,
+    page,
+    offset,
+    sort: params.sort === 'asc' ? 'asc' : 'desc'
+  });
+
+  const transfers = rows.map(row => ({
+    timestamp: new Date(Number(row.timeStamp) * 1000).toISOString(),
+    from: row.from,
+    to: row.to,
+    tokenId: row.tokenID,
+    contractAddress: (row.contractAddress || '').toLowerCase(),
+    transactionHash: row.hash,
+    blockNumber: Number(row.blockNumber),
+    collectionName: row.tokenName || null,
+    symbol: row.tokenSymbol || null,
+    quantity: row.tokenValue ? Number(row.tokenValue) : 1
+  }));
+
+  // Most recent transfer per token, as used to sort NFTs by acquisition date
+  const transferMap = {};
+  transfers.forEach(transfer => {
+    const key = `${transfer.contractAddress}:${transfer.tokenId}`;
+    if (!transferMap[key] || transfer.timestamp > transferMap[key].timestamp) {
+      const { timestamp, from, to, tokenId } = transfer;
+      transferMap[key] = { timestamp, from, to, tokenId, contractAddress: transfer.contractAddress };
+    }
+  });
+
+  return {
+    transfers,
+    transferMap,
+    count: transfers.length,
+    page,
+    dataAvailable: transfers.length > 0,
+    diagnostic: {
+      chain: explorer.chain,
+      requestMethod: `${explorerId}_${requestMethod}`
+    }
+  };
+};
+
+/**
+ * Call the OpenSea API, mapping its failures to our error codes
+ */
+const callOpenSea = async (path) => {
+  const apiKey = getApiKey('OPENSEA_API_KEY', 'OpenSea');
+
+  try {
+    const response = await axios.get(`${OPENSEA_API_URL}${path}`, {
+      headers: { 'Accept': 'application/json', 'x-api-key': apiKey },
+      timeout: REQUEST_TIMEOUT
+    });
+    return response.data;
+  } catch (error) {
+    const status = error.response?.status;
+    if (status === 404) throw httpError('Collection not found on OpenSea', 'NOT_FOUND', 404);
+    if (status === 429) throw httpError('OpenSea rate limit reached', 'RATE_LIMITED', 429);
+    throw httpError(`OpenSea request failed: ${error.message}`, 'UPSTREAM_ERROR', 502);
+  }
+};
+
+/**
+ * Marketplace stats for a collection, by OpenSea slug or by contract
+ * @param {Object} params - { slug } or { contractAddress, network }
+ * @returns {Promise<Object>} - { slug, name, contractAddress, chain, floorPrice, stats, openSeaMetadata }
+ */
+const getCollectionStats = async (params = {}) => {
+  let { slug } = params;
+  const network = (params.network || 'eth').toLowerCase();
+  const contractAddress = params.contractAddress ? requireAddress(params.contractAddress, 'contractAddress') : null;
+
+  if (!slug) {
+    if (!contractAddress) {
+      throw httpError('slug or contractAddress is required', 'INVALID_PARAMETER', 400);
+    }
+    const openSeaChain = getChain(network)?.opensea;
+    if (!openSeaChain) {
+      throw httpError(`Network ${network} is not supported by OpenSea`, 'INVALID_PARAMETER', 400);
+    }
+    const contract = await callOpenSea(`/chain/${openSeaChain}/contract/${contractAddress}`);
+    slug = contract.collection;
+    if (!slug) {
+      throw httpError('Contract has no OpenSea collection', 'NOT_FOUND', 404);
+    }
+  }
+
+  const encodedSlug = encodeURIComponent(slug);
+  const [collection, stats] = await Promise.all([
+    callOpenSea(`/collections/${encodedSlug}`),
+    callOpenSea(`/collections/${encodedSlug}/stats`)
+  ]);
+
+  const total = stats.total || {};
+  const interval = (name) => (stats.intervals || []).find(entry => entry.interval === name) || {};
+  const floorValue = typeof total.floor_price === 'number' ? total.floor_price : null;
+
+  return {
+    slug,
+    name: collection.name || null,
+    contractAddress: contractAddress || collection.contracts?.[0]?.address?.toLowerCase() || null,
+    chain: network,
+    // Same shape as floorPrice on our NFT objects
+    floorPrice: floorValue === null ? null : { value: floorValue, currency: total.floor_price_symbol || 'ETH' },
+    stats: {
+      totalVolume: total.volume ?? null,
+      totalSales: total.sales ?? null,
+      averagePrice: total.average_price ?? null,
+      owners: total.num_owners ?? null,
+      marketCap: total.market_cap ?? null,
+      oneDayVolume: interval('one_day').volume ?? null,
+      oneDayChange: interval('one_day').volume_change ?? null,
+      sevenDayVolume: interval('seven_day').volume ?? null,
+      thirtyDayVolume: interval('thirty_day').volume ?? null
+    },
+    // Same shape as contract.openSeaMetadata in Alchemy NFT responses
+    openSeaMetadata: {
+      floorPrice: floorValue,
+      collectionName: collection.name || null,
+      collectionSlug: slug,
+      safelistRequestStatus: collection.safelist_status || null,
+      imageUrl: collection.image_url || null,
+      description: collection.description || null,
+      externalUrl: collection.project_url || null,
+      twitterUsername: collection.twitter_username || null,
+      discordUrl: collection.discord_url || null,
+      bannerImageUrl: collection.banner_image_url || null,
+      lastIngestedAt: new Date().toISOString()
+    }
+  };
+};
+
+module.exports = {
+  EXPLORERS,
+  getContractVerification,
+  getTokenTransfers,
+  getCollectionStats
+};
@@ -0,0 +1,247 @@
+/**
+ * Health checks for /api/health
+ *
+ * The shallow check only says the process is up. The deep check reports
+ * whether each API key is configured (never its value), whether MongoDB is
+ * reachable, cache status, and a latency probe against each upstream.
+ * Deep results are cached for HEALTH_CACHE_MS (default 30 seconds), and
+ * concurrent checks share one run, so the endpoint can't be used to hammer
+ * upstreams.
+ *
+ * The overall status is 'down' when a required key, MongoDB, or a required
+ * upstream fails; 'degraded' when only optional ones (explorers, OpenSea)
+ * fail or a probe is slow; 'ok' otherwise.
+ */
+const axios = require('axios');
+const mongoose = require('mongoose');
+const { connectToMongoDB } = require('./db');
+const { cache } = require('./cache');
+const mediaCache = require('./mediaCache');
+const ipfsGateways = require('./ipfsGateways');
+const { getAlchemySubdomain, getChain } = require('../chains');
+const upstreamUrls = require('./upstreams');
+const { version } = require('../../package.json');
+
+const CACHE_MS = parseInt(process.env.HEALTH_CACHE_MS, 10) || 30 * 1000;
+const PROBE_TIMEOUT = parseInt(process.env.HEALTH_PROBE_TIMEOUT_MS, 10) || 5000;
+// Probes slower than this mark the service degraded
+const SLOW_PROBE_MS = 2000;
+
+// Keys, by the environment variables the handlers read them from
+const KEYS = [
+  { name: 'alchemy', env: ['ALCHEMY_API_KEY'], required: true },
+  { name: 'neynar', env: ['NEYNAR_API_KEY', 'REACT_APP_NEYNAR_API_KEY'], required: true },
+  { name: 'zapper', env: ['ZAPPER_API_KEY'], required: true },
+  { name: 'mongodb', env: ['MONGODB_URI'], required: true },
+  { name: 'jwt', env: ['JWT_SECRET'], required: true },
+  { name: 'etherscan', env: ['ETHERSCAN_API_KEY'], required: false },
+  { name: 'opensea', env: ['OPENSEA_API_KEY'], required: false }
+];
+
+const readKey = (key) => key.env.map(name => process.env[name]).find(Boolean) || null;
+
+// The cheapest authenticated request each upstream offers
+const PROBES = [
+  {
+    name: 'alchemy',
+    required: true,
+    request: (apiKey) => ({
+      method: 'post',
+      url: `${upstreamUrls.alchemyBaseUrl(getAlchemySubdomain('eth'))}/v2/${apiKey}`,
+      data: { jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] }
+    })
+  },
+  {
+    name: 'neynar',
+    required: true,
+    request: (apiKey) => ({
+      method: 'get',
+      url: `${upstreamUrls.neynarBaseUrl()}/user/bulk`,
+      params: { fids: 1 },
+      headers: { 'api_key': apiKey }
+    })
+  },
+  {
+    name: 'zapper',
+    required: true,
+    request: (apiKey) => ({
+      method: 'post',
+      url: upstreamUrls.zapperGraphqlUrls()[1],
+      data: { query: '{ __typename }' },
+      headers: { 'x-zapper-api-key': apiKey }
+    })
+  },
+  {
+    name: 'etherscan',
+    required: false,
+    request: (apiKey) => ({
+      method: 'get',
+      url: 'https://api.etherscan.io/v2/api',
+      params: { chainid: getChain('eth').chainId, module: 'proxy', action: 'eth_blockNumber', apikey: apiKey }
+    })
+  },
+  {
+    // Basescan is Etherscan's V2 API with Base's chain id, under the same key
+    name: 'basescan',
+    key: 'etherscan',
+    required: false,
+    request: (apiKey) => ({
+      method: 'get',
+      url: 'https://api.etherscan.io/v2/api',
+      params: { chainid: getChain('base').chainId, module: 'proxy', action: 'eth_blockNumber', apikey: apiKey }
+    })
+  },
+  {
+    name: 'opensea',
+    required: false,
+    request: (apiKey) => ({
+      method: 'get',
+      url: 'https://api.opensea.io/api/v2/collections/boredapeyachtclub',
+      headers: { 'X-API-KEY': apiKey }
+    })
+  }
+];
+
+const elapsed = (start) => Date.now() - start;
+
+/**
+ * Whether each key is configured, by name
+ */
+const checkKeys = () => {
+  return Object.fromEntries(KEYS.map(key => [key.name, {
+    configured: Boolean(readKey(key)),
+    required: key.required
+  }]));
+};
+
+const checkMongo = async () => {
+  if (!process.env.MONGODB_URI) {
+    return { status: 'down', message: 'MONGODB_URI is not configured' };
+  }
+  const start = Date.now();
+  try {
+    await connectToMongoDB();
+    await mongoose.connection.db.admin().ping();
+    return { status: 'ok', latencyMs: elapsed(start) };
+  } catch (error) {
+    return { status: 'down', latencyMs: elapsed(start), message: error.message };
+  }
+};
+
+const probeUpstream = async (probe) => {
+  const apiKey = readKey(KEYS.find(key => key.name === (probe.key || probe.name)));
+  if (!apiKey) {
+    return { status: probe.required ? 'down' : 'not_configured', required: probe.required };
+  }
+
+  const start = Date.now();
+  try {
+    // Any answer but an auth failure or server error means the key works and the API is up
+    const response = await axios({ ...probe.request(apiKey), timeout: PROBE_TIMEOUT, validateStatus: null });
+    const latencyMs = elapsed(start);
+    const { status } = response;
+    if (status === 401 || status === 403) {
+      return { status: 'down', required: probe.required, latencyMs, httpStatus: status, message: 'API key rejected' };
+    }
+    if (status >= 500) {
+      return { status: 'down', required: probe.required, latencyMs, httpStatus: status, message: 'Upstream error' };
+    }
+    return {
+      status: status === 429 || latencyMs > SLOW_PROBE_MS ? 'degraded' : 'ok',
+      required: probe.required,
+      latencyMs,
+      httpStatus: status
+    };
+  } catch (error) {
+    return { status: 'down', required: probe.required, latencyMs: elapsed(start), message: error.message };
+  }
+};
+
+const checkCaches = () => {
+  const apiCache = cache.stats();
+  const media = mediaCache.stats();
+  return {
+    status: 'ok',
+    api: { backend: apiCache.backend, size: apiCache.size, maxEntries: apiCache.maxEntries },
+    media: { entries: media.entries, bytes: media.bytes, maxBytes: media.maxBytes },
+    ipfsGateways: ipfsGateways.stats()
+  };
+};
+
+/**
+ * Overall status from the parts: required failures take the service down,
+ * optional failures and slow probes only degrade it
+ */
+const overallStatus = (keys, mongo, upstreams) => {
+  const missingRequired = Object.values(keys).some(key => key.required && !key.configured);
+  const upstreamList = Object.values(upstreams);
+  if (missingRequired || mongo.status === 'down' || upstreamList.some(result => result.required && result.status === 'down')) {
+    return 'down';
+  }
+  if (upstreamList.some(result => result.status === 'degraded' || (!result.required && result.status === 'down'))) {
+    return 'degraded';
+  }
+  return 'ok';
+};
+
+const runDeepCheck = async () => {
+  const start = Date.now();
+  const keys = checkKeys();
+  const [mongo, ...probes] = await Promise.all([checkMongo(), ...PROBES.map(probeUpstream)]);
+  const upstreams = Object.fromEntries(PROBES.map((probe, i) => [probe.name, probes[i]]));
+
+  return {
+    status: overallStatus(keys, mongo, upstreams),
+    mode: 'deep',
+    version,
+    keys,
+    mongo,
+    caches: checkCaches(),
+    upstreams,
+    // Upstreams redirected by a *_API_BASE_URL variable, such as to the simulator
+    overrides: upstreamUrls.getOverrides(),
+    durationMs: elapsed(start),
+    checkedAt: new Date().toISOString()
+  };
+};
+
+let lastCheck = null;
+let pendingCheck = null;
+
+/**
+ * Deep health report, reusing the last one while it is fresh
+ * @returns {Promise<Object>} - The report, with `cached` set when it was reused
+ */
+const deepCheck = async () => {
+  if (lastCheck && Date.now() - lastCheck.at < CACHE_MS) {
+    return { ...lastCheck.report, cached: true };
+  }
+  if (!pendingCheck) {
+    pendingCheck = runDeepCheck()
+      .then(report => {
+        lastCheck = { at: Date.now(), report };
+        return report;
+      })
+      .finally(() => {
+        pendingCheck = null;
+      });
+  }
+  return { ...(await pendingCheck), cached: false };
+};
+
+/**
+ * Shallow health report: the process is up and answering
+ */
+const shallowCheck = () => ({
+  status: 'ok',
+  mode: 'shallow',
+  version,
+  uptimeSeconds: Math.round(process.uptime()),
+  checkedAt: new Date().toISOString()
+});
+
+module.exports = {
+  shallowCheck,
+  deepCheck,
+  checkKeys
+};
@@ -0,0 +1,125 @@
+/**
+ * Resizing and format conversion for the image proxy
+ *
+ * Query parameters:
+ *   w, h    - Target width/height in pixels (1-2048), never enlarges
+ *   fit     - cover | contain | inside | outside | fill (default inside)
+ *   format  - webp | avif | png (default: keep the source format)
+ *
+ * Videos are passed through untouched. If sharp is unavailable on the host
+ * the original bytes are served so images still load, just unresized.
+ */
+
+const { httpError } = require('./errors');
+
+let sharp = null;
+try {
+  sharp = require('sharp');
+} catch (error) {
+  console.warn('[IMAGE-TRANSFORM] sharp is not available, images will be served at original size:', error.message);
+}
+
+const MAX_DIMENSION = 2048;
+const FITS = ['cover', 'contain', 'inside', 'outside', 'fill'];
+const FORMATS = ['webp', 'avif', 'png'];
+
+// Refuse to decode decompression bombs
+const MAX_INPUT_PIXELS = 100 * 1000 * 1000;
+
+const OUTPUT_TYPES = {
+  webp: 'image/webp',
+  avif: 'image/avif',
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif'
+};
+
+const transformError = (message) => httpError(message, 'INVALID_TRANSFORM', 400);
+
+const parseDimension = (value, name) => {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > MAX_DIMENSION) {
+    throw transformError(`${name} must be an integer between 1 and ${MAX_DIMENSION}`);
+  }
+  return number;
+};
+
+/**
+ * Read transform options from the proxy query string
+ * @param {Object} query - req.query
+ * @returns {Object|null} - { width, height, fit, format }, or null when no transform was requested
+ */
+const parseTransformOptions = (query = {}) => {
+  const width = parseDimension(query.w, 'w');
+  const height = parseDimension(query.h, 'h');
+  const fit = query.fit ? String(query.fit).toLowerCase() : 'inside';
+  const format = query.format ? String(query.format).toLowerCase() : null;
+
+  if (!FITS.includes(fit)) {
+    throw transformError(`fit must be one of ${FITS.join(', ')}`);
+  }
+  if (format && !FORMATS.includes(format)) {
+    throw transformError(`format must be one of ${FORMATS.join(', ')}`);
+  }
+
+  if (!width && !height && !format) {
+    return null;
+  }
+
+  return { width, height, fit, format };
+};
+
+/**
+ * Resize and/or re-encode an image
+ * @param {Buffer} buffer - Source image
+ * @param {string} contentType - Source media type
+ * @param {Object} options - From parseTransformOptions
+ * @returns {Promise<Object>} - { data, contentType, transformed }
+ */
+const transformImage = async (buffer, contentType, options) => {
+  if (!sharp || !options || !contentType.startsWith('image/')) {
+    return { data: buffer, contentType, transformed: false };
+  }
+
+  try {
+    // animated: true keeps every frame of GIFs and animated WebPs
+    let pipeline = sharp(buffer, { animated: true, limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate();
+
+    if (options.width || options.height) {
+      pipeline = pipeline.resize({
+        width: options.width || undefined,
+        height: options.height || undefined,
+        fit: options.fit,
+        withoutEnlargement: true
+      });
+    }
+
+    // SVGs are rasterized, so they need a raster output format
+    const format = options.format || (contentType === 'image/svg+xml' ? 'png' : null);
+    if (format) {
+      pipeline = pipeline.toFormat(format, { quality: 80 });
+    }
+
+    const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+    return {
+      data,
+      // sharp reports AVIF output as 'heif', so prefer the format we asked for
+      contentType: OUTPUT_TYPES[format] || OUTPUT_TYPES[info.format] || contentType,
+      transformed: true
+    };
+  } catch (error) {
+    // Serve the original rather than a broken image
+    console.warn(`[IMAGE-TRANSFORM] Could not transform ${contentType} image: ${error.message}`);
+    return { data: buffer, contentType, transformed: false };
+  }
+};
+
+module.exports = {
+  parseTransformOptions,
+  transformImage,
+  MAX_DIMENSION,
+  FITS,
+  FORMATS
+};
@@ -0,0 +1,191 @@
+/**
+ * Health-scored IPFS gateway manager
+ *
+ * Normalizes the many ways NFT metadata spells an IPFS location (see
+ * src/ipfs.js), then races the best few gateways for each fetch. Every gateway
+ * keeps a success rate and average latency; gateways that fail repeatedly with
+ * network errors, timeouts, 5xx or 429 are demoted for a while so dead ones stop
+ * costing us a request on every image.
+ *
+ * Configuration:
+ *   IPFS_GATEWAYS         - Comma separated gateway origins, in preference order
+ *   IPFS_GATEWAY_RACE     - How many gateways to race at once (default 3)
+ *   IPFS_GATEWAY_DEMOTE_MS - How long a failing gateway is demoted (default 5 minutes)
+ */
+const { parseIpfsUrl, toIpfsUri } = require('../ipfs');
+
+const DEFAULT_GATEWAYS = [
+  'https://ipfs.io',
+  'https://dweb.link',
+  'https://gateway.pinata.cloud',
+  'https://w3s.link',
+  'https://nftstorage.link',
+  'https://cloudflare-ipfs.com'
+];
+
+const GATEWAYS = (process.env.IPFS_GATEWAYS ? process.env.IPFS_GATEWAYS.split(',') : DEFAULT_GATEWAYS)
+  .map(gateway => gateway.trim().replace(/\/+(ipfs\/?)?$/, ''))
+  .filter(Boolean);
+const RACE_SIZE = parseInt(process.env.IPFS_GATEWAY_RACE, 10) || 3;
+const DEMOTE_MS = parseInt(process.env.IPFS_GATEWAY_DEMOTE_MS, 10) || 5 * 60 * 1000;
+
+// Consecutive failures before a gateway is demoted
+const DEMOTE_AFTER_FAILURES = 3;
+
+const health = new Map(GATEWAYS.map(gateway => [gateway, {
+  successes: 0,
+  failures: 0,
+  consecutiveFailures: 0,
+  totalLatency: 0,
+  demotedUntil: 0
+}]));
+
+const buildGatewayUrl = (gateway, { cid, path }) => `${gateway}/ipfs/${cid}${path}`;
+
+/**
+ * Score a gateway: smoothed success rate divided by average latency in seconds
+ */
+const scoreGateway = (gateway) => {
+  const stats = health.get(gateway);
+  const attempts = stats.successes + stats.failures;
+  const successRate = (stats.successes + 1) / (attempts + 2);
+  const averageLatency = stats.successes ? stats.totalLatency / stats.successes : 1000;
+  return successRate / Math.max(averageLatency / 1000, 0.05);
+};
+
+/**
+ * Gateways ordered best first, with demoted gateways last.
+ * Ties keep the configured order.
+ */
+const rankGateways = () => {
+  const now = Date.now();
+  return [...GATEWAYS].sort((a, b) => {
+    const aDemoted = health.get(a).demotedUntil > now;
+    const bDemoted = health.get(b).demotedUntil > now;
+    if (aDemoted !== bDemoted) return aDemoted ? 1 : -1;
+    return scoreGateway(b) - scoreGateway(a);
+  });
+};
+
+const recordSuccess = (gateway, latency) => {
+  const stats = health.get(gateway);
+  stats.successes += 1;
+  stats.totalLatency += latency;
+  stats.consecutiveFailures = 0;
+  stats.demotedUntil = 0;
+};
+
+const recordFailure = (gateway) => {
+  const stats = health.get(gateway);
+  stats.failures += 1;
+  stats.consecutiveFailures += 1;
+  if (stats.consecutiveFailures >= DEMOTE_AFTER_FAILURES) {
+    stats.demotedUntil = Date.now() + DEMOTE_MS;
+    console.warn(`[IPFS] Demoting ${gateway} for ${DEMOTE_MS / 1000}s after ${stats.consecutiveFailures} failures`);
+  }
+};
+
+/**
+ * Whether a failed fetch says something about the gateway rather than the
+ * content: no response at all, a timeout, a 5xx or a 429. A 404 or a 200 with
+ * a body that isn't media fail just as surely on every gateway, so they don't
+ * count against one. A gateway that hangs times out, and has to count, or it
+ * would keep its rank and be raced on every request.
+ */
+const isGatewayFault = (error) => {
+  if (!error.status) return true;
+  return error.status >= 500 || error.status === 429;
+};
+
+/**
+ * Race one batch of gateways, resolving with the first successful response
+ * and aborting the rest
+ */
+const raceBatch = (gateways, parsed, fetcher, isSuccess) => {
+  const controllers = gateways.map(() => new AbortController());
+
+  return new Promise((resolve, reject) => {
+    let pending = gateways.length;
+    let settled = false;
+    let lastError = null;
+
+    gateways.forEach((gateway, i) => {
+      const startTime = Date.now();
+      const url = buildGatewayUrl(gateway, parsed);
+
+      fetcher(url, controllers[i].signal)
+        .then(response => {
+          if (settled) return;
+          if (!isSuccess(response)) {
+            const error = new Error(`${gateway} returned ${response.status}`);
+            error.status = response.status;
+            throw error;
+          }
+          settled = true;
+          recordSuccess(gateway, Date.now() - startTime);
+          controllers.forEach((controller, j) => { if (j !== i) controller.abort(); });
+          resolve({ response, gateway, url });
+        })
+        .catch(error => {
+          // Aborted because another gateway already won, which says nothing about this one
+          if (settled) return;
+          if (isGatewayFault(error)) recordFailure(gateway);
+          lastError = error;
+          pending -= 1;
+          if (pending === 0) reject(lastError);
+        });
+    });
+  });
+};
+
+/**
+ * Fetch IPFS content by racing the healthiest gateways, moving on to the next
+ * batch if a whole batch fails
+ * @param {Object} parsed - From parseIpfsUrl
+ * @param {Function} fetcher - (url, signal) => Promise<response with status>
+ * @param {Object} options - { isSuccess(response) } defaults to a 2xx status
+ * @returns {Promise<Object>} - { response, gateway, url }
+ */
+const fetchFromGateways = async (parsed, fetcher, options = {}) => {
+  const isSuccess = options.isSuccess || (response => response.status >= 200 && response.status < 300);
+  const ranked = rankGateways();
+  let lastError = null;
+
+  for (let start = 0; start < ranked.length; start += RACE_SIZE) {
+    const batch = ranked.slice(start, start + RACE_SIZE);
+    try {
+      return await raceBatch(batch, parsed, fetcher, isSuccess);
+    } catch (error) {
+      lastError = error;
+      console.warn(`[IPFS] All of ${batch.join(', ')} failed for ${parsed.cid}: ${error.message}`);
+    }
+  }
+
+  throw lastError || new Error('No IPFS gateways configured');
+};
+
+/**
+ * Per-gateway health, best first, for diagnostics
+ */
+const stats = () => {
+  const now = Date.now();
+  return rankGateways().map(gateway => {
+    const { successes, failures, totalLatency, demotedUntil } = health.get(gateway);
+    return {
+      gateway,
+      successes,
+      failures,
+      averageLatency: successes ? Math.round(totalLatency / successes) : null,
+      demoted: demotedUntil > now
+    };
+  });
+};
+
+module.exports = {
+  parseIpfsUrl,
+  toIpfsUri,
+  buildGatewayUrl,
+  rankGateways,
+  fetchFromGateways,
+  stats
+};
@@ -0,0 +1,257 @@
+/**
+ * Content-addressed disk cache for proxied media
+ *
+ * Bodies are stored once per SHA-256 of their content under blobs/, and an
+ * index maps each request (source URL plus transform options) to a blob.
+ * The least recently used entries are evicted once the cache grows past
+ * MEDIA_CACHE_MAX_BYTES. IPFS content is addressed by CID and never changes,
+ * so those entries never expire; everything else is refetched after
+ * MEDIA_CACHE_TTL_MS.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseIpfsUrl } = require('./ipfsGateways');
+
+const CACHE_DIR = process.env.MEDIA_CACHE_DIR || path.join(os.tmpdir(), 'gall3ry-media');
+const MAX_BYTES = parseInt(process.env.MEDIA_CACHE_MAX_BYTES, 10) || 500 * 1024 * 1024; // 500MB
+const TTL = parseInt(process.env.MEDIA_CACHE_TTL_MS, 10) || 24 * 60 * 60 * 1000; // 24 hours
+
+// Debounce index writes so a burst of requests costs a single write
+const INDEX_FLUSH_DELAY = 1000;
+
+const blobDir = path.join(CACHE_DIR, 'blobs');
+const indexPath = path.join(CACHE_DIR, 'index.json');
+
+let index = null;
+let totalBytes = 0;
+let flushTimer = null;
+// Blob writes in progress by hash, so concurrent puts of the same new content
+// write and count it once
+const pendingWrites = new Map();
+const counters = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Whether a media URL is addressed by an IPFS CID and so can never change
+ */
+const isImmutableUrl = (url) => Boolean(parseIpfsUrl(url));
+
+/**
+ * Cache key for a proxied request
+ * @param {string} url - Source URL as requested
+ * @param {Object|null} transform - Resize options, if any
+ */
+const getCacheKey = (url, transform) => sha256(`${url}|${JSON.stringify(transform || null)}`);
+
+/**
+ * Load the index from disk on first use
+ */
+const loadIndex = () => {
+  if (index) return index;
+
+  index = {};
+  try {
+    fs.mkdirSync(blobDir, { recursive: true });
+    if (fs.existsSync(indexPath)) {
+      index = JSON.parse(fs.readFileSync(indexPath, 'utf8')).entries || {};
+    }
+  } catch (error) {
+    console.warn(`[MEDIA-CACHE] Could not load index from ${indexPath}:`, error.message);
+    index = {};
+  }
+
+  totalBytes = countBlobBytes();
+  return index;
+};
+
+/**
+ * Total size of all distinct blobs referenced by the index
+ */
+const countBlobBytes = () => {
+  const sizes = {};
+  Object.values(index).forEach(entry => { sizes[entry.hash] = entry.size; });
+  return Object.values(sizes).reduce((sum, size) => sum + size, 0);
+};
+
+const scheduleFlush = () => {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    try {
+      const tempPath = `${indexPath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ entries: index }));
+      fs.renameSync(tempPath, indexPath);
+    } catch (error) {
+      console.warn('[MEDIA-CACHE] Could not write index:', error.message);
+    }
+  }, INDEX_FLUSH_DELAY);
+  if (flushTimer.unref) flushTimer.unref();
+};
+
+/**
+ * Drop an index entry and its blob once nothing else points at it
+ */
+const removeEntry = (key) => {
+  const entry = index[key];
+  if (!entry) return;
+  delete index[key];
+
+  const stillUsed = Object.values(index).some(other => other.hash === entry.hash);
+  if (!stillUsed) {
+    totalBytes -= entry.size;
+    fs.promises.unlink(path.join(blobDir, entry.hash)).catch(() => {});
+  }
+  scheduleFlush();
+};
+
+/**
+ * Evict least recently used entries until the cache fits its size limit
+ */
+const evict = () => {
+  if (totalBytes <= MAX_BYTES) return;
+
+  const byAge = Object.entries(index).sort(([, a], [, b]) => a.lastAccess - b.lastAccess);
+  for (const [key] of byAge) {
+    if (totalBytes <= MAX_BYTES) break;
+    removeEntry(key);
+    counters.evictions += 1;
+  }
+};
+
+/**
+ * Look up a cached response
+ * @param {string} key - From getCacheKey
+ * @returns {Promise<Object|null>} - { data, contentType, etag, lastModified, immutable }
+ */
+const get = async (key) => {
+  loadIndex();
+  const entry = index[key];
+
+  if (!entry || (!entry.immutable && entry.storedAt + TTL < Date.now())) {
+    if (entry) removeEntry(key);
+    counters.misses += 1;
+    return null;
+  }
+
+  try {
+    const data = await fs.promises.readFile(path.join(blobDir, entry.hash));
+    entry.lastAccess = Date.now();
+    scheduleFlush();
+    counters.hits += 1;
+    return { ...entry, data, etag: `"${entry.hash}"`, lastModified: new Date(entry.storedAt).toUTCString() };
+  } catch (error) {
+    // Blob went missing (e.g. /tmp was cleaned), treat as a miss
+    removeEntry(key);
+    counters.misses += 1;
+    return null;
+  }
+};
+
+/**
+ * Write a blob unless the index or an in-flight write already has it
+ */
+const writeBlob = (hash, data) => {
+  if (pendingWrites.has(hash)) {
+    return pendingWrites.get(hash);
+  }
+  if (Object.values(index).some(other => other.hash === hash)) {
+    return Promise.resolve();
+  }
+
+  const write = fs.promises.writeFile(path.join(blobDir, hash), data)
+    .then(() => {
+      totalBytes += data.length;
+    })
+    .finally(() => pendingWrites.delete(hash));
+  pendingWrites.set(hash, write);
+  return write;
+};
+
+/**
+ * Store a response body
+ * @param {string} key - From getCacheKey
+ * @param {Buffer} data - Response body
+ * @param {string} contentType - Media type
+ * @param {Object} options - { immutable }
+ * @returns {Promise<Object>} - The stored entry with etag and lastModified
+ */
+const put = async (key, data, contentType, options = {}) => {
+  loadIndex();
+  const hash = sha256(data);
+  const now = Date.now();
+  const entry = {
+    hash,
+    size: data.length,
+    contentType,
+    immutable: Boolean(options.immutable),
+    storedAt: now,
+    lastAccess: now
+  };
+  const described = { ...entry, etag: `"${hash}"`, lastModified: new Date(now).toUTCString() };
+
+  // Larger than the whole cache, not worth storing
+  if (data.length > MAX_BYTES) {
+    return described;
+  }
+
+  try {
+    // Replacing different content under the same key releases the old blob
+    const previous = index[key];
+    if (previous && previous.hash !== hash) removeEntry(key);
+
+    await writeBlob(hash, data);
+    index[key] = entry;
+    counters.writes += 1;
+    scheduleFlush();
+    evict();
+  } catch (error) {
+    console.warn('[MEDIA-CACHE] Could not store media:', error.message);
+  }
+
+  return described;
+};
+
+/**
+ * Whether a request's conditional headers match a cached entry, so a 304 can be sent
+ * If-None-Match takes precedence over If-Modified-Since, as in RFC 9110
+ */
+const isNotModified = (req, entry) => {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(',').some(tag => {
+      const value = tag.trim().replace(/^W\//, '');
+      return value === '*' || value === entry.etag;
+    });
+  }
+
+  const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+  if (!Number.isNaN(ifModifiedSince)) {
+    // HTTP dates have second precision
+    return Math.floor(entry.storedAt / 1000) * 1000 <= ifModifiedSince;
+  }
+
+  return false;
+};
+
+const stats = () => {
+  loadIndex();
+  return {
+    directory: CACHE_DIR,
+    entries: Object.keys(index).length,
+    bytes: totalBytes,
+    maxBytes: MAX_BYTES,
+    ...counters
+  };
+};
+
+module.exports = {
+  get,
+  put,
+  getCacheKey,
+  isImmutableUrl,
+  isNotModified,
+  stats
+};
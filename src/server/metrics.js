@@ -0,0 +1,351 @@
+/**
+ * Prometheus metrics for API requests, upstream calls, caches and the image proxy
+ *
+ * Served as text by GET /api/metrics, from both server.js and the serverless
+ * handler. Counters live in memory, so on serverless each instance reports its
+ * own and Prometheus sums them.
+ *
+ *   gall3ry_http_requests_total{route,method,status}
+ *   gall3ry_http_request_duration_seconds{route}        histogram
+ *   gall3ry_upstream_requests_total{provider,chain,status}
+ *   gall3ry_upstream_errors_total{provider,chain,reason}
+ *   gall3ry_upstream_request_duration_seconds{provider} histogram
+ *   gall3ry_cache_requests_total{namespace,result}, gall3ry_cache_hit_ratio{namespace}
+ *   gall3ry_media_cache_requests_total{result}, gall3ry_media_cache_hit_ratio, gall3ry_media_cache_bytes
+ *   gall3ry_image_proxy_bytes_total{source}
+ *
+ * Upstream calls are counted by axios interceptors, so every module that uses
+ * the shared axios instance is covered without changes.
+ */
+const { CHAINS, getChain } = require('../chains');
+const { cache } = require('./cache');
+const mediaCache = require('./mediaCache');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const PREFIX = 'gall3ry_';
+
+const HTTP_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const UPSTREAM_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20];
+
+// Route labels we report; anything else (404s, probes) is counted as 'other'
+const KNOWN_ROUTES = [
+  'alchemy', 'zapper', 'neynar', 'farcaster', 'farcaster-profile', 'collection-friends',
+  'trending-collections', 'image-proxy', 'folders', 'users', 'login', 'diagnostic', 'metrics',
+  'etherscan', 'basescan', 'opensea', 'health', 'openapi.json', 'db-status', 'all-in-one', 'v2'
+];
+
+// Upstream provider by hostname
+const PROVIDER_HOSTS = [
+  ['alchemy', /(^|\.)(alchemy\.com|alchemyapi\.io)$/],
+  ['neynar', /(^|\.)neynar\.com$/],
+  ['zapper', /(^|\.)zapper\.xyz$/],
+  ['etherscan', /(^|\.)etherscan\.io$/],
+  ['basescan', /(^|\.)basescan\.org$/],
+  ['opensea', /(^|\.)opensea\.io$/],
+  ['farcaster', /(^|\.)(warpcast\.com|farcaster\.xyz)$/],
+  ['arweave', /(^|\.)arweave\.net$/]
+];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.type = 'counter';
+    this.values = new Map();
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = formatLabels(labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+
+  render() {
+    return Array.from(this.values.entries()).map(([labels, value]) => `${this.name}${labels} ${value}`);
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.type = 'histogram';
+    this.buckets = buckets;
+    this.series = new Map();
+  }
+
+  observe(labels, value) {
+    const key = formatLabels(labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  render() {
+    const lines = [];
+    this.series.forEach((series, key) => {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${key} ${series.sum}`);
+      lines.push(`${this.name}_count${key} ${series.count}`);
+    });
+    return lines;
+  }
+}
+
+// Values read when scraped, for state other modules already keep
+class Collected {
+  constructor(name, help, type, collect) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.collect = collect;
+  }
+
+  render() {
+    return this.collect().map(({ labels = {}, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(name, help) {
+    return this.register(new Counter(PREFIX + name, help));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(PREFIX + name, help, buckets));
+  }
+
+  collected(name, help, type, collect) {
+    return this.register(new Collected(PREFIX + name, help, type, collect));
+  }
+
+  /**
+   * Everything in the Prometheus text exposition format
+   */
+  render() {
+    return this.metrics.map(metric => {
+      let lines;
+      try {
+        lines = metric.render();
+      } catch (error) {
+        console.warn(`[METRICS] Could not collect ${metric.name}:`, error.message);
+        lines = [];
+      }
+      return [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...lines].join('\n');
+    }).join('\n') + '\n';
+  }
+}
+
+const registry = new Registry();
+
+const httpRequests = registry.counter('http_requests_total', 'API requests by route, method and status code');
+const httpDuration = registry.histogram('http_request_duration_seconds', 'API request latency by route', HTTP_BUCKETS);
+const upstreamRequests = registry.counter('upstream_requests_total', 'Upstream API calls by provider, chain and status class');
+const upstreamErrors = registry.counter('upstream_errors_total', 'Failed upstream API calls by provider, chain and reason');
+const upstreamDuration = registry.histogram('upstream_request_duration_seconds', 'Upstream API latency by provider', UPSTREAM_BUCKETS);
+const imageBytes = registry.counter('image_proxy_bytes_total', 'Bytes served by the image proxy, by source (cache, upstream, data)');
+
+const hitRatio = (hits, misses) => (hits + misses > 0 ? hits / (hits + misses) : 0);
+
+registry.collected('cache_requests_total', 'API cache lookups by namespace and result', 'counter', () => {
+  return Object.entries(cache.stats().namespaces).flatMap(([namespace, counts]) => [
+    { labels: { namespace, result: 'hit' }, value: counts.hits },
+    { labels: { namespace, result: 'stale' }, value: counts.staleHits },
+    { labels: { namespace, result: 'miss' }, value: counts.misses }
+  ]);
+});
+
+// Stale entries are served, so they count as hits
+registry.collected('cache_hit_ratio', 'Share of API cache lookups served from the cache', 'gauge', () => {
+  return Object.entries(cache.stats().namespaces).map(([namespace, counts]) => ({
+    labels: { namespace },
+    value: hitRatio(counts.hits + counts.staleHits, counts.misses)
+  }));
+});
+
+registry.collected('media_cache_requests_total', 'Image proxy disk cache lookups by result', 'counter', () => {
+  const stats = mediaCache.stats();
+  return [
+    { labels: { result: 'hit' }, value: stats.hits },
+    { labels: { result: 'miss' }, value: stats.misses }
+  ];
+});
+
+registry.collected('media_cache_hit_ratio', 'Share of image proxy requests served from the disk cache', 'gauge', () => {
+  const stats = mediaCache.stats();
+  return [{ value: hitRatio(stats.hits, stats.misses) }];
+});
+
+registry.collected('media_cache_bytes', 'Bytes held in the image proxy disk cache', 'gauge', () => {
+  return [{ value: mediaCache.stats().bytes }];
+});
+
+registry.collected('process_uptime_seconds', 'Seconds since this server or serverless instance started', 'gauge', () => {
+  return [{ value: Math.round(process.uptime()) }];
+});
+
+const routeLabel = (route) => (KNOWN_ROUTES.includes(route) ? route : 'other');
+
+/**
+ * Count a request and time it until the response finishes. Calling it again
+ * for the same request only refines the route label, so server.js can observe
+ * every /api request and the all-in-one handler can still name the route.
+ * @param {Object} req
+ * @param {Object} res
+ * @param {string} route - Route name, see getRouteName in api/all-in-one.js
+ */
+const observeRequest = (req, res, route) => {
+  if (req.metrics) {
+    req.metrics.route = route;
+    return;
+  }
+  req.metrics = { route, start: process.hrtime.bigint() };
+  if (typeof res.once !== 'function') return;
+
+  res.once('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - req.metrics.start) / 1e9;
+    const label = routeLabel(req.metrics.route);
+    httpRequests.inc({ route: label, method: req.method, status: res.statusCode });
+    httpDuration.observe({ route: label }, seconds);
+  });
+};
+
+/**
+ * Express middleware observing every request by its first path segment
+ */
+const requestMiddleware = (req, res, next) => {
+  observeRequest(req, res, req.path.split('/')[1] || '');
+  next();
+};
+
+/**
+ * Provider and chain of an upstream URL. Chains come from the Alchemy
+ * subdomain, the OpenSea chain segment, or the explorer's chain.
+ */
+const classifyUpstream = (config) => {
+  let url;
+  try {
+    url = new URL(config.url, config.baseURL);
+  } catch (error) {
+    return { provider: 'other', chain: 'none' };
+  }
+
+  const host = url.hostname.toLowerCase();
+  const match = PROVIDER_HOSTS.find(([, pattern]) => pattern.test(host));
+  let provider = match ? match[0] : 'other';
+  if (provider === 'other' && (url.pathname.startsWith('/ipfs/') || host.includes('.ipfs.'))) {
+    provider = 'ipfs';
+  }
+
+  let chain = null;
+  if (provider === 'alchemy') {
+    const subdomain = host.split('.')[0];
+    chain = CHAINS.find(entry => entry.alchemySubdomain === subdomain)?.id;
+  } else if (provider === 'opensea') {
+    const segment = url.pathname.match(/\/chain\/([^/]+)/);
+    chain = segment && CHAINS.find(entry => entry.opensea === segment[1])?.id;
+  } else if (provider === 'etherscan' || provider === 'basescan') {
+    chain = getChain(config.params?.chainid)?.id || (provider === 'basescan' ? 'base' : 'eth');
+  }
+
+  return { provider, chain: chain || 'none' };
+};
+
+const statusClass = (status) => `${Math.floor(status / 100)}xx`;
+
+const errorReason = (error) => {
+  if (error.response) return error.response.status === 429 ? 'rate_limited' : `http_${error.response.status}`;
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return 'timeout';
+  return 'network';
+};
+
+const recordUpstream = (config, status, reason) => {
+  const { provider, chain } = classifyUpstream(config);
+  upstreamRequests.inc({ provider, chain, status });
+  if (reason) upstreamErrors.inc({ provider, chain, reason });
+  if (config.metricsStart) {
+    upstreamDuration.observe({ provider }, Number(process.hrtime.bigint() - config.metricsStart) / 1e9);
+  }
+};
+
+const instrumented = new WeakSet();
+
+/**
+ * Count and time every call made through an axios instance. Safe to call more than once.
+ * @param {Object} axios - The axios module or an instance from axios.create()
+ */
+const instrumentAxios = (axios) => {
+  if (instrumented.has(axios)) return axios;
+  instrumented.add(axios);
+
+  axios.interceptors.request.use((config) => {
+    config.metricsStart = process.hrtime.bigint();
+    return config;
+  });
+
+  axios.interceptors.response.use(
+    (response) => {
+      const status = response.status;
+      const reason = status === 429 ? 'rate_limited' : (status >= 400 ? `http_${status}` : null);
+      recordUpstream(response.config || {}, statusClass(status), reason);
+      return response;
+    },
+    (error) => {
+      // Aborted on purpose, e.g. gateways that lost an IPFS race
+      if (error.code !== 'ERR_CANCELED' && error.config) {
+        recordUpstream(error.config, error.response ? statusClass(error.response.status) : 'error', errorReason(error));
+      }
+      return Promise.reject(error);
+    }
+  );
+
+  return axios;
+};
+
+/**
+ * Count bytes sent by the image proxy
+ * @param {number} bytes
+ * @param {string} source - 'cache', 'upstream' or 'data'
+ */
+const recordImageBytes = (bytes, source) => {
+  if (bytes > 0) imageBytes.inc({ source }, bytes);
+};
+
+const renderMetrics = () => registry.render();
+
+module.exports = {
+  CONTENT_TYPE,
+  registry,
+  Registry,
+  observeRequest,
+  requestMiddleware,
+  instrumentAxios,
+  recordImageBytes,
+  renderMetrics
+};
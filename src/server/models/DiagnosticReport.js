@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * DiagnosticReport Schema
+ * Client logs sent from app and mini app sessions, see src/server/diagnosticStore.js
+ */
+const DiagnosticLogSchema = new Schema({
+  timestamp: Date,
+  level: String,
+  message: String
+}, { _id: false });
+
+const DiagnosticReportSchema = new Schema({
+  reportId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  sessionId: {
+    type: String,
+    index: true
+  },
+  fid: {
+    type: Number,
+    index: true
+  },
+  // fid:<fid>, session:<sessionId> or ip:<address>; retention is counted per owner
+  owner: {
+    type: String,
+    index: true
+  },
+  // Whether fid came from a verified token rather than the report body
+  fidVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Most severe level among the report's logs
+  level: {
+    type: String,
+    enum: ['debug', 'log', 'info', 'warn', 'error'],
+    default: 'info'
+  },
+  event: String,
+  message: String,
+  logs: [DiagnosticLogSchema],
+  clientInfo: Schema.Types.Mixed,
+  meta: {
+    ip: String,
+    userAgent: String
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+DiagnosticReportSchema.index({ receivedAt: -1 });
+
+module.exports = mongoose.model('DiagnosticReport', DiagnosticReportSchema);
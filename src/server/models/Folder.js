@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { CHAINS, getChain } = require('../../chains');
 const Schema = mongoose.Schema;
 
 /**
@@ -21,9 +22,11 @@ const NFTSchema = new Schema({
     imageUrl: String
   },
   metadata: Schema.Types.Mixed,
+  // Stored as the registry's network name ('ethereum', 'base', ...); any alias is accepted
   chain: {
     type: String,
-    enum: ['ethereum', 'polygon', 'arbitrum', 'optimism', 'base', 'zora'],
+    enum: CHAINS.map(chain => chain.network),
+    set: value => getChain(value)?.network || value,
     default: 'ethereum'
   }
 }, { timestamps: true });
@@ -0,0 +1,294 @@
+/**
+ * OpenAPI 3.0 description of the API, served at /api/openapi.json
+ *
+ * Built from the operation catalogue (src/server/apiRoutes.js) and the query
+ * schemas the router validates against (src/server/apiSchemas.js), so it
+ * can't drift from what the handlers accept. scripts/generate-api-client.js
+ * turns it into src/services/apiClient.js.
+ */
+const { API_OPERATIONS, getPathParams } = require('./apiRoutes');
+const { ROUTE_SCHEMAS } = require('./apiSchemas');
+const { CHAINS, getChainNames } = require('../chains');
+const { LEVELS } = require('./diagnosticStore');
+const { version } = require('../../package.json');
+
+const ADDRESS = { type: 'string', pattern: '^0x[0-9a-fA-F]{40}$' };
+
+const ERROR = {
+  type: 'object',
+  properties: {
+    error: { type: 'string' },
+    code: { type: 'string' },
+    message: { type: 'string' },
+    details: {
+      type: 'array',
+      items: { type: 'object', properties: { param: { type: 'string' }, message: { type: 'string' } } }
+    }
+  },
+  required: ['error']
+};
+
+const NFT = {
+  type: 'object',
+  properties: {
+    _id: { type: 'string' },
+    tokenId: { type: 'string' },
+    contractAddress: ADDRESS,
+    name: { type: 'string' },
+    description: { type: 'string' },
+    imageUrl: { type: 'string' },
+    collection: { type: 'object', properties: { name: { type: 'string' }, imageUrl: { type: 'string' } } },
+    metadata: { type: 'object' },
+    chain: { type: 'string', enum: CHAINS.map(chain => chain.network) }
+  }
+};
+
+const FOLDER = {
+  type: 'object',
+  properties: {
+    _id: { type: 'string' },
+    name: { type: 'string' },
+    description: { type: 'string' },
+    ownerId: { type: 'string' },
+    isPublic: { type: 'boolean' },
+    viewCount: { type: 'integer' },
+    nftCount: { type: 'integer' },
+    nfts: { type: 'array', items: { $ref: '#/components/schemas/Nft' } },
+    createdAt: { type: 'string', format: 'date-time' },
+    updatedAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+// Request and response bodies named in the catalogue
+const SCHEMAS = {
+  ApiError: ERROR,
+  Nft: NFT,
+  Folder: FOLDER,
+  FolderList: { type: 'array', items: { $ref: '#/components/schemas/Folder' } },
+  FolderInput: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      description: { type: 'string' },
+      isPublic: { type: 'boolean' }
+    }
+  },
+  NftInput: {
+    type: 'object',
+    properties: NFT.properties,
+    required: ['tokenId', 'contractAddress']
+  },
+  VisibilityInput: {
+    type: 'object',
+    properties: { isPublic: { type: 'boolean' } },
+    required: ['isPublic']
+  },
+  GraphqlQuery: {
+    type: 'object',
+    properties: { query: { type: 'string' }, variables: { type: 'object' } },
+    required: ['query']
+  },
+  LoginRequest: {
+    type: 'object',
+    properties: { message: { type: 'string' }, signature: { type: 'string' }, nonce: { type: 'string' } },
+    required: ['message', 'signature']
+  },
+  RefreshRequest: {
+    type: 'object',
+    properties: { token: { type: 'string', description: 'Used when no Authorization header is sent' } }
+  },
+  AuthToken: {
+    type: 'object',
+    properties: {
+      token: { type: 'string' },
+      expiresAt: { type: 'string', format: 'date-time' },
+      sessionExpiresAt: { type: 'string', format: 'date-time', description: 'Refreshing stops working after this' },
+      userData: { type: 'object' }
+    }
+  },
+  FarcasterProfile: {
+    type: 'object',
+    properties: {
+      fid: { type: 'integer' },
+      username: { type: 'string' },
+      displayName: { type: 'string' },
+      pfp: { type: 'string' },
+      followerCount: { type: 'integer' },
+      followingCount: { type: 'integer' },
+      custodyAddress: ADDRESS,
+      connectedAddresses: { type: 'array', items: ADDRESS }
+    }
+  },
+  DiagnosticReportInput: {
+    type: 'object',
+    description: 'A batch of logs, or a single event ({ event, type, message, error, data })',
+    properties: {
+      sessionId: { type: 'string' },
+      fid: { type: 'integer' },
+      logs: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            timestamp: { type: 'string', format: 'date-time' },
+            level: { type: 'string', enum: LEVELS },
+            message: { type: 'string' }
+          }
+        }
+      },
+      clientInfo: { type: 'object' },
+      event: { type: 'string' },
+      type: { type: 'string' },
+      message: { type: 'string' }
+    }
+  }
+};
+
+const SECURITY_SCHEMES = {
+  bearer: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'Token from POST /api/login' },
+  diagnosticKey: { type: 'apiKey', in: 'header', name: 'x-api-key', description: 'DIAGNOSTIC_API_KEY' },
+  metricsKey: { type: 'http', scheme: 'bearer', description: 'METRICS_API_KEY, when it is set' }
+};
+
+/**
+ * OpenAPI schema for one validation rule (see src/server/validation.js)
+ */
+const ruleToSchema = (rule) => {
+  switch (rule.type) {
+    case 'integer':
+      return { type: 'integer', minimum: rule.min, maximum: rule.max };
+    case 'fid':
+      return { type: 'integer', minimum: 1, description: 'Farcaster ID' };
+    case 'address':
+      return { ...ADDRESS, description: 'Mixed-case addresses must have a valid EIP-55 checksum' };
+    case 'addressList':
+      return { type: 'string', description: `Comma separated addresses${rule.maxItems ? `, at most ${rule.maxItems}` : ''}` };
+    case 'fidList':
+      return { type: 'string', description: `Comma separated Farcaster IDs${rule.maxItems ? `, at most ${rule.maxItems}` : ''}` };
+    case 'boolean':
+      return { type: 'boolean' };
+    case 'enum':
+      return { type: 'string', enum: rule.values };
+    case 'chain':
+      return { type: 'string', enum: getChainNames({ enabledOnly: true }) };
+    case 'date':
+      return { type: 'string', format: 'date-time', description: 'ISO 8601 or epoch milliseconds' };
+    default:
+      return {
+        type: 'string',
+        maxLength: rule.maxLength,
+        pattern: rule.pattern ? rule.pattern.source : undefined
+      };
+  }
+};
+
+// Drop undefined fields so the document stays readable
+const compact = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+const toParameter = (name, rule, extra = {}) => {
+  const schema = compact(ruleToSchema(rule));
+  if (rule.default !== undefined) schema.default = rule.default;
+  const description = [rule.description || schema.description, extra.note].filter(Boolean).join('. ');
+  delete schema.description;
+  return compact({
+    name,
+    in: 'query',
+    required: Boolean(rule.required && !extra.note) || undefined,
+    description: description || undefined,
+    schema
+  });
+};
+
+/**
+ * Query parameters for a schema. Variant parameters are listed once, noting
+ * which values of the discriminator they apply to.
+ */
+const queryParameters = (schema) => {
+  if (!schema) return [];
+  const parameters = Object.entries(schema.params || {}).map(([name, rule]) => {
+    if (name === schema.discriminator) {
+      return toParameter(name, { ...rule, type: 'enum', values: Object.keys(schema.variants) });
+    }
+    return toParameter(name, rule);
+  });
+
+  const variantParams = new Map();
+  Object.entries(schema.variants || {}).forEach(([variant, definition]) => {
+    Object.entries(definition.params || {}).forEach(([name, rule]) => {
+      if (!variantParams.has(name)) variantParams.set(name, { rule, variants: [] });
+      variantParams.get(name).variants.push(rule.required ? `${variant} (required)` : variant);
+    });
+  });
+  variantParams.forEach(({ rule, variants }, name) => {
+    parameters.push(toParameter(name, rule, { note: `For ${schema.discriminator} ${variants.join(', ')}` }));
+  });
+
+  return parameters;
+};
+
+const jsonContent = (name) => ({ 'application/json': { schema: name ? { $ref: `#/components/schemas/${name}` } : { type: 'object' } } });
+
+const buildOperation = (operation) => {
+  const schema = typeof operation.query === 'string' ? ROUTE_SCHEMAS[operation.query] : operation.query;
+  const pathParameters = getPathParams(operation.path).map(name => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: name === 'fid' ? { type: 'integer', minimum: 1 } : { type: 'string' }
+  }));
+
+  const success = operation.response && operation.response.contentType
+    ? { description: 'OK', content: { [operation.response.contentType]: { schema: { type: 'string', format: operation.response.contentType.startsWith('text/') ? undefined : 'binary' } } } }
+    : { description: 'OK', content: jsonContent(operation.response) };
+
+  const oneOf = [...(schema?.oneOf || []), ...Object.values(schema?.variants || {}).flatMap(variant => variant.oneOf || [])];
+
+  return compact({
+    operationId: operation.operationId,
+    summary: operation.summary,
+    description: oneOf.length > 0 ? `Needs one of: ${oneOf.map(names => names.join(' or ')).join('; ')}` : undefined,
+    tags: operation.tags,
+    security: operation.auth ? [{ [operation.auth]: [] }] : undefined,
+    parameters: [...pathParameters, ...queryParameters(schema)],
+    requestBody: operation.body ? { required: true, content: jsonContent(operation.body) } : undefined,
+    responses: {
+      [operation.method === 'POST' && operation.action ? '201' : '200']: success,
+      400: { description: 'Invalid parameter', content: jsonContent('ApiError') },
+      ...(operation.auth ? { 401: { description: 'Unauthorized', content: jsonContent('ApiError') } } : {}),
+      ...(operation.owner ? { 403: { description: 'Not the folder owner', content: jsonContent('ApiError') } } : {}),
+      ...(ROUTE_SCHEMAS[operation.query] && typeof operation.query === 'string' ? { 429: { description: 'Rate limited', content: jsonContent('ApiError') } } : {})
+    }
+  });
+};
+
+/**
+ * The OpenAPI document
+ * @param {Object} options - { serverUrl } base URL of the API (default /api)
+ */
+const buildOpenApiDocument = (options = {}) => {
+  const paths = {};
+  API_OPERATIONS.forEach(operation => {
+    paths[operation.path] = paths[operation.path] || {};
+    paths[operation.path][operation.method.toLowerCase()] = buildOperation(operation);
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'GALL3RY API',
+      version,
+      description: 'NFT, Farcaster, folder and operations endpoints. Generated from src/server/apiRoutes.js and src/server/apiSchemas.js.'
+    },
+    servers: [{ url: options.serverUrl || '/api' }],
+    tags: [...new Set(API_OPERATIONS.flatMap(operation => operation.tags))].map(name => ({ name })),
+    paths,
+    components: {
+      schemas: SCHEMAS,
+      securitySchemes: SECURITY_SCHEMES
+    }
+  };
+};
+
+module.exports = {
+  buildOpenApiDocument
+};
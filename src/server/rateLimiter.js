@@ -0,0 +1,260 @@
+/**
+ * Per-client rate limiting and quota accounting for upstream APIs
+ *
+ * Every client gets a token bucket per upstream (Alchemy, Neynar, Zapper, ...),
+ * so hammering one API doesn't eat into the budget for the others. Diagnostic
+ * report submissions get a bucket of their own, since each one is stored.
+ * Clients are keyed by Farcaster ID when they send a valid token, and by IP
+ * otherwise. Signed-in users get a larger budget.
+ *
+ * Each request is also recorded in a monthly quota ledger, per upstream and per
+ * client, which the diagnostic endpoint reports.
+ *
+ * State lives in memory, so on serverless each instance keeps its own buckets.
+ *
+ * Configuration:
+ *   RATE_LIMIT_<UPSTREAM>       - Requests per minute per anonymous client, e.g. RATE_LIMIT_ALCHEMY=60
+ *   RATE_LIMIT_AUTH_MULTIPLIER  - Budget multiplier for signed-in clients (default 3)
+ *   RATE_LIMIT_DISABLED         - Set to 'true' to turn limiting off (the ledger is still kept)
+ *   TRUST_PROXY_HOPS            - Reverse proxies in front of the server that append to
+ *                                 X-Forwarded-For (default 0: the header is ignored)
+ */
+const auth = require('./auth');
+
+// Requests per minute per anonymous client
+const DEFAULT_BUDGETS = {
+  alchemy: 60,
+  neynar: 60,
+  zapper: 30,
+  etherscan: 30,
+  basescan: 30,
+  opensea: 30,
+  diagnostic: 10
+};
+
+const AUTH_MULTIPLIER = parseFloat(process.env.RATE_LIMIT_AUTH_MULTIPLIER) || 3;
+const TRUST_PROXY_HOPS = parseInt(process.env.TRUST_PROXY_HOPS, 10) || 0;
+
+// Clients tracked in the ledger before the least recently seen are dropped
+const MAX_LEDGER_CLIENTS = 5000;
+
+// Idle buckets are full again after a minute, so they can be dropped
+const BUCKET_IDLE_MS = 60 * 1000;
+const PRUNE_INTERVAL = 1000;
+
+const readBudgets = () => {
+  const budgets = {};
+  Object.entries(DEFAULT_BUDGETS).forEach(([upstream, perMinute]) => {
+    const configured = parseInt(process.env[`RATE_LIMIT_${upstream.toUpperCase()}`], 10);
+    budgets[upstream] = configured > 0 ? configured : perMinute;
+  });
+  return budgets;
+};
+
+const currentPeriod = () => new Date().toISOString().substring(0, 7);
+
+/**
+ * The client's IP address. X-Forwarded-For is only read behind trusted proxies:
+ * each one appends the address it received from, so skipping the last
+ * TRUST_PROXY_HOPS hops gives the right-most address no proxy of ours vouches
+ * for. Anything left of it is whatever the client chose to send.
+ */
+const getClientIp = (req) => {
+  const peer = req.socket?.remoteAddress || 'unknown';
+  if (TRUST_PROXY_HOPS === 0) return peer;
+
+  const forwarded = String(req.headers?.['x-forwarded-for'] || '')
+    .split(',')
+    .map(hop => hop.trim())
+    .filter(Boolean);
+  const hops = [...forwarded, peer];
+  return hops[Math.max(0, hops.length - 1 - TRUST_PROXY_HOPS)];
+};
+
+/**
+ * Identify the client behind a request: its FID when it carries a valid token,
+ * otherwise its IP address
+ * @returns {Object} - { key, fid, ip, authenticated }
+ */
+const identifyClient = (req) => {
+  const ip = getClientIp(req);
+
+  const token = auth.getBearerToken(req);
+  if (token) {
+    try {
+      const { fid } = auth.verifyToken(token);
+      return { key: `fid:${fid}`, fid: Number(fid), ip, authenticated: true };
+    } catch (error) {
+      // Invalid tokens are limited like anonymous clients
+    }
+  }
+
+  return { key: `ip:${ip}`, fid: null, ip, authenticated: false };
+};
+
+class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.budgets - Requests per minute per upstream for anonymous clients
+   * @param {number} options.authMultiplier - Budget multiplier for authenticated clients
+   * @param {boolean} options.disabled - Only keep the ledger, never reject
+   */
+  constructor(options = {}) {
+    this.budgets = options.budgets || readBudgets();
+    this.authMultiplier = options.authMultiplier || AUTH_MULTIPLIER;
+    this.disabled = options.disabled ?? process.env.RATE_LIMIT_DISABLED === 'true';
+    this.buckets = new Map();
+    this.ledger = { period: currentPeriod(), since: new Date().toISOString(), upstreams: {}, clients: new Map() };
+    this.operations = 0;
+  }
+
+  getCapacity(upstream, authenticated) {
+    const perMinute = this.budgets[upstream];
+    return authenticated ? Math.round(perMinute * this.authMultiplier) : perMinute;
+  }
+
+  /**
+   * Get a client's bucket for an upstream, refilled for the time since it was last used
+   */
+  getBucket(client, upstream, now) {
+    const capacity = this.getCapacity(upstream, client.authenticated);
+    const bucketKey = `${client.key}|${upstream}`;
+    let bucket = this.buckets.get(bucketKey);
+
+    if (!bucket) {
+      bucket = { tokens: capacity, updatedAt: now };
+      this.buckets.set(bucketKey, bucket);
+    } else {
+      const refill = ((now - bucket.updatedAt) / 60000) * capacity;
+      bucket.tokens = Math.min(capacity, bucket.tokens + refill);
+      bucket.updatedAt = now;
+    }
+
+    return { bucket, capacity };
+  }
+
+  /**
+   * Take one request from the client's bucket for each upstream a route calls.
+   * Nothing is taken unless every bucket has room.
+   * @param {Object} client - From identifyClient
+   * @param {string[]} upstreams - Upstreams the request will call
+   * @returns {Object} - { allowed, upstream, limit, remaining, retryAfter } where upstream
+   *   is the one that ran out (when rejected) or has the least room left
+   */
+  take(client, upstreams) {
+    const now = Date.now();
+    const known = upstreams.filter(upstream => this.budgets[upstream]);
+    this.prune(now);
+
+    if (known.length === 0) {
+      return { allowed: true, upstream: null, limit: null, remaining: null, retryAfter: 0 };
+    }
+
+    const entries = known.map(upstream => ({ upstream, ...this.getBucket(client, upstream, now) }));
+    const empty = this.disabled ? null : entries.find(entry => entry.bucket.tokens < 1);
+
+    if (empty) {
+      const secondsPerToken = 60 / empty.capacity;
+      const retryAfter = Math.max(1, Math.ceil((1 - empty.bucket.tokens) * secondsPerToken));
+      this.record(client, known, false, empty.upstream);
+      return { allowed: false, upstream: empty.upstream, limit: empty.capacity, remaining: 0, retryAfter };
+    }
+
+    entries.forEach(entry => { entry.bucket.tokens = Math.max(0, entry.bucket.tokens - 1); });
+    this.record(client, known, true);
+
+    const tightest = entries.reduce((a, b) => (b.bucket.tokens < a.bucket.tokens ? b : a));
+    return {
+      allowed: true,
+      upstream: tightest.upstream,
+      limit: tightest.capacity,
+      remaining: Math.floor(tightest.bucket.tokens),
+      retryAfter: 0
+    };
+  }
+
+  /**
+   * Count a request in the ledger, starting a fresh ledger each month
+   */
+  record(client, upstreams, allowed, rejectedBy = null) {
+    const period = currentPeriod();
+    if (period !== this.ledger.period) {
+      this.ledger = { period, since: new Date().toISOString(), upstreams: {}, clients: new Map() };
+    }
+
+    const { clients } = this.ledger;
+    let entry = clients.get(client.key);
+    if (entry) {
+      clients.delete(client.key);
+    } else {
+      entry = { key: client.key, fid: client.fid, firstSeen: new Date().toISOString(), upstreams: {} };
+    }
+    entry.ip = client.ip;
+    entry.lastSeen = new Date().toISOString();
+    clients.set(client.key, entry);
+
+    if (clients.size > MAX_LEDGER_CLIENTS) {
+      clients.delete(clients.keys().next().value);
+    }
+
+    upstreams.forEach(upstream => {
+      [this.ledger.upstreams, entry.upstreams].forEach(counts => {
+        const usage = counts[upstream] || (counts[upstream] = { requests: 0, rejected: 0 });
+        if (allowed) {
+          usage.requests += 1;
+        } else if (upstream === rejectedBy) {
+          usage.rejected += 1;
+        }
+      });
+    });
+  }
+
+  /**
+   * Drop buckets that have been idle long enough to be full again
+   */
+  prune(now) {
+    this.operations += 1;
+    if (this.operations % PRUNE_INTERVAL !== 0) return;
+
+    for (const [key, bucket] of this.buckets) {
+      if (now - bucket.updatedAt > BUCKET_IDLE_MS) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Usage for the current period: totals per upstream and the heaviest clients
+   * @param {Object} options - { top } number of clients to list (default 50)
+   */
+  report(options = {}) {
+    const top = options.top || 50;
+    const clients = Array.from(this.ledger.clients.values())
+      .map(client => ({
+        ...client,
+        requests: Object.values(client.upstreams).reduce((sum, usage) => sum + usage.requests, 0)
+      }))
+      .sort((a, b) => b.requests - a.requests)
+      .slice(0, top);
+
+    return {
+      period: this.ledger.period,
+      since: this.ledger.since,
+      enabled: !this.disabled,
+      budgetsPerMinute: this.budgets,
+      authMultiplier: this.authMultiplier,
+      upstreams: this.ledger.upstreams,
+      trackedClients: this.ledger.clients.size,
+      activeBuckets: this.buckets.size,
+      clients
+    };
+  }
+}
+
+const rateLimiter = new RateLimiter();
+
+module.exports = {
+  rateLimiter,
+  RateLimiter,
+  identifyClient
+};
@@ -0,0 +1,130 @@
+/**
+ * @jest-environment node
+ */
+const { RateLimiter, identifyClient } = require('./rateLimiter');
+const auth = require('./auth');
+
+const anonymous = { key: 'ip:203.0.113.7', fid: null, ip: '203.0.113.7', authenticated: false };
+const signedIn = { key: 'fid:5650', fid: 5650, ip: '203.0.113.7', authenticated: true };
+
+let now;
+
+beforeEach(() => {
+  now = Date.parse('2026-01-15T12:00:00Z');
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const limiter = (options = {}) => new RateLimiter({ budgets: { alchemy: 3, neynar: 2 }, authMultiplier: 2, disabled: false, ...options });
+
+describe('token buckets', () => {
+  test('allow a full budget, then reject with the time until the next token', () => {
+    const rateLimiter = limiter();
+    expect([1, 2, 3].map(() => rateLimiter.take(anonymous, ['alchemy']).remaining)).toEqual([2, 1, 0]);
+
+    expect(rateLimiter.take(anonymous, ['alchemy'])).toEqual({
+      allowed: false,
+      upstream: 'alchemy',
+      limit: 3,
+      remaining: 0,
+      retryAfter: 20
+    });
+  });
+
+  test('refill with time', () => {
+    const rateLimiter = limiter();
+    [1, 2, 3].forEach(() => rateLimiter.take(anonymous, ['alchemy']));
+
+    now += 20000;
+    expect(rateLimiter.take(anonymous, ['alchemy']).allowed).toBe(true);
+    expect(rateLimiter.take(anonymous, ['alchemy']).allowed).toBe(false);
+  });
+
+  test('keep each upstream and each client apart', () => {
+    const rateLimiter = limiter();
+    [1, 2].forEach(() => rateLimiter.take(anonymous, ['neynar']));
+
+    expect(rateLimiter.take(anonymous, ['neynar']).allowed).toBe(false);
+    expect(rateLimiter.take(anonymous, ['alchemy']).allowed).toBe(true);
+    expect(rateLimiter.take({ ...anonymous, key: 'ip:198.51.100.1' }, ['neynar']).allowed).toBe(true);
+  });
+
+  test('take nothing unless every upstream of a route has room', () => {
+    const rateLimiter = limiter();
+    [1, 2].forEach(() => rateLimiter.take(anonymous, ['neynar']));
+
+    const limit = rateLimiter.take(anonymous, ['alchemy', 'neynar']);
+    expect(limit).toMatchObject({ allowed: false, upstream: 'neynar' });
+    expect(rateLimiter.take(anonymous, ['alchemy']).remaining).toBe(2);
+  });
+
+  test('give signed-in clients a larger budget', () => {
+    expect(limiter().take(signedIn, ['neynar'])).toMatchObject({ limit: 4, remaining: 3 });
+  });
+
+  test('ignore upstreams without a budget', () => {
+    expect(limiter().take(anonymous, ['unknown'])).toMatchObject({ allowed: true, limit: null });
+  });
+
+  test('only count requests when disabled', () => {
+    const rateLimiter = limiter({ disabled: true });
+    [1, 2, 3].forEach(() => rateLimiter.take(anonymous, ['neynar']));
+    expect(rateLimiter.take(anonymous, ['neynar']).allowed).toBe(true);
+    expect(rateLimiter.report().upstreams.neynar).toEqual({ requests: 4, rejected: 0 });
+  });
+});
+
+test('report usage per upstream and the heaviest clients', () => {
+  const rateLimiter = limiter();
+  [1, 2, 3].forEach(() => rateLimiter.take(anonymous, ['neynar']));
+  rateLimiter.take(signedIn, ['alchemy']);
+
+  const report = rateLimiter.report({ top: 1 });
+  expect(report.upstreams).toEqual({
+    neynar: { requests: 2, rejected: 1 },
+    alchemy: { requests: 1, rejected: 0 }
+  });
+  expect(report.trackedClients).toBe(2);
+  expect(report.clients).toEqual([expect.objectContaining({ key: anonymous.key, requests: 2 })]);
+});
+
+describe('identifyClient', () => {
+  const request = (headers = {}) => ({ headers, socket: { remoteAddress: '10.0.0.2' } });
+
+  test('keys anonymous clients by the connecting address, ignoring X-Forwarded-For', () => {
+    expect(identifyClient(request({ 'x-forwarded-for': '1.2.3.4' }))).toEqual({
+      key: 'ip:10.0.0.2',
+      fid: null,
+      ip: '10.0.0.2',
+      authenticated: false
+    });
+  });
+
+  test('keys signed-in clients by FID', () => {
+    const token = auth.generateToken({ fid: 5650, username: 'vitalik.eth' });
+    expect(identifyClient(request({ authorization: `Bearer ${token}` }))).toMatchObject({
+      key: 'fid:5650',
+      fid: 5650,
+      authenticated: true
+    });
+  });
+
+  test('limits invalid tokens like anonymous clients', () => {
+    expect(identifyClient(request({ authorization: 'Bearer forged' })).key).toBe('ip:10.0.0.2');
+  });
+
+  test('reads the address the trusted proxies saw behind TRUST_PROXY_HOPS', () => {
+    process.env.TRUST_PROXY_HOPS = '1';
+    try {
+      jest.isolateModules(() => {
+        const { identifyClient: identifyBehindProxy } = require('./rateLimiter');
+        // The client made up 6.6.6.6; our proxy appended the address it saw
+        expect(identifyBehindProxy(request({ 'x-forwarded-for': '6.6.6.6, 203.0.113.7' })).ip).toBe('203.0.113.7');
+        expect(identifyBehindProxy(request()).ip).toBe('10.0.0.2');
+      });
+    } finally {
+      delete process.env.TRUST_PROXY_HOPS;
+    }
+  });
+});
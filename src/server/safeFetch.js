@@ -0,0 +1,250 @@
+/**
+ * SSRF-safe fetching for the media proxy
+ *
+ * Only http(s) targets are allowed, and every connection (including each redirect
+ * hop) is checked against private, loopback, link-local and other non-public
+ * address ranges after DNS resolution, so a hostname cannot be pointed at an
+ * internal service. Downloads are capped in size and total duration.
+ */
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { httpError } = require('./errors');
+
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+const MAX_REDIRECTS = 5;
+const MAX_MEDIA_BYTES = parseInt(process.env.IMAGE_PROXY_MAX_BYTES, 10) || 30 * 1024 * 1024; // 30MB
+const DOWNLOAD_TIMEOUT = parseInt(process.env.IMAGE_PROXY_TIMEOUT_MS, 10) || 15000; // 15 seconds
+
+// Address ranges that must never be reachable through the proxy
+const blockList = new net.BlockList();
+[
+  ['0.0.0.0', 8],       // "this" network
+  ['10.0.0.0', 8],      // private
+  ['100.64.0.0', 10],   // carrier-grade NAT
+  ['127.0.0.0', 8],     // loopback
+  ['169.254.0.0', 16],  // link-local, includes cloud metadata endpoints
+  ['172.16.0.0', 12],   // private
+  ['192.0.0.0', 24],    // IETF protocol assignments
+  ['192.0.2.0', 24],    // documentation
+  ['192.168.0.0', 16],  // private
+  ['198.18.0.0', 15],   // benchmarking
+  ['198.51.100.0', 24], // documentation
+  ['203.0.113.0', 24],  // documentation
+  ['224.0.0.0', 4],     // multicast
+  ['240.0.0.0', 4]      // reserved and broadcast
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],          // unspecified
+  ['::1', 128],         // loopback
+  // IPv4-mapped addresses (::ffff:a.b.c.d) are checked against the IPv4 rules
+  // by BlockList itself; a ::ffff:0:0/96 rule would match every IPv4 address
+  ['64:ff9b::', 96],    // NAT64, would bypass the IPv4 rules
+  ['2001:db8::', 32],   // documentation
+  ['fc00::', 7],        // unique local
+  ['fe80::', 10],       // link-local
+  ['ff00::', 8]         // multicast
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv6'));
+
+// Errors that mean the request itself is not allowed, so retrying is pointless
+const REJECTION_CODES = ['BLOCKED_TARGET', 'UNSUPPORTED_PROTOCOL', 'INVALID_URL', 'TOO_LARGE'];
+
+/**
+ * Whether an IP address is in a non-public range
+ */
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * DNS lookup that refuses to resolve to a blocked address.
+ * Used by the agents below so the check happens on the address actually connected to.
+ */
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(httpError(`${hostname} resolves to a non-public address`, 'BLOCKED_TARGET', 403));
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+/**
+ * Parse a URL and check its scheme and, for IP literals, its address
+ * @param {string} url - Target URL
+ * @returns {URL}
+ */
+const validateTarget = (url) => {
+  let target;
+  try {
+    target = new URL(url);
+  } catch (error) {
+    throw httpError(`Invalid URL: ${String(url).substring(0, 100)}`, 'INVALID_URL', 400);
+  }
+
+  if (!ALLOWED_PROTOCOLS.includes(target.protocol)) {
+    throw httpError(`Unsupported protocol ${target.protocol}`, 'UNSUPPORTED_PROTOCOL', 400);
+  }
+
+  // IP literals never go through DNS, so check them here
+  const host = target.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    throw httpError(`${host} is not a public address`, 'BLOCKED_TARGET', 403);
+  }
+
+  return target;
+};
+
+/**
+ * Fetch a remote asset, following redirects manually so every hop is validated
+ * Non-2xx responses are returned rather than thrown so callers can fall back.
+ * @param {string} url - Target URL
+ * @param {Object} options - { headers, timeout, maxBytes, signal }
+ * @returns {Promise<Object>} - { status, headers, data (Buffer), finalUrl }
+ */
+const fetchMedia = async (url, options = {}) => {
+  const timeout = options.timeout || DOWNLOAD_TIMEOUT;
+  const maxBytes = options.maxBytes || MAX_MEDIA_BYTES;
+
+  // Caps the whole download, not just the wait for the first byte
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  const abort = () => controller.abort();
+  if (options.signal) {
+    if (options.signal.aborted) abort();
+    else options.signal.addEventListener('abort', abort, { once: true });
+  }
+
+  try {
+    let currentUrl = url;
+
+    for (let redirects = 0; ; redirects++) {
+      const target = validateTarget(currentUrl);
+
+      const response = await axios({
+        method: 'get',
+        url: target.href,
+        responseType: 'arraybuffer',
+        headers: options.headers,
+        timeout,
+        signal: controller.signal,
+        maxRedirects: 0,
+        maxContentLength: maxBytes,
+        validateStatus: null,
+        httpAgent,
+        httpsAgent,
+        proxy: false
+      });
+
+      if (response.status >= 300 && response.status < 400 && response.headers.location) {
+        if (redirects >= MAX_REDIRECTS) {
+          throw httpError('Too many redirects', 'TOO_MANY_REDIRECTS', 502);
+        }
+        currentUrl = new URL(response.headers.location, target).href;
+        continue;
+      }
+
+      return {
+        status: response.status,
+        headers: response.headers,
+        data: Buffer.from(response.data || []),
+        finalUrl: target.href
+      };
+    }
+  } catch (error) {
+    if (error.status) throw error;
+    if (options.signal?.aborted) {
+      throw httpError('Download was aborted', 'ABORTED', 499);
+    }
+    // Raised by guardedLookup, arrives wrapped in an AxiosError
+    if (error.code === 'BLOCKED_TARGET') {
+      throw httpError(error.message, error.code, 403);
+    }
+    if (['ERR_CANCELED', 'ECONNABORTED', 'ETIMEDOUT'].includes(error.code) || axios.isCancel(error)) {
+      throw httpError(`Download timed out after ${timeout}ms`, 'TIMEOUT', 504);
+    }
+    if (/maxContentLength/.test(error.message)) {
+      throw httpError(`Response is larger than ${maxBytes} bytes`, 'TOO_LARGE', 413);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    if (options.signal) options.signal.removeEventListener('abort', abort);
+  }
+};
+
+/**
+ * Guess a media type from the first bytes of a file
+ * @param {Buffer} buffer
+ * @returns {string|null}
+ */
+const sniffMediaType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+
+  const hex = buffer.slice(0, 12).toString('hex');
+  if (hex.startsWith('89504e47')) return 'image/png';
+  if (hex.startsWith('ffd8ff')) return 'image/jpeg';
+  if (hex.startsWith('47494638')) return 'image/gif';
+  if (hex.startsWith('52494646') && buffer.slice(8, 12).toString() === 'WEBP') return 'image/webp';
+  if (hex.startsWith('1a45dfa3')) return 'video/webm';
+  if (buffer.slice(4, 8).toString() === 'ftyp') {
+    const brand = buffer.slice(8, 12).toString();
+    if (brand === 'avif' || brand === 'avis') return 'image/avif';
+    if (brand === 'qt  ') return 'video/quicktime';
+    return 'video/mp4';
+  }
+
+  const head = buffer.slice(0, 1024).toString('utf8').trimStart();
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(head)) {
+    return 'image/svg+xml';
+  }
+
+  return null;
+};
+
+/**
+ * Resolve the media type to serve, or null if the content is not an image, video or SVG.
+ * Generic binary and XML types are only accepted when the bytes say what they are.
+ * @param {string} contentType - Upstream Content-Type header
+ * @param {Buffer} buffer - Response body
+ * @returns {string|null}
+ */
+const resolveMediaType = (contentType, buffer) => {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+
+  if (type.startsWith('image/') || type.startsWith('video/')) {
+    // An error page served with an image type is still an error page
+    const head = buffer ? buffer.slice(0, 64).toString('utf8').trimStart().toLowerCase() : '';
+    if (head.startsWith('<!doctype html') || head.startsWith('<html')) return null;
+    return type;
+  }
+
+  if (!type || ['application/octet-stream', 'binary/octet-stream', 'application/xml', 'text/xml', 'text/plain'].includes(type)) {
+    return sniffMediaType(buffer);
+  }
+
+  return null;
+};
+
+module.exports = {
+  fetchMedia,
+  validateTarget,
+  isBlockedAddress,
+  resolveMediaType,
+  sniffMediaType,
+  REJECTION_CODES,
+  MAX_MEDIA_BYTES,
+  DOWNLOAD_TIMEOUT
+};
@@ -0,0 +1,71 @@
+/**
+ * @jest-environment node
+ */
+const dns = require('dns');
+const { fetchMedia, validateTarget, isBlockedAddress, resolveMediaType } = require('./safeFetch');
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('isBlockedAddress', () => {
+  test.each([
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+    '0.0.0.0', '::1', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', '64:ff9b::a00:1', 'not-an-ip'
+  ])('blocks %s', (address) => {
+    expect(isBlockedAddress(address)).toBe(true);
+  });
+
+  test.each(['93.184.216.34', '1.1.1.1', '2606:4700:4700::1111'])('allows %s', (address) => {
+    expect(isBlockedAddress(address)).toBe(false);
+  });
+});
+
+describe('validateTarget', () => {
+  test('accepts public http and https URLs', () => {
+    expect(validateTarget('https://example.com/image.png').hostname).toBe('example.com');
+    expect(validateTarget('http://93.184.216.34/image.png').hostname).toBe('93.184.216.34');
+  });
+
+  test.each([
+    ['file:///etc/passwd', 'UNSUPPORTED_PROTOCOL', 400],
+    ['gopher://example.com/', 'UNSUPPORTED_PROTOCOL', 400],
+    ['not a url', 'INVALID_URL', 400],
+    ['http://127.0.0.1:8080/', 'BLOCKED_TARGET', 403],
+    ['http://169.254.169.254/latest/meta-data/', 'BLOCKED_TARGET', 403],
+    ['http://[::1]/', 'BLOCKED_TARGET', 403],
+    ['http://[::ffff:7f00:1]/', 'BLOCKED_TARGET', 403]
+  ])('rejects %s', (url, code, status) => {
+    expect(() => validateTarget(url)).toThrow(expect.objectContaining({ code, status }));
+  });
+});
+
+describe('fetchMedia', () => {
+  test('refuses a hostname that resolves to a private address', async () => {
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+      callback(null, [{ address: '10.0.0.5', family: 4 }]);
+    });
+
+    await expect(fetchMedia('http://media.example/cat.png')).rejects.toMatchObject({
+      code: 'BLOCKED_TARGET',
+      status: 403
+    });
+  });
+
+  test('refuses localhost before connecting', async () => {
+    await expect(fetchMedia('http://localhost:1/cat.png')).rejects.toMatchObject({ code: 'BLOCKED_TARGET' });
+  });
+});
+
+describe('resolveMediaType', () => {
+  test('keeps image and video types, and sniffs generic ones', () => {
+    expect(resolveMediaType('image/png; charset=binary', PNG)).toBe('image/png');
+    expect(resolveMediaType('application/octet-stream', PNG)).toBe('image/png');
+    expect(resolveMediaType('text/plain', Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>'))).toBe('image/svg+xml');
+  });
+
+  test('rejects HTML, even when it claims to be an image', () => {
+    expect(resolveMediaType('text/html', Buffer.from('<!DOCTYPE html><html></html>'))).toBeNull();
+    expect(resolveMediaType('image/jpeg', Buffer.from('<!DOCTYPE html><html></html>'))).toBeNull();
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * @jest-environment node
+ */
+// Smoke test: the API handler against the upstream simulator, with the
+// upstream base URLs pointed at it the way `npm run simulate:upstreams` is used
+const axios = require('axios');
+const { startSimulator } = require('../../scripts/upstream-simulator');
+
+const VITALIK = '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045';
+
+let server;
+let baseUrl;
+let handler;
+
+// Just enough of the Vercel request and response for the handler
+const call = async (method, url, body) => {
+  const { searchParams } = new URL(url, 'http://localhost');
+  const req = { method, url, query: Object.fromEntries(searchParams), headers: {}, body };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    getHeader(name) { return this.headers[name.toLowerCase()]; },
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this.body = data; return this; },
+    send(data) { this.body = data; return this; },
+    end(data) { if (data !== undefined) this.body = data; return this; }
+  };
+  await handler(req, res);
+  return res;
+};
+
+beforeAll(async () => {
+  server = await startSimulator({ port: 0 });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  Object.assign(process.env, {
+    ALCHEMY_API_BASE_URL: `${baseUrl}/alchemy`,
+    NEYNAR_API_BASE_URL: `${baseUrl}/neynar`,
+    ZAPPER_API_BASE_URL: `${baseUrl}/zapper`,
+    ALCHEMY_API_KEY: 'test',
+    NEYNAR_API_KEY: 'test',
+    ZAPPER_API_KEY: 'test'
+  });
+  handler = require('../../api/all-in-one');
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => axios.post(`${baseUrl}/__simulator/reset`));
+
+test('pages through a wallet with pageKey', async () => {
+  const first = await call('GET', `/api/alchemy?endpoint=getNFTsForOwner&owner=${VITALIK}`);
+  expect(first.statusCode).toBe(200);
+  expect(first.body.ownedNfts).toHaveLength(3);
+  expect(first.body.pageKey).toBeTruthy();
+
+  const second = await call('GET', `/api/alchemy?endpoint=getNFTsForOwner&owner=${VITALIK}&pageKey=${first.body.pageKey}`);
+  expect(second.statusCode).toBe(200);
+  expect(second.body.ownedNfts).toHaveLength(3);
+  expect(second.body.pageKey).toBeFalsy();
+});
+
+test('keeps NFTs with malformed metadata, named by token ID', async () => {
+  const first = await call('GET', `/api/alchemy?endpoint=getNFTsForOwner&owner=${VITALIK}`);
+  const second = await call('GET', `/api/alchemy?endpoint=getNFTsForOwner&owner=${VITALIK}&pageKey=${first.body.pageKey}`);
+  const unrevealed = second.body.ownedNfts.find(nft => nft.tokenId === '4412');
+  expect(unrevealed.name).toBe('#4412');
+  expect(unrevealed.raw.error).toMatch(/token uri/i);
+});
+
+test('survives a profile with missing and mistyped fields', async () => {
+  const res = await call('GET', '/api/farcaster-profile?fid=999999');
+  expect(res.statusCode).toBe(200);
+  expect(res.body.username).toBe('ghost');
+  expect(res.body.custodyAddress).toBeNull();
+  expect(Array.isArray(res.body.connectedAddresses)).toBe(true);
+});
+
+test('reports an upstream 429 and recovers once it clears', async () => {
+  await axios.post(`${baseUrl}/__simulator/fail`, { provider: 'neynar', status: 429, count: 1, retryAfter: 1 });
+
+  const limited = await call('GET', '/api/neynar?endpoint=user&fid=5650');
+  expect(limited.statusCode).toBe(429);
+
+  const recovered = await call('GET', '/api/neynar?endpoint=user&fid=5650');
+  expect(recovered.statusCode).toBe(200);
+  expect(recovered.body.result.user.username).toBe('vitalik.eth');
+
+  const { data } = await axios.get(`${baseUrl}/__simulator/requests`);
+  expect(data.requests.filter(entry => entry.provider === 'neynar').map(entry => entry.status)).toEqual([429, 200]);
+});
+
+test('reads one token\'s history from its Transfer logs', async () => {
+  const BAYC = '0xbc4ca0eda7647a8ab7c2061c2e118a18a936f13d';
+  const res = await call('GET', `/api/alchemy?endpoint=getAssetTransfers&contractAddress=${BAYC}&tokenId=0x01`);
+  expect(res.statusCode).toBe(200);
+  expect(res.body.diagnostic.requestMethod).toBe('eth_getLogs');
+  expect(res.body.transfers.map(transfer => [transfer.from, transfer.to])).toEqual([
+    ['0x46efbaedc92067e6d60e84ed6395099723252496', VITALIK.toLowerCase()],
+    ['0x0000000000000000000000000000000000000000', '0x46efbaedc92067e6d60e84ed6395099723252496']
+  ]);
+  expect(res.body.transfers[0]).toMatchObject({ tokenId: '1', timestamp: '2023-10-02T09:14:23.000Z' });
+
+  // The decimal and hex forms of the ID share a cache entry
+  await axios.post(`${baseUrl}/__simulator/reset`);
+  await call('GET', `/api/alchemy?endpoint=getAssetTransfers&contractAddress=${BAYC}&tokenId=1`);
+  const { data } = await axios.get(`${baseUrl}/__simulator/requests`);
+  expect(data.requests).toHaveLength(0);
+});
+
+test('falls back to scanning transfers when a token has no Transfer logs', async () => {
+  const BAYC = '0xbc4ca0eda7647a8ab7c2061c2e118a18a936f13d';
+  const res = await call('GET', `/api/alchemy?endpoint=getAssetTransfers&contractAddress=${BAYC}&tokenId=2`);
+  expect(res.statusCode).toBe(200);
+  expect(res.body.diagnostic.requestMethod).toBe('alchemy_getAssetTransfers');
+  expect(res.body.transfers).toHaveLength(1);
+  expect(res.body.transfers[0].tokenId).toBe('2');
+});
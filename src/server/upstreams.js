@@ -0,0 +1,71 @@
+/**
+ * Base URLs of the upstream APIs
+ *
+ * Each can be pointed somewhere else with an environment variable, which is
+ * how the upstream simulator (scripts/upstream-simulator) stands in for
+ * Alchemy, Neynar and Zapper in offline runs:
+ *
+ *   ALCHEMY_API_BASE_URL  Replaces https://<subdomain>.g.alchemy.com with <base>/<subdomain>
+ *   NEYNAR_API_BASE_URL   Replaces https://api.neynar.com
+ *   ZAPPER_API_BASE_URL   Replaces both https://api.zapper.xyz and https://public.zapper.xyz
+ *
+ * Variables are read on every call, so they can be changed without a restart.
+ */
+
+const DEFAULTS = {
+  neynar: 'https://api.neynar.com',
+  zapper: 'https://api.zapper.xyz',
+  zapperPublic: 'https://public.zapper.xyz'
+};
+
+const ENV = {
+  alchemy: 'ALCHEMY_API_BASE_URL',
+  neynar: 'NEYNAR_API_BASE_URL',
+  zapper: 'ZAPPER_API_BASE_URL',
+  zapperPublic: 'ZAPPER_API_BASE_URL'
+};
+
+const override = (name) => {
+  const value = process.env[ENV[name]];
+  return value ? value.replace(/\/+$/, '') : null;
+};
+
+/**
+ * Alchemy host for a network subdomain (see getAlchemySubdomain in src/chains.js)
+ * @param {string} subdomain - e.g. 'eth-mainnet'
+ */
+const alchemyBaseUrl = (subdomain) => {
+  const base = override('alchemy');
+  return base ? `${base}/${subdomain}` : `https://${subdomain}.g.alchemy.com`;
+};
+
+/**
+ * Neynar v2 Farcaster API root, e.g. `${neynarBaseUrl()}/user/bulk`
+ */
+const neynarBaseUrl = () => `${override('neynar') || DEFAULTS.neynar}/v2/farcaster`;
+
+/**
+ * Zapper GraphQL endpoints, primary first
+ */
+const zapperGraphqlUrls = () => [
+  `${override('zapper') || DEFAULTS.zapper}/v2/graphql`,
+  `${override('zapperPublic') || DEFAULTS.zapperPublic}/graphql`
+];
+
+/**
+ * Zapper REST API root (v2)
+ */
+const zapperBaseUrl = () => `${override('zapper') || DEFAULTS.zapper}/v2`;
+
+/**
+ * Names of the upstreams currently redirected by an environment variable
+ */
+const getOverrides = () => Object.keys(ENV).filter(name => override(name) && name !== 'zapperPublic');
+
+module.exports = {
+  alchemyBaseUrl,
+  neynarBaseUrl,
+  zapperGraphqlUrls,
+  zapperBaseUrl,
+  getOverrides
+};
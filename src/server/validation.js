@@ -0,0 +1,195 @@
+/**
+ * Declarative query parameter validation
+ *
+ * A schema lists the parameters a route accepts:
+ *
+ *   {
+ *     params: { fid: { type: 'fid', required: true }, limit: { type: 'integer', min: 1, max: 100 } },
+ *     oneOf: [['fid', 'username']],          // at least one of these is required
+ *     discriminator: 'endpoint',             // optional: pick a variant by this param's value
+ *     variants: { following: { params, oneOf } }
+ *   }
+ *
+ * Validated values are normalized (addresses and chains lowercased, booleans as
+ * 'true'/'false', dates as ISO 8601) but stay strings, as handlers read them straight from req.query.
+ * Parameters a schema doesn't list are dropped, so nothing unexpected is
+ * forwarded upstream.
+ */
+const { getAddress } = require('ethers/lib/utils');
+const { getChainNames } = require('../chains');
+const { httpError } = require('./errors');
+
+const FID_PATTERN = /^\d{1,10}$/;
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const TRUE_VALUES = ['true', '1', 'yes'];
+const FALSE_VALUES = ['false', '0', 'no'];
+
+const validationError = (message, details = []) => httpError(message, 'INVALID_PARAMETER', 400, details);
+
+/**
+ * Validate an address, rejecting mixed-case addresses with a bad EIP-55 checksum
+ */
+const checkAddress = (value) => {
+  if (!ADDRESS_PATTERN.test(value)) {
+    return { message: 'must be a 0x-prefixed 20 byte hex address' };
+  }
+  try {
+    getAddress(value);
+  } catch (error) {
+    return { message: 'has an invalid checksum' };
+  }
+  return { value: value.toLowerCase() };
+};
+
+const checkList = (value, rule, checkItem) => {
+  const items = value.split(',').map(item => item.trim()).filter(Boolean);
+  if (items.length === 0) return { message: 'must not be empty' };
+  if (rule.maxItems && items.length > rule.maxItems) {
+    return { message: `must have at most ${rule.maxItems} items` };
+  }
+  const normalized = [];
+  for (const item of items) {
+    const result = checkItem(item, rule);
+    if (result.message) return { message: `contains '${item}', which ${result.message}` };
+    normalized.push(result.value);
+  }
+  return { value: normalized.join(',') };
+};
+
+const checkInteger = (value, rule) => {
+  if (!/^-?\d+$/.test(value)) return { message: 'must be an integer' };
+  const number = Number(value);
+  if (rule.min !== undefined && number < rule.min) return { message: `must be at least ${rule.min}` };
+  if (rule.max !== undefined && number > rule.max) return { message: `must be at most ${rule.max}` };
+  return { value: String(number) };
+};
+
+const checkFid = (value) => {
+  if (!FID_PATTERN.test(value) || Number(value) < 1) {
+    return { message: 'must be a numeric Farcaster ID' };
+  }
+  return { value: String(Number(value)) };
+};
+
+const checkString = (value, rule) => {
+  const maxLength = rule.maxLength || 256;
+  if (value.length > maxLength) return { message: `must be at most ${maxLength} characters` };
+  if (rule.pattern && !rule.pattern.test(value)) return { message: rule.patternMessage || 'has an invalid format' };
+  return { value };
+};
+
+const TYPES = {
+  string: checkString,
+  integer: checkInteger,
+  fid: checkFid,
+  address: checkAddress,
+  addressList: (value, rule) => checkList(value, rule, checkAddress),
+  fidList: (value, rule) => checkList(value, rule, checkFid),
+  boolean: (value) => {
+    const lower = value.toLowerCase();
+    if (TRUE_VALUES.includes(lower)) return { value: 'true' };
+    if (FALSE_VALUES.includes(lower)) return { value: 'false' };
+    return { message: 'must be true or false' };
+  },
+  enum: (value, rule) => {
+    const match = rule.values.find(allowed => allowed.toLowerCase() === value.toLowerCase());
+    return match ? { value: match } : { message: `must be one of ${rule.values.join(', ')}` };
+  },
+  // ISO 8601 date or epoch milliseconds, normalized to ISO 8601
+  date: (value) => {
+    const date = new Date(/^\d+$/.test(value) ? Number(value) : value);
+    return isNaN(date.getTime()) ? { message: 'must be an ISO 8601 date or epoch milliseconds' } : { value: date.toISOString() };
+  },
+  // Any name of an enabled chain, see src/chains.js
+  chain: (value) => {
+    const lower = value.toLowerCase();
+    const names = getChainNames({ enabledOnly: true });
+    return names.includes(lower) ? { value: lower } : { message: `must be one of ${names.join(', ')}` };
+  }
+};
+
+const validateParams = (params, oneOf, query, value, errors) => {
+  Object.entries(params || {}).forEach(([name, rule]) => {
+    let raw = query[name];
+    // Repeated parameters arrive as arrays; read them as a comma separated list
+    if (Array.isArray(raw)) raw = raw.join(',');
+    if (raw === undefined || raw === null || raw === '') {
+      if (rule.required) errors.push({ param: name, message: `${name} is required` });
+      else if (rule.default !== undefined) value[name] = rule.default;
+      return;
+    }
+
+    const result = TYPES[rule.type](String(raw).trim(), rule);
+    if (result.message) {
+      errors.push({ param: name, message: `${name} ${result.message}` });
+    } else {
+      value[name] = result.value;
+    }
+  });
+
+  // Only report a missing group when none was given; an invalid one already has its own error
+  (oneOf || []).forEach(names => {
+    if (!names.some(name => value[name] !== undefined || errors.some(error => error.param === name))) {
+      errors.push({ param: names.join('|'), message: `one of ${names.join(' or ')} is required` });
+    }
+  });
+};
+
+/**
+ * Validate a query against a schema
+ * @param {Object} schema - See the top of this file
+ * @param {Object} query - Parsed query parameters
+ * @param {Object} options - { passthrough } names of params kept as they are
+ * @returns {Object} - Normalized query containing only known parameters
+ * @throws {Error} - INVALID_PARAMETER with status 400 and details [{ param, message }]
+ */
+const validateQuery = (schema, query = {}, options = {}) => {
+  const value = {};
+  const errors = [];
+
+  (options.passthrough || []).forEach(name => {
+    if (query[name] !== undefined) value[name] = query[name];
+  });
+
+  validateParams(schema.params, schema.oneOf, query, value, errors);
+
+  if (schema.discriminator && errors.length === 0) {
+    const variantName = value[schema.discriminator];
+    const key = Object.keys(schema.variants).find(name => name.toLowerCase() === String(variantName).toLowerCase());
+    if (!key) {
+      const name = schema.discriminator;
+      errors.push({ param: name, message: `${name} must be one of ${Object.keys(schema.variants).join(', ')}` });
+    } else {
+      value[schema.discriminator] = key;
+      const variant = schema.variants[key];
+      validateParams(variant.params, variant.oneOf, query, value, errors);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw validationError(errors[0].message, errors);
+  }
+
+  const dropped = Object.keys(query).filter(name => !(name in value));
+  if (dropped.length > 0) {
+    console.log(`[VALIDATION] Ignoring unknown parameters: ${dropped.join(', ')}`);
+  }
+
+  return value;
+};
+
+/**
+ * Send a validation error in the standard { error, code, message, details } shape
+ */
+const sendValidationError = (res, error) => res.status(400).json({
+  error: 'Invalid parameter',
+  code: error.code,
+  message: error.message,
+  details: error.details
+});
+
+module.exports = {
+  validateQuery,
+  sendValidationError,
+  validationError
+};
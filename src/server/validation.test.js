@@ -0,0 +1,103 @@
+/**
+ * @jest-environment node
+ */
+const { validateQuery } = require('./validation');
+const { ROUTE_SCHEMAS } = require('./apiSchemas');
+
+const VITALIK = '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045';
+
+const SCHEMA = {
+  params: {
+    fid: { type: 'fid' },
+    username: { type: 'string', maxLength: 16 },
+    owner: { type: 'address' },
+    wallets: { type: 'addressList', maxItems: 2 },
+    limit: { type: 'integer', min: 1, max: 100, default: '20' },
+    withMetadata: { type: 'boolean' },
+    order: { type: 'enum', values: ['asc', 'desc'] }
+  },
+  oneOf: [['fid', 'username']]
+};
+
+const invalid = (query, schema = SCHEMA) => {
+  try {
+    validateQuery(schema, query);
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the query to be rejected');
+};
+
+beforeEach(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+
+test('normalizes values but keeps them strings', () => {
+  expect(validateQuery(SCHEMA, {
+    fid: '0042',
+    owner: VITALIK,
+    wallets: `${VITALIK}, ${VITALIK.toLowerCase()}`,
+    withMetadata: 'YES',
+    order: 'DESC'
+  })).toEqual({
+    fid: '42',
+    owner: VITALIK.toLowerCase(),
+    wallets: `${VITALIK.toLowerCase()},${VITALIK.toLowerCase()}`,
+    limit: '20',
+    withMetadata: 'true',
+    order: 'desc'
+  });
+});
+
+test('drops parameters the schema does not list', () => {
+  expect(validateQuery(SCHEMA, { username: 'dwr', apiKey: 'secret' })).toEqual({ username: 'dwr', limit: '20' });
+});
+
+test('reads repeated parameters as a list', () => {
+  expect(validateQuery(SCHEMA, { fid: '1', wallets: [VITALIK, VITALIK] }).wallets.split(',')).toHaveLength(2);
+});
+
+test.each([
+  [{ fid: 'abc' }, 'fid', 'fid must be a numeric Farcaster ID'],
+  [{ fid: '0' }, 'fid', 'fid must be a numeric Farcaster ID'],
+  [{ fid: '1', limit: '101' }, 'limit', 'limit must be at most 100'],
+  [{ fid: '1', limit: '1.5' }, 'limit', 'limit must be an integer'],
+  [{ fid: '1', owner: '0x1234' }, 'owner', 'owner must be a 0x-prefixed 20 byte hex address'],
+  [{ fid: '1', owner: VITALIK.replace('d8dA', 'd8Da') }, 'owner', 'owner has an invalid checksum'],
+  [{ fid: '1', wallets: [VITALIK, VITALIK, VITALIK].join(',') }, 'wallets', 'wallets must have at most 2 items'],
+  [{ fid: '1', order: 'random' }, 'order', 'order must be one of asc, desc'],
+  [{ username: 'a'.repeat(17) }, 'username', 'username must be at most 16 characters'],
+  [{}, 'fid|username', 'one of fid or username is required']
+])('rejects %j', (query, param, message) => {
+  const error = invalid(query);
+  expect(error).toMatchObject({ code: 'INVALID_PARAMETER', status: 400, message });
+  expect(error.details).toContainEqual({ param, message });
+});
+
+test('does not report a missing group when one of it is invalid', () => {
+  expect(invalid({ fid: 'abc' }).details).toHaveLength(1);
+});
+
+describe('discriminated schemas', () => {
+  const schema = {
+    params: { scope: { type: 'enum', values: ['global', 'following'], default: 'global' } },
+    discriminator: 'scope',
+    variants: {
+      global: {},
+      following: { params: { fid: { type: 'fid', required: true } } }
+    }
+  };
+
+  test('validate the variant picked by the discriminator', () => {
+    expect(validateQuery(schema, {})).toEqual({ scope: 'global' });
+    expect(validateQuery(schema, { scope: 'Following', fid: '5650' })).toEqual({ scope: 'following', fid: '5650' });
+    expect(invalid({ scope: 'following' }, schema).message).toBe('fid is required');
+    expect(invalid({ scope: 'everyone' }, schema).message).toBe('scope must be one of global, following');
+  });
+
+  test('only let the proxies call the listed endpoints', () => {
+    const alchemy = ROUTE_SCHEMAS.alchemy;
+    expect(validateQuery(alchemy, { endpoint: 'getNFTsForOwner', owner: VITALIK, network: 'ETH' }))
+      .toMatchObject({ endpoint: 'getNFTsForOwner', network: 'eth' });
+    expect(invalid({ endpoint: 'invalidateCache' }, alchemy).details[0].param).toBe('endpoint');
+    expect(invalid({ endpoint: 'getNFTsForOwner', owner: VITALIK, network: 'solana' }, alchemy).details[0].param).toBe('network');
+  });
+});
@@ -1,5 +1,9 @@
 import axios from 'axios';
 import { getApiBaseUrl, getAlchemyApiKey } from '../utils/runtimeConfig';
+import nftProviders from './nftProviders';
+import { MemoryCache } from '../utils/cache';
+import apiClient from './apiClient';
+import { getAlchemySubdomain, getEnabledChainIds, isChainEnabled, normalizeChain } from '../chains';
 
 // Base URL for Alchemy API requests
 const getBaseUrl = () => {
@@ -55,14 +59,8 @@ setInterval(() => {
     .catch(err => console.error('Failed to refresh Alchemy API endpoints:', err));
 }, 60000); // Check every minute
 
-// Define all supported chains
-const SUPPORTED_CHAINS = [
-  { id: 'eth', name: 'Ethereum', network: 'ethereum' },
-  { id: 'polygon', name: 'Polygon', network: 'polygon' },
-  { id: 'opt', name: 'Optimism', network: 'optimism' },
-  { id: 'arb', name: 'Arbitrum', network: 'arbitrum' },
-  { id: 'base', name: 'Base', network: 'base' }
-];
+// Transfer filters the proxy sets itself, which callers can't override
+const UNSUPPORTED_TRANSFER_OPTIONS = ['fromAddress', 'toAddress', 'category', 'maxCount', 'fromBlock'];
 
 /**
  * Service for interacting with Alchemy NFT APIs
@@ -71,8 +69,8 @@ const SUPPORTED_CHAINS = [
 class AlchemyService {
   constructor() {
     this.apiKey = null;
-    this.requestCache = new Map();
     this.cacheTTL = 30 * 60 * 1000; // 30 minutes cache TTL (increased from 5 minutes)
+    this.requestCache = new MemoryCache({ name: 'alchemy', maxEntries: 500, ttl: this.cacheTTL });
   }
 
   // Store the API key
@@ -84,11 +82,7 @@ class AlchemyService {
    * @returns {Promise<Object|null>} - Cached data or null if not found/expired
    */
   async getCachedResponse(cacheKey) {
-    const cachedResponse = this.requestCache.get(cacheKey);
-    if (cachedResponse && cachedResponse.timestamp > Date.now() - this.cacheTTL) {
-      return cachedResponse.data;
-    }
-    return null;
+    return this.requestCache.get(cacheKey);
   }
 
   /**
@@ -98,40 +92,7 @@ class AlchemyService {
    * @param {number} customTTL - Optional custom TTL in milliseconds
    */
   async setCachedResponse(cacheKey, data, customTTL = null) {
-    this.requestCache.set(cacheKey, {
-      data,
-      timestamp: Date.now(),
-      ttl: customTTL || this.cacheTTL
-    });
-    
-    // Cleanup the cache if it's getting too large
-    this.cleanupCacheIfNeeded();
-    
-    return data;
-  }
-  
-  /**
-   * Cleans up the cache if it exceeds a certain size
-   */
-  cleanupCacheIfNeeded() {
-    // Only cleanup if we have more than 100 items in cache
-    if (this.requestCache.size > 100) {
-      console.log(`Cache cleanup triggered, current size: ${this.requestCache.size}`);
-      const now = Date.now();
-      const keysToDelete = [];
-      
-      // Find expired entries
-      for (const [key, entry] of this.requestCache.entries()) {
-        const ttl = entry.ttl || this.cacheTTL;
-        if (now - entry.timestamp > ttl) {
-          keysToDelete.push(key);
-        }
-      }
-      
-      // Delete expired entries
-      keysToDelete.forEach(key => this.requestCache.delete(key));
-      console.log(`Cache cleanup completed, removed ${keysToDelete.length} items, new size: ${this.requestCache.size}`);
-    }
+    return this.requestCache.set(cacheKey, data, customTTL || this.cacheTTL);
   }
   
   /**
@@ -148,7 +109,9 @@ class AlchemyService {
       pageSize: options.pageSize || '100',
       excludeSpam: options.excludeSpam === true,
       excludeAirdrops: options.excludeAirdrops === true,
-      pageKey: options.pageKey || null
+      pageKey: options.pageKey || null,
+      // Page keys are provider-specific
+      provider: options.pageKey ? options.provider || null : null
     };
     
     // Create a short hash of the options
@@ -249,31 +212,14 @@ class AlchemyService {
    * @returns {string} - The network name for Alchemy URL
    */
   getNetworkFromChainId(chainId) {
-    switch (chainId.toLowerCase()) {
-      case 'eth':
-        return 'eth-mainnet';
-      case 'polygon':
-        return 'polygon-mainnet';
-      case 'opt':
-        return 'opt-mainnet';
-      case 'arb':
-        return 'arb-mainnet';
-      case 'base':
-        return 'base-mainnet';
-      default:
-        return 'eth-mainnet';
-    }
+    return getAlchemySubdomain(chainId);
   }
 
   /**
    * Helper to convert network name to chain ID
    */
   getChainId(network) {
-    const chain = SUPPORTED_CHAINS.find(c => 
-      c.network.toLowerCase() === network.toLowerCase() || 
-      c.id.toLowerCase() === network.toLowerCase()
-    );
-    return chain ? chain.id : 'eth';
+    return normalizeChain(network);
   }
   
   /**
@@ -309,90 +255,50 @@ class AlchemyService {
       
       console.log(`Cache miss for NFTs fetch: ${owner.slice(0, 8)}... on ${chain}`);
       
-      // Build query parameters
-      const queryParams = new URLSearchParams({
-        endpoint: 'getNFTsForOwner',
-        network: chain, // IMPORTANT: Use 'network' param for consistent handling
-        owner,
-        withMetadata: options.withMetadata !== false ? 'true' : 'false',
-        pageSize: options.pageSize || '100',
-        withFloorPrice: options.withFloorPrice !== false ? 'true' : 'false'
-      });
-
-      // Add orderBy parameter to sort by transfer time for supported networks
-      // This is only supported on Ethereum Mainnet and Polygon Mainnet
-      if ((chain === 'eth' || chain === 'ethereum' || chain === 'polygon') && options.orderBy !== false) {
-        queryParams.append('orderBy', 'transferTime');
-        console.log(`Using orderBy=transferTime for ${chain} to show newest NFTs first`);
-      }
-
-      // REMOVED ALL SPAM FILTER PARAMETERS
-      // No longer setting excludeSpam, excludeAirdrops, or excludeFilters
-      // This should resolve issues with fetching NFTs
-
-      // Add pageKey if provided
-      if (options.pageKey) {
-        queryParams.append('pageKey', options.pageKey);
-      }
-
-      const url = `${ALCHEMY_ENDPOINT}?${queryParams.toString()}`;
+      // Fetch through the provider layer, which fails over to the next
+      // provider on rate limits and upstream errors
+      const data = await nftProviders.getNftsForOwner(owner, options, chain);
       
-      console.log(`Fetching NFTs for ${owner} on ${chain} with URL: ${url}`);
+      console.log(`Fetched ${data.ownedNfts?.length || 0} NFTs for ${owner} on ${chain} from ${data.provider}`);
       
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'accept': 'application/json'
-        }
-      });
-        
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error(`Failed to fetch NFTs on ${chain}:`, errorText);
-        throw new Error(`Failed to fetch NFTs on ${chain}: ${errorText}`);
-      }
-
-      const data = await response.json();
+      // Record which provider served each page so merged results can report it
+      data.pages = [{ provider: data.provider, count: data.ownedNfts?.length || 0 }];
       
       // Log filtering metadata if available
       if (data.filteringApplied) {
         console.log(`Server applied filtering: spamConfidenceLevel=${data.filteringApplied.spamConfidenceLevel}, excludeFilters=[${data.filteringApplied.excludeFilters.join(',')}] on ${data.filteringApplied.network}`);
       }
       
-      // Verify chain info is included in the response; if not, add it
-      if (data.ownedNfts) {
-        data.ownedNfts = data.ownedNfts.map(nft => {
-          if (!nft.chain && !nft.network) {
-            return {
-              ...nft,
-              chain,
-              network: chain,
-              chainId: chain
-            };
-          }
-          return nft;
-        });
-      }
-      
       // Handle pagination if fetchAll is true
       if (options.fetchAll && data.pageKey) {
         console.log(`Found more NFTs, fetching next page with key: ${data.pageKey.substring(0, 20)}...`);
         
+        // Page keys only work with the provider that issued them
         const nextPageOptions = {
           ...options,
-          pageKey: data.pageKey
+          pageKey: data.pageKey,
+          provider: data.provider
         };
         
         const nextPageResults = await this.getNftsForOwner(owner, nextPageOptions, chain);
         
         // Combine results
-        if (nextPageResults && nextPageResults.ownedNfts) {
+        if (nextPageResults?.restarted) {
+          // A different provider served the rest from page one, so its results replace ours
+          console.log(`Provider switched to ${nextPageResults.provider}, using its ${nextPageResults.ownedNfts.length} NFTs`);
+          
+          data.ownedNfts = nextPageResults.ownedNfts;
+          data.provider = nextPageResults.provider;
+          data.pages = nextPageResults.pages || [];
+          delete data.pageKey;
+        } else if (nextPageResults && nextPageResults.ownedNfts) {
           console.log(`Adding ${nextPageResults.ownedNfts.length} more NFTs from next page`);
           
           data.ownedNfts = [
             ...data.ownedNfts,
             ...(nextPageResults.ownedNfts || [])
           ];
+          data.pages = [...data.pages, ...(nextPageResults.pages || [])];
           
           // If we got more pages, make sure we don't include the pageKey in final result
           delete data.pageKey;
@@ -445,8 +351,8 @@ class AlchemyService {
         return { error: 'API key configuration error', ownedNfts: [] };
       }
 
-      // Define the supported chains from the SUPPORTED_CHAINS constant
-      this.supportedChains = ['eth', 'polygon', 'opt', 'arb', 'base'];
+      // Chains enabled in the registry, see src/chains.js
+      this.supportedChains = getEnabledChainIds();
       
       // Determine chains to fetch
       const chainFilter = options.chains || this.supportedChains;
@@ -600,7 +506,7 @@ class AlchemyService {
       
       // Define the supported chains if not already defined
       if (!this.supportedChains) {
-        this.supportedChains = ['eth', 'polygon', 'opt', 'arb', 'base'];
+        this.supportedChains = getEnabledChainIds();
       }
       
       // Set up fetch options with defaults
@@ -803,29 +709,16 @@ class AlchemyService {
       
       // Check if we have a valid cached response
       const cachedResponse = this.requestCache.get(cacheKey);
-      if (cachedResponse && cachedResponse.timestamp > Date.now() - this.cacheTTL) {
+      if (cachedResponse) {
         console.log(`Using cached metadata for ${contractAddress} token ${tokenId} on ${chainId}`);
-        return cachedResponse.data;
+        return cachedResponse;
       }
       
-      const baseUrl = await this.getAlchemyUrl(chainId);
-      const url = `${baseUrl}/getNFTMetadata?contractAddress=${contractAddress}&tokenId=${tokenId}`;
-      
       console.log(`Fetching metadata for ${contractAddress} token ${tokenId} on ${chainId}`);
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        const error = await response.text();
-        throw new Error(`Failed to fetch NFT metadata: ${error}`);
-      }
-      
-      const data = await response.json();
+      const data = await nftProviders.getMetadata(contractAddress, tokenId, chainId);
       
       // Store in cache
-      this.requestCache.set(cacheKey, {
-        data,
-        timestamp: Date.now()
-      });
+      this.requestCache.set(cacheKey, data);
       
       return data;
     } catch (error) {
@@ -833,6 +726,29 @@ class AlchemyService {
       return null;
     }
   }
+
+  /**
+   * Get the current owners of a token, one for ERC-721 and possibly many for ERC-1155
+   * @param {string} contractAddress - The contract address of the NFT
+   * @param {string} tokenId - The token ID of the NFT
+   * @param {string} chainId - The chain ID, e.g. 'eth', 'polygon', etc.
+   * @returns {Promise<string[]>} - Lowercase owner addresses, empty on error
+   */
+  async getOwnersForNft(contractAddress, tokenId, chainId = 'eth') {
+    try {
+      const data = await apiClient.alchemy({
+        endpoint: 'getOwnersForNFT',
+        network: chainId,
+        contractAddress,
+        tokenId
+      });
+      
+      return (data?.owners || []).map(owner => owner.toLowerCase());
+    } catch (error) {
+      console.error(`Error fetching owners for ${contractAddress} token ${tokenId} on ${chainId}:`, error);
+      return [];
+    }
+  }
   
   /**
    * Get the best quality image URL for an NFT
@@ -900,9 +816,9 @@ class AlchemyService {
       
       // Check if we have a valid cached response
       const cachedResponse = this.requestCache.get(cacheKey);
-      if (cachedResponse && cachedResponse.timestamp > Date.now() - this.cacheTTL) {
+      if (cachedResponse) {
         console.log(`Using cached NFTs for collection ${contractAddress} on ${chain}`);
-        return cachedResponse.data;
+        return cachedResponse;
       }
       
       // Build query parameters
@@ -932,10 +848,7 @@ class AlchemyService {
       const data = await response.json();
       
       // Store in cache
-      this.requestCache.set(cacheKey, {
-        data,
-        timestamp: Date.now()
-      });
+      this.requestCache.set(cacheKey, data);
       
       return data;
     } catch (error) {
@@ -951,9 +864,6 @@ class AlchemyService {
    * @returns {Promise<string[]>} - Array of owner addresses
    */
   async getOwnersForContract(contractAddress, network = 'eth') {
-    // Make sure API key is initialized
-    await this.initApiKey();
-
     try {
       if (!contractAddress) {
         console.error('Contract address is missing or empty');
@@ -975,8 +885,7 @@ class AlchemyService {
           if (possibleAddress && possibleAddress.startsWith('0x') && possibleAddress.length >= 42) {
             resolvedContractAddress = possibleAddress;
             // Only update network if it's a recognized network
-            const validNetworks = ['eth', 'ethereum', 'polygon', 'opt', 'optimism', 'arb', 'arbitrum', 'base', 'zora'];
-            if (validNetworks.includes(possibleNetwork)) {
+            if (isChainEnabled(possibleNetwork)) {
               resolvedNetwork = possibleNetwork;
               console.log(`Extracted network ${resolvedNetwork} from contract address ${contractAddress}`);
             }
@@ -1000,32 +909,10 @@ class AlchemyService {
         }
       }
       
-      // Normalize network names to Alchemy's expected format values
-      const networkMapping = {
-        'ethereum': 'eth',
-        'optimism': 'opt',
-        'arbitrum': 'arb',
-        'polygon': 'polygon',
-        'base': 'base',
-        'zora': 'zora'
-      };
-      
-      // Apply mapping if the network is in our mapping
-      const standardizedNetwork = networkMapping[resolvedNetwork.toLowerCase()] || resolvedNetwork;
-      
-      // Map network to the correct URL format per Alchemy docs
-      const networkUrlMapping = {
-        'eth': 'eth-mainnet',
-        'polygon': 'polygon-mainnet',
-        'opt': 'opt-mainnet',
-        'arb': 'arb-mainnet',
-        'base': 'base-mainnet',
-        'zora': 'zora-mainnet'
-      };
+      // Canonical chain id from the registry
+      const standardizedNetwork = normalizeChain(resolvedNetwork, resolvedNetwork);
       
-      const networkUrlBase = networkUrlMapping[standardizedNetwork] || 'eth-mainnet';
-      
-      console.log(`Fetching owners for contract ${resolvedContractAddress} on ${standardizedNetwork} (URL base: ${networkUrlBase})`);
+      console.log(`Fetching owners for contract ${resolvedContractAddress} on ${standardizedNetwork}`);
       
       // Create a cache key based on contract address and network
       const cacheKey = `owners_${resolvedContractAddress.toLowerCase()}_${standardizedNetwork.toLowerCase()}`;
@@ -1037,112 +924,14 @@ class AlchemyService {
         return cachedResponse;
       }
 
-      console.log(`DEBUG - getOwnersForContract call details:`, {
-        originalContractAddress: contractAddress,
-        resolvedContractAddress,
-        originalNetwork: network,
-        resolvedNetwork: standardizedNetwork,
-        networkUrlBase,
-        alchemyEndpoint: ALCHEMY_ENDPOINT,
-        serverUrl: SERVER_URL,
-        timestamp: new Date().toISOString()
-      });
-
-      // Initialize endpoints if needed
-      await initializeEndpoints();
-      
-      console.log(`After initialization, using ALCHEMY_ENDPOINT: ${ALCHEMY_ENDPOINT}`);
-
-      let response;
-      
-      // First try with our proxy API
-      try {
-        // Build the API request params for our proxy
-        const params = {
-          endpoint: 'getOwnersForContract',
-          network: standardizedNetwork,
-          contractAddress: resolvedContractAddress.toLowerCase()  // Ensure address is lowercase
-        };
-        
-        console.log('Making proxy Alchemy API request with params:', params);
-
-        // Make the API request with a longer timeout
-        response = await axios.get(ALCHEMY_ENDPOINT, {
-          params,
-          timeout: 20000 // 20 seconds
-        });
-        
-        console.log('Proxy API responded with status:', response.status);
-      } catch (proxyError) {
-        console.error(`❌ Proxy API failed for getOwnersForContract for ${resolvedContractAddress} on ${standardizedNetwork}:`, proxyError.message);
-        
-        // Try direct Alchemy API as a fallback
-        try {
-          console.log('Attempting direct Alchemy API call for getOwnersForContract');
-          
-          if (!this.apiKey) {
-            console.error('Missing Alchemy API key for direct API call');
-            throw new Error('Alchemy API key not available');
-          }
-          
-          // Construct the URL according to Alchemy docs
-          const directUrl = `https://${networkUrlBase}.g.alchemy.com/nft/v3/${this.apiKey}/getOwnersForContract`;
-          
-          console.log(`Direct API call to Alchemy URL: ${directUrl} for network ${standardizedNetwork}`);
-          
-          // Make the direct API call
-          response = await axios.get(directUrl, {
-            params: {
-              contractAddress: resolvedContractAddress.toLowerCase(),
-              withTokenBalances: false // Don't need token balances, just owners
-            },
-            timeout: 20000
-          });
-          
-          console.log('Direct Alchemy API responded with status:', response.status);
-          // Log full response structure for debugging
-          console.log('Response structure from direct API:', {
-            hasData: !!response.data,
-            dataKeys: response.data ? Object.keys(response.data) : [],
-            ownersCount: response.data?.owners?.length || 0
-          });
-        } catch (directApiError) {
-          console.error(`❌ Direct Alchemy API call failed on ${standardizedNetwork}:`, directApiError.message);
-          if (directApiError.response) {
-            console.error('Error response data:', directApiError.response.data);
-            console.error('Error response status:', directApiError.response.status);
-          }
-          throw directApiError;
-        }
-      }
-
-      // Log full response for debugging
-      console.log('Alchemy API response structure:', {
-        status: response.status,
-        hasData: !!response.data,
-        dataKeys: response.data ? Object.keys(response.data) : [],
-        hasOwners: Array.isArray(response.data?.owners),
-        ownersCount: response.data?.owners?.length || 0,
-        network: standardizedNetwork
-      });
-
-      // Extract owners from the response according to the API documentation
-      const owners = response.data?.owners || [];
+      // Fetch through the provider layer, which follows pagination and fails
+      // over to the next provider on rate limits and upstream errors
+      const { owners: normalizedOwners, provider } = await nftProviders.getOwnersForContract(
+        resolvedContractAddress.toLowerCase(),
+        standardizedNetwork
+      );
 
-      console.log(`Found ${owners.length} owners for contract ${resolvedContractAddress} on ${standardizedNetwork}`);
-      
-      // Convert all addresses to lowercase for consistency and filter out invalid addresses
-      const normalizedOwners = owners
-        .map(owner => {
-          // Handle different response formats
-          if (typeof owner === 'string') {
-            return owner.toLowerCase();
-          } else if (owner.ownerAddress) {
-            return owner.ownerAddress.toLowerCase();
-          }
-          return null;
-        })
-        .filter(address => address && address.startsWith('0x'));
+      console.log(`Found ${normalizedOwners.length} owners for contract ${resolvedContractAddress} on ${standardizedNetwork} from ${provider}`);
       
       // Cache the results
       if (normalizedOwners.length > 0) {
@@ -1179,37 +968,16 @@ class AlchemyService {
       
       // Check if we have a valid cached response
       const cachedResponse = this.requestCache.get(cacheKey);
-      if (cachedResponse && cachedResponse.timestamp > Date.now() - this.cacheTTL) {
+      if (cachedResponse) {
         console.log(`Using cached contract metadata for ${contractAddress} on ${chain}`);
-        return cachedResponse.data;
-      }
-      
-      // Build query parameters
-      const queryParams = `contractAddress=${contractAddress}`;
-      
-      // Build URL
-      const url = this.getAlchemyUrl(chain, 'getContractMetadata', queryParams);
-      console.log(`Fetching contract metadata from: ${url}`);
-      
-      // Make request
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'accept': 'application/json'
-        }
-      });
-      
-      if (!response.ok) {
-        throw new Error(`Failed to fetch contract metadata: ${response.statusText}`);
+        return cachedResponse;
       }
       
-      const data = await response.json();
+      console.log(`Fetching contract metadata for ${contractAddress} on ${chain}`);
+      const data = await nftProviders.getContractMetadata(contractAddress, chain);
       
       // Store in cache
-      this.requestCache.set(cacheKey, {
-        data,
-        timestamp: Date.now()
-      });
+      this.requestCache.set(cacheKey, data);
       
       return data;
     } catch (error) {
@@ -1233,9 +1001,9 @@ class AlchemyService {
       
       // Check if we have a valid cached response
       const cachedResponse = this.requestCache.get(cacheKey);
-      if (cachedResponse && cachedResponse.timestamp > Date.now() - this.cacheTTL) {
+      if (cachedResponse) {
         console.log(`Using cached NFTs for contract ${contractAddress} on ${chainId}`);
-        return cachedResponse.data;
+        return cachedResponse;
       }
       
       const baseUrl = await this.getAlchemyUrl(chainId);
@@ -1262,10 +1030,7 @@ class AlchemyService {
       const data = await response.json();
       
       // Store in cache
-      this.requestCache.set(cacheKey, {
-        data,
-        timestamp: Date.now()
-      });
+      this.requestCache.set(cacheKey, data);
       
       return data;
     } catch (error) {
@@ -1297,7 +1062,7 @@ class AlchemyService {
       
       // Prioritize ETH and Base chains first, then fetch the rest
       const primaryChains = ['eth', 'base'];
-      const secondaryChains = ['polygon', 'opt', 'arb'];
+      const secondaryChains = getEnabledChainIds().filter(chain => !primaryChains.includes(chain));
       
       console.log(`Prioritizing ${primaryChains.join(', ')} chains first, then ${secondaryChains.join(', ')}`);
       
@@ -1464,132 +1229,75 @@ class AlchemyService {
   }
 
   /**
-   * Fetches asset transfers for a given address or list of addresses
-   * @param {string|string[]} addresses - The address(es) to get transfers for
-   * @param {Object} options - Additional options for the request
-   * @returns {Promise<Object>} - The transfers data
+   * Fetches NFT transfers to or from a list of addresses, or the transfer
+   * history of a contract or a single token when options.contractAddress is set
+   * @param {string|string[]} addresses - The address(es) to get transfers for, may be empty with options.contractAddress
+   * @param {Object} options - { chainId, contractAddress, tokenId, order ('asc' or 'desc', default 'desc') }.
+   *   The proxy sets the JSON-RPC filters itself, so fromAddress, toAddress,
+   *   category, maxCount and fromBlock are not accepted
+   * @returns {Promise<Object>} - { transfers, totalCount, truncated }, with `error` set on failure
    */
   async getAssetTransfers(addresses, options = {}) {
     try {
-      // Make sure API key is initialized
-      await this.initApiKey();
-
       // Handle single address or array of addresses
       const addressList = Array.isArray(addresses) ? addresses : [addresses];
       const validAddresses = addressList.filter(addr => this.isValidAddress(addr));
+      const { contractAddress, tokenId } = options;
+      const unsupported = UNSUPPORTED_TRANSFER_OPTIONS.filter(option => options[option] !== undefined);
+      if (unsupported.length > 0) {
+        console.warn(`getAssetTransfers ignores ${unsupported.join(', ')}; the proxy sets these filters`);
+      }
       
-      if (validAddresses.length === 0) {
-        console.error('No valid addresses provided for getAssetTransfers');
+      if (validAddresses.length === 0 && !contractAddress) {
+        console.error('No valid addresses or contract provided for getAssetTransfers');
         return { transfers: [] };
       }
       
-      // Create a cache key based on addresses and options
+      // Determine chain/network to use
+      const chainId = options.chainId || options.chain || 'eth';
+      const order = options.order === 'asc' ? 'asc' : 'desc';
+      
+      // Create a cache key from the addresses and the options that change the result
       const addressKey = validAddresses.sort().join(',').toLowerCase();
-      const optionsKey = JSON.stringify(options);
+      const optionsKey = JSON.stringify({ chainId, contractAddress, tokenId, order });
       const cacheKey = `asset_transfers_${addressKey}_${optionsKey}`;
       
       // Check if we have a valid cached response
       const cachedResponse = await this.getCachedResponse(cacheKey);
       if (cachedResponse) {
-        console.log(`Using cached asset transfers for ${validAddresses.length} addresses`);
+        console.log(`Using cached asset transfers for ${contractAddress || `${validAddresses.length} addresses`}`);
         return cachedResponse;
       }
       
-      // Determine chain/network to use
-      const chainId = options.chainId || options.chain || 'eth';
-      console.log(`Fetching asset transfers on ${chainId} for ${validAddresses.length} addresses`);
-      
-      // Log all parameters
-      console.log('getAssetTransfers parameters:', {
-        addresses: validAddresses,
-        chainId,
-        options
+      console.log(`Fetching asset transfers on ${chainId} for ${contractAddress ? `contract ${contractAddress}` : `${validAddresses.length} addresses`}`);
+      
+      // The proxy makes the JSON-RPC call, and pages through a contract's
+      // transfers to find a single token's history
+      const data = await apiClient.alchemy({
+        endpoint: 'getAssetTransfers',
+        network: chainId,
+        order,
+        ...(contractAddress
+          ? { contractAddress, ...(tokenId !== undefined && tokenId !== null ? { tokenId: String(tokenId) } : {}) }
+          : { addresses: validAddresses.join(',') })
       });
       
-      // Build the request payload
-      const params = {
-        fromBlock: options.fromBlock || '0x0',
-        toBlock: options.toBlock || 'latest',
-        withMetadata: options.withMetadata !== false,
-        excludeZeroValue: options.excludeZeroValue !== false,
-        maxCount: options.maxCount || '0x3e8', // Default to 1000 in hex
-        category: options.category || ['erc721', 'erc1155'] // Default to NFTs only
+      // Format the response in a consistent way
+      const formattedResponse = {
+        transfers: data?.transfers || [],
+        totalCount: data?.count || data?.transfers?.length || 0,
+        truncated: Boolean(data?.truncated)
       };
       
-      // Add address filters - API expects lowercase addresses
-      if (options.fromAddress || options.toAddress) {
-        if (options.fromAddress) {
-          params.fromAddress = options.fromAddress.toLowerCase();
-        }
-        if (options.toAddress) {
-          params.toAddress = options.toAddress.toLowerCase();
-        }
-      } else {
-        // Use addresses as both from and to if no specific direction is requested
-        params.toAddress = validAddresses.map(addr => addr.toLowerCase());
-        params.fromAddress = validAddresses.map(addr => addr.toLowerCase());
+      // Cache the results if we have transfers
+      if (formattedResponse.transfers.length > 0) {
+        await this.setCachedResponse(cacheKey, formattedResponse);
       }
       
-      // Try using the built-in URL helper
-      try {
-        // Build URL - this requires the JSON-RPC format
-        const baseUrl = await this.getAlchemyUrl(chainId);
-        
-        // Create the JSON-RPC payload
-        const payload = {
-          id: 1,
-          jsonrpc: "2.0",
-          method: "alchemy_getAssetTransfers",
-          params: [params]
-        };
-        
-        console.log(`Making direct API request for asset transfers to: ${baseUrl}`);
-        
-        // Make POST request with JSON payload
-        const response = await fetch(baseUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json'
-          },
-          body: JSON.stringify(payload)
-        });
-        
-        if (!response.ok) {
-          const errorText = await response.text();
-          throw new Error(`API request failed: ${response.status} ${response.statusText} - ${errorText}`);
-        }
-        
-        const data = await response.json();
-        
-        // Check for error in the response
-        if (data.error) {
-          throw new Error(`API error: ${data.error.message || JSON.stringify(data.error)}`);
-        }
-        
-        // Extract the result from the JSON-RPC response
-        const result = data.result || {};
-        
-        // Format the response in a consistent way
-        const formattedResponse = {
-          transfers: result.transfers || [],
-          pageKey: result.pageKey,
-          totalCount: result.transfers?.length || 0
-        };
-        
-        // Cache the results if we have transfers
-        if (formattedResponse.transfers.length > 0) {
-          await this.setCachedResponse(cacheKey, formattedResponse);
-        }
-        
-        console.log(`Found ${formattedResponse.totalCount} transfers for ${validAddresses.length} addresses`);
-        return formattedResponse;
-      } catch (error) {
-        console.error('Error in getAssetTransfers:', error.message);
-        return { transfers: [], error: error.message };
-      }
+      console.log(`Found ${formattedResponse.totalCount} transfers`);
+      return formattedResponse;
     } catch (error) {
-      console.error('Top-level error in getAssetTransfers:', error);
+      console.error('Error in getAssetTransfers:', error.message);
       return { transfers: [], error: error.message };
     }
   }
@@ -0,0 +1,729 @@
+/**
+ * GALL3RY API client
+ *
+ * GENERATED by scripts/generate-api-client.js from the OpenAPI document
+ * (src/server/openapi.js). Do not edit by hand: change src/server/apiRoutes.js
+ * or src/server/apiSchemas.js and run `npm run generate:api-client`.
+ *
+ * Every function takes (params, options). params holds the path and query
+ * parameters, plus `body` for requests with one. Functions resolve to the
+ * response body and reject with the axios error.
+ */
+import axios from 'axios';
+import { getApiBaseUrl } from '../utils/runtimeConfig';
+
+export const http = axios.create();
+
+// Resolve the API URL per request from the runtime config, which falls back to /api
+http.interceptors.request.use(async (requestConfig) => ({
+  ...requestConfig,
+  baseURL: await getApiBaseUrl()
+}));
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {string} [token] - API token from login, sent as a bearer token
+ * @property {string} [apiKey] - Sent as x-api-key (diagnostic reports)
+ * @property {AbortSignal} [signal] - Cancels the request
+ * @property {number} [timeout] - Timeout in milliseconds
+ * @property {Object} [headers] - Extra request headers
+ */
+
+const request = async (method, template, params, options) => {
+  const { body, ...rest } = params;
+  const query = { ...rest };
+  const url = template.replace(/\{([^}]+)\}/g, (match, name) => {
+    if (query[name] === undefined || query[name] === null) {
+      throw new Error(`Missing path parameter: ${name}`);
+    }
+    const value = encodeURIComponent(query[name]);
+    delete query[name];
+    return value;
+  });
+
+  const headers = { ...options.headers };
+  if (options.token) headers.Authorization = `Bearer ${options.token}`;
+  if (options.apiKey) headers['x-api-key'] = options.apiKey;
+
+  const response = await http.request({
+    method,
+    url,
+    params: query,
+    data: body,
+    headers,
+    signal: options.signal,
+    timeout: options.timeout,
+    responseType: options.responseType
+  });
+  return response.data;
+};
+
+/**
+ * @typedef {Object} ApiError
+ * @property {string} error
+ * @property {string} [code]
+ * @property {string} [message]
+ * @property {Array<Object>} [details]
+ */
+
+/**
+ * @typedef {Object} Nft
+ * @property {string} [_id]
+ * @property {string} [tokenId]
+ * @property {string} [contractAddress]
+ * @property {string} [name]
+ * @property {string} [description]
+ * @property {string} [imageUrl]
+ * @property {Object} [collection]
+ * @property {Object} [metadata]
+ * @property {'ethereum'|'polygon'|'optimism'|'arbitrum'|'base'|'zora'|'blast'|'linea'|'scroll'|'apechain'} [chain]
+ */
+
+/**
+ * @typedef {Object} Folder
+ * @property {string} [_id]
+ * @property {string} [name]
+ * @property {string} [description]
+ * @property {string} [ownerId]
+ * @property {boolean} [isPublic]
+ * @property {number} [viewCount]
+ * @property {number} [nftCount]
+ * @property {Array<Nft>} [nfts]
+ * @property {string} [createdAt]
+ * @property {string} [updatedAt]
+ */
+
+/**
+ * @typedef {Array<Folder>} FolderList
+ */
+
+/**
+ * @typedef {Object} FolderInput
+ * @property {string} [name]
+ * @property {string} [description]
+ * @property {boolean} [isPublic]
+ */
+
+/**
+ * @typedef {Object} NftInput
+ * @property {string} [_id]
+ * @property {string} tokenId
+ * @property {string} contractAddress
+ * @property {string} [name]
+ * @property {string} [description]
+ * @property {string} [imageUrl]
+ * @property {Object} [collection]
+ * @property {Object} [metadata]
+ * @property {'ethereum'|'polygon'|'optimism'|'arbitrum'|'base'|'zora'|'blast'|'linea'|'scroll'|'apechain'} [chain]
+ */
+
+/**
+ * @typedef {Object} VisibilityInput
+ * @property {boolean} isPublic
+ */
+
+/**
+ * @typedef {Object} GraphqlQuery
+ * @property {string} query
+ * @property {Object} [variables]
+ */
+
+/**
+ * @typedef {Object} LoginRequest
+ * @property {string} message
+ * @property {string} signature
+ * @property {string} [nonce]
+ */
+
+/**
+ * @typedef {Object} RefreshRequest
+ * @property {string} [token] - Used when no Authorization header is sent
+ */
+
+/**
+ * @typedef {Object} AuthToken
+ * @property {string} [token]
+ * @property {string} [expiresAt]
+ * @property {string} [sessionExpiresAt] - Refreshing stops working after this
+ * @property {Object} [userData]
+ */
+
+/**
+ * @typedef {Object} FarcasterProfile
+ * @property {number} [fid]
+ * @property {string} [username]
+ * @property {string} [displayName]
+ * @property {string} [pfp]
+ * @property {number} [followerCount]
+ * @property {number} [followingCount]
+ * @property {string} [custodyAddress]
+ * @property {Array<string>} [connectedAddresses]
+ */
+
+/**
+ * A batch of logs, or a single event ({ event, type, message, error, data })
+ * @typedef {Object} DiagnosticReportInput
+ * @property {string} [sessionId]
+ * @property {number} [fid]
+ * @property {Array<Object>} [logs]
+ * @property {Object} [clientInfo]
+ * @property {string} [event]
+ * @property {string} [type]
+ * @property {string} [message]
+ */
+
+/**
+ * @typedef {Object} AlchemyParams
+ * @property {'getNFTsForOwner'|'getNFTsForCollection'|'getNFTMetadata'|'getContractMetadata'|'getOwnersForContract'|'getOwnersForNFT'|'getContractsForOwner'|'getAssetTransfers'|'isSpamContract'|'getSpamContracts'} endpoint
+ * @property {'eth'|'ethereum'|'mainnet'|'homestead'|'polygon'|'matic'|'pol'|'opt'|'optimism'|'op'|'arb'|'arbitrum'|'base'|'zora'} [network]
+ * @property {'eth'|'ethereum'|'mainnet'|'homestead'|'polygon'|'matic'|'pol'|'opt'|'optimism'|'op'|'arb'|'arbitrum'|'base'|'zora'} [chain]
+ * @property {string} [owner] - Mixed-case addresses must have a valid EIP-55 checksum. For endpoint getNFTsForOwner (required), getContractsForOwner (required)
+ * @property {string} [contractAddresses] - Comma separated addresses, at most 45. For endpoint getNFTsForOwner
+ * @property {string} [pageKey] - For endpoint getNFTsForOwner, getOwnersForContract, getOwnersForNFT, getContractsForOwner
+ * @property {number} [pageSize] - For endpoint getNFTsForOwner, getContractsForOwner
+ * @property {boolean} [withMetadata] - For endpoint getNFTsForOwner, getNFTsForCollection, getContractsForOwner
+ * @property {boolean} [withFloorPrice] - For endpoint getNFTsForOwner
+ * @property {boolean} [includeMedia] - For endpoint getNFTsForOwner
+ * @property {boolean} [excludeSpam] - For endpoint getNFTsForOwner
+ * @property {'SPAM'|'AIRDROPS'} [excludeFilters] - For endpoint getNFTsForOwner, getContractsForOwner
+ * @property {'transferTime'} [orderBy] - For endpoint getNFTsForOwner, getContractsForOwner
+ * @property {string} [contractAddress] - Mixed-case addresses must have a valid EIP-55 checksum. For endpoint getNFTsForCollection (required), getNFTMetadata (required), getContractMetadata (required), getOwnersForContract (required), getOwnersForNFT (required), getAssetTransfers, isSpamContract (required)
+ * @property {string} [startToken] - For endpoint getNFTsForCollection
+ * @property {number} [limit] - For endpoint getNFTsForCollection
+ * @property {string} [tokenId] - For endpoint getNFTMetadata (required), getOwnersForNFT (required), getAssetTransfers
+ * @property {'ERC721'|'ERC1155'} [tokenType] - For endpoint getNFTMetadata
+ * @property {boolean} [refreshCache] - For endpoint getNFTMetadata
+ * @property {boolean} [withTokenBalances] - For endpoint getOwnersForContract
+ * @property {string} [addresses] - Comma separated addresses, at most 20. For endpoint getAssetTransfers
+ * @property {'asc'|'desc'} [order] - For endpoint getAssetTransfers
+ */
+
+/**
+ * Call an allowlisted Alchemy NFT API endpoint
+ * GET /alchemy
+ * Needs one of: addresses or contractAddress
+ * @param {AlchemyParams} params
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Object>}
+ */
+export const alchemy = (params = {}, options = {}) =>
+  request('GET', '/alchemy', params, { ...options });
+
+/**
+ * @typedef {Object} ZapperParams
+ * @property {GraphqlQuery} body
+ */
+
+/**
+ * Run a Zapper GraphQL query
+ * POST /zapper
+ * @param {ZapperParams} params
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Object>}
+ */
+export const zapper = (params = {}, options = {}) =>
+  request('POST', '/zapper', params, { ...options });
+
+/**
+ * @typedef {Object} EtherscanParams
+ * @property {'contract'|'transfers'} [resource]
+ * @property {string} [address] - Mixed-case addresses must have a valid EIP-55 checksum. For resource contract (required)
+ * @property {boolean} [includeSource] - For resource contract
+ * @property {string} [owner] - Mixed-case addresses must have a valid EIP-55 checksum. For resource transfers
+ * @property {string} [contractAddress] - Mixed-case addresses must have a valid EIP-55 checksum. For resource transfers
+ * @property {'erc721'|'erc1155'} [standard] - For resource transfers
+ * @property {number} [page] - For resource transfers
+ * @property {number} [offset] - For resource transfers
+ * @property {'asc'|'desc'} [sort] - For resource transfers
+ */
+
+/**
+ * Ethereum contract verification or NFT transfers from Etherscan
+ * GET /etherscan
+ * Needs one of: owner or contractAddress
+ * @param {EtherscanParams} params
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Object>}
+ */
+export const etherscan = (params = {}, options = {}) =>
+  request('GET', '/etherscan', params, { ...options });
+
+/**
+ * @typedef {Object} BasescanParams
+ * @property {'contract'|'transfers'} [resource]
+ * @property {string} [address] - Mixed-case addresses must have a valid EIP-55 checksum. For resource contract (required)
+ * @property {boolean} [includeSource] - For resource contract
+ * @property {string} [owner] - Mixed-case addresses must have a valid EIP-55 checksum. For resource transfers
+ * @property {string} [contractAddress] - Mixed-case addresses must have a valid EIP-55 checksum. For resource transfers
+ * @property {'erc721'|'erc1155'} [standard] - For resource transfers
+ * @property {number} [page] - For resource transfers
+ * @property {number} [offset] - For resource transfers
+ * @property {'asc'|'desc'} [sort] - For resource transfers
+ */
+
+/**
+ * Base contract verification or NFT transfers from Basescan
+ * GET /basescan
+ * Needs one of: owner or contractAddress
+ * @param {BasescanParams} params
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Object>}
+ */
+export const basescan = (params = {}, options = {}) =>
+  request('GET', '/basescan', params, { ...options });
+
+/**
+ * @typedef {Object} OpenseaParams
+ * @property {string} [slug]
+ * @property {string} [contractAddress] - Mixed-case addresses must have a valid EIP-55 checksum
+ * @property {'eth'|'ethereum'|'mainnet'|'homestead'|'polygon'|'matic'|'pol'|'opt'|'optimism'|'op'|'arb'|'arbitrum'|'base'|'zora'} [network]
+ */
+
+/**
+ * OpenSea collection stats by slug or contract
+ * GET /opensea
+ * Needs one of: slug or contractAddress
+ * @param {OpenseaParams} params
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Object>}
+ */
+export const opensea = (params = {}, options = {}) =>
+  request('GET', '/opensea', params, { ...options });
+
+/**
+ * @typedef {Object} ImageProxyParams
+ * @property {string} url - http(s), ipfs://, ar:// or data: URL of the media
+ * @property {number} [w] - Resize to this width
+ * @property {number} [h] - Resize to this height
+ * @property {'cover'|'contain'|'inside'|'outside'|'fill'} [fit]
+ * @property {'webp'|'avif'|'png'} [format]
+ */
+
+/**
+ * Fetch, cache and optionally resize NFT media
+ * GET /image-proxy
+ * @param {ImageProxyParams} params
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Blob>}
+ */
+export const imageProxy = (params = {}, options = {}) =>
+  request('GET', '/image-proxy', params, { ...options, responseType: 'blob' });
+
+/**
+ * @typedef {Object} NeynarParams
+ * @property {'user'|'user/bulk'|'user/by_username'|'user/search'|'user/bulk-by-address'|'following'|'followers'} endpoint
+ * @property {number} [fid] - Farcaster ID. For endpoint user, following (required), followers (required)
+ * @property {string} [username] - For endpoint user, user/by_username (required)
+ * @property {string} [fids] - Comma separated Farcaster IDs, at most 100. For endpoint user/bulk (required)
+ * @property {number} [viewer_fid] - Farcaster ID. For endpoint user/bulk, user/by_username, user/search, following, followers
+ * @property {string} [q] - For endpoint user/search (required)
+ * @property {number} [limit] - For endpoint user/search, following, followers
+ * @property {string} [cursor] - For endpoint user/search, following, followers
+ * @property {string} [addresses] - Comma separated addresses, at most 350. For endpoint user/bulk-by-address (required)
+ */
+
+/**
+ * Call an allowlisted Neynar endpoint
+ * GET /neynar
+ * Needs one of: fid or username
+ * @param {NeynarParams} params
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Object>}
+ */
+export const neynar = (params = {}, options = {}) =>
+  request('GET', '/neynar', params, { ...options });
+
+/**
+ * @typedef {Object} GetFarcasterProfileParams
+ * @property {number} [fid] - Farcaster ID
+ * @property {string} [username]
+ */
+
+/**
+ * Farcaster profile with connected addresses, by FID or username
+ * GET /farcaster-profile
+ * Needs one of: fid or username
+ * @param {GetFarcasterProfileParams} params
+ * @param {RequestOptions} [options]
+ * @returns {Promise<FarcasterProfile>}
+ */
+export const getFarcasterProfile = (params = {}, options = {}) =>
+  request('GET', '/farcaster-profile', params, { ...options });
+
+/**
+ * @typedef {Object} GetCollectionFriendsParams
+ * @property {string} contractAddress - Mixed-case addresses must have a valid EIP-55 checksum
+ * @property {number} fid - Farcaster ID
+ * @property {'eth'|'ethereum'|'mainnet'|'homestead'|'polygon'|'matic'|'pol'|'opt'|'optimism'|'op'|'arb'|'arbitrum'|'base'|'zora'} [network]
+ * @property {number} [limit]
+ * @property {'following'|'followers'|'mutuals'|'all'} [relation]
+ * @property {'1'|'0'|'true'|'false'|'sse'} [stream]
+ */
+
+/**
+ * People connected to a user who hold NFTs from a collection (text/event-stream when stream is set)
+ * GET /collection-friends
+ * @param {GetCollectionFriendsParams} params
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Object>}
+ */
+export const getCollectionFriends = (params = {}, options = {}) =>
+  request('GET', '/collection-friends', params, { ...options });
+
+/**
+ * @typedef {Object} GetTrendingCollectionsParams
+ * @property {'global'|'following'} [scope]
+ * @property {'holders'|'recent'} [sort]
+ * @property {'eth'|'ethereum'|'mainnet'|'homestead'|'polygon'|'matic'|'pol'|'opt'|'optimism'|'op'|'arb'|'arbitrum'|'base'|'zora'} [network]
+ * @property {number} [days]
+ * @property {number} [limit]
+ * @property {number} [fid] - Farcaster ID. For scope following (required)
+ */
+
+/**
+ * Collections most held or most recently acquired by a sample of Farcaster users
+ * GET /trending-collections
+ * @param {GetTrendingCollectionsParams} params
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Object>}
+ */
+export const getTrendingCollections = (params = {}, options = {}) =>
+  request('GET', '/trending-collections', params, { ...options });
+
+/**
+ * @typedef {Object} LoginParams
+ * @property {LoginRequest} body
+ */
+
+/**
+ * Verify a Sign In With Farcaster message and issue an API token
+ * POST /login
+ * @param {LoginParams} params
+ * @param {RequestOptions} [options]
+ * @returns {Promise<AuthToken>}
+ */
+export const login = (params = {}, options = {}) =>
+  request('POST', '/login', params, { ...options });
+
+/**
+ * @typedef {Object} RefreshTokenParams
+ * @property {RefreshRequest} body
+ */
+
+/**
+ * Exchange a valid or recently expired token for a new one
+ * POST /login/refresh
+ * @param {RefreshTokenParams} params
+ * @param {RequestOptions} [options]
+ * @returns {Promise<AuthToken>}
+ */
+export const refreshToken = (params = {}, options = {}) =>
+  request('POST', '/login/refresh', params, { ...options });
+
+/**
+ * The user behind the current token
+ * GET /login/me
+ * Auth: bearer
+ * @param {Object} [params]
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Object>}
+ */
+export const getCurrentUser = (params = {}, options = {}) =>
+  request('GET', '/login/me', params, { ...options });
+
+/**
+ * The signed-in user's folders
+ * GET /folders
+ * Auth: bearer
+ * @param {Object} [params]
+ * @param {RequestOptions} [options]
+ * @returns {Promise<FolderList>}
+ */
+export const getUserFolders = (params = {}, options = {}) =>
+  request('GET', '/folders', params, { ...options });
+
+/**
+ * @typedef {Object} CreateFolderParams
+ * @property {FolderInput} body
+ */
+
+/**
+ * Create a folder
+ * POST /folders
+ * Auth: bearer
+ * @param {CreateFolderParams} params
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Folder>}
+ */
+export const createFolder = (params = {}, options = {}) =>
+  request('POST', '/folders', params, { ...options });
+
+/**
+ * Featured public folders
+ * GET /folders/featured
+ * @param {Object} [params]
+ * @param {RequestOptions} [options]
+ * @returns {Promise<FolderList>}
+ */
+export const getFeaturedFolders = (params = {}, options = {}) =>
+  request('GET', '/folders/featured', params, { ...options });
+
+/**
+ * @typedef {Object} GetFolderParams
+ * @property {string} folderId
+ */
+
+/**
+ * A folder with its NFTs; private folders only for their owner
+ * GET /folders/{folderId}
+ * @param {GetFolderParams} params
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Folder>}
+ */
+export const getFolder = (params = {}, options = {}) =>
+  request('GET', '/folders/{folderId}', params, { ...options });
+
+/**
+ * @typedef {Object} UpdateFolderParams
+ * @property {string} folderId
+ * @property {FolderInput} body
+ */
+
+/**
+ * Update a folder
+ * PUT /folders/{folderId}
+ * Auth: bearer
+ * @param {UpdateFolderParams} params
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Folder>}
+ */
+export const updateFolder = (params = {}, options = {}) =>
+  request('PUT', '/folders/{folderId}', params, { ...options });
+
+/**
+ * @typedef {Object} DeleteFolderParams
+ * @property {string} folderId
+ */
+
+/**
+ * Delete a folder
+ * DELETE /folders/{folderId}
+ * Auth: bearer
+ * @param {DeleteFolderParams} params
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Object>}
+ */
+export const deleteFolder = (params = {}, options = {}) =>
+  request('DELETE', '/folders/{folderId}', params, { ...options });
+
+/**
+ * @typedef {Object} AddNftToFolderParams
+ * @property {string} folderId
+ * @property {NftInput} body
+ */
+
+/**
+ * Add an NFT to a folder
+ * POST /folders/{folderId}/nfts
+ * Auth: bearer
+ * @param {AddNftToFolderParams} params
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Folder>}
+ */
+export const addNftToFolder = (params = {}, options = {}) =>
+  request('POST', '/folders/{folderId}/nfts', params, { ...options });
+
+/**
+ * @typedef {Object} RemoveNftFromFolderParams
+ * @property {string} folderId
+ * @property {string} nftId
+ */
+
+/**
+ * Remove an NFT from a folder
+ * DELETE /folders/{folderId}/nfts/{nftId}
+ * Auth: bearer
+ * @param {RemoveNftFromFolderParams} params
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Object>}
+ */
+export const removeNftFromFolder = (params = {}, options = {}) =>
+  request('DELETE', '/folders/{folderId}/nfts/{nftId}', params, { ...options });
+
+/**
+ * @typedef {Object} ToggleFolderVisibilityParams
+ * @property {string} folderId
+ * @property {VisibilityInput} body
+ */
+
+/**
+ * Make a folder public or private
+ * PATCH /folders/{folderId}/visibility
+ * Auth: bearer
+ * @param {ToggleFolderVisibilityParams} params
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Folder>}
+ */
+export const toggleFolderVisibility = (params = {}, options = {}) =>
+  request('PATCH', '/folders/{folderId}/visibility', params, { ...options });
+
+/**
+ * @typedef {Object} GetPublicFoldersByUserParams
+ * @property {number} fid
+ */
+
+/**
+ * A user's public folders, by Farcaster ID
+ * GET /users/{fid}/folders/public
+ * @param {GetPublicFoldersByUserParams} params
+ * @param {RequestOptions} [options]
+ * @returns {Promise<FolderList>}
+ */
+export const getPublicFoldersByUser = (params = {}, options = {}) =>
+  request('GET', '/users/{fid}/folders/public', params, { ...options });
+
+/**
+ * @typedef {Object} SendDiagnosticReportParams
+ * @property {DiagnosticReportInput} body
+ */
+
+/**
+ * Store client diagnostic logs
+ * POST /diagnostic
+ * @param {SendDiagnosticReportParams} params
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Object>}
+ */
+export const sendDiagnosticReport = (params = {}, options = {}) =>
+  request('POST', '/diagnostic', params, { ...options });
+
+/**
+ * @typedef {Object} GetDiagnosticReportsParams
+ * @property {number} [top]
+ * @property {string} [sessionId]
+ * @property {number} [fid] - Farcaster ID
+ * @property {'debug'|'log'|'info'|'warn'|'error'} [level]
+ * @property {string} [from] - ISO 8601 or epoch milliseconds
+ * @property {string} [to] - ISO 8601 or epoch milliseconds
+ * @property {number} [limit]
+ */
+
+/**
+ * Stored diagnostic reports, plus cache, gateway and quota health
+ * GET /diagnostic
+ * Auth: diagnosticKey
+ * @param {GetDiagnosticReportsParams} params
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Object>}
+ */
+export const getDiagnosticReports = (params = {}, options = {}) =>
+  request('GET', '/diagnostic', params, { ...options });
+
+/**
+ * @typedef {Object} DeleteDiagnosticReportsParams
+ * @property {number} [top]
+ * @property {string} [sessionId]
+ * @property {number} [fid] - Farcaster ID
+ * @property {'debug'|'log'|'info'|'warn'|'error'} [level]
+ * @property {string} [from] - ISO 8601 or epoch milliseconds
+ * @property {string} [to] - ISO 8601 or epoch milliseconds
+ * @property {number} [limit]
+ */
+
+/**
+ * Delete the diagnostic reports matching the filters
+ * DELETE /diagnostic
+ * Auth: diagnosticKey
+ * @param {DeleteDiagnosticReportsParams} params
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Object>}
+ */
+export const deleteDiagnosticReports = (params = {}, options = {}) =>
+  request('DELETE', '/diagnostic', params, { ...options });
+
+/**
+ * @typedef {Object} GetDiagnosticReportParams
+ * @property {string} reportId
+ */
+
+/**
+ * One diagnostic report with all its logs
+ * GET /diagnostic/{reportId}
+ * Auth: diagnosticKey
+ * @param {GetDiagnosticReportParams} params
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Object>}
+ */
+export const getDiagnosticReport = (params = {}, options = {}) =>
+  request('GET', '/diagnostic/{reportId}', params, { ...options });
+
+/**
+ * @typedef {Object} GetHealthParams
+ * @property {boolean} [deep]
+ */
+
+/**
+ * Shallow health check, or a deep one with deep=true (503 when down)
+ * GET /health
+ * @param {GetHealthParams} params
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Object>}
+ */
+export const getHealth = (params = {}, options = {}) =>
+  request('GET', '/health', params, { ...options });
+
+/**
+ * Prometheus metrics
+ * GET /metrics
+ * Auth: metricsKey
+ * @param {Object} [params]
+ * @param {RequestOptions} [options]
+ * @returns {Promise<string>}
+ */
+export const getMetrics = (params = {}, options = {}) =>
+  request('GET', '/metrics', params, { ...options, responseType: 'text' });
+
+/**
+ * This OpenAPI document
+ * GET /openapi.json
+ * @param {Object} [params]
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Object>}
+ */
+export const getOpenApiDocument = (params = {}, options = {}) =>
+  request('GET', '/openapi.json', params, { ...options });
+
+const apiClient = {
+  alchemy,
+  zapper,
+  etherscan,
+  basescan,
+  opensea,
+  imageProxy,
+  neynar,
+  getFarcasterProfile,
+  getCollectionFriends,
+  getTrendingCollections,
+  login,
+  refreshToken,
+  getCurrentUser,
+  getUserFolders,
+  createFolder,
+  getFeaturedFolders,
+  getFolder,
+  updateFolder,
+  deleteFolder,
+  addNftToFolder,
+  removeNftFromFolder,
+  toggleFolderVisibility,
+  getPublicFoldersByUser,
+  sendDiagnosticReport,
+  getDiagnosticReports,
+  deleteDiagnosticReports,
+  getDiagnosticReport,
+  getHealth,
+  getMetrics,
+  getOpenApiDocument
+};
+
+export default apiClient;
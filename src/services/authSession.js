@@ -0,0 +1,131 @@
+import apiClient, { http } from './apiClient';
+import config from '../config';
+import { getItem, setItem, removeItem } from '../utils/storage';
+
+// Refresh tokens this long before they expire
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Requests that issue tokens are never retried with one
+const TOKEN_ENDPOINTS = ['/login', '/login/refresh'];
+
+// Dispatched on window when the session can no longer be refreshed
+export const SESSION_EXPIRED_EVENT = 'gall3ry:session-expired';
+
+let refreshPromise = null;
+
+/**
+ * The stored API session: { token, expiresAt, sessionExpiresAt }, or null
+ */
+export const getSession = () => {
+  try {
+    const session = JSON.parse(getItem(config.auth.storageKey));
+    return session?.token ? session : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Store the token returned by /login or /login/refresh
+ */
+export const setSession = ({ token, expiresAt, sessionExpiresAt }) => {
+  setItem(config.auth.storageKey, JSON.stringify({ token, expiresAt, sessionExpiresAt }));
+};
+
+export const clearSession = () => {
+  removeItem(config.auth.storageKey);
+};
+
+const isExpiringSoon = (session) =>
+  !!session.expiresAt && new Date(session.expiresAt).getTime() - Date.now() < REFRESH_MARGIN_MS;
+
+/**
+ * Exchange a Sign In With Farcaster message and signature for an API token
+ */
+export const login = async ({ message, signature, nonce }) => {
+  const data = await apiClient.login({ body: { message, signature, nonce } });
+  setSession(data);
+  return data;
+};
+
+/**
+ * Exchange the stored token for a fresh one. Concurrent callers share one
+ * request; when the server refuses, the session is cleared and
+ * SESSION_EXPIRED_EVENT is dispatched.
+ */
+export const refresh = () => {
+  const session = getSession();
+  if (!session) {
+    return Promise.reject(new Error('Not signed in'));
+  }
+
+  if (!refreshPromise) {
+    refreshPromise = apiClient.refreshToken({}, { token: session.token })
+      .then(data => {
+        setSession(data);
+        return data;
+      })
+      .catch(error => {
+        if (error.response?.status === 401) {
+          console.warn('[AUTH] Session expired, signing out:', error.response.data?.code);
+          clearSession();
+          if (typeof window !== 'undefined') {
+            window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+          }
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+// Send the stored token with every API request, refreshing it first when it
+// is about to expire
+http.interceptors.request.use(async (requestConfig) => {
+  if (TOKEN_ENDPOINTS.includes(requestConfig.url) || requestConfig.headers.Authorization) {
+    return requestConfig;
+  }
+
+  let session = getSession();
+  if (session && isExpiringSoon(session)) {
+    try {
+      session = await refresh();
+    } catch (error) {
+      session = getSession();
+    }
+  }
+
+  if (session) {
+    requestConfig.headers.Authorization = `Bearer ${session.token}`;
+  }
+  return requestConfig;
+});
+
+// Retry a request once with a fresh token when the server says ours expired
+http.interceptors.response.use(null, async (error) => {
+  const requestConfig = error.config;
+  const expired = error.response?.status === 401 && error.response.data?.code === 'TOKEN_EXPIRED';
+
+  if (!expired || !requestConfig || requestConfig._authRetried || TOKEN_ENDPOINTS.includes(requestConfig.url) || !getSession()) {
+    throw error;
+  }
+
+  const { token } = await refresh();
+  requestConfig._authRetried = true;
+  requestConfig.headers.Authorization = `Bearer ${token}`;
+  return http.request(requestConfig);
+});
+
+const authSession = {
+  getSession,
+  setSession,
+  clearSession,
+  login,
+  refresh
+};
+
+export default authSession;
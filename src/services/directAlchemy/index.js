@@ -5,6 +5,7 @@
  */
 
 const config = require('../../config');
+const { getAlchemySubdomain } = require('../../chains');
 
 // API key handling - prioritize direct key or fallback to proxy
 const ALCHEMY_BASE_URL = config.ALCHEMY_BASE_URL || 'https://eth-mainnet.g.alchemy.com/v3/';
@@ -28,17 +29,8 @@ const getChainBaseUrl = (chain) => {
   // Default to ethereum if chain is not specified
   const chainId = chain || 'eth';
   
-  // Map chain IDs to Alchemy URLs
-  const chainUrls = {
-    'eth': 'eth-mainnet',
-    'polygon': 'polygon-mainnet',
-    'arbitrum': 'arb-mainnet',
-    'optimism': 'opt-mainnet',
-    'base': 'base-mainnet',
-  };
-  
   // Get chain URL or default to ethereum
-  const chainUrl = chainUrls[chainId] || 'eth-mainnet';
+  const chainUrl = getAlchemySubdomain(chainId);
   
   // This function is no longer used since we always use the proxy
   // Left for reference in case direct API access is needed in the future
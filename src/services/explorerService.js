@@ -0,0 +1,166 @@
+import apiClient from './apiClient';
+import { normalizeChain } from '../chains';
+
+/**
+ * Contract verification (Etherscan/Basescan) and marketplace stats (OpenSea)
+ * for enriching NFT cards. Responses come back in the same shape as our NFT
+ * objects, see src/server/explorers.js.
+ */
+
+// Chains (registry ids, see src/chains.js) with a supported block explorer
+const EXPLORER_BY_CHAIN = {
+  eth: 'etherscan',
+  base: 'basescan'
+};
+
+const getExplorer = (network) => EXPLORER_BY_CHAIN[normalizeChain(network || 'eth', null)];
+
+// The server allows each client 30 requests a minute per explorer and for
+// OpenSea (src/server/rateLimiter.js); lookups are spaced to stay under that
+const REQUESTS_PER_MINUTE = 25;
+const REQUEST_INTERVAL_MS = 60000 / REQUESTS_PER_MINUTE;
+
+// Failed lookups are not retried for this long, unless a 429 says otherwise
+const FAILURE_TTL_MS = 5 * 60 * 1000;
+
+// Grids show many cards from the same collection, so share one lookup per
+// contract: { promise, waiters, expiresAt }
+const lookups = new Map();
+
+// Per upstream: when the next request may start, and until when a 429 asked us to wait
+const schedules = {};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const retryAfterMs = (error) => {
+  const seconds = Number(error.response?.headers?.['retry-after'] || error.response?.data?.retryAfter);
+  return seconds > 0 ? seconds * 1000 : 60000;
+};
+
+/**
+ * Wait for the next request slot on an upstream
+ * @returns {Promise<boolean>} false if the lookup was no longer wanted by then
+ */
+const takeSlot = async (upstream, isWanted) => {
+  const schedule = schedules[upstream] || (schedules[upstream] = { nextAt: 0, blockedUntil: 0 });
+
+  for (;;) {
+    if (!isWanted()) return false;
+    const now = Date.now();
+    const startAt = Math.max(schedule.nextAt, schedule.blockedUntil);
+    if (startAt <= now) {
+      schedule.nextAt = now + REQUEST_INTERVAL_MS;
+      return true;
+    }
+    await sleep(startAt - now);
+  }
+};
+
+/**
+ * Run a lookup once per key, queued behind the upstream's other lookups.
+ * Failures resolve to null and are remembered until their TTL passes. A
+ * lookup still queued when every caller has aborted is dropped, so cards
+ * scrolled past before their turn cost nothing.
+ * @param {string} upstream - Rate limit budget the request counts against
+ * @param {string} key - Cache key
+ * @param {Function} fetcher - Makes the request
+ * @param {AbortSignal} [signal] - Aborted when the caller no longer needs the result
+ */
+const once = (upstream, key, fetcher, signal) => {
+  let lookup = lookups.get(key);
+  if (lookup && lookup.expiresAt <= Date.now()) {
+    lookups.delete(key);
+    lookup = null;
+  }
+
+  const isNew = !lookup;
+  if (isNew) {
+    lookup = { waiters: 0, expiresAt: Infinity };
+    lookups.set(key, lookup);
+  }
+
+  if (!signal?.aborted) {
+    lookup.waiters += 1;
+    signal?.addEventListener('abort', () => { lookup.waiters -= 1; }, { once: true });
+  }
+
+  if (isNew) {
+    const entry = lookup;
+    entry.promise = takeSlot(upstream, () => entry.waiters > 0)
+      .then(wanted => {
+        if (!wanted) {
+          lookups.delete(key);
+          return null;
+        }
+        return fetcher();
+      })
+      .catch(error => {
+        const status = error.response?.status;
+        const ttl = status === 429 ? retryAfterMs(error) : FAILURE_TTL_MS;
+        if (status === 429) {
+          schedules[upstream].blockedUntil = Date.now() + ttl;
+        }
+        entry.expiresAt = Date.now() + ttl;
+        console.warn(`Explorer lookup failed for ${key}:`, error.response?.data?.message || error.message);
+        return null;
+      });
+  }
+  return lookup.promise;
+};
+
+/**
+ * Get a contract's source verification status
+ * @param {string} contractAddress - Contract address
+ * @param {string} network - Network name (eth, base)
+ * @param {Object} [options] - { signal } to give up the lookup if it hasn't started yet
+ * @returns {Promise<Object|null>} { address, name, verified, isProxy, verification }, or null if unavailable
+ */
+export const getContractVerification = (contractAddress, network = 'eth', { signal } = {}) => {
+  const explorer = getExplorer(network);
+  if (!contractAddress || !explorer) return Promise.resolve(null);
+
+  const address = contractAddress.toLowerCase();
+  return once(explorer, `${explorer}:contract:${address}`, () =>
+    apiClient[explorer]({ resource: 'contract', address }), signal
+  );
+};
+
+/**
+ * Get OpenSea floor price, volume and collection metadata for a contract
+ * @param {string} contractAddress - Contract address
+ * @param {string} network - Network name
+ * @param {Object} [options] - { signal } to give up the lookup if it hasn't started yet
+ * @returns {Promise<Object|null>} { slug, floorPrice, stats, openSeaMetadata }, or null if unavailable
+ */
+export const getCollectionStats = (contractAddress, network = 'eth', { signal } = {}) => {
+  if (!contractAddress) return Promise.resolve(null);
+
+  const address = contractAddress.toLowerCase();
+  const chain = normalizeChain(network);
+  return once('opensea', `opensea:${chain}:${address}`, () =>
+    apiClient.opensea({ contractAddress: address, network: chain }), signal
+  );
+};
+
+/**
+ * Get NFT transfers for a wallet and/or contract from the block explorer
+ * @param {Object} params - { owner, contractAddress, network, standard, page }
+ * @returns {Promise<Object|null>} { transfers, transferMap, count }, or null if unavailable
+ */
+export const getTokenTransfers = async ({ owner, contractAddress, network = 'eth', standard, page } = {}) => {
+  const explorer = getExplorer(network);
+  if (!explorer) return null;
+
+  try {
+    return await apiClient[explorer]({ resource: 'transfers', owner, contractAddress, standard, page });
+  } catch (error) {
+    console.warn('Transfer lookup failed:', error.response?.data?.message || error.message);
+    return null;
+  }
+};
+
+export default {
+  getContractVerification,
+  getCollectionStats,
+  getTokenTransfers
+};
@@ -1,4 +1,5 @@
 import { useSignIn, useProfile } from '@farcaster/auth-kit';
+import authSession from './authSession';
 
 /**
  * Service for handling Farcaster authentication
@@ -40,6 +41,39 @@ const farcasterAuthService = {
     };
   },
 
+  /**
+   * Exchange a signed Sign In With Farcaster message for an API token and
+   * store it, so apiClient sends it with every request
+   * Returns { token, expiresAt, sessionExpiresAt }
+   */
+  login: async ({ message, signature, nonce }) => {
+    try {
+      return await authSession.login({ message, signature, nonce });
+    } catch (error) {
+      console.error('Error exchanging sign-in for an API token:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Exchange the stored (or recently expired) API token for a fresh one.
+   * apiClient does this on its own before the token expires and on a 401.
+   * Returns { token, expiresAt, sessionExpiresAt }
+   */
+  refreshToken: async () => {
+    try {
+      return await authSession.refresh();
+    } catch (error) {
+      console.error('Error refreshing auth token:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Forget the stored API token
+   */
+  signOut: () => authSession.clearSession(),
+
   // NOTE: These functions cannot directly use React hooks outside of components
   // Use useProfileHook() instead to access isAuthenticated and profile data
   isAuthenticated: null,
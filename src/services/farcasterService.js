@@ -1,5 +1,5 @@
-import axios from 'axios';
 import { localStorageCache } from "../utils/cache";
+import apiClient from './apiClient';
 
 // Constants
 const API_URL = process.env.REACT_APP_API_URL || '/api';
@@ -219,22 +219,16 @@ const farcasterService = {
       
       console.log(`Making API request to ${API_URL}/neynar for user search with query: "${sanitizedQuery}"`);
       
-      // First try to get search results from Neynar API
-      const NEYNAR_API_KEY = process.env.REACT_APP_NEYNAR_API_KEY || 'NEYNAR_API_DOCS';
-      const searchResponse = await axios({
-        method: 'get',
-        url: `https://api.neynar.com/v2/farcaster/user/search?q=${encodeURIComponent(sanitizedQuery)}&limit=${limit}`,
-        headers: {
-          'Accept': 'application/json',
-          'api_key': NEYNAR_API_KEY
-        },
-        timeout: 5000
-      });
+      // Neynar caps search results at 10
+      const searchResults = await apiClient.neynar(
+        { endpoint: 'user/search', q: sanitizedQuery, limit: Math.min(limit, 10) },
+        { timeout: 5000 }
+      );
       
       let usersData = [];
       
-      if (searchResponse.data?.result?.users) {
-        usersData = searchResponse.data.result.users;
+      if (searchResults?.result?.users) {
+        usersData = searchResults.result.users;
         console.log(`Found ${usersData.length} users in search response`);
         
         // For each user in the search results, get their full profile data
@@ -340,41 +334,27 @@ const farcasterService = {
       console.log(`Fetching Farcaster profile for ${isNumericFid ? 'FID' : 'username'}: ${queryParam}`);
       
       let userData = null;
-      let response = null;
 
       // Try the proxy API first
       try {
         console.log(`Making proxy API request to ${API_URL}/neynar for ${isNumericFid ? 'FID' : 'username'}: ${queryParam}`);
         
-        if (isNumericFid) {
-          response = await axios.get(`${API_URL}/neynar`, {
-            params: {
-              endpoint: 'user',
-              fid: queryParam
-            },
-            timeout: 10000
-          });
-        } else {
-          response = await axios.get(`${API_URL}/neynar`, {
-            params: {
-              endpoint: 'user',
-              username: queryParam
-            },
-            timeout: 10000
-          });
-        }
-        
-        console.log('Proxy API response:', response.status, response.statusText);
+        const data = await apiClient.neynar(
+          isNumericFid
+            ? { endpoint: 'user', fid: queryParam }
+            : { endpoint: 'user', username: queryParam },
+          { timeout: 10000 }
+        );
         
-        if (response?.data?.result?.user) {
-          userData = response.data.result.user;
+        if (data?.result?.user) {
+          userData = data.result.user;
           console.log('Successfully got user data from proxy API');
         } else {
           console.warn('Proxy API returned a response but no user data was found in expected format');
-          console.log('Response data structure:', JSON.stringify(response.data).substring(0, 200) + '...');
+          console.log('Response data structure:', JSON.stringify(data).substring(0, 200) + '...');
         }
       } catch (proxyError) {
-        console.warn(`Proxy API failed for ${queryParam}, falling back to direct Neynar API:`, proxyError.message);
+        console.warn(`Proxy API failed for ${queryParam}, falling back to Zapper:`, proxyError.message);
         if (proxyError.response) {
           console.warn('Proxy API error response:', {
             status: proxyError.response.status,
@@ -413,91 +393,59 @@ const farcasterService = {
         }
       }
 
-      // If Zapper also failed, try direct Neynar API as last resort
-      if (!userData) {
-        console.log(`Attempting direct Neynar API call for ${queryParam}`);
-        const NEYNAR_API_KEY = process.env.REACT_APP_NEYNAR_API_KEY || "NEYNAR_API_DOCS";
+      // If Zapper also failed, fall back to a user search, which also matches
+      // usernames the exact lookup misses (such as name.eth)
+      if (!userData && !isNumericFid) {
+        // Try to clean username if it has .eth format
+        const searchQuery = queryParam.includes('.eth') 
+          ? queryParam.split('.')[0] // Try without the .eth suffix
+          : queryParam;
+        console.log(`Making Neynar search request for username: ${searchQuery}`);
         
         try {
-          if (isNumericFid) {
-            console.log(`Making direct Neynar API request for FID: ${queryParam}`);
-            response = await axios.get(`https://api.neynar.com/v2/farcaster/user?fid=${queryParam}`, {
-              headers: { 
-                'api_key': NEYNAR_API_KEY,
-                'Accept': 'application/json'
-              },
-              timeout: 10000
-            });
-            
-            // Check for result.user in updated Neynar API response format
-            if (response?.data?.result?.user) {
-              userData = response.data.result.user;
-              console.log(`Successfully found user data for FID ${queryParam} via direct API`);
-            } else {
-              console.warn(`Direct API returned a response but no user data found for FID ${queryParam}`);
-            }
-          } else {
-            // For usernames, especially those with .eth, we need to use the search endpoint
-            console.log(`Making direct Neynar API search request for username: ${queryParam}`);
-            
-            // Try to clean username if it has .eth format
-            const searchQuery = queryParam.includes('.eth') 
-              ? queryParam.split('.')[0] // Try without the .eth suffix
-              : queryParam;
-              
-            response = await axios.get(`https://api.neynar.com/v2/farcaster/user/search?q=${encodeURIComponent(searchQuery)}`, {
-              headers: { 
-                'api_key': NEYNAR_API_KEY,
-                'Accept': 'application/json'
-              },
-              timeout: 10000
-            });
+          const data = await apiClient.neynar({ endpoint: 'user/search', q: searchQuery }, { timeout: 10000 });
+          
+          if (data?.result?.users && Array.isArray(data.result.users)) {
+            const users = data.result.users;
+            console.log(`Search returned ${users.length} users`);
             
-            console.log('Direct API search response received, status:', response.status);
+            // First try exact match with the original query
+            let exactMatch = users.find(
+              u => u.username.toLowerCase() === queryParam.toLowerCase()
+            );
             
-            // Updated to handle the current Neynar API response format
-            if (response?.data?.result?.users && Array.isArray(response.data.result.users)) {
-              const users = response.data.result.users;
-              console.log(`Search returned ${users.length} users`);
+            // If not found and it's an .eth address, try without the .eth suffix
+            if (!exactMatch && queryParam.includes('.eth')) {
+              const usernameWithoutEth = queryParam.split('.')[0].toLowerCase();
+              console.log(`No exact match found, trying without .eth: ${usernameWithoutEth}`);
               
-              // First try exact match with the original query
-              let exactMatch = users.find(
-                u => u.username.toLowerCase() === queryParam.toLowerCase()
+              exactMatch = users.find(
+                u => u.username.toLowerCase() === usernameWithoutEth
               );
-              
-              // If not found and it's an .eth address, try without the .eth suffix
-              if (!exactMatch && queryParam.includes('.eth')) {
-                const usernameWithoutEth = queryParam.split('.')[0].toLowerCase();
-                console.log(`No exact match found, trying without .eth: ${usernameWithoutEth}`);
-                
-                exactMatch = users.find(
-                  u => u.username.toLowerCase() === usernameWithoutEth
-                );
-              }
-              
-              if (exactMatch) {
-                userData = exactMatch;
-                console.log(`Found exact match for username: ${exactMatch.username}`);
-              } else if (users.length > 0) {
-                // If no exact match but we found users, take the first one
-                userData = users[0];
-                console.log(`No exact match found, using first result: ${userData.username}`);
-              }
-            } else {
-              console.warn('No users array found in expected format. Response structure:', 
-                Object.keys(response.data || {}).join(', '));
             }
+            
+            if (exactMatch) {
+              userData = exactMatch;
+              console.log(`Found exact match for username: ${exactMatch.username}`);
+            } else if (users.length > 0) {
+              // If no exact match but we found users, take the first one
+              userData = users[0];
+              console.log(`No exact match found, using first result: ${userData.username}`);
+            }
+          } else {
+            console.warn('No users array found in expected format. Response structure:', 
+              Object.keys(data || {}).join(', '));
           }
-        } catch (directApiError) {
-          console.error(`Direct Neynar API failed for ${queryParam}:`, directApiError.message);
-          if (directApiError.response) {
-            console.error('Direct API error response:', {
-              status: directApiError.response.status,
-              statusText: directApiError.response.statusText,
-              data: JSON.stringify(directApiError.response.data).substring(0, 200)
+        } catch (searchError) {
+          console.error(`Neynar search failed for ${queryParam}:`, searchError.message);
+          if (searchError.response) {
+            console.error('Search error response:', {
+              status: searchError.response.status,
+              statusText: searchError.response.statusText,
+              data: JSON.stringify(searchError.response.data).substring(0, 200)
             });
           }
-          throw directApiError;
+          throw searchError;
         }
       }
 
@@ -582,63 +530,28 @@ const farcasterService = {
       } catch (profileError) {
         console.error('Profile fetch error:', profileError.message);
         
-        // Try direct API call to Neynar as fallback
+        // Fall back to the bulk user lookup, which carries custody and verified addresses
         try {
-          console.log('Trying direct Neynar API call for addresses');
-          const NEYNAR_API_KEY = process.env.REACT_APP_NEYNAR_API_KEY || 'NEYNAR_API_DOCS';
-          
-          // First get basic user info to get custody address
-          const userResponse = await axios({
-            method: 'get',
-            url: `https://api.neynar.com/v2/farcaster/user?fid=${fid}`,
-            headers: {
-              'Accept': 'application/json',
-              'api_key': NEYNAR_API_KEY
-            },
-            timeout: 8000
-          });
+          console.log('Trying Neynar bulk user lookup for addresses');
+          const data = await apiClient.neynar({ endpoint: 'user/bulk', fids: fid }, { timeout: 8000 });
+          const user = data?.users?.[0];
           
           const addresses = new Set();
           
-          if (userResponse.data?.result?.user?.custody_address) {
-            addresses.add(userResponse.data.result.user.custody_address.toLowerCase());
-            console.log(`Added custody address from direct API: ${userResponse.data.result.user.custody_address}`);
+          if (user?.custody_address) {
+            addresses.add(user.custody_address.toLowerCase());
+            console.log(`Added custody address from bulk lookup: ${user.custody_address}`);
           }
           
-          // Then get verified addresses
-          const verifiedAddressesResponse = await axios({
-            method: 'get',
-            url: `https://api.neynar.com/v2/farcaster/user/verified-addresses?fid=${fid}`,
-            headers: {
-              'Accept': 'application/json',
-              'api_key': NEYNAR_API_KEY
-            },
-            timeout: 8000
-          });
-          
-          if (verifiedAddressesResponse.data?.verified_addresses) {
-            verifiedAddressesResponse.data.verified_addresses.forEach(addrObj => {
-              if (addrObj.addr) {
-                addresses.add(addrObj.addr.toLowerCase());
-                console.log(`Added verified address from direct API: ${addrObj.addr}`);
-              }
-            });
-          } else if (verifiedAddressesResponse.data?.result?.verified_addresses) {
-            verifiedAddressesResponse.data.result.verified_addresses.forEach(addrObj => {
-              if (addrObj.addr) {
-                addresses.add(addrObj.addr.toLowerCase());
-                console.log(`Added verified address from direct API: ${addrObj.addr}`);
-              }
-            });
-          }
+          extractAddressesFromUserData(user).forEach(addr => addresses.add(addr));
           
           const addressArray = Array.from(addresses);
-          console.log(`Found ${addressArray.length} addresses via direct Neynar API`);
+          console.log(`Found ${addressArray.length} addresses via Neynar bulk lookup`);
           
           return addressArray;
-        } catch (directApiError) {
-          console.error('Direct API call failed:', directApiError.message);
-          throw directApiError;
+        } catch (bulkError) {
+          console.error('Bulk user lookup failed:', bulkError.message);
+          throw bulkError;
         }
       }
     } catch (error) {
@@ -653,6 +566,64 @@ const farcasterService = {
     }
   },
   
+  /**
+   * Finds the Farcaster users behind wallet addresses, through their custody
+   * or verified addresses
+   * @param {string[]} addresses - Ethereum addresses, at most 350
+   * @returns {Promise<Object>} - Formatted profile (or null) keyed by lowercase address, empty on error
+   */
+  getProfilesByAddresses: async (addresses) => {
+    const wanted = [...new Set((addresses || []).filter(Boolean).map(addr => addr.toLowerCase()))];
+    const profiles = {};
+    
+    try {
+      // Serve what we can from the cache, including addresses known to have no user
+      const missing = [];
+      for (const address of wanted) {
+        const cached = await getCachedItem(`farcaster_address_${address}`);
+        if (cached) {
+          profiles[address] = cached.profile;
+        } else {
+          missing.push(address);
+        }
+      }
+      
+      if (missing.length === 0) {
+        return profiles;
+      }
+      
+      console.log(`Looking up Farcaster users for ${missing.length} addresses`);
+      const data = await apiClient.neynar(
+        { endpoint: 'user/bulk-by-address', addresses: missing.slice(0, 350).join(',') },
+        { timeout: 8000 }
+      );
+      
+      // Neynar keys results by address, each with every user that claims it
+      const results = Object.fromEntries(
+        Object.entries(data || {}).map(([address, users]) => [address.toLowerCase(), users])
+      );
+      
+      for (const address of missing) {
+        const profile = formatFarcasterProfile(results[address]?.[0]);
+        profiles[address] = profile;
+        await cacheItem(`farcaster_address_${address}`, { profile }, 30);
+      }
+      
+      return profiles;
+    } catch (error) {
+      // Neynar answers 404 when none of the addresses has a user
+      if (error.response?.status === 404) {
+        wanted.forEach(address => {
+          if (!(address in profiles)) profiles[address] = null;
+        });
+        return profiles;
+      }
+      
+      console.error('Error looking up Farcaster users by address:', error.message);
+      return profiles;
+    }
+  },
+  
   /**
    * Gets users that a Farcaster user follows
    * @param {number} fid - Farcaster ID to fetch following for
@@ -684,72 +655,24 @@ const farcasterService = {
       
       console.log(`Fetching following for FID ${fid}, limit: ${limit}${cursor ? ', with cursor' : ''}`);
       
-      let response;
+      console.log(`Making API request to ${API_URL}/neynar with params:`, {
+        endpoint: 'following',
+        fid,
+        limit,
+        cursor: cursor || undefined
+      });
       
-      // First try with the proxy API
-      try {
-        // Request to following endpoint via proxy
-        console.log(`Making API request to ${API_URL}/neynar with params:`, {
-          endpoint: 'following',
-          fid,
-          limit,
-          cursor: cursor || undefined
-        });
-        
-        response = await axios.get(`${API_URL}/neynar`, {
-          params: {
-            endpoint: 'following',
-            fid,
-            limit,
-            cursor
-          },
-          headers: {
-            'api-key': process.env.REACT_APP_NEYNAR_API_KEY || 'NEYNAR_API_DOCS'
-          },
-          timeout: 10000
-        });
-        
-        console.log('Proxy API responded with status:', response.status);
-      } catch (proxyError) {
-        console.warn(`❌ Proxy API failed for following of FID ${fid}:`, proxyError.message);
-        
-        // Try direct Neynar API as a fallback
-        try {
-          console.log('Attempting direct Neynar API call for following');
-          const NEYNAR_API_KEY = process.env.REACT_APP_NEYNAR_API_KEY || 'NEYNAR_API_DOCS';
-          
-          // Build the direct API URL as per the docs
-          const neynarUrl = `https://api.neynar.com/v2/farcaster/following?fid=${fid}&limit=${limit}${cursor ? `&cursor=${cursor}` : ''}`;
-          console.log(`Direct API call to Neynar URL: ${neynarUrl}`);
-          
-          response = await axios.get(neynarUrl, {
-            headers: { 
-              'x-api-key': NEYNAR_API_KEY,
-              'Accept': 'application/json'
-            },
-            timeout: 15000
-          });
-          
-          console.log('Direct Neynar API responded with status:', response.status);
-          // Log full response for debugging
-          console.log('Full response from direct API:', response.data);
-        } catch (directApiError) {
-          console.error('❌ Direct Neynar API call failed:', directApiError.message);
-          if (directApiError.response) {
-            console.error('Error response data:', directApiError.response.data);
-            console.error('Error response status:', directApiError.response.status);
-          }
-          throw directApiError;
-        }
-      }
+      const data = await apiClient.neynar(
+        { endpoint: 'following', fid, limit, cursor: cursor || undefined },
+        { timeout: 10000 }
+      );
       
       // Log full response for debugging
       console.log('Raw API response structure:', {
-        status: response.status,
-        hasData: !!response.data,
-        dataKeys: response.data ? Object.keys(response.data) : [],
-        hasUsers: response.data?.users ? true : false,
-        usersCount: response.data?.users?.length || 0
+        hasData: !!data,
+        dataKeys: data ? Object.keys(data) : [],
+        hasUsers: data?.users ? true : false,
+        usersCount: data?.users?.length || 0
       });
       
       // Format response according to Neynar API structure
@@ -760,12 +683,12 @@ const farcasterService = {
         }
       };
       
-      if (response.data) {
+      if (data) {
         // Check for users array directly as per Neynar docs
-        if (response.data.users && Array.isArray(response.data.users)) {
-          console.log(`Found ${response.data.users.length} users in standard users format`);
+        if (data.users && Array.isArray(data.users)) {
+          console.log(`Found ${data.users.length} users in standard users format`);
           
-          formattedResponse.users = response.data.users.map(item => {
+          formattedResponse.users = data.users.map(item => {
             // Handle nested user object structure as in Neynar docs
             const user = item.user || item;
             
@@ -780,16 +703,16 @@ const farcasterService = {
           });
           
           // Set pagination cursor if available
-          if (response.data.next && response.data.next.cursor) {
-            formattedResponse.next.cursor = response.data.next.cursor;
+          if (data.next && data.next.cursor) {
+            formattedResponse.next.cursor = data.next.cursor;
           }
         } else {
           console.warn('Could not find users array in response. Available keys:', 
-            Object.keys(response.data));
+            Object.keys(data));
           
           // Try to extract from different response formats if needed
           console.log('Full response data (first 1000 chars):', 
-            JSON.stringify(response.data).substring(0, 1000));
+            JSON.stringify(data).substring(0, 1000));
         }
         
         console.log(`Extracted ${formattedResponse.users.length} following users for FID: ${fid}`);
@@ -1071,6 +994,43 @@ const farcasterService = {
     }
   },
   
+  /**
+   * Stream the people connected to a user who own NFTs from a collection.
+   * Uses Server-Sent Events, so matches arrive while holders are still being checked.
+   * @param {Object} params - { contractAddress, fid, network, limit, relation }
+   *   relation is mutuals (default), following, followers or all; each friend comes back
+   *   labelled following, follower or mutual
+   * @param {Object} handlers - { onProgress, onFriend, onDone, onError }
+   * @returns {Function} Call to stop the lookup
+   */
+  streamCollectionFriends: ({ contractAddress, fid, network = 'eth', limit = 50, relation = 'mutuals' }, handlers = {}) => {
+    const params = new URLSearchParams({
+      contractAddress,
+      fid: String(fid),
+      network,
+      limit: String(limit),
+      relation,
+      stream: '1'
+    });
+    const source = new EventSource(`${API_URL}/collection-friends?${params}`);
+    const close = () => source.close();
+    
+    source.addEventListener('progress', (event) => handlers.onProgress?.(JSON.parse(event.data)));
+    source.addEventListener('friend', (event) => handlers.onFriend?.(JSON.parse(event.data)));
+    source.addEventListener('done', (event) => {
+      close();
+      handlers.onDone?.(JSON.parse(event.data));
+    });
+    // Errors reported by the server carry data; dropped connections don't
+    source.addEventListener('error', (event) => {
+      close();
+      const data = event.data ? JSON.parse(event.data) : null;
+      handlers.onError?.(new Error(data?.message || 'Collection friends stream disconnected'));
+    });
+    
+    return close;
+  },
+  
   // Add to farcasterService object
   clearCacheItem: clearCacheItem
 };
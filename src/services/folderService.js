@@ -1,7 +1,4 @@
-import axios from 'axios';
-import config from '../config';
-
-const API_URL = config.apiUrl || 'http://localhost:3001';
+import apiClient from './apiClient';
 
 /**
  * Service for handling all folder-related operations
@@ -12,10 +9,7 @@ const folderService = {
    */
   getUserFolders: async (token) => {
     try {
-      const response = await axios.get(`${API_URL}/folders`, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
-      return response.data;
+      return await apiClient.getUserFolders({}, { token });
     } catch (error) {
       console.error('Error fetching user folders:', error);
       throw error;
@@ -27,10 +21,7 @@ const folderService = {
    */
   getFolder: async (folderId, token) => {
     try {
-      const response = await axios.get(`${API_URL}/folders/${folderId}`, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
-      return response.data;
+      return await apiClient.getFolder({ folderId }, { token });
     } catch (error) {
       console.error(`Error fetching folder ${folderId}:`, error);
       throw error;
@@ -42,10 +33,7 @@ const folderService = {
    */
   createFolder: async (folderData, token) => {
     try {
-      const response = await axios.post(`${API_URL}/folders`, folderData, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
-      return response.data;
+      return await apiClient.createFolder({ body: folderData }, { token });
     } catch (error) {
       console.error('Error creating folder:', error);
       throw error;
@@ -57,12 +45,7 @@ const folderService = {
    */
   updateFolder: async (folderId, folderData, token) => {
     try {
-      const response = await axios.put(
-        `${API_URL}/folders/${folderId}`, 
-        folderData, 
-        { headers: { Authorization: `Bearer ${token}` }}
-      );
-      return response.data;
+      return await apiClient.updateFolder({ folderId, body: folderData }, { token });
     } catch (error) {
       console.error(`Error updating folder ${folderId}:`, error);
       throw error;
@@ -74,9 +57,7 @@ const folderService = {
    */
   deleteFolder: async (folderId, token) => {
     try {
-      await axios.delete(`${API_URL}/folders/${folderId}`, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
+      await apiClient.deleteFolder({ folderId }, { token });
       return true;
     } catch (error) {
       console.error(`Error deleting folder ${folderId}:`, error);
@@ -89,12 +70,7 @@ const folderService = {
    */
   addNftToFolder: async (folderId, nftData, token) => {
     try {
-      const response = await axios.post(
-        `${API_URL}/folders/${folderId}/nfts`, 
-        nftData, 
-        { headers: { Authorization: `Bearer ${token}` }}
-      );
-      return response.data;
+      return await apiClient.addNftToFolder({ folderId, body: nftData }, { token });
     } catch (error) {
       console.error(`Error adding NFT to folder ${folderId}:`, error);
       throw error;
@@ -106,9 +82,7 @@ const folderService = {
    */
   removeNftFromFolder: async (folderId, nftId, token) => {
     try {
-      await axios.delete(`${API_URL}/folders/${folderId}/nfts/${nftId}`, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
+      await apiClient.removeNftFromFolder({ folderId, nftId }, { token });
       return true;
     } catch (error) {
       console.error(`Error removing NFT ${nftId} from folder ${folderId}:`, error);
@@ -121,12 +95,7 @@ const folderService = {
    */
   toggleFolderVisibility: async (folderId, isPublic, token) => {
     try {
-      const response = await axios.patch(
-        `${API_URL}/folders/${folderId}/visibility`, 
-        { isPublic }, 
-        { headers: { Authorization: `Bearer ${token}` }}
-      );
-      return response.data;
+      return await apiClient.toggleFolderVisibility({ folderId, body: { isPublic } }, { token });
     } catch (error) {
       console.error(`Error toggling visibility for folder ${folderId}:`, error);
       throw error;
@@ -138,8 +107,7 @@ const folderService = {
    */
   getPublicFoldersByUser: async (fid) => {
     try {
-      const response = await axios.get(`${API_URL}/users/${fid}/folders/public`);
-      return response.data;
+      return await apiClient.getPublicFoldersByUser({ fid });
     } catch (error) {
       console.error(`Error fetching public folders for user ${fid}:`, error);
       throw error;
@@ -151,8 +119,7 @@ const folderService = {
    */
   getFeaturedFolders: async () => {
     try {
-      const response = await axios.get(`${API_URL}/folders/featured`);
-      return response.data;
+      return await apiClient.getFeaturedFolders();
     } catch (error) {
       console.error('Error fetching featured folders:', error);
       throw error;
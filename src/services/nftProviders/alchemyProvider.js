@@ -0,0 +1,126 @@
+import axios from 'axios';
+import { getApiBaseUrl } from '../../utils/runtimeConfig';
+
+/**
+ * Alchemy NFT API v3 adapter for the NFT data-provider layer
+ * All requests go through our /api/alchemy proxy so the API key stays server-side
+ */
+
+// Chains where Alchemy supports ordering owned NFTs by transfer time
+const TRANSFER_TIME_ORDER_CHAINS = ['eth', 'ethereum', 'polygon'];
+
+/**
+ * Make a GET request to the Alchemy proxy
+ * HTTP errors propagate as axios errors so the provider layer can inspect the status
+ * @param {string} endpoint - Alchemy endpoint name, e.g. 'getNFTsForOwner'
+ * @param {string} chain - Chain ID ('eth', 'base', etc.)
+ * @param {Object} params - Additional query parameters
+ * @returns {Promise<Object>} - Response body
+ */
+const requestAlchemy = async (endpoint, chain, params = {}) => {
+  const baseUrl = await getApiBaseUrl();
+  const response = await axios.get(`${baseUrl}/alchemy`, {
+    params: {
+      endpoint,
+      network: chain,
+      ...params
+    },
+    headers: { accept: 'application/json' },
+    timeout: 15000
+  });
+
+  return response.data;
+};
+
+const alchemyProvider = {
+  name: 'alchemy',
+
+  /**
+   * Fetch one page of NFTs owned by an address
+   * @param {string} owner - Owner wallet address
+   * @param {Object} options - { pageKey, pageSize, withMetadata, withFloorPrice, orderBy }
+   * @param {string} chain - Chain ID
+   * @returns {Promise<Object>} - { ownedNfts, pageKey, totalCount }
+   */
+  async getNftsForOwner(owner, options = {}, chain = 'eth') {
+    const params = {
+      owner,
+      withMetadata: options.withMetadata !== false ? 'true' : 'false',
+      pageSize: options.pageSize || '100',
+      withFloorPrice: options.withFloorPrice !== false ? 'true' : 'false'
+    };
+
+    if (TRANSFER_TIME_ORDER_CHAINS.includes(chain) && options.orderBy !== false) {
+      params.orderBy = 'transferTime';
+    }
+
+    if (options.pageKey) {
+      params.pageKey = options.pageKey;
+    }
+
+    const data = await requestAlchemy('getNFTsForOwner', chain, params);
+
+    return {
+      ...data,
+      ownedNfts: (data.ownedNfts || []).map(nft => ({
+        ...nft,
+        chain: nft.chain || chain,
+        network: nft.network || chain,
+        chainId: nft.chainId || chain
+      })),
+      pageKey: data.pageKey || null
+    };
+  },
+
+  /**
+   * Fetch metadata for a single token
+   * @param {string} contractAddress - Contract address
+   * @param {string} tokenId - Token ID
+   * @param {string} chain - Chain ID
+   * @returns {Promise<Object>} - Alchemy NFT object
+   */
+  async getMetadata(contractAddress, tokenId, chain = 'eth') {
+    const data = await requestAlchemy('getNFTMetadata', chain, { contractAddress, tokenId });
+    return { ...data, chain, network: chain };
+  },
+
+  /**
+   * Fetch all owner addresses of a contract, following pagination
+   * @param {string} contractAddress - Contract address
+   * @param {string} chain - Chain ID
+   * @returns {Promise<string[]>} - Lowercased owner addresses
+   */
+  async getOwnersForContract(contractAddress, chain = 'eth') {
+    const owners = [];
+    let pageKey = null;
+
+    do {
+      const data = await requestAlchemy('getOwnersForContract', chain, {
+        contractAddress,
+        ...(pageKey && { pageKey })
+      });
+
+      (data.owners || []).forEach(owner => {
+        const address = typeof owner === 'string' ? owner : owner?.ownerAddress;
+        if (address) owners.push(address.toLowerCase());
+      });
+
+      pageKey = data.pageKey || null;
+    } while (pageKey);
+
+    return owners;
+  },
+
+  /**
+   * Fetch contract-level metadata
+   * @param {string} contractAddress - Contract address
+   * @param {string} chain - Chain ID
+   * @returns {Promise<Object>} - { address, name, symbol, tokenType, totalSupply, openSeaMetadata }
+   */
+  async getContractMetadata(contractAddress, chain = 'eth') {
+    const data = await requestAlchemy('getContractMetadata', chain, { contractAddress });
+    return { ...data, chain };
+  }
+};
+
+export default alchemyProvider;
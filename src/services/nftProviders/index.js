@@ -0,0 +1,226 @@
+import alchemyProvider from './alchemyProvider';
+import zapperProvider from './zapperProvider';
+
+/**
+ * NFT data-provider layer
+ *
+ * Every provider is a plain object with a `name` and any of the methods below.
+ * Calls go to providers in priority order and fail over to the next one on
+ * rate limits (429), upstream errors (5xx) and network failures/timeouts.
+ * Client errors (4xx) are returned immediately since another provider would
+ * not fix a bad request.
+ *
+ *   getNftsForOwner(owner, options, chain) -> { ownedNfts, pageKey }
+ *   getMetadata(contractAddress, tokenId, chain) -> NFT object
+ *   getOwnersForContract(contractAddress, chain) -> string[]
+ *   getContractMetadata(contractAddress, chain) -> contract object
+ */
+
+const providers = new Map();
+
+// How long a rate-limited provider is moved to the back of the queue
+// when the upstream does not send a Retry-After header
+const DEFAULT_COOLDOWN_MS = 30 * 1000;
+const cooldowns = new Map();
+
+/**
+ * Register a provider, replacing any existing provider with the same name
+ * @param {Object} provider - Provider implementing some of the interface methods
+ */
+export const registerProvider = (provider) => {
+  if (!provider?.name) {
+    throw new Error('NFT provider must have a name');
+  }
+  providers.set(provider.name, provider);
+};
+
+registerProvider(alchemyProvider);
+registerProvider(zapperProvider);
+
+/**
+ * Provider names in priority order
+ * Configurable with REACT_APP_NFT_PROVIDERS (comma separated), defaults to alchemy,zapper
+ * @returns {string[]}
+ */
+const getConfiguredOrder = () => {
+  const configured = (process.env.REACT_APP_NFT_PROVIDERS || 'alchemy,zapper')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => providers.has(name));
+
+  return configured.length > 0 ? configured : Array.from(providers.keys());
+};
+
+/**
+ * Providers able to serve a method, with rate-limited providers moved to the end
+ * @param {string} method - Interface method name
+ * @param {string|null} preferred - Provider to try first, if any
+ * @returns {Object[]}
+ */
+const getProvidersFor = (method, preferred = null) => {
+  const now = Date.now();
+  const available = getConfiguredOrder()
+    .map(name => providers.get(name))
+    .filter(provider => typeof provider[method] === 'function');
+
+  const ready = available.filter(provider => !(cooldowns.get(provider.name) > now));
+  const coolingDown = available.filter(provider => cooldowns.get(provider.name) > now);
+  const ordered = [...ready, ...coolingDown];
+
+  if (preferred) {
+    const index = ordered.findIndex(provider => provider.name === preferred);
+    if (index > 0) {
+      ordered.unshift(...ordered.splice(index, 1));
+    }
+  }
+
+  return ordered;
+};
+
+/**
+ * HTTP status of a provider error, or null for network failures and timeouts
+ */
+const getErrorStatus = (error) => error?.response?.status || error?.status || null;
+
+/**
+ * Whether an error should send the request on to the next provider
+ */
+const shouldFailOver = (error) => {
+  const status = getErrorStatus(error);
+  return status === null || status === 429 || status >= 500;
+};
+
+/**
+ * Put a rate-limited provider on cooldown, honouring Retry-After when present
+ */
+const startCooldown = (providerName, error) => {
+  const retryAfter = parseInt(error?.response?.headers?.['retry-after'], 10);
+  const cooldownMs = Number.isFinite(retryAfter) ? retryAfter * 1000 : DEFAULT_COOLDOWN_MS;
+  cooldowns.set(providerName, Date.now() + cooldownMs);
+};
+
+/**
+ * Call a method on each capable provider in turn until one succeeds
+ * @param {string} method - Interface method name
+ * @param {Function} getArgs - Returns the argument list for a given provider
+ * @param {string|null} preferred - Provider to try first
+ * @returns {Promise<Object>} - { result, provider, attempts }
+ */
+const callWithFailover = async (method, getArgs, preferred = null) => {
+  const candidates = getProvidersFor(method, preferred);
+  const attempts = [];
+  let lastError = null;
+
+  if (candidates.length === 0) {
+    throw new Error(`No NFT provider supports ${method}`);
+  }
+
+  for (const provider of candidates) {
+    try {
+      const result = await provider[method](...getArgs(provider));
+      attempts.push({ provider: provider.name, ok: true });
+      return { result, provider: provider.name, attempts };
+    } catch (error) {
+      const status = getErrorStatus(error);
+      attempts.push({ provider: provider.name, ok: false, status, error: error.message });
+      lastError = error;
+
+      if (status === 429) {
+        startCooldown(provider.name, error);
+      }
+
+      if (!shouldFailOver(error)) {
+        break;
+      }
+
+      console.warn(`[NFT Providers] ${provider.name} failed ${method} (${status || 'network error'}), trying next provider`);
+    }
+  }
+
+  const error = new Error(`All NFT providers failed for ${method}: ${lastError?.message || 'Unknown error'}`);
+  error.status = getErrorStatus(lastError);
+  error.attempts = attempts;
+  throw error;
+};
+
+const nftProviders = {
+  /**
+   * Fetch one page of owned NFTs with failover
+   * Page keys are provider-specific: pass back the `provider` from the previous page
+   * in options.provider. If that provider is down, the next one starts again from the
+   * first page and the result is flagged `restarted` so callers can drop earlier pages.
+   * @param {string} owner - Owner wallet address
+   * @param {Object} options - Provider options plus { pageKey, provider }
+   * @param {string} chain - Chain ID
+   * @returns {Promise<Object>} - { ownedNfts, pageKey, provider, restarted, attempts }
+   */
+  async getNftsForOwner(owner, options = {}, chain = 'eth') {
+    const pageOwner = options.pageKey ? (options.provider || getConfiguredOrder()[0]) : null;
+
+    const { result, provider, attempts } = await callWithFailover(
+      'getNftsForOwner',
+      (candidate) => {
+        const pageKey = candidate.name === pageOwner ? options.pageKey : null;
+        return [owner, { ...options, pageKey }, chain];
+      },
+      pageOwner
+    );
+
+    return {
+      ...result,
+      provider,
+      restarted: Boolean(pageOwner) && provider !== pageOwner,
+      attempts
+    };
+  },
+
+  /**
+   * Fetch token metadata with failover
+   * @returns {Promise<Object>} - NFT object with `provider`
+   */
+  async getMetadata(contractAddress, tokenId, chain = 'eth') {
+    const { result, provider } = await callWithFailover(
+      'getMetadata',
+      () => [contractAddress, tokenId, chain]
+    );
+    return { ...result, provider };
+  },
+
+  /**
+   * Fetch all owners of a contract with failover
+   * @returns {Promise<Object>} - { owners, provider }
+   */
+  async getOwnersForContract(contractAddress, chain = 'eth') {
+    const { result, provider } = await callWithFailover(
+      'getOwnersForContract',
+      () => [contractAddress, chain]
+    );
+    return { owners: result, provider };
+  },
+
+  /**
+   * Fetch contract metadata with failover
+   * @returns {Promise<Object>} - Contract object with `provider`
+   */
+  async getContractMetadata(contractAddress, chain = 'eth') {
+    const { result, provider } = await callWithFailover(
+      'getContractMetadata',
+      () => [contractAddress, chain]
+    );
+    return { ...result, provider };
+  },
+
+  /**
+   * Current provider order and cooldowns, for diagnostics
+   * @returns {Object[]}
+   */
+  getStatus() {
+    const now = Date.now();
+    return getConfiguredOrder().map(name => ({
+      name,
+      coolingDownUntil: cooldowns.get(name) > now ? new Date(cooldowns.get(name)).toISOString() : null
+    }));
+  }
+};
+
+export default nftProviders;
@@ -0,0 +1,152 @@
+import axios from 'axios';
+import { getApiBaseUrl } from '../../utils/runtimeConfig';
+import { CHAINS, getChain } from '../../chains';
+
+/**
+ * Zapper GraphQL adapter for the NFT data-provider layer
+ * Zapper only exposes owner-centric NFT queries, so this adapter implements
+ * getNftsForOwner and the provider layer skips it for the other methods.
+ */
+
+const OWNED_NFTS_QUERY = `
+  query ProviderUserNftTokens($owners: [Address!]!, $network: Network, $first: Int, $after: String) {
+    nftUsersTokens(owners: $owners, network: $network, first: $first, after: $after, bypassHidden: true) {
+      edges {
+        node {
+          tokenId
+          name
+          description
+          collection {
+            name
+            address
+            network
+            nftStandard
+          }
+          mediasV3 {
+            images(first: 1) {
+              edges {
+                node {
+                  original
+                  thumbnail
+                  large
+                }
+              }
+            }
+            animations(first: 1) {
+              edges {
+                node {
+                  original
+                }
+              }
+            }
+          }
+          estimatedValue {
+            valueUsd
+            valueWithDenomination
+            denomination {
+              symbol
+            }
+          }
+        }
+        balance
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+/**
+ * Convert a Zapper token edge into the Alchemy v3 shape the gallery consumes
+ * @param {Object} edge - nftUsersTokens edge
+ * @param {string} fallbackChain - Chain requested by the caller
+ * @returns {Object} - Normalized NFT
+ */
+const normalizeZapperNft = (edge, fallbackChain) => {
+  const item = edge.node || {};
+  const collection = item.collection || {};
+  const image = item.mediasV3?.images?.edges?.[0]?.node || {};
+  const animation = item.mediasV3?.animations?.edges?.[0]?.node || {};
+  const chain = CHAINS.find(entry => entry.zapper === collection.network)?.id || fallbackChain;
+
+  return {
+    contract: {
+      address: (collection.address || '').toLowerCase(),
+      name: collection.name || null,
+      tokenType: collection.nftStandard ? collection.nftStandard.toUpperCase() : null
+    },
+    tokenId: item.tokenId || '',
+    name: item.name || `#${item.tokenId}`,
+    description: item.description || '',
+    image: {
+      originalUrl: image.original || null,
+      cachedUrl: image.large || image.original || null,
+      thumbnailUrl: image.thumbnail || null
+    },
+    animation: animation.original ? { originalUrl: animation.original } : null,
+    collection: { name: collection.name || null },
+    balance: edge.balance || '1',
+    estimatedValue: item.estimatedValue || null,
+    chain,
+    network: chain,
+    chainId: chain
+  };
+};
+
+const zapperProvider = {
+  name: 'zapper',
+
+  /**
+   * Fetch one page of NFTs owned by an address
+   * @param {string} owner - Owner wallet address
+   * @param {Object} options - { pageKey, pageSize }
+   * @param {string} chain - Chain ID
+   * @returns {Promise<Object>} - { ownedNfts, pageKey }
+   */
+  async getNftsForOwner(owner, options = {}, chain = 'eth') {
+    // Zapper's Network enum value, see src/chains.js
+    const network = getChain(chain)?.zapper;
+    if (!network) {
+      const error = new Error(`Zapper does not support chain ${chain}`);
+      error.status = 400;
+      throw error;
+    }
+
+    const baseUrl = await getApiBaseUrl();
+    const response = await axios.post(`${baseUrl}/zapper`, {
+      query: OWNED_NFTS_QUERY,
+      variables: {
+        owners: [owner.toLowerCase()],
+        network,
+        first: Math.min(parseInt(options.pageSize || '100', 10), 100),
+        after: options.pageKey || null
+      }
+    }, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: 15000
+    });
+
+    // Zapper reports failures as GraphQL errors on a 200 response
+    if (response.data?.errors?.length) {
+      const error = new Error(response.data.errors[0]?.message || 'Zapper GraphQL error');
+      error.status = 502;
+      throw error;
+    }
+
+    const tokens = response.data?.data?.nftUsersTokens;
+    if (!tokens) {
+      const error = new Error('Unexpected Zapper response format');
+      error.status = 502;
+      throw error;
+    }
+
+    return {
+      ownedNfts: (tokens.edges || []).map(edge => normalizeZapperNft(edge, chain)),
+      pageKey: tokens.pageInfo?.hasNextPage ? tokens.pageInfo.endCursor : null
+    };
+  }
+};
+
+export default zapperProvider;
@@ -3,47 +3,184 @@
  * Provides reliable image loading by selecting optimal proxy strategy
  */
 
-// List of reliable IPFS gateways
-const IPFS_GATEWAYS = [
-  'https://cloudflare-ipfs.com/ipfs/',
-  'https://ipfs.io/ipfs/',
-  'https://gateway.pinata.cloud/ipfs/'
-];
+import { toIpfsUri } from '../ipfs';
+
+export { toIpfsUri };
 
 /**
- * Get an IPFS URL through a reliable gateway
+ * Get a URL for IPFS content that loads from whichever gateway is currently healthiest.
+ * Our proxy races several gateways and remembers which ones are fast and reliable.
  * @param {string} url - Original IPFS URL
- * @returns {string} Transformed URL using reliable gateway
+ * @returns {string} Proxy URL for the content, or the input if it isn't IPFS
  */
 export const getReliableIpfsUrl = (url) => {
   if (!url) return '';
 
-  console.log('getReliableIpfsUrl called with:', url);
+  const ipfsUri = toIpfsUri(url);
+  return ipfsUri ? `/api/image-proxy?url=${encodeURIComponent(ipfsUri)}` : url;
+};
+
+const ARWEAVE_GATEWAY = 'https://arweave.net/';
+
+// How deep metadata may point at more metadata (JSON whose image is another JSON data URI)
+const MAX_METADATA_DEPTH = 3;
+
+/**
+ * Convert an ar:// URI to an Arweave gateway URL
+ * @param {string} url - Possibly-Arweave URL
+ * @returns {string} Gateway URL, or the input if it isn't an ar:// URI
+ */
+export const getArweaveUrl = (url) => {
+  if (!url || !url.startsWith('ar://')) return url;
+  return `${ARWEAVE_GATEWAY}${url.substring(5).replace(/^\/+/, '')}`;
+};
+
+/**
+ * Decode base64 to a UTF-8 string (atob alone mangles multi-byte characters)
+ */
+const decodeBase64Text = (value) => {
+  const bytes = Uint8Array.from(atob(value.replace(/\s/g, '')), char => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+};
+
+/**
+ * Split a data: URI into its media type and payload
+ * @param {string} uri - data: URI
+ * @returns {Object|null} { mimeType, isBase64, payload }, or null if it isn't a data: URI
+ */
+export const parseDataUri = (uri) => {
+  const match = typeof uri === 'string' && uri.match(/^data:([^,]*),([\s\S]*)$/i);
+  if (!match) return null;
+
+  const params = match[1].split(';').map(param => param.trim().toLowerCase());
+  return {
+    mimeType: params[0] || 'text/plain',
+    isBase64: params.includes('base64'),
+    payload: match[2]
+  };
+};
+
+/**
+ * Decode the payload of a data: URI as text
+ * @param {string} uri - data: URI
+ * @returns {string|null} Decoded text, or null if it can't be decoded
+ */
+export const decodeDataUriText = (uri) => {
+  const parsed = parseDataUri(uri);
+  if (!parsed) return null;
+
+  try {
+    return parsed.isBase64 ? decodeBase64Text(parsed.payload) : decodeURIComponent(parsed.payload);
+  } catch (error) {
+    // Unencoded utf8 payloads (raw "%" in an SVG) aren't valid URI components
+    return parsed.isBase64 ? null : parsed.payload;
+  }
+};
+
+/**
+ * Turn SVG markup into a data: URI that is safe to use as an image src
+ */
+const svgToDataUri = (svg) => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg.trim())}`;
+
+/**
+ * Resolve any media reference found in NFT metadata to a URL a browser can load:
+ * - ar:// stays as is for getProxiedUrl, see getArweaveUrl for a direct gateway URL
+ * - raw SVG markup (OpenSea image_data) becomes an SVG data: URI
+ * - utf8 SVG data: URIs are re-encoded so characters like "#" don't truncate them
+ * - data:application/json (on-chain tokenURI responses) resolves to the image it describes
+ * @param {string} url - Media reference from metadata
+ * @param {number} depth - Internal, guards against metadata pointing at itself
+ * @returns {string} Loadable URL, or '' if the reference has no media
+ */
+export const resolveMediaUrl = (url, depth = 0) => {
+  if (typeof url !== 'string') return '';
+  const value = url.trim();
+  if (!value) return '';
+
+  if (value.startsWith('<svg') || value.startsWith('<?xml')) {
+    return svgToDataUri(value);
+  }
+
+  const dataUri = parseDataUri(value);
+  if (!dataUri) return value;
+
+  if (dataUri.mimeType === 'application/json' || dataUri.mimeType === 'text/json') {
+    if (depth >= MAX_METADATA_DEPTH) return '';
+    try {
+      const metadata = JSON.parse(decodeDataUriText(value));
+      return getMetadataImage(metadata, depth + 1);
+    } catch (error) {
+      console.warn('Could not parse on-chain metadata:', error.message);
+      return '';
+    }
+  }
 
-  // Handle ipfs:// protocol
-  if (url.startsWith('ipfs://')) {
-    const gatewayUrl = IPFS_GATEWAYS[0] + url.substring(7);
-    console.log('IPFS URL transformed to:', gatewayUrl);
-    return gatewayUrl;
+  if (dataUri.mimeType === 'image/svg+xml' && !dataUri.isBase64) {
+    const svg = decodeDataUriText(value);
+    return svg ? svgToDataUri(svg) : '';
   }
 
-  // Handle ipfs hash formats: ipfs/QmHash or /ipfs/QmHash
-  const ipfsHashMatch = url.match(/(?:\/ipfs\/|ipfs\/)([a-zA-Z0-9]+.*)/);
-  if (ipfsHashMatch) {
-    const gatewayUrl = IPFS_GATEWAYS[0] + ipfsHashMatch[1];
-    console.log('IPFS hash URL transformed to:', gatewayUrl);
-    return gatewayUrl;
+  return value;
+};
+
+/**
+ * Find the image in a parsed metadata object
+ * @param {Object} metadata - Token metadata (e.g. a decoded tokenURI response)
+ * @param {number} depth - Internal, see resolveMediaUrl
+ * @returns {string} Loadable URL, or ''
+ */
+export const getMetadataImage = (metadata, depth = 0) => {
+  if (!metadata || typeof metadata !== 'object') return '';
+
+  const candidates = [metadata.image, metadata.image_data, metadata.image_url, metadata.imageUrl, metadata.animation_url];
+  for (const candidate of candidates) {
+    const resolved = resolveMediaUrl(candidate, depth);
+    if (resolved) return resolved;
   }
+  return '';
+};
+
+// Thumbnail widths are rounded up to one of these so the proxy and browser
+// caches see a handful of variants rather than one per pixel width
+const THUMBNAIL_WIDTHS = [128, 256, 384, 512, 768, 1024];
+
+/**
+ * Proxy resize options for an image displayed at a given CSS size
+ * @param {number} displaySize - Rendered width in CSS pixels
+ * @returns {Object|null} Options for getProxiedUrl, or null to load the original
+ */
+export const getThumbnailOptions = (displaySize) => {
+  if (!displaySize) return null;
+  
+  const pixelRatio = typeof window !== 'undefined' ? Math.min(window.devicePixelRatio || 1, 2) : 1;
+  const target = Math.ceil(displaySize * pixelRatio);
+  const width = THUMBNAIL_WIDTHS.find(size => size >= target) || THUMBNAIL_WIDTHS[THUMBNAIL_WIDTHS.length - 1];
+  
+  return { width, height: width, fit: 'inside', format: 'webp' };
+};
 
-  return url;
+/**
+ * Append proxy resize parameters to a proxy URL
+ * @param {string} proxiedUrl - /api/image-proxy URL
+ * @param {Object} options - { width, height, fit, format }
+ * @returns {string}
+ */
+const withTransformParams = (proxiedUrl, options = {}) => {
+  const params = [];
+  if (options.width) params.push(`w=${options.width}`);
+  if (options.height) params.push(`h=${options.height}`);
+  if (options.fit) params.push(`fit=${options.fit}`);
+  if (options.format) params.push(`format=${options.format}`);
+  return params.length ? `${proxiedUrl}&${params.join('&')}` : proxiedUrl;
 };
 
 /**
  * Get the URL for our internal image proxy
  * @param {string} url - URL to proxy
+ * @param {Object} options - Optional { width, height, fit, format } to get a resized variant
  * @returns {string} Proxied URL using our own proxy service
  */
-export const getProxiedUrl = (url) => {
+export const getProxiedUrl = (url, options = null) => {
   if (!url) return '';
   if (url.startsWith('data:')) return url;
   if (url.startsWith('/') && !url.startsWith('//')) return url;
@@ -51,9 +188,15 @@ export const getProxiedUrl = (url) => {
   try {
     console.log('getProxiedUrl called with:', url);
     
-    // For IPFS URLs, use IPFS gateway
-    if (url.includes('ipfs://')) {
-      return getReliableIpfsUrl(url);
+    // Our proxy resolves ar:// to the Arweave gateway itself
+    if (url.startsWith('ar://')) {
+      return withTransformParams(`/api/image-proxy?url=${encodeURIComponent(url)}`, options || {});
+    }
+    
+    // IPFS URLs in any form go to the proxy in canonical form, so every
+    // gateway spelling of the same CID shares one cache entry
+    if (toIpfsUri(url)) {
+      return withTransformParams(getReliableIpfsUrl(url), options || {});
     }
     
     // Make sure URL is absolute
@@ -62,7 +205,7 @@ export const getProxiedUrl = (url) => {
       : `https://${url.replace(/^\/\//, '')}`;
     
     // Use our own proxy endpoint instead of corsproxy.io
-    const proxiedUrl = `/api/image-proxy?url=${encodeURIComponent(absoluteUrl)}`;
+    const proxiedUrl = withTransformParams(`/api/image-proxy?url=${encodeURIComponent(absoluteUrl)}`, options || {});
     console.log('URL proxied to:', proxiedUrl);
     return proxiedUrl;
   } catch (error) {
@@ -74,12 +217,17 @@ export const getProxiedUrl = (url) => {
 /**
  * Get the best URL for an image, applying proxying as needed
  * @param {string} url - Original image URL
+ * @param {Object} options - Optional resize options, see getThumbnailOptions
  * @returns {string} Best URL to use
  */
-export const getBestImageUrl = (url) => {
+export const getBestImageUrl = (url, options = null) => {
   if (!url) return '';
   
-  console.log('getBestImageUrl called with:', url);
+  console.log('getBestImageUrl called with:', url.substring(0, 100));
+  
+  // Unwrap on-chain metadata and normalize SVG markup and data: URIs
+  url = resolveMediaUrl(url);
+  if (!url) return '';
   
   // If it's a data URL, use it directly
   if (url.startsWith('data:')) {
@@ -94,13 +242,20 @@ export const getBestImageUrl = (url) => {
   }
   
   // Otherwise, proxy the URL
-  const finalUrl = getProxiedUrl(url);
+  const finalUrl = getProxiedUrl(url, options);
   console.log('Final best URL:', finalUrl);
   return finalUrl;
 };
 
 export default {
+  toIpfsUri,
   getReliableIpfsUrl,
+  getArweaveUrl,
+  parseDataUri,
+  decodeDataUriText,
+  resolveMediaUrl,
+  getMetadataImage,
   getProxiedUrl,
-  getBestImageUrl
+  getBestImageUrl,
+  getThumbnailOptions
 }; 
\ No newline at end of file
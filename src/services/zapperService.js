@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { getApiBaseUrl } from '../utils/runtimeConfig';
+import { MemoryCache } from '../utils/cache';
 // Completely remove any imports from NFTContext
 
 // Define constants locally rather than importing them
@@ -16,8 +17,8 @@ let SERVER_URL = '';
 let ZAPPER_API_ENDPOINTS = [];
 
 // Single cache for all API responses
-const cache = new Map();
 const CACHE_TTL = 15 * 60 * 1000; // 15 minutes cache
+const cache = new MemoryCache({ name: 'zapper', ttl: CACHE_TTL });
 
 // Create a custom axios instance specifically for Zapper API calls
 const zapperAxios = axios.create({
@@ -807,15 +808,10 @@ export const getNftsForAddresses = async (addresses, limitOrOptions = 50, cursor
   const cacheKey = `nfts:${normalizedAddresses.join(',')}-cursor:${cursor || 'initial'}`;
   
   // Check cache first if not bypassing
-  if (!bypassCache && cache.has(cacheKey)) {
-    const cachedData = cache.get(cacheKey);
-    if (cachedData.timestamp > Date.now() - cacheTTL) {
-      console.log(`Using cached NFT data for ${normalizedAddresses.length} addresses`);
-      return cachedData.data;
-    } else {
-      // Remove expired cache entry
-      cache.delete(cacheKey);
-    }
+  const cachedData = bypassCache ? null : cache.get(cacheKey);
+  if (cachedData) {
+    console.log(`Using cached NFT data for ${normalizedAddresses.length} addresses`);
+    return cachedData;
   }
   
   try {
@@ -1078,10 +1074,7 @@ export const getNftsForAddresses = async (addresses, limitOrOptions = 50, cursor
       };
       
       // Cache the result
-      cache.set(cacheKey, {
-        timestamp: Date.now(),
-        data: result
-      });
+      cache.set(cacheKey, result, cacheTTL);
       
       return result;
     } else {
@@ -1124,14 +1117,10 @@ export const getNftsForCollection = async (walletAddresses, collectionAddress, o
   const cacheKey = `collection:${normalizedCollection}-owners:${normalizedAddresses.join(',')}-cursor:${cursor || 'initial'}`;
   
   // Check cache first
-  if (!bypassCache && cache.has(cacheKey)) {
-    const cachedData = cache.get(cacheKey);
-    if (cachedData.timestamp > Date.now() - CACHE_TTL) {
-      console.log(`Using cached collection NFT data for ${normalizedCollection}`);
-      return cachedData.data;
-    } else {
-      cache.delete(cacheKey);
-    }
+  const cachedData = bypassCache ? null : cache.get(cacheKey);
+  if (cachedData) {
+    console.log(`Using cached collection NFT data for ${normalizedCollection}`);
+    return cachedData;
   }
   
   // GraphQL query for a specific collection
@@ -1292,10 +1281,7 @@ export const getNftsForCollection = async (walletAddresses, collectionAddress, o
       };
       
       // Cache the result
-      cache.set(cacheKey, {
-        timestamp: Date.now(),
-        data: result
-      });
+      cache.set(cacheKey, result);
       
       return result;
     }
@@ -1,10 +1,108 @@
 /**
- * Cache utility with expiration support
- * Wraps localStorage with additional functionality for expiration and fallback to memory
+ * Client-side caches
+ *
+ * - MemoryCache: bounded in-memory LRU with TTLs and hit/miss stats, for API
+ *   responses (the browser counterpart of src/server/cache.js)
+ * - localStorageCache: wraps localStorage with expiration and a memory fallback,
+ *   for data that should survive a reload
  */
 
 import safeStorage from './storage';
 
+const DEFAULT_MAX_ENTRIES = 200;
+const DEFAULT_TTL = 15 * 60 * 1000; // 15 minutes
+
+// Every MemoryCache by name, for getCacheStats()
+const memoryCaches = new Map();
+
+/**
+ * Bounded in-memory cache. Map insertion order doubles as LRU order, so reads
+ * move an entry to the end and the first entry is evicted when full.
+ */
+export class MemoryCache {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Name reported by getCacheStats()
+   * @param {number} [options.maxEntries=200] - Entries kept before the least recently used is evicted
+   * @param {number} [options.ttl] - Default TTL in milliseconds (15 minutes)
+   */
+  constructor({ name, maxEntries = DEFAULT_MAX_ENTRIES, ttl = DEFAULT_TTL } = {}) {
+    this.name = name;
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+    this.entries = new Map();
+    this.counters = { hits: 0, misses: 0, sets: 0, evictions: 0 };
+
+    if (name) {
+      memoryCaches.set(name, this);
+    }
+  }
+
+  /**
+   * Get a value, or null if missing or expired
+   * @param {string} key - Cache key
+   * @returns {any|null}
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiry <= Date.now()) {
+      if (entry) this.entries.delete(key);
+      this.counters.misses += 1;
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.counters.hits += 1;
+    return entry.value;
+  }
+
+  /**
+   * Store a value, evicting the least recently used entry when full
+   * @param {string} key - Cache key
+   * @param {any} value - Value to store
+   * @param {number} [ttl] - TTL in milliseconds, defaults to the cache's
+   * @returns {any} - The stored value
+   */
+  set(key, value, ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiry: Date.now() + (ttl || this.ttl) });
+    this.counters.sets += 1;
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.counters.evictions += 1;
+    }
+    return value;
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Hit/miss counters plus current size
+   */
+  stats() {
+    return { ...this.counters, size: this.entries.size, maxEntries: this.maxEntries };
+  }
+}
+
+/**
+ * Stats for every named MemoryCache, e.g. for the diagnostic panel
+ * @returns {Object} - { [name]: { hits, misses, sets, evictions, size, maxEntries } }
+ */
+export const getCacheStats = () =>
+  Object.fromEntries(Array.from(memoryCaches.entries()).map(([name, cache]) => [name, cache.stats()]));
+
 // Memory fallback cache for when localStorage fails
 const memoryCache = new Map();
 
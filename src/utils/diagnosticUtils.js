@@ -19,6 +19,41 @@ export const LOG_LEVEL = {
 // Maximum number of logs to keep in memory
 const MAX_LOGS = 500;
 
+const SESSION_KEY = 'diagnosticSessionId';
+let fallbackSessionId = null;
+
+const createSessionId = () => `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 8)}`;
+
+/**
+ * ID shared by every report sent from this browser session, so the server can
+ * group them. Kept in sessionStorage, so a new tab starts a new session.
+ * @returns {string} - The session ID
+ */
+export const getDiagnosticSessionId = () => {
+  try {
+    let sessionId = sessionStorage.getItem(SESSION_KEY);
+    if (!sessionId) {
+      sessionId = createSessionId();
+      sessionStorage.setItem(SESSION_KEY, sessionId);
+    }
+    return sessionId;
+  } catch (e) {
+    // Storage is unavailable in some embedded webviews; keep one ID per page load
+    fallbackSessionId = fallbackSessionId || createSessionId();
+    return fallbackSessionId;
+  }
+};
+
+// FID of the signed-in mini app user, if any
+const getStoredFid = () => {
+  try {
+    const userInfo = JSON.parse(sessionStorage.getItem('miniAppUserInfo') || localStorage.getItem('miniAppUserInfo') || 'null');
+    return userInfo?.fid || null;
+  } catch (e) {
+    return null;
+  }
+};
+
 /**
  * A simple in-memory logger that stores logs and allows subscribing to updates
  */
@@ -185,6 +220,45 @@ class Logger {
     });
   }
   
+  /**
+   * Send the collected logs to /api/diagnostic as one report
+   * @param {Object} [options]
+   * @param {string} [options.token] - API token; a signed-in report is stored under the token's FID
+   * @param {string|Array} [options.levels] - Only send logs with these levels
+   * @returns {Promise<Object>} - { reportId, level, logCount } from the server
+   */
+  async sendReport(options = {}) {
+    const logs = (options.levels ? this.getLogsByLevel(options.levels) : this.logs)
+      .map(({ timestamp, level, message }) => ({ timestamp, level, message }));
+    
+    const headers = { 'Content-Type': 'application/json' };
+    if (options.token) {
+      headers.Authorization = `Bearer ${options.token}`;
+    }
+    
+    const response = await fetch('/api/diagnostic', {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        sessionId: getDiagnosticSessionId(),
+        fid: getStoredFid(),
+        logs,
+        clientInfo: {
+          userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+          url: typeof window !== 'undefined' ? window.location.href : null,
+          isMiniApp: isMiniAppEnvironment(),
+          sdk: this.getSdkStatus()
+        }
+      })
+    });
+    
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.message || result.error || `Diagnostic report failed with ${response.status}`);
+    }
+    return result;
+  }
+  
   /**
    * Get the SDK status
    * @returns {Object} - The SDK status
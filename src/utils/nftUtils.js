@@ -2,6 +2,7 @@
  * Utility functions for processing NFT data
  */
 import { createConsistentUniqueId } from '../services/alchemyService';
+import { normalizeChain, getChain, getEnabledChains } from '../chains';
 
 /**
  * Formats an array of NFTs for display by standardizing property names and structure
@@ -66,6 +67,7 @@ export const formatNFTsForDisplay = (nfts) => {
       } : undefined,
       
       metadata: nft.metadata ? JSON.parse(JSON.stringify(nft.metadata)) : undefined,
+      attributes: getNftAttributes(nft),
       
       // Store minimal original data as a stringified copy for reference
       // This avoids carrying potentially non-extensible objects
@@ -74,6 +76,409 @@ export const formatNFTsForDisplay = (nfts) => {
   }).filter(Boolean); // Remove any null/undefined items
 };
 
+/**
+ * Attributes as a list of { trait, value }, from the OpenSea array format, Zapper
+ * traits or a plain object
+ * @param {Object} nft - NFT in any of the shapes we receive (Alchemy, Zapper, ...)
+ * @returns {Array} - [{ trait, value }], values as strings
+ */
+export const getNftAttributes = (nft) => {
+  const attributes = nft?.attributes ||
+    nft?.raw?.metadata?.attributes ||
+    nft?.raw?.metadata?.traits ||
+    nft?.metadata?.attributes ||
+    nft?.rawMetadata?.attributes ||
+    nft?.traits;
+  if (Array.isArray(attributes)) {
+    return attributes
+      .map(attribute => attribute && {
+        trait: attribute.trait || attribute.trait_type || attribute.attributeName || attribute.type || 'Property',
+        value: attribute.value ?? attribute.attributeValue
+      })
+      .filter(attribute => attribute && attribute.value !== undefined && attribute.value !== null && attribute.value !== '')
+      .map(attribute => ({ trait: String(attribute.trait), value: String(attribute.value) }));
+  }
+  if (attributes && typeof attributes === 'object') {
+    return Object.entries(attributes).map(([trait, value]) => ({ trait, value: String(value) }));
+  }
+  return [];
+};
+
+/**
+ * Count the attribute values across a set of NFTs, for the trait filter panel
+ * @param {Array} nfts - NFTs with attributes (see getNftAttributes)
+ * @returns {Array} - [{ trait, count, values: [{ value, count }] }], traits by name, values most common first.
+ *   count is the number of NFTs with the trait or value.
+ */
+export const getTraitFacets = (nfts) => {
+  const traits = new Map();
+
+  (nfts || []).forEach(nft => {
+    const seen = new Set();
+    getNftAttributes(nft).forEach(({ trait, value }) => {
+      const key = `${trait}\u0000${value}`;
+      // An NFT listing the same attribute twice still counts once
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      let facet = traits.get(trait);
+      if (!facet) {
+        facet = { trait, nfts: new Set(), values: new Map() };
+        traits.set(trait, facet);
+      }
+      facet.nfts.add(nft);
+      facet.values.set(value, (facet.values.get(value) || 0) + 1);
+    });
+  });
+
+  return [...traits.values()]
+    .map(facet => ({
+      trait: facet.trait,
+      count: facet.nfts.size,
+      values: [...facet.values.entries()]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value, undefined, { numeric: true }))
+    }))
+    .sort((a, b) => a.trait.localeCompare(b.trait));
+};
+
+/**
+ * Keep the NFTs matching the selected trait values.
+ * Within a trait any selected value matches. With match 'all' an NFT needs a
+ * match for every selected trait, with 'any' a match for one of them.
+ * @param {Array} nfts - NFTs to filter
+ * @param {Object} traits - Selected values by trait, e.g. { Background: ['Gold'] }
+ * @param {string} match - 'all' (default) or 'any'
+ * @returns {Array} - The matching NFTs
+ */
+export const filterNftsByTraits = (nfts, traits, match = 'all') => {
+  const selected = Object.entries(traits || {}).filter(([, values]) => values && values.length > 0);
+  if (selected.length === 0) return nfts;
+
+  return nfts.filter(nft => {
+    const attributes = getNftAttributes(nft);
+    const matchesTrait = ([trait, values]) =>
+      attributes.some(attribute => attribute.trait === trait && values.includes(attribute.value));
+    return match === 'any' ? selected.some(matchesTrait) : selected.every(matchesTrait);
+  });
+};
+
+/**
+ * Sort NFTs for the gallery, without changing the array passed in
+ * @param {Array} nfts - NFTs to sort
+ * @param {string} sortOption - 'name', 'value', 'recent' or 'collection' (default)
+ * @param {string} sortDirection - 'asc' or 'desc'
+ * @returns {Array} - A sorted copy
+ */
+export const sortNfts = (nfts, sortOption = 'collection', sortDirection = 'asc') => {
+  if (!nfts || nfts.length === 0) return [];
+  
+  const nftsCopy = [...nfts];
+  
+  switch (sortOption) {
+    case 'name':
+      return nftsCopy.sort((a, b) => {
+        // Enhanced name extraction with more fallbacks and cleaning
+        const rawNameA = (a.name || a.title || a.metadata?.name || `#${a.tokenId || a.token_id || '0'}`);
+        const rawNameB = (b.name || b.title || b.metadata?.name || `#${b.tokenId || b.token_id || '0'}`);
+        
+        // Clean names by removing NFT prefix
+        const nameA = rawNameA.replace(/^NFT\s+#/i, '#').toLowerCase();
+        const nameB = rawNameB.replace(/^NFT\s+#/i, '#').toLowerCase();
+        
+        // Helper function to determine if a character is a letter
+        const isLetter = (char) => /[a-z]/i.test(char);
+        
+        // Helper function to determine if name starts with letter
+        const startsWithLetter = (str) => str.length > 0 && isLetter(str[0]);
+        
+        // Get first character for sorting
+        const firstCharA = nameA.charAt(0);
+        const firstCharB = nameB.charAt(0);
+        
+        // If one starts with letter and other doesn't, letter comes first
+        if (startsWithLetter(nameA) && !startsWithLetter(nameB)) {
+          return sortDirection === 'asc' ? -1 : 1;
+        }
+        if (!startsWithLetter(nameA) && startsWithLetter(nameB)) {
+          return sortDirection === 'asc' ? 1 : -1;
+        }
+        
+        // Normal comparison for two strings that both start with letters or both don't
+        const result = sortDirection === 'asc' 
+          ? nameA.localeCompare(nameB, undefined, { numeric: true }) 
+          : nameB.localeCompare(nameA, undefined, { numeric: true });
+          
+        return result;
+      });
+      
+    case 'value':
+      return nftsCopy.sort((a, b) => {
+        // Enhanced value extraction with more fallbacks
+        const valueA = a.collection?.floorPrice?.valueUsd || 
+                      a.floorPrice?.valueUsd || 
+                      a.collection?.floorPrice?.value || 
+                      a.floorPrice?.value || 
+                      (a.contractMetadata?.openSea?.floorPrice || 0) ||
+                      (a.contract?.openSeaMetadata?.floorPrice || 0) ||
+                      (typeof a.collection?.floorPrice === 'number' ? a.collection.floorPrice : 0) ||
+                      (typeof a.floorPrice === 'number' ? a.floorPrice : 0) ||
+                      0;
+                      
+        const valueB = b.collection?.floorPrice?.valueUsd || 
+                      b.floorPrice?.valueUsd ||
+                      b.collection?.floorPrice?.value || 
+                      b.floorPrice?.value || 
+                      (b.contractMetadata?.openSea?.floorPrice || 0) ||
+                      (b.contract?.openSeaMetadata?.floorPrice || 0) ||
+                      (typeof b.collection?.floorPrice === 'number' ? b.collection.floorPrice : 0) ||
+                      (typeof b.floorPrice === 'number' ? b.floorPrice : 0) ||
+                      0;
+        
+        // Convert to numbers to ensure proper comparison
+        const numA = parseFloat(valueA) || 0;
+        const numB = parseFloat(valueB) || 0;
+        
+        const result = sortDirection === 'asc' 
+          ? numA - numB 
+          : numB - numA;
+          
+        return result;
+      });
+      
+    case 'recent':
+      return nftsCopy.sort((a, b) => {
+        const timeA = a.transferTimestamp || 
+                     a.lastActivityTimestamp || 
+                     a.acquiredAt || 
+                     a.lastTransferTimestamp || 
+                     a.mintedAt ||
+                     a.timeLastUpdated ||
+                     a.createdAt;
+                     
+        const timeB = b.transferTimestamp || 
+                     b.lastActivityTimestamp || 
+                     b.acquiredAt || 
+                     b.lastTransferTimestamp || 
+                     b.mintedAt ||
+                     b.timeLastUpdated ||
+                     b.createdAt;
+        
+        // If both have timestamps, compare them as dates
+        if (timeA && timeB) {
+          try {
+            const dateA = new Date(timeA);
+            const dateB = new Date(timeB);
+            return sortDirection === 'asc' ? dateA - dateB : dateB - dateA;
+          } catch (e) {
+            console.warn('Error comparing dates:', e);
+          }
+        }
+        
+        // If one has timestamp and other doesn't, prioritize the one with timestamp
+        if (timeA && !timeB) return sortDirection === 'asc' ? -1 : 1;
+        if (!timeA && timeB) return sortDirection === 'asc' ? 1 : -1;
+        
+        // If neither has a timestamp, fall back to token ID
+        const idA = parseInt(a.tokenId || a.token_id || '0') || 0;
+        const idB = parseInt(b.tokenId || b.token_id || '0') || 0;
+        
+        return sortDirection === 'asc' ? idA - idB : idB - idA;
+      });
+      
+    case 'collection':
+    default:
+      return nftsCopy.sort((a, b) => {
+        const collA = (a.collection?.name || 
+                     a.collectionName || 
+                     a.contract?.name || 
+                     a.contractMetadata?.name ||
+                     '').toLowerCase();
+                     
+        const collB = (b.collection?.name || 
+                     b.collectionName || 
+                     b.contract?.name || 
+                     b.contractMetadata?.name ||
+                     '').toLowerCase();
+        
+        // Helper function to determine if a character is a letter
+        const isLetter = (char) => /[a-z]/i.test(char);
+        
+        // Helper function to determine if collection starts with letter
+        const startsWithLetter = (str) => str.length > 0 && isLetter(str[0]);
+        
+        // Empty collections (with '') should be sorted last
+        if (collA === '' && collB !== '') {
+          return sortDirection === 'asc' ? 1 : -1;
+        }
+        if (collA !== '' && collB === '') {
+          return sortDirection === 'asc' ? -1 : 1;
+        }
+        
+        // If same collection, sort by token ID
+        if (collA === collB) {
+          const idA = parseInt(a.tokenId || a.token_id || '0') || 0;
+          const idB = parseInt(b.tokenId || b.token_id || '0') || 0;
+          
+          return sortDirection === 'asc' ? idA - idB : idB - idA;
+        }
+        
+        // If one starts with letter and other doesn't, letter comes first
+        if (startsWithLetter(collA) && !startsWithLetter(collB)) {
+          return sortDirection === 'asc' ? -1 : 1;
+        }
+        if (!startsWithLetter(collA) && startsWithLetter(collB)) {
+          return sortDirection === 'asc' ? 1 : -1;
+        }
+        
+        // Normal comparison
+        const result = sortDirection === 'asc' 
+          ? collA.localeCompare(collB, undefined, { numeric: true }) 
+          : collB.localeCompare(collA, undefined, { numeric: true });
+          
+        return result;
+      });
+  }
+};
+
+/**
+ * Keep the NFTs whose name or collection name contains the search term
+ */
+export const filterNftsBySearch = (nfts, searchTerm) => {
+  const term = (searchTerm || '').trim().toLowerCase();
+  if (!term) return nfts;
+  
+  return nfts.filter(nft => {
+    const name = (nft.name || nft.title || `#${nft.tokenId || '0'}`).toLowerCase();
+    const collection = ((nft.collection && nft.collection.name) || 
+                        (nft.collectionName) || 
+                        (nft.contract && nft.contract.name) || '').toLowerCase();
+    
+    return name.includes(term) || collection.includes(term);
+  });
+};
+
+/**
+ * Keep the NFTs held by one wallet, or all of them for 'all'
+ */
+export const filterNftsByWallet = (nfts, wallet) => {
+  if (!wallet || wallet === 'all') return nfts;
+  
+  const address = wallet.toLowerCase();
+  return nfts.filter(nft => (nft.ownerWallet || nft.ownerAddress || '').toLowerCase() === address);
+};
+
+/**
+ * Chain id of an NFT (see src/chains.js); NFTs without one are on Ethereum
+ */
+export const getNftChain = (nft) =>
+  normalizeChain(nft?.network || nft?.chain || nft?.chainId || nft?.contract?.chain || nft?.collection?.network);
+
+/**
+ * Count the NFTs on each chain, for the chain filter
+ * @param {Array} nfts - NFTs to count
+ * @returns {Array} - [{ id, name, count }] for the enabled chains in registry order,
+ *   then any other chain the NFTs are on
+ */
+export const getChainFacets = (nfts) => {
+  const counts = new Map();
+  (nfts || []).forEach(nft => {
+    const chain = getNftChain(nft);
+    counts.set(chain, (counts.get(chain) || 0) + 1);
+  });
+  
+  const enabled = getEnabledChains().map(chain => chain.id);
+  const others = [...counts.keys()].filter(id => !enabled.includes(id));
+  return [...enabled, ...others].map(id => ({
+    id,
+    name: getChain(id)?.name || id,
+    count: counts.get(id) || 0
+  }));
+};
+
+/**
+ * Keep the NFTs on the selected chains
+ * @param {Array} nfts - NFTs to filter
+ * @param {Array} chains - Chain ids, empty for all chains
+ */
+export const filterNftsByChains = (nfts, chains = []) => {
+  if (chains.length === 0) return nfts;
+  return nfts.filter(nft => chains.includes(getNftChain(nft)));
+};
+
+/**
+ * Key identifying an NFT's collection, `${chain}:${contractAddress}`, so the
+ * same contract address on two chains counts as two collections
+ * @returns {string|null} - null when the NFT has no contract address
+ */
+export const getCollectionKey = (nft) => {
+  const contractAddress = nft?.contractAddress || nft?.contract?.address || nft?.collection?.address;
+  if (!contractAddress) return null;
+  return `${getNftChain(nft)}:${contractAddress.toLowerCase()}`;
+};
+
+/**
+ * Count the NFTs in each collection, for the collection filter panel
+ * @param {Array} nfts - NFTs to count
+ * @returns {Array} - [{ key, name, contractAddress, network, count }], largest first
+ */
+export const getCollectionFacets = (nfts) => {
+  const collections = new Map();
+
+  (nfts || []).forEach(nft => {
+    const key = getCollectionKey(nft);
+    if (!key) return;
+
+    let facet = collections.get(key);
+    if (!facet) {
+      const [network, contractAddress] = key.split(':');
+      facet = {
+        key,
+        name: nft.collectionName || nft.collection?.name || nft.contract?.name || null,
+        contractAddress,
+        network,
+        count: 0
+      };
+      collections.set(key, facet);
+    }
+    facet.count += 1;
+  });
+
+  return [...collections.values()].sort((a, b) =>
+    b.count - a.count || (a.name || a.contractAddress).localeCompare(b.name || b.contractAddress)
+  );
+};
+
+/**
+ * Keep the NFTs in the selected collections, leaving out hidden ones
+ * @param {Array} nfts - NFTs to filter
+ * @param {Array} collections - Collection keys to show only (see getCollectionKey), empty for all
+ * @param {Array} hiddenCollections - Collection keys to leave out
+ * @returns {Array} - The matching NFTs
+ */
+export const filterNftsByCollections = (nfts, collections = [], hiddenCollections = []) => {
+  if (collections.length === 0 && hiddenCollections.length === 0) return nfts;
+
+  return nfts.filter(nft => {
+    const key = getCollectionKey(nft);
+    if (hiddenCollections.includes(key)) return false;
+    return collections.length === 0 || collections.includes(key);
+  });
+};
+
+/**
+ * Path of an NFT's detail page, /nft/:chain/:contractAddress/:tokenId
+ * @param {Object} nft - NFT in any of the shapes we receive (Alchemy, Zapper, ...)
+ * @returns {string|null} - null when the NFT has no contract address or token ID
+ */
+export const getNftDetailPath = (nft) => {
+  const contractAddress = nft?.contract?.address || nft?.contractAddress || nft?.collection?.address;
+  const tokenId = nft?.tokenId ?? nft?.token_id;
+  if (!contractAddress || tokenId === undefined || tokenId === null || tokenId === '') return null;
+  
+  return `/nft/${getNftChain(nft)}/${contractAddress.toLowerCase()}/${encodeURIComponent(String(tokenId))}`;
+};
+
 /**
  * Remove duplicate NFTs based on uniqueId or contract-tokenId-network combination
  */
@@ -9,6 +9,7 @@ require('dotenv').config();
 const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
+const upstreams = require('./src/server/upstreams');
 
 // Sample wallet address with a variety of NFTs
 const TEST_WALLET = '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045'; // vitalik.eth
@@ -79,7 +80,7 @@ async function testDirectAlchemyAPI() {
     console.log(`Fetching NFTs for wallet: ${TEST_WALLET}`);
     
     // Build the Alchemy API URL
-    const alchemyUrl = `https://eth-mainnet.g.alchemy.com/nft/v3/${ALCHEMY_API_KEY}/getNFTsForOwner`;
+    const alchemyUrl = `${upstreams.alchemyBaseUrl('eth-mainnet')}/nft/v3/${ALCHEMY_API_KEY}/getNFTsForOwner`;
     
     // Make the API request
     const response = await axios.get(alchemyUrl, {
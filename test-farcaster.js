@@ -6,6 +6,7 @@
 
 require('dotenv').config();
 const axios = require('axios');
+const upstreams = require('./src/server/upstreams');
 
 const NEYNAR_API_KEY = process.env.REACT_APP_NEYNAR_API_KEY || '';
 const ZAPPER_API_KEY = process.env.REACT_APP_ZAPPER_API_KEY || '';
@@ -19,7 +20,7 @@ console.log('-'.repeat(80));
 // Test the Neynar API first (recommended solution)
 async function testNeynarAPI() {
   console.log('\n*** TRYING NEYNAR API ***');
-  const neynarEndpoint = `https://api.neynar.com/v2/farcaster/user/search?q=${username}&limit=1`;
+  const neynarEndpoint = `${upstreams.neynarBaseUrl()}/user/search?q=${username}&limit=1`;
   console.log(`Trying Neynar endpoint: ${neynarEndpoint}`);
   
   try {
@@ -82,7 +83,7 @@ async function testZapperAPI() {
   const variables = { username };
   
   // Try multiple different Zapper endpoints to see which might work
-  const zapperEndpoints = [
+  const zapperEndpoints = process.env.ZAPPER_API_BASE_URL ? upstreams.zapperGraphqlUrls() : [
     'https://api.zapper.xyz/v2/graphql',
     'https://api.zapper.fi/v2/graphql', 
     'https://public.zapper.xyz/graphql',
@@ -6,13 +6,15 @@
 
 const axios = require('axios');
 require('dotenv').config();
+const upstreams = require('./src/server/upstreams');
 
 // Get username from command line or use default
 const username = process.argv[2] || 'vitalik';
 
 // Constants
 const ZAPPER_API_KEY = process.env.REACT_APP_ZAPPER_API_KEY || '';
-const ENDPOINTS = [
+// Only the configured endpoints when ZAPPER_API_BASE_URL points at the upstream simulator
+const ENDPOINTS = process.env.ZAPPER_API_BASE_URL ? upstreams.zapperGraphqlUrls() : [
   'https://api.zapper.xyz/v2/graphql',
   'https://api.zapper.fi/v2/graphql',
   'https://public.zapper.xyz/graphql'